@@ -1,8 +1,11 @@
 require('dotenv').config();
+const os = require('os');
 
 const config = {
   NODE_ENV: process.env.NODE_ENV || 'development',
   PORT: parseInt(process.env.PORT, 10) || 5000,
+  // Identifies this process when several backends share Redis
+  INSTANCE_ID: process.env.INSTANCE_ID || `${os.hostname()}:${process.pid}`,
 
   // Database
   MONGODB_URI: process.env.MONGODB_URI || '',
@@ -11,6 +14,12 @@ const config = {
   // CORS
   CORS_ORIGIN: process.env.CORS_ORIGIN || 'http://localhost:3000',
 
+  // Admin auth
+  JWT_SECRET: process.env.JWT_SECRET || '',
+  ADMIN_JWT_EXPIRES_IN: process.env.ADMIN_JWT_EXPIRES_IN || '8h',
+  // Comma separated username:bcryptHash pairs
+  ADMIN_USERS: process.env.ADMIN_USERS || '',
+
   // Logging
   LOG_DIR: process.env.LOG_DIR || './logs',
   LOG_RETENTION_DAYS: parseInt(process.env.LOG_RETENTION_DAYS, 10) || 8,
@@ -18,20 +27,74 @@ const config = {
   // Matching
   GRACE_PERIOD_MS: parseInt(process.env.GRACE_PERIOD_MS, 10) || 30000,
   RECONNECT_WINDOW_MS: parseInt(process.env.RECONNECT_WINDOW_MS, 10) || 30000,
+  // How long two sessions are kept apart after being paired
+  MATCH_RECENT_COOLDOWN_MS: parseInt(process.env.MATCH_RECENT_COOLDOWN_MS, 10) || 10 * 60 * 1000,
+  // 'exclude' never re-pairs during the cooldown; 'penalise' uses the recentMatch scorer weight
+  MATCH_RECENT_POLICY: process.env.MATCH_RECENT_POLICY === 'penalise' ? 'penalise' : 'exclude',
+  // How long a block-user keeps two sessions apart (default 30 days)
+  BLOCK_DURATION_HOURS: parseInt(process.env.BLOCK_DURATION_HOURS, 10) || 720,
 
   // Heartbeat
   PING_INTERVAL_MS: parseInt(process.env.PING_INTERVAL_MS, 10) || 15000,
   PONG_TIMEOUT_MS: parseInt(process.env.PONG_TIMEOUT_MS, 10) || 5000,
   MAX_MISSED_PINGS: parseInt(process.env.MAX_MISSED_PINGS, 10) || 2,
 
+  // Presence — shared entries expire unless refreshed by a pong.
+  // Keep above PING_INTERVAL_MS × (MAX_MISSED_PINGS + 1)
+  PRESENCE_TTL_MS: parseInt(process.env.PRESENCE_TTL_MS, 10) || 60000,
+
   // Chat
   MESSAGE_EXPIRY_HOURS: parseInt(process.env.MESSAGE_EXPIRY_HOURS, 10) || 12,
   CACHE_TTL: parseInt(process.env.CACHE_TTL, 10) || 3600,
+  // How long after sending a sender may still edit or delete a message
+  MESSAGE_EDIT_WINDOW_MS: parseInt(process.env.MESSAGE_EDIT_WINDOW_MS, 10) || 5 * 60 * 1000,
+
+  // Media (image messages) — 'local' keeps files under MEDIA_DIR, 's3'
+  // uses any S3-compatible bucket (MinIO, AWS, R2 ...)
+  MEDIA_STORE: process.env.MEDIA_STORE || 'local',
+  MEDIA_DIR: process.env.MEDIA_DIR || './uploads',
+  MEDIA_MAX_UPLOAD_BYTES: parseInt(process.env.MEDIA_MAX_UPLOAD_BYTES, 10) || 8 * 1024 * 1024,
+  // Images are scaled down to fit a square of this many pixels
+  MEDIA_MAX_DIMENSION: parseInt(process.env.MEDIA_MAX_DIMENSION, 10) || 1280,
+  S3_ENDPOINT: process.env.S3_ENDPOINT || '',
+  S3_REGION: process.env.S3_REGION || 'us-east-1',
+  S3_BUCKET: process.env.S3_BUCKET || '',
+  S3_ACCESS_KEY_ID: process.env.S3_ACCESS_KEY_ID || '',
+  S3_SECRET_ACCESS_KEY: process.env.S3_SECRET_ACCESS_KEY || '',
+  // MinIO needs path-style URLs; set false for virtual-hosted buckets
+  S3_FORCE_PATH_STYLE: process.env.S3_FORCE_PATH_STYLE !== 'false',
+
+  // Reports — how many recent room messages are copied into a report
+  REPORT_SNAPSHOT_SIZE: parseInt(process.env.REPORT_SNAPSHOT_SIZE, 10) || 20,
+
+  // Bans — repeated moderation kicks escalate into automatic temporary bans.
+  // Each further auto-ban doubles in length, up to the max.
+  BAN_KICKS_BEFORE_BAN: parseInt(process.env.BAN_KICKS_BEFORE_BAN, 10) || 2,
+  BAN_KICK_WINDOW_MS: parseInt(process.env.BAN_KICK_WINDOW_MS, 10) || 60 * 60 * 1000,
+  BAN_AUTO_BASE_MINUTES: parseInt(process.env.BAN_AUTO_BASE_MINUTES, 10) || 15,
+  BAN_AUTO_MAX_MINUTES: parseInt(process.env.BAN_AUTO_MAX_MINUTES, 10) || 24 * 60,
+  BAN_FINGERPRINT_SALT: process.env.BAN_FINGERPRINT_SALT || '',
 
   // Moderation
   OPENAI_API_KEY: process.env.OPENAI_API_KEY || '',
+  // Block a message when a provider failed and nothing else could check it
   MODERATION_BLOCK_ON_FAIL: process.env.MODERATION_BLOCK_ON_FAIL === 'true',
+  // Log every flagged message (categories and scores, never the content)
   MODERATION_LOG_FLAGGED: process.env.MODERATION_LOG_FLAGGED !== 'false',
+  // Violations older than this no longer count towards warn/kick (default 24h)
+  MODERATION_VIOLATION_WINDOW_MS: parseInt(process.env.MODERATION_VIOLATION_WINDOW_MS, 10) || 24 * 60 * 60 * 1000,
+  // Block/allow lists: a watched JSON file if set, otherwise MongoDB
+  MODERATION_LISTS_FILE: process.env.MODERATION_LISTS_FILE || '',
+  // How often instances re-read the lists from MongoDB
+  MODERATION_LISTS_REFRESH_MS: parseInt(process.env.MODERATION_LISTS_REFRESH_MS, 10) || 30000,
+  // Classifier verdicts are reused for identical content this long
+  MODERATION_CACHE_TTL_MS: parseInt(process.env.MODERATION_CACHE_TTL_MS, 10) || 10 * 60 * 1000,
+  // In-memory cache size when Redis is unavailable
+  MODERATION_CACHE_MAX_ENTRIES: parseInt(process.env.MODERATION_CACHE_MAX_ENTRIES, 10) || 5000,
+  // Candidate provider/policy file to run in shadow mode (same shape as
+  // MODERATION_PROVIDERS_CONFIG) and how many disagreements to keep
+  MODERATION_SHADOW_CONFIG: process.env.MODERATION_SHADOW_CONFIG || '',
+  MODERATION_SHADOW_MAX_ENTRIES: parseInt(process.env.MODERATION_SHADOW_MAX_ENTRIES, 10) || 1000,
 
   isDev() {
     return this.NODE_ENV === 'development';
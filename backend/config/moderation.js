@@ -0,0 +1,192 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../loaders/logger');
+
+// Defaults reproduce the original two layers, with the offline
+// classifier standing in whenever Hugging Face is unset or failing
+const DEFAULT_PROVIDERS = [
+  { type: 'wordlist', name: 'local' },
+  { type: 'regex', name: 'regex' },
+  {
+    type: 'http',
+    name: 'huggingface',
+    url: 'https://router.huggingface.co/hf-inference/models/unitary/toxic-bert',
+    tokenEnv: 'HF_API_TOKEN',
+    // No floor of its own — the policy table sets per-category thresholds
+    threshold: 0,
+    timeoutMs: 8000,
+    // Concurrent messages share one inference request
+    batchSize: 8,
+    batchWaitMs: 20,
+    // After 5 failures in a row, skip it for 30s instead of waiting out
+    // the timeout on every message
+    breaker: { failureThreshold: 5, cooldownMs: 30000 }
+  },
+  { type: 'classifier', name: 'local-classifier', threshold: 0.7, timeoutMs: 200, fallbackOnly: true }
+];
+
+// Image messages get their own chain (same policy table)
+const DEFAULT_IMAGE_PROVIDERS = [
+  {
+    type: 'http-image',
+    name: 'huggingface-image',
+    url: 'https://router.huggingface.co/hf-inference/models/Falconsai/nsfw_image_detection',
+    tokenEnv: 'HF_API_TOKEN',
+    threshold: 0,
+    timeoutMs: 10000,
+    breaker: { failureThreshold: 5, cooldownMs: 30000 }
+  }
+];
+
+// What each category needs to be flagged and what happens then
+// (see moderation/ModerationPolicy.js). Severity weights the session's
+// violation history, so one threat counts as much as four insults.
+const DEFAULT_POLICY = {
+  default:            { threshold: 0.5, action: 'block', severity: 1 },
+  toxic:              { threshold: 0.5, action: 'block', severity: 1 },
+  severe_toxic:       { threshold: 0.5, action: 'warn', severity: 3 },
+  obscene:            { threshold: 0.6, action: 'block', severity: 1 },
+  threat:             { threshold: 0.5, action: 'kick', severity: 4 },
+  insult:             { threshold: 0.6, action: 'block', severity: 1 },
+  identity_hate:      { threshold: 0.5, action: 'warn', severity: 3 },
+  self_harm:          { threshold: 0.5, action: 'warn', severity: 3 },
+  profanity:          { threshold: 0, action: 'block', severity: 1 },
+  'prohibited-terms': { threshold: 0, action: 'warn', severity: 3 },
+  nsfw:               { threshold: 0.8, action: 'block', severity: 2 },
+  porn:               { threshold: 0.8, action: 'block', severity: 2 },
+  hentai:             { threshold: 0.8, action: 'block', severity: 2 },
+  sexy:               { threshold: 0.9, action: 'block', severity: 1 }
+};
+
+/**
+ * Resolve the moderation provider chain and category policy.
+ * Precedence: defaults < JSON file (MODERATION_PROVIDERS_CONFIG) < env vars.
+ *
+ * JSON file shape — entries with a default's name extend that default:
+ *   { "providers": [
+ *       { "name": "local" },
+ *       { "name": "huggingface", "threshold": 0.7 },
+ *       { "type": "http", "name": "in-house", "url": "http://classifier:8080/score" }
+ *     ],
+ *     "imageProviders": [{ "name": "huggingface-image", "threshold": 0.5 }],
+ *     "policy": {
+ *       "toxic":  { "threshold": 0.8, "action": "log", "severity": 0 },
+ *       "threat": { "action": "ban" }
+ *     } }
+ * Policy rows are merged over DEFAULT_POLICY field by field.
+ *
+ * Env vars:
+ *   MODERATION_PROVIDERS=local,huggingface   chain order / subset by name
+ *   MODERATION_IMAGE_PROVIDERS=...           same for the image chain
+ *   MODERATION_<NAME>_THRESHOLD / _TIMEOUT_MS e.g. MODERATION_HUGGINGFACE_THRESHOLD
+ *   MODERATION_<NAME>_BATCH_SIZE / _BATCH_WAIT_MS HTTP providers only
+ *   MODERATION_<NAME>_BREAKER_FAILURES / _BREAKER_COOLDOWN_MS circuit breaker
+ */
+function loadModerationConfig(env = process.env) {
+  let providers = DEFAULT_PROVIDERS.map(p => ({ ...p }));
+  let imageProviders = DEFAULT_IMAGE_PROVIDERS.map(p => ({ ...p }));
+  const policy = _clonePolicy(DEFAULT_POLICY);
+
+  if (env.MODERATION_PROVIDERS_CONFIG) {
+    try {
+      const file = path.resolve(env.MODERATION_PROVIDERS_CONFIG);
+      const fromFile = _readJson(file);
+      providers = _applyFile(fromFile, providers, policy);
+      imageProviders = _fileProviders(fromFile.imageProviders, DEFAULT_IMAGE_PROVIDERS) || imageProviders;
+      logger.info('Moderation provider config loaded', { file });
+    } catch (err) {
+      logger.error('Failed to load moderation provider config — using defaults', {
+        file: env.MODERATION_PROVIDERS_CONFIG,
+        error: err.message
+      });
+    }
+  }
+
+  if (env.MODERATION_PROVIDERS) providers = _order(providers, env.MODERATION_PROVIDERS);
+  if (env.MODERATION_IMAGE_PROVIDERS) imageProviders = _order(imageProviders, env.MODERATION_IMAGE_PROVIDERS);
+
+  for (const provider of [...providers, ...imageProviders]) {
+    const prefix = `MODERATION_${_envName(provider.name)}`;
+    const threshold = parseFloat(env[`${prefix}_THRESHOLD`]);
+    const timeoutMs = parseInt(env[`${prefix}_TIMEOUT_MS`], 10);
+    if (Number.isFinite(threshold)) provider.threshold = threshold;
+    if (Number.isFinite(timeoutMs)) provider.timeoutMs = timeoutMs;
+    const breakerFailures = parseInt(env[`${prefix}_BREAKER_FAILURES`], 10);
+    const breakerCooldownMs = parseInt(env[`${prefix}_BREAKER_COOLDOWN_MS`], 10);
+    if (Number.isFinite(breakerFailures) || Number.isFinite(breakerCooldownMs)) {
+      provider.breaker = { ...provider.breaker };
+      if (Number.isFinite(breakerFailures)) provider.breaker.failureThreshold = breakerFailures;
+      if (Number.isFinite(breakerCooldownMs)) provider.breaker.cooldownMs = breakerCooldownMs;
+    }
+    if (provider.type === 'http') {
+      const batchSize = parseInt(env[`${prefix}_BATCH_SIZE`], 10);
+      const batchWaitMs = parseInt(env[`${prefix}_BATCH_WAIT_MS`], 10);
+      if (Number.isFinite(batchSize)) provider.batchSize = batchSize;
+      if (Number.isFinite(batchWaitMs)) provider.batchWaitMs = batchWaitMs;
+    }
+  }
+
+  return { providers, imageProviders, policy };
+}
+
+/**
+ * Candidate chain for shadow mode (MODERATION_SHADOW_CONFIG), or null.
+ * Same file shape as MODERATION_PROVIDERS_CONFIG, layered over the
+ * defaults only — the live chain's env overrides do not apply. Throws on
+ * a bad file rather than silently shadowing with the defaults.
+ */
+function loadShadowConfig(env = process.env) {
+  if (!env.MODERATION_SHADOW_CONFIG) return null;
+  const policy = _clonePolicy(DEFAULT_POLICY);
+  const providers = _applyFile(
+    _readJson(path.resolve(env.MODERATION_SHADOW_CONFIG)),
+    DEFAULT_PROVIDERS.map(p => ({ ...p })),
+    policy
+  );
+  return { providers, policy };
+}
+
+/**
+ * Merge a config file's policy rows into policy (in place) and return
+ * its provider list, or the given one if the file has none
+ */
+function _applyFile(fromFile, providers, policy) {
+  for (const [category, row] of Object.entries(fromFile.policy || {})) {
+    policy[category] = { ...(policy[category] || policy.default), ...row };
+  }
+  return _fileProviders(fromFile.providers, DEFAULT_PROVIDERS) || providers;
+}
+
+/**
+ * Provider specs from a config file, each extending the default of the
+ * same name — or null when the file has none
+ */
+function _fileProviders(specs, defaults) {
+  if (!Array.isArray(specs)) return null;
+  return specs.map((spec) => {
+    const base = defaults.find(p => p.name === spec.name);
+    return { ...base, ...spec };
+  });
+}
+
+function _order(providers, names) {
+  return names.split(',')
+    .map(n => n.trim())
+    .filter(Boolean)
+    .map(name => providers.find(p => p.name === name))
+    .filter(Boolean);
+}
+
+function _readJson(file) {
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function _clonePolicy(table) {
+  return Object.fromEntries(Object.entries(table).map(([k, row]) => [k, { ...row }]));
+}
+
+function _envName(name) {
+  return name.toUpperCase().replace(/[^A-Z0-9]+/g, '_');
+}
+
+module.exports = { loadModerationConfig, loadShadowConfig, DEFAULT_PROVIDERS, DEFAULT_IMAGE_PROVIDERS, DEFAULT_POLICY };
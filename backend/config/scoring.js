@@ -0,0 +1,75 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../loaders/logger');
+
+// Default score: commonInterests × 10, + 3 after 30s in the queue, + 5 for
+// the same language, + 2 for the same region, − 20 for a recent partner.
+// Only the first two existed before — with neither language nor region
+// sent and the 'exclude' recent policy, rankings are the original ones.
+const DEFAULT_SCORING = {
+  weights: {
+    interests: 10,
+    waitTime: 3,
+    language: 5,
+    region: 2,
+    recentMatch: 20
+  },
+  waitThresholdMs: 30000
+};
+
+const ENV_WEIGHTS = {
+  interests: 'MATCH_WEIGHT_INTERESTS',
+  waitTime: 'MATCH_WEIGHT_WAIT_TIME',
+  language: 'MATCH_WEIGHT_LANGUAGE',
+  region: 'MATCH_WEIGHT_REGION',
+  recentMatch: 'MATCH_WEIGHT_RECENT_MATCH'
+};
+
+/**
+ * Resolve matchmaking scoring config.
+ * Precedence: defaults < JSON file (MATCH_SCORING_CONFIG) < MATCH_WEIGHT_* env vars.
+ *
+ * JSON file shape:
+ *   { "weights": { "interests": 10, "language": 8 }, "waitThresholdMs": 20000 }
+ */
+function loadScoringConfig(env = process.env) {
+  const weights = { ...DEFAULT_SCORING.weights };
+  let waitThresholdMs = DEFAULT_SCORING.waitThresholdMs;
+
+  if (env.MATCH_SCORING_CONFIG) {
+    try {
+      const file = path.resolve(env.MATCH_SCORING_CONFIG);
+      const fromFile = JSON.parse(fs.readFileSync(file, 'utf8'));
+      Object.assign(weights, _numbersOnly(fromFile.weights));
+      if (Number.isFinite(fromFile.waitThresholdMs)) {
+        waitThresholdMs = fromFile.waitThresholdMs;
+      }
+      logger.info('Matchmaking scoring config loaded', { file });
+    } catch (err) {
+      logger.error('Failed to load matchmaking scoring config — using defaults', {
+        file: env.MATCH_SCORING_CONFIG,
+        error: err.message
+      });
+    }
+  }
+
+  for (const [name, envKey] of Object.entries(ENV_WEIGHTS)) {
+    const value = parseFloat(env[envKey]);
+    if (Number.isFinite(value)) weights[name] = value;
+  }
+
+  const envThreshold = parseInt(env.MATCH_WAIT_THRESHOLD_MS, 10);
+  if (Number.isFinite(envThreshold)) waitThresholdMs = envThreshold;
+
+  return { weights, waitThresholdMs };
+}
+
+function _numbersOnly(obj = {}) {
+  const out = {};
+  for (const [key, value] of Object.entries(obj || {})) {
+    if (Number.isFinite(value)) out[key] = value;
+  }
+  return out;
+}
+
+module.exports = { loadScoringConfig, DEFAULT_SCORING };
@@ -1,6 +1,16 @@
 const { Server } = require('socket.io');
+const { createAdapter } = require('@socket.io/redis-adapter');
+const logger = require('../loaders/logger');
 
-function createSocketServer(httpServer) {
+let adapterClients = null;
+
+/**
+ * Create the Socket.IO server.
+ * Pass { pubClient, subClient } to start with the Redis adapter straight
+ * away; otherwise the default in-memory (single-node) adapter is used
+ * until connectSocketAdapter() runs.
+ */
+function createSocketServer(httpServer, { pubClient, subClient } = {}) {
   const io = new Server(httpServer, {
     cors: {
       origin: process.env.CORS_ORIGIN || 'http://localhost:3000',
@@ -15,7 +25,45 @@ function createSocketServer(httpServer) {
     maxHttpBufferSize: 1e6 // 1MB max message size
   });
 
+  if (pubClient && subClient) {
+    io.adapter(createAdapter(pubClient, subClient));
+  }
+
   return io;
 }
 
-module.exports = { createSocketServer };
\ No newline at end of file
+/**
+ * Switch io to the Redis pub/sub adapter so room and socket-id broadcasts
+ * reach sockets connected to other backend instances.
+ * Falls back to single-node mode when Redis is not connected.
+ */
+async function connectSocketAdapter(io, redisClient) {
+  if (!redisClient) {
+    logger.warn('Redis not available — Socket.IO running in single-node mode');
+    return false;
+  }
+
+  const pubClient = redisClient.duplicate();
+  const subClient = redisClient.duplicate();
+
+  pubClient.on('error', (err) => logger.error('Socket.IO pub client error', { message: err.message }));
+  subClient.on('error', (err) => logger.error('Socket.IO sub client error', { message: err.message }));
+
+  await Promise.all([pubClient.connect(), subClient.connect()]);
+
+  io.adapter(createAdapter(pubClient, subClient));
+  adapterClients = { pubClient, subClient };
+
+  logger.info('Socket.IO Redis adapter enabled');
+  return true;
+}
+
+async function disconnectSocketAdapter() {
+  if (adapterClients) {
+    await Promise.all([adapterClients.pubClient.quit(), adapterClients.subClient.quit()]);
+    adapterClients = null;
+    logger.info('Socket.IO Redis adapter closed');
+  }
+}
+
+module.exports = { createSocketServer, connectSocketAdapter, disconnectSocketAdapter };
@@ -2,8 +2,10 @@ const config = require('./config/env');
 const logger = require('./loaders/logger');
 const { app, httpServer, initializeServices } = require('./server');
 const { disconnectRedis } = require('./config/redis');
+const { disconnectSocketAdapter } = require('./config/socket');
 const { disconnectMongo } = require('./config/mongo');
 const heartbeatService = require('./services/HeartbeatService');
+const moderationListService = require('./services/ModerationListService');
 
 async function startServer() {
   try {
@@ -26,8 +28,10 @@ async function startServer() {
 async function shutdown(signal) {
   logger.info(`${signal} received — shutting down gracefully`);
   heartbeatService.stop();
+  moderationListService.stop();
 
   try {
+    await disconnectSocketAdapter();
     await disconnectRedis();
     await disconnectMongo();
     httpServer.close(() => {
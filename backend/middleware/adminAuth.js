@@ -0,0 +1,92 @@
+const jwt = require('jsonwebtoken');
+const bcrypt = require('bcryptjs');
+const config = require('../config/env');
+const auditService = require('../services/AuditService');
+
+// Compared against when the username is unknown so both paths cost the same
+const DUMMY_HASH = bcrypt.hashSync('anonverse-dummy-password', 10);
+
+/**
+ * Parse ADMIN_USERS — comma separated `username:bcryptHash` pairs
+ */
+function _loadAdmins() {
+  const admins = new Map();
+  (config.ADMIN_USERS || '').split(',').forEach((entry) => {
+    const idx = entry.indexOf(':');
+    if (idx <= 0) return;
+    admins.set(entry.slice(0, idx).trim(), entry.slice(idx + 1).trim());
+  });
+  return admins;
+}
+
+function isAdminAuthConfigured() {
+  return Boolean(config.JWT_SECRET) && _loadAdmins().size > 0;
+}
+
+/**
+ * Check credentials and return a signed token, or null if they are wrong
+ */
+async function authenticateAdmin(username, password) {
+  const hash = _loadAdmins().get(username);
+  const valid = await bcrypt.compare(password || '', hash || DUMMY_HASH);
+  if (!hash || !valid) return null;
+
+  const token = jwt.sign({ sub: username, role: 'admin' }, config.JWT_SECRET, {
+    expiresIn: config.ADMIN_JWT_EXPIRES_IN
+  });
+  return { token, expiresIn: config.ADMIN_JWT_EXPIRES_IN };
+}
+
+/**
+ * Require a valid `Authorization: Bearer <token>` admin JWT.
+ * Sets req.admin = { username }.
+ */
+function requireAdmin(req, res, next) {
+  if (!isAdminAuthConfigured()) {
+    return res.status(503).json({ error: 'Admin access is not configured' });
+  }
+
+  const header = req.get('Authorization') || '';
+  const [scheme, token] = header.split(' ');
+  if (scheme !== 'Bearer' || !token) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+
+  try {
+    const payload = jwt.verify(token, config.JWT_SECRET);
+    if (payload.role !== 'admin') {
+      return res.status(403).json({ error: 'Forbidden' });
+    }
+    req.admin = { username: payload.sub };
+    next();
+  } catch (err) {
+    res.status(401).json({ error: 'Invalid or expired token' });
+  }
+}
+
+/**
+ * Write an audit entry for the request once the response has been sent.
+ * targetParam names the route param holding the target ID.
+ */
+function audit(action, { targetType = null, targetParam = null } = {}) {
+  return (req, res, next) => {
+    res.on('finish', () => {
+      auditService.record({
+        actor: req.admin?.username || req.body?.username || 'anonymous',
+        action,
+        targetType,
+        targetId: targetParam ? req.params[targetParam] || req.body?.[targetParam] || null : null,
+        statusCode: res.statusCode,
+        ip: req.ip,
+        details: {
+          method: req.method,
+          path: req.originalUrl,
+          ...(req.auditDetails || {})
+        }
+      });
+    });
+    next();
+  };
+}
+
+module.exports = { authenticateAdmin, requireAdmin, audit, isAdminAuthConfigured };
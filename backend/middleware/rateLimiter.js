@@ -24,4 +24,10 @@ const moderationLimiter = rateLimit({
   message: { error: 'Too many moderation actions. Please wait.' }
 });
 
-module.exports = { generalLimiter, chatLimiter, userLimiter, moderationLimiter };
\ No newline at end of file
+const adminLoginLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  message: { error: 'Too many login attempts. Please wait.' }
+});
+
+module.exports = { generalLimiter, chatLimiter, userLimiter, moderationLimiter, adminLoginLimiter };
\ No newline at end of file
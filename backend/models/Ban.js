@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+const banSchema = new mongoose.Schema({
+  sessionId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  // SHA-256 of the client-supplied fingerprint — raw values are never stored
+  fingerprintHash: {
+    type: String,
+    default: null,
+    index: true
+  },
+  reason: {
+    type: String,
+    default: ''
+  },
+  bannedBy: {
+    type: String,
+    required: true
+  },
+  // true when issued by kick escalation rather than an admin
+  auto: {
+    type: Boolean,
+    default: false
+  },
+  // null = permanent
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  liftedAt: {
+    type: Date,
+    default: null
+  },
+  liftedBy: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+banSchema.index({ sessionId: 1, liftedAt: 1, expiresAt: 1 });
+
+// Virtual for checking if the ban still applies
+banSchema.virtual('isActive').get(function() {
+  if (this.liftedAt) return false;
+  return !this.expiresAt || this.expiresAt > new Date();
+});
+
+// Query filter for bans that still apply right now
+banSchema.statics.activeFilter = function(extra = {}) {
+  return {
+    ...extra,
+    liftedAt: null,
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+  };
+};
+
+const Ban = mongoose.model('Ban', banSchema);
+
+module.exports = Ban;
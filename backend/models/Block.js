@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+const blockSchema = new mongoose.Schema({
+  blockerSessionId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  blockedSessionId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  roomId: {
+    type: String,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+    index: { expireAfterSeconds: 0 } // TTL index — block lifts itself
+  }
+}, {
+  timestamps: true
+});
+
+// One block per direction — re-blocking just extends it
+blockSchema.index({ blockerSessionId: 1, blockedSessionId: 1 }, { unique: true });
+
+// Static method to get every session kept apart from sessionId, in either direction
+blockSchema.statics.getBlockedSessionIds = async function(sessionId) {
+  const blocks = await this.find({
+    $or: [{ blockerSessionId: sessionId }, { blockedSessionId: sessionId }],
+    expiresAt: { $gt: new Date() }
+  })
+  .select('blockerSessionId blockedSessionId')
+  .lean();
+
+  return blocks.map(b =>
+    b.blockerSessionId === sessionId ? b.blockedSessionId : b.blockerSessionId
+  );
+};
+
+const Block = mongoose.model('Block', blockSchema);
+
+module.exports = Block;
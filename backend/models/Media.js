@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+const mediaSchema = new mongoose.Schema({
+  // Random UUID — also the capability in the public media URL
+  mediaId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  roomId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  sessionId: {
+    type: String,
+    required: true
+  },
+  // Key in the media store (local disk or S3 bucket)
+  storageKey: {
+    type: String,
+    required: true
+  },
+  contentType: {
+    type: String,
+    required: true
+  },
+  size: Number,
+  width: Number,
+  height: Number,
+  // Set once a send-message with this image passed moderation
+  sentAt: {
+    type: Date,
+    default: null
+  },
+  // MediaService.pruneExpired() removes the file and then the record —
+  // no TTL index, or the file would outlive its record
+  expiresAt: {
+    type: Date,
+    required: true,
+    index: true
+  }
+}, {
+  timestamps: true
+});
+
+const Media = mongoose.model('Media', mediaSchema);
+
+module.exports = Media;
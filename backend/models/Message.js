@@ -24,6 +24,11 @@ const messageSchema = new mongoose.Schema({
     enum: ['text', 'image', 'video', 'audio', 'file'],
     default: 'text'
   },
+  // Server-assigned order within the room (see RoomSequence) — may have
+  // gaps, never repeats
+  seq: Number,
+  // Client-generated id, so a resent message is saved only once per room
+  clientMessageId: String,
   status: {
     type: String,
     enum: ['sent', 'delivered', 'read'],
@@ -35,6 +40,12 @@ const messageSchema = new mongoose.Schema({
       type: String,
       enum: ['text', 'video'],
       default: 'text'
+    },
+    // Image messages — content holds the media URL
+    media: {
+      id: String,
+      width: Number,
+      height: Number
     }
   },
   edited: {
@@ -54,6 +65,11 @@ const messageSchema = new mongoose.Schema({
 
 // Indexes for efficient querying
 messageSchema.index({ roomId: 1, createdAt: -1 });
+messageSchema.index({ roomId: 1, seq: 1 });
+messageSchema.index(
+  { roomId: 1, clientMessageId: 1 },
+  { unique: true, partialFilterExpression: { clientMessageId: { $type: 'string' } } }
+);
 messageSchema.index({ senderId: 1, createdAt: -1 });
 messageSchema.index({ recipientId: 1, createdAt: -1 });
 // messageSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
@@ -78,15 +94,26 @@ messageSchema.methods.markAsDelivered = async function() {
   return this;
 };
 
-// Static method to get room messages
-messageSchema.statics.getRoomMessages = async function(roomId, limit = 50, skip = 0) {
-  return await this.find({ 
+// Static method to get the messages before seq (or the newest), newest first
+messageSchema.statics.getMessagesBeforeSeq = async function(roomId, beforeSeq, limit = 50) {
+  const filter = { roomId, deletedAt: { $exists: false } };
+  if (beforeSeq !== undefined) filter.seq = { $lt: beforeSeq };
+
+  return await this.find(filter)
+  .sort({ seq: -1 })
+  .limit(limit)
+  .lean();
+};
+
+// Static method to get the messages after seq, oldest first
+messageSchema.statics.getMessagesAfterSeq = async function(roomId, afterSeq, limit = 50) {
+  return await this.find({
     roomId,
+    seq: { $gt: afterSeq },
     deletedAt: { $exists: false }
   })
-  .sort({ createdAt: -1 })
+  .sort({ seq: 1 })
   .limit(limit)
-  .skip(skip)
   .lean();
 };
 
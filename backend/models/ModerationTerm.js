@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+const moderationTermSchema = new mongoose.Schema({
+  term: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+  list: {
+    type: String,
+    enum: ['block', 'allow'],
+    required: true,
+    index: true
+  },
+  matchType: {
+    type: String,
+    enum: ['exact', 'word', 'regex'],
+    default: 'word'
+  },
+  // Policy category a blocklist hit is reported under
+  category: {
+    type: String,
+    default: 'prohibited-terms'
+  },
+  note: {
+    type: String,
+    default: '',
+    maxlength: 500
+  },
+  createdBy: {
+    type: String,
+    default: 'system'
+  }
+}, {
+  timestamps: true
+});
+
+// The same term can't be listed twice with the same match type
+moderationTermSchema.index({ list: 1, matchType: 1, term: 1 }, { unique: true });
+
+const ModerationTerm = mongoose.model('ModerationTerm', moderationTermSchema);
+
+module.exports = ModerationTerm;
@@ -0,0 +1,113 @@
+const mongoose = require('mongoose');
+const { REPORT_REASONS } = require('../constants');
+
+const REPORT_STATUSES = ['open', 'reviewing', 'actioned', 'dismissed'];
+
+// Allowed moves: open -> reviewing -> actioned | dismissed
+const STATUS_TRANSITIONS = {
+  open: ['reviewing'],
+  reviewing: ['actioned', 'dismissed'],
+  actioned: [],
+  dismissed: []
+};
+
+const snapshotMessageSchema = new mongoose.Schema({
+  messageId: String,
+  senderId: String,
+  recipientId: String,
+  content: String,
+  type: String,
+  createdAt: Date
+}, { _id: false });
+
+const statusChangeSchema = new mongoose.Schema({
+  status: { type: String, enum: REPORT_STATUSES, required: true },
+  changedBy: { type: String, default: null },
+  note: { type: String, default: null },
+  changedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+const reportSchema = new mongoose.Schema({
+  reporterSessionId: {
+    type: String,
+    default: null,
+    index: true
+  },
+  reportedSessionId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  reportedSocketId: {
+    type: String,
+    default: null
+  },
+  reason: {
+    type: String,
+    enum: REPORT_REASONS,
+    required: true,
+    index: true
+  },
+  description: {
+    type: String,
+    maxLength: 1000,
+    default: ''
+  },
+  roomId: {
+    type: String,
+    default: null
+  },
+  source: {
+    type: String,
+    enum: ['socket', 'chat-api', 'moderation-api'],
+    required: true
+  },
+  // Copy of the latest room messages — the room itself expires after the chat
+  messages: [snapshotMessageSchema],
+  status: {
+    type: String,
+    enum: REPORT_STATUSES,
+    default: 'open',
+    index: true
+  },
+  statusHistory: [statusChangeSchema]
+}, {
+  timestamps: true
+});
+
+reportSchema.index({ status: 1, createdAt: -1 });
+
+// Method to move the report along its review workflow. The update only
+// applies while the report still has the status it was read with, so two
+// moderators acting on it at once can't both win — the second gets a 409.
+// Returns the updated report.
+reportSchema.methods.transitionTo = async function(status, { changedBy = null, note = null } = {}) {
+  const from = this.status;
+  const allowed = STATUS_TRANSITIONS[from] || [];
+  if (!allowed.includes(status)) {
+    throw conflict(`Cannot move report from ${from} to ${status}`);
+  }
+
+  const updated = await this.constructor.findOneAndUpdate(
+    { _id: this._id, status: from },
+    {
+      $set: { status },
+      $push: { statusHistory: { status, changedBy, note, changedAt: new Date() } }
+    },
+    { new: true }
+  );
+  if (!updated) throw conflict(`Report is no longer ${from} — reload it and try again`);
+  return updated;
+};
+
+function conflict(message) {
+  const err = new Error(message);
+  err.status = 409;
+  return err;
+}
+
+const Report = mongoose.model('Report', reportSchema);
+
+module.exports = Report;
+module.exports.REPORT_STATUSES = REPORT_STATUSES;
+module.exports.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+/**
+ * Per-room message counter — gives every message in a room a
+ * monotonically increasing seq, whichever instance saved it
+ */
+const roomSequenceSchema = new mongoose.Schema({
+  roomId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  seq: {
+    type: Number,
+    default: 0
+  },
+  // Pushed forward on every message so the counter outlives the room's messages
+  expiresAt: {
+    type: Date,
+    index: { expireAfterSeconds: 0 }
+  }
+});
+
+// Atomically reserve the next seq for a room
+roomSequenceSchema.statics.next = async function(roomId, ttlMs) {
+  const counter = await this.findOneAndUpdate(
+    { roomId },
+    { $inc: { seq: 1 }, $set: { expiresAt: new Date(Date.now() + ttlMs) } },
+    { upsert: true, new: true, lean: true }
+  );
+  return counter.seq;
+};
+
+const RoomSequence = mongoose.model('RoomSequence', roomSequenceSchema);
+
+module.exports = RoomSequence;
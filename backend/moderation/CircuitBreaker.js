@@ -0,0 +1,70 @@
+/**
+ * CircuitBreaker
+ * Stops calling a failing dependency for a while instead of paying its
+ * timeout on every request.
+ *
+ *   closed    requests go through; failureThreshold consecutive failures
+ *             open the circuit
+ *   open      requests are refused until cooldownMs has passed
+ *   half-open one probe request is let through — success closes the
+ *             circuit, failure opens it for another cooldown
+ */
+class CircuitBreaker {
+  constructor({ failureThreshold = 5, cooldownMs = 30000, now = Date.now } = {}) {
+    this.failureThreshold = failureThreshold;
+    this.cooldownMs = cooldownMs;
+    this._now = now;
+    this._state = 'closed';
+    this._failures = 0;
+    this._openedAt = null;
+    this._probing = false;
+  }
+
+  /**
+   * Whether a request may go out now. Moves an open circuit to half-open
+   * once the cooldown is over and claims the single probe.
+   */
+  canRequest() {
+    if (this._state === 'open' && this._now() - this._openedAt >= this.cooldownMs) {
+      this._state = 'half-open';
+      this._probing = false;
+    }
+    if (this._state === 'closed') return true;
+    if (this._state === 'half-open' && !this._probing) {
+      this._probing = true;
+      return true;
+    }
+    return false;
+  }
+
+  recordSuccess() {
+    this._state = 'closed';
+    this._failures = 0;
+    this._openedAt = null;
+    this._probing = false;
+  }
+
+  recordFailure() {
+    this._failures += 1;
+    if (this._state === 'half-open' || this._failures >= this.failureThreshold) {
+      this._state = 'open';
+      this._openedAt = this._now();
+      this._probing = false;
+    }
+  }
+
+  getState() {
+    // Report half-open once the cooldown is over, even before the next request
+    const state = this._state === 'open' && this._now() - this._openedAt >= this.cooldownMs
+      ? 'half-open'
+      : this._state;
+    return {
+      state,
+      consecutiveFailures: this._failures,
+      openedAt: this._openedAt ? new Date(this._openedAt).toISOString() : null,
+      retryAt: this._state === 'open' ? new Date(this._openedAt + this.cooldownMs).toISOString() : null
+    };
+  }
+}
+
+module.exports = CircuitBreaker;
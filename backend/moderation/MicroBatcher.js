@@ -0,0 +1,72 @@
+/**
+ * MicroBatcher
+ * Collects items added within a short window (or until the batch is full)
+ * and hands them to one handler call, so concurrent requests share a
+ * single round trip.
+ *
+ *   const batcher = new MicroBatcher(texts => classifyMany(texts), { maxBatchSize: 16, maxWaitMs: 25 });
+ *   const result = await batcher.add('hello');
+ *
+ * handler(items) must resolve to one result per item, in order. Identical
+ * items in a batch are only sent once. If the handler throws, every
+ * caller in that batch gets the error.
+ */
+class MicroBatcher {
+  constructor(handler, { maxBatchSize = 16, maxWaitMs = 25 } = {}) {
+    this._handler = handler;
+    this.maxBatchSize = maxBatchSize;
+    this.maxWaitMs = maxWaitMs;
+    this._queue = [];
+    this._timer = null;
+    this._stats = { batches: 0, items: 0, requests: 0 };
+  }
+
+  add(item) {
+    return new Promise((resolve, reject) => {
+      this._queue.push({ item, resolve, reject });
+      if (this._queue.length >= this.maxBatchSize) {
+        this._flush();
+      } else if (!this._timer) {
+        this._timer = setTimeout(() => this._flush(), this.maxWaitMs);
+      }
+    });
+  }
+
+  /**
+   * { batches, items, requests, avgBatchSize } — items is what callers
+   * asked for, requests what was actually sent after de-duplication
+   */
+  getStats() {
+    const { batches, items, requests } = this._stats;
+    return { batches, items, requests, avgBatchSize: batches ? +(items / batches).toFixed(2) : 0 };
+  }
+
+  // ─── PRIVATE ─────────────────────────────────────────────────
+
+  async _flush() {
+    clearTimeout(this._timer);
+    this._timer = null;
+
+    const batch = this._queue.splice(0, this.maxBatchSize);
+    // Anything left over goes out in the next window
+    if (this._queue.length) this._timer = setTimeout(() => this._flush(), 0);
+    if (!batch.length) return;
+
+    const unique = Array.from(new Set(batch.map(b => b.item)));
+    this._stats.batches += 1;
+    this._stats.items += batch.length;
+    this._stats.requests += unique.length;
+
+    try {
+      const results = await this._handler(unique);
+      if (!Array.isArray(results) || results.length !== unique.length) {
+        throw new Error(`Batch handler returned ${results?.length} results for ${unique.length} items`);
+      }
+      for (const { item, resolve } of batch) resolve(results[unique.indexOf(item)]);
+    } catch (err) {
+      for (const { reject } of batch) reject(err);
+    }
+  }
+}
+
+module.exports = MicroBatcher;
@@ -0,0 +1,67 @@
+// Weakest to strongest — the stronger of two actions always wins
+const ACTIONS = ['log', 'block', 'warn', 'kick', 'ban'];
+
+/**
+ * ModerationPolicy
+ * Per-category table saying when a category counts as flagged and what
+ * happens then. Row: { threshold, action, severity }
+ *
+ *   threshold  provider score at or above which the category is flagged
+ *              (a provider's own threshold still acts as a floor)
+ *   action     log  — allow the message, only log it
+ *              block — drop the message (repeat offences still escalate)
+ *              warn / kick / ban — drop it and act immediately
+ *   severity   weight this violation adds to the session's history
+ *
+ * Categories without a row use the `default` row.
+ */
+class ModerationPolicy {
+  constructor(table = {}) {
+    this._table = {
+      default: { threshold: 0.5, action: 'block', severity: 1 },
+      ...table
+    };
+    for (const [category, row] of Object.entries(this._table)) {
+      if (!ACTIONS.includes(row.action)) {
+        throw new Error(`Invalid moderation action "${row.action}" for category "${category}"`);
+      }
+    }
+  }
+
+  rowFor(category) {
+    return this._table[category] || this._table.default;
+  }
+
+  /**
+   * Score a provider's labels must reach for this category
+   */
+  thresholdFor(category, provider) {
+    return Math.max(this.rowFor(category).threshold, provider?.threshold ?? 0);
+  }
+
+  /**
+   * Of several flagged labels, the one whose row acts hardest decides —
+   * ties go to the higher severity, then the higher score.
+   */
+  decide(flagged) {
+    return flagged
+      .map(f => ({ ...f, ...this.rowFor(f.label) }))
+      .sort((a, b) =>
+        ACTIONS.indexOf(b.action) - ACTIONS.indexOf(a.action) ||
+        b.severity - a.severity ||
+        b.score - a.score
+      )[0];
+  }
+
+  toJSON() {
+    return { ...this._table };
+  }
+
+  static strongerAction(a, b) {
+    return ACTIONS.indexOf(a) >= ACTIONS.indexOf(b) ? a : b;
+  }
+}
+
+ModerationPolicy.ACTIONS = ACTIONS;
+
+module.exports = ModerationPolicy;
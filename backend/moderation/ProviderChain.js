@@ -0,0 +1,126 @@
+const ModerationPolicy = require('./ModerationPolicy');
+const { normalizeText } = require('./normalize');
+
+/**
+ * ProviderChain
+ * Runs moderation providers in order; the first one that returns a label
+ * reaching its category threshold (see ModerationPolicy) decides and the
+ * rest are skipped.
+ *
+ * Text is normalised once (see normalize.js) and handed to every
+ * provider as ctx.normalized; HTTP classifiers still get the raw text.
+ * Image chains pass a Buffer instead — ctx.normalized is then null and
+ * any extra ctx (e.g. contentType) is passed through.
+ *
+ * A provider that throws or exceeds its timeoutMs is recorded in
+ * `failures` and the chain moves on. Providers marked fallbackOnly only
+ * run once an earlier provider has failed or is disabled. A provider
+ * with a circuit breaker whose circuit is open is skipped as a failure
+ * (with `skipped: true`) without being called.
+ *
+ * run() resolves to
+ *   { flagged, provider, score, label, categories, reason,
+ *     action, severity, failures, degraded }
+ * where provider is the deciding provider's name, or null when allowed,
+ * and action/severity come from the deciding category's policy row.
+ * degraded means a provider failed and no later provider managed to
+ * check the message in its place.
+ */
+class ProviderChain {
+  constructor(providers = [], policy = new ModerationPolicy()) {
+    this._providers = providers;
+    this._policy = policy;
+  }
+
+  async run(content, extraCtx = {}) {
+    const failures = [];
+    let needFallback = false;
+    let recovered = false;
+    const ctx = { ...extraCtx, normalized: typeof content === 'string' ? normalizeText(content) : null };
+
+    for (const provider of this._providers) {
+      if (!provider.enabled) {
+        needFallback = true;
+        continue;
+      }
+      if (provider.fallbackOnly && !needFallback) continue;
+
+      if (provider.breaker && !provider.breaker.canRequest()) {
+        failures.push({ provider: provider.name, error: 'circuit open', skipped: true });
+        needFallback = true;
+        recovered = false;
+        continue;
+      }
+
+      let verdict;
+      try {
+        verdict = await _withTimeout(provider.check(content, ctx), provider.timeoutMs, provider.name);
+      } catch (err) {
+        provider.breaker?.recordFailure();
+        failures.push({ provider: provider.name, error: err.message });
+        needFallback = true;
+        recovered = false;
+        continue;
+      }
+      provider.breaker?.recordSuccess();
+      if (failures.length) recovered = true;
+
+      // Providers that score every label return `labels`; the rest
+      // give one score for all their categories
+      const labels = verdict.labels
+        || verdict.categories.map(label => ({ label, score: verdict.score }));
+      const flagged = labels.filter(l => l.score >= this._policy.thresholdFor(l.label, provider));
+      if (!flagged.length) continue;
+
+      const decisive = this._policy.decide(flagged);
+      return {
+        flagged: true,
+        provider: provider.name,
+        score: decisive.score,
+        label: decisive.label,
+        categories: [decisive.label, ...flagged.map(f => f.label).filter(l => l !== decisive.label)],
+        reason: verdict.reason,
+        action: decisive.action,
+        severity: decisive.severity,
+        failures,
+        degraded: false
+      };
+    }
+
+    return {
+      flagged: false,
+      provider: null,
+      score: 0,
+      label: null,
+      categories: [],
+      reason: null,
+      action: 'allow',
+      severity: 0,
+      failures,
+      degraded: failures.length > 0 && !recovered
+    };
+  }
+
+  getProviders() {
+    return this._providers;
+  }
+
+  getPolicy() {
+    return this._policy;
+  }
+
+  describe() {
+    return this._providers.map(p => p.describe());
+  }
+}
+
+function _withTimeout(promise, ms, name) {
+  if (!ms) return promise;
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`${name} timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+module.exports = ProviderChain;
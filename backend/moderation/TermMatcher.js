@@ -0,0 +1,164 @@
+const { compileTerms } = require('./normalize');
+
+const MATCH_TYPES = ['exact', 'word', 'regex'];
+
+/**
+ * TermMatcher
+ * Compiled block- or allowlist entries: { term, matchType, category? }
+ *
+ *   exact  verbatim, case-insensitive substring of the raw text
+ *          (for URLs, handles and other strings normalising would mangle)
+ *   word   whole word/phrase on normalised text — survives leetspeak,
+ *          spacing and lookalikes (see normalize.js)
+ *   regex  case-insensitive pattern tried on the raw text and every
+ *          normalised reading
+ *
+ * Regexes run on every message, so nested quantifiers ((a+)+) and
+ * backreferences — the usual sources of catastrophic backtracking — are
+ * refused. Entries whose regex does not compile or is refused are skipped
+ * and returned in `invalid` so the caller can log them.
+ */
+class TermMatcher {
+  constructor(entries = []) {
+    this.invalid = [];
+    this._rules = [];
+
+    for (const entry of entries) {
+      try {
+        this._rules.push({ entry, ...TermMatcher.compile(entry) });
+      } catch (err) {
+        this.invalid.push({ entry, error: err.message });
+      }
+    }
+  }
+
+  /**
+   * First entry that matches, or null
+   */
+  match(raw, readings) {
+    const lower = raw.toLowerCase();
+    for (const rule of this._rules) {
+      if (rule.needle && lower.includes(rule.needle)) return rule.entry;
+      if (rule.regex && this._texts(rule, raw, readings).some(text => _test(rule.regex, text))) {
+        return rule.entry;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Blank out every match, so an allowlisted phrase can't trip a block
+   */
+  mask(raw, readings) {
+    let maskedRaw = raw;
+    let maskedReadings = readings;
+    for (const rule of this._rules) {
+      if (rule.needle) {
+        const needle = new RegExp(_escape(rule.needle), 'gi');
+        maskedRaw = maskedRaw.replace(needle, ' ');
+        maskedReadings = maskedReadings.map(text => text.replace(needle, ' '));
+        continue;
+      }
+      if (rule.entry.matchType === 'regex') maskedRaw = maskedRaw.replace(rule.regex, ' ');
+      maskedReadings = maskedReadings.map(text => text.replace(rule.regex, ' '));
+    }
+    return { raw: maskedRaw, readings: maskedReadings };
+  }
+
+  get size() {
+    return this._rules.length;
+  }
+
+  /**
+   * Throws if the entry can't be compiled — used to validate admin input
+   */
+  static compile({ term, matchType }) {
+    if (!MATCH_TYPES.includes(matchType)) throw new Error(`Unknown match type: ${matchType}`);
+    if (matchType === 'exact') return { needle: term.toLowerCase() };
+    if (matchType === 'word') {
+      const regex = compileTerms([term], 'g');
+      if (!regex) throw new Error('Term has no matchable characters');
+      return { regex };
+    }
+    const regex = new RegExp(term, 'gi');
+    _assertSafeRegex(term);
+    return { regex };
+  }
+
+  _texts(rule, raw, readings) {
+    return rule.entry.matchType === 'regex' ? [raw, ...readings] : readings;
+  }
+}
+
+// Global regexes keep lastIndex between test() calls — reset first
+function _test(regex, text) {
+  regex.lastIndex = 0;
+  return regex.test(text);
+}
+
+/**
+ * Throw on a backreference or on a quantifier applied to a group that
+ * already repeats. Assumes the pattern compiles.
+ */
+function _assertSafeRegex(pattern) {
+  const groups = [{ repeats: false }];
+  let closed = null; // group that ended right before the current character
+
+  for (let i = 0; i < pattern.length; i++) {
+    const ch = pattern[i];
+    const previous = closed;
+    closed = null;
+
+    if (ch === '\\') {
+      if (/[1-9k]/.test(pattern[i + 1])) throw new Error('Backreferences are not allowed');
+      i += 1;
+    } else if (ch === '[') {
+      i = _classEnd(pattern, i);
+    } else if (ch === '(') {
+      groups.push({ repeats: false });
+    } else if (ch === ')') {
+      closed = groups.pop();
+      if (closed.repeats) groups[groups.length - 1].repeats = true;
+    } else {
+      const end = _repeatEnd(pattern, i);
+      if (end === -1) continue;
+      if (previous?.repeats) throw new Error('Nested quantifiers are not allowed');
+      groups[groups.length - 1].repeats = true;
+      i = end;
+    }
+  }
+}
+
+// Index of the ] closing the character class opened at start
+function _classEnd(pattern, start) {
+  for (let i = start + 1; i < pattern.length; i++) {
+    if (pattern[i] === '\\') i += 1;
+    else if (pattern[i] === ']') return i;
+  }
+  return pattern.length;
+}
+
+/**
+ * Last index of a quantifier that can repeat (*, +, {2}, {1,}, {0,5}),
+ * including a lazy ?, or -1 — a lone ? or {0,1} only makes things optional
+ */
+function _repeatEnd(pattern, i) {
+  let end = -1;
+  if (pattern[i] === '*' || pattern[i] === '+') {
+    end = i;
+  } else if (pattern[i] === '{') {
+    const m = /^\{(\d+)(,(\d*))?\}/.exec(pattern.slice(i));
+    const max = m && (m[2] ? m[3] : m[1]);
+    if (m && (max === '' || Number(max) > 1)) end = i + m[0].length - 1;
+  }
+  if (end !== -1 && pattern[end + 1] === '?') end += 1;
+  return end;
+}
+
+function _escape(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+TermMatcher.MATCH_TYPES = MATCH_TYPES;
+
+module.exports = TermMatcher;
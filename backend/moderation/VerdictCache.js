@@ -0,0 +1,64 @@
+const crypto = require('crypto');
+const MemoryVerdictStore = require('../stores/MemoryVerdictStore');
+
+/**
+ * VerdictCache
+ * Caches classifier verdicts by provider and content hash, so common
+ * messages ("hi", "asl") only cost one inference call per TTL.
+ *
+ * The provider part of the key is its name plus a fingerprint of its
+ * endpoint URL (which names the model), so pointing a provider at
+ * another model never serves the old model's verdicts. A namespace keeps
+ * a second cache on the same store apart (e.g. the shadow chain's).
+ *
+ * Content is trimmed, whitespace-collapsed and lowercased before hashing;
+ * only the hash is stored, never the message. Hit/miss counters are per
+ * instance.
+ */
+class VerdictCache {
+  constructor(store = new MemoryVerdictStore(), { ttlMs = 10 * 60 * 1000, namespace = null } = {}) {
+    this._store = store;
+    this.ttlMs = ttlMs;
+    this._prefix = namespace ? `${namespace}:` : '';
+    this._hits = 0;
+    this._misses = 0;
+  }
+
+  setStore(store) {
+    this._store = store;
+  }
+
+  async get(provider, content) {
+    const verdict = await this._store.get(this._key(provider, content));
+    if (verdict) this._hits += 1;
+    else this._misses += 1;
+    return verdict;
+  }
+
+  async set(provider, content, verdict) {
+    await this._store.set(this._key(provider, content), verdict, this.ttlMs);
+  }
+
+  getStats() {
+    const lookups = this._hits + this._misses;
+    return {
+      backend: this._store.constructor.name,
+      ttlMs: this.ttlMs,
+      hits: this._hits,
+      misses: this._misses,
+      hitRate: lookups ? +(this._hits / lookups).toFixed(4) : 0
+    };
+  }
+
+  _key(provider, content) {
+    const normalised = content.trim().replace(/\s+/g, ' ').toLowerCase();
+    const hash = crypto.createHash('sha256').update(normalised).digest('hex');
+    return `${this._prefix}${provider.name}:${this._fingerprint(provider)}:${hash}`;
+  }
+
+  _fingerprint(provider) {
+    return crypto.createHash('sha256').update(provider.url || '').digest('hex').slice(0, 12);
+  }
+}
+
+module.exports = VerdictCache;
@@ -0,0 +1,128 @@
+/**
+ * Text normalisation for the local moderation filters.
+ *
+ * Undoes the usual evasions before any wordlist or regex sees the text:
+ *   zero-width / invisible characters  "k\u200Bys"       -> "kys"
+ *   accents, full-width, math letters  "ｋｙｓ", "kÿs"   -> "kys"
+ *   Unicode confusables (Cyrillic…)    "kіll" (і = U+0456) -> "kill"
+ *   leetspeak inside words             "k1ll y0urs3lf"  -> "kill yourself"
+ *   separated letters                  "k y s", "f.u.c.k" -> "kys", "fuck"
+ * Repeated letters ("fuuuck") are handled at match time by compileTerms,
+ * so "kill" and "ass" keep their double letters.
+ */
+
+// Format / invisible characters used to split words without showing a gap
+const INVISIBLE = /[\u00AD\u034F\u061C\u115F\u1160\u17B4\u17B5\u180E\u200B-\u200F\u202A-\u202E\u2060-\u2064\u206A-\u206F\u3164\uFEFF\uFFA0]/g;
+
+// Lookalikes NFKD does not fold — lowercase only, text is lowercased first
+const CONFUSABLES = {
+  // Cyrillic
+  а: 'a', в: 'b', е: 'e', ё: 'e', к: 'k', м: 'm', н: 'h', о: 'o', р: 'p',
+  с: 'c', т: 't', у: 'y', х: 'x', ѕ: 's', і: 'i', ї: 'i', ј: 'j', һ: 'h',
+  ԁ: 'd', ԛ: 'q', ԝ: 'w', ү: 'y', ӏ: 'l', ɡ: 'g',
+  // Greek
+  α: 'a', β: 'b', ε: 'e', η: 'n', ι: 'i', κ: 'k', ν: 'v', ο: 'o', ρ: 'p',
+  τ: 't', υ: 'u', χ: 'x', ω: 'w',
+  // Latin extras
+  ı: 'i', ł: 'l', ø: 'o', đ: 'd', ß: 'ss', æ: 'ae', œ: 'oe'
+};
+
+// '1' and '|' read as either i or l, so both readings are produced
+const LEET = { 0: 'o', 3: 'e', 4: 'a', 5: 's', 7: 't', 8: 'b', 9: 'g', '@': 'a', $: 's', '!': 'i', '+': 't' };
+const LEET_AMBIGUOUS = { 1: ['i', 'l'], '|': ['l', 'i'] };
+
+const LETTER = /[a-z]/;
+const TRAILING_PUNCTUATION = /[!?.,;:]+$/;
+
+// Runs of this many single-letter tokens are joined back into one word
+const MIN_SEPARATED_RUN = 3;
+
+/**
+ * Normalise text for matching.
+ * Returns every distinct reading (one per ambiguous leet choice);
+ * the first is the primary one.
+ */
+function normalizeText(input) {
+  if (!input) return [''];
+
+  const folded = Array.from(
+    input
+      .replace(INVISIBLE, '')
+      .normalize('NFKD')
+      .replace(/\p{M}/gu, '')
+      .toLowerCase()
+  ).map(ch => CONFUSABLES[ch] ?? ch).join('');
+
+  const tokens = folded.split(/\s+/).filter(Boolean);
+  const readings = [0, 1].map(choice => _reading(tokens, choice));
+  return Array.from(new Set(readings));
+}
+
+function _reading(tokens, choice) {
+  const words = [];
+  for (const raw of tokens) {
+    // Only decode leetspeak in tokens that contain a real letter, so
+    // "5 cats" and "2024" stay as they are
+    const token = LETTER.test(raw) ? _decodeLeet(raw, choice) : raw;
+    words.push(...token.replace(/[^a-z0-9]+/g, ' ').trim().split(' ').filter(Boolean));
+  }
+  return _joinSeparated(words).join(' ');
+}
+
+function _decodeLeet(token, choice) {
+  const body = token.replace(TRAILING_PUNCTUATION, '');
+  return Array.from(body).map((ch) => {
+    if (LEET_AMBIGUOUS[ch]) return LEET_AMBIGUOUS[ch][choice];
+    return LEET[ch] ?? ch;
+  }).join('');
+}
+
+/**
+ * "k y s" -> "kys": join runs of single-letter words
+ */
+function _joinSeparated(words) {
+  const out = [];
+  let run = [];
+  const flush = () => {
+    if (run.length >= MIN_SEPARATED_RUN) out.push(run.join(''));
+    else out.push(...run);
+    run = [];
+  };
+
+  for (const word of words) {
+    if (word.length === 1 && LETTER.test(word)) {
+      run.push(word);
+    } else {
+      flush();
+      out.push(word);
+    }
+  }
+  flush();
+  return out;
+}
+
+/**
+ * Compile terms into one whole-word regex over normalised text.
+ * Each letter may repeat ("fuuuck") and the words of a phrase may be
+ * joined or spaced ("killyourself"), but a term never matches inside a
+ * longer word — "class" and "Scunthorpe" stay clean.
+ * Pass flags 'g' to find every occurrence (e.g. for masking).
+ */
+function compileTerms(terms, flags = '') {
+  const patterns = terms
+    .map(term => normalizeText(term)[0])
+    .filter(Boolean)
+    .map(term => term
+      .split(' ')
+      .map(word => Array.from(word).map(ch => `${_escape(ch)}+`).join(''))
+      .join('\\s*'));
+
+  if (!patterns.length) return null;
+  return new RegExp(`(?<![a-z0-9])(?:${patterns.join('|')})(?![a-z0-9])`, flags);
+}
+
+function _escape(ch) {
+  return ch.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+module.exports = { normalizeText, compileTerms };
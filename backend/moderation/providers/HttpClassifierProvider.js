@@ -0,0 +1,132 @@
+const axios = require('axios');
+const ModerationProvider = require('./ModerationProvider');
+const MicroBatcher = require('../MicroBatcher');
+
+/**
+ * HttpClassifierProvider
+ * Any remote classifier that answers with label/score pairs — by default
+ * the Hugging Face Inference API shape:
+ *   [[{ label: 'toxic', score: 0.95 }, { label: 'insult', score: 0.80 }]]
+ * Every label is returned; the chain checks each against its category
+ * threshold.
+ *
+ * Options beyond the base ones:
+ *   url, token   endpoint and optional Bearer token
+ *   http         axios-compatible client — tests pass a fake here
+ *   parse        (responseData) => [{ label, score }] for other APIs
+ *   batchSize    > 1 groups concurrent checks into one request of
+ *                { inputs: [...] }, answered with one result per input
+ *   batchWaitMs  how long the first check in a batch waits for company
+ *   cache        false opts out of the shared verdict cache (setCache)
+ */
+class HttpClassifierProvider extends ModerationProvider {
+  static type = 'http';
+
+  constructor({
+    url, token = null, http = axios, parse = parseLabelScores,
+    threshold = 0, timeoutMs = 8000, batchSize = 1, batchWaitMs = 25, cache = true,
+    ...options
+  } = {}) {
+    super({ threshold, timeoutMs, ...options });
+    this.url = url;
+    this._token = token;
+    this._http = http;
+    this._parse = parse;
+    this._useCache = cache;
+    this._cache = null;
+    this._batcher = batchSize > 1
+      ? new MicroBatcher(inputs => this._classifyBatch(inputs), { maxBatchSize: batchSize, maxWaitMs: batchWaitMs })
+      : null;
+    if (!url) this.enabled = false;
+  }
+
+  /**
+   * Plug in a VerdictCache shared across providers (see ModerationService)
+   */
+  setCache(cache) {
+    this._cache = this._useCache ? cache : null;
+  }
+
+  async check(content) {
+    // A broken cache must never cost a verdict — treat it as a miss
+    const cached = this._cache
+      ? await this._cache.get(this, content).catch(() => null)
+      : null;
+    if (cached) return cached;
+
+    const results = this._batcher
+      ? await this._batcher.add(content)
+      : this._parse(await this._request(content));
+    const verdict = this._toVerdict(results);
+
+    if (this._cache) this._cache.set(this, content, verdict).catch(() => {});
+    return verdict;
+  }
+
+  describe() {
+    return {
+      ...super.describe(),
+      cache: Boolean(this._cache),
+      batching: this._batcher
+        ? { maxBatchSize: this._batcher.maxBatchSize, maxWaitMs: this._batcher.maxWaitMs, ...this._batcher.getStats() }
+        : null
+    };
+  }
+
+  // ─── PRIVATE ─────────────────────────────────────────────────
+
+  async _request(inputs) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this._token) headers.Authorization = `Bearer ${this._token}`;
+
+    const response = await this._http.post(this.url, { inputs }, {
+      headers,
+      timeout: this.timeoutMs
+    });
+    return response.data;
+  }
+
+  /**
+   * One request for many inputs — the response holds one label/score
+   * list per input, in order
+   */
+  async _classifyBatch(inputs) {
+    const data = await this._request(inputs);
+    if (!Array.isArray(data) || data.length !== inputs.length) {
+      throw new Error(`${this.name}: expected ${inputs.length} batch results`);
+    }
+    return data.map(item => this._parse(item));
+  }
+
+  _toVerdict(results) {
+    if (!results.length) return this._clean();
+
+    // Find the highest scoring label
+    const top = results.reduce((best, cur) => (cur.score > best.score ? cur : best), results[0]);
+
+    return {
+      score: top.score,
+      label: top.label,
+      categories: [top.label],
+      labels: results.map(({ label, score }) => ({ label, score })),
+      reason: 'Content violates community guidelines'
+    };
+  }
+}
+
+/**
+ * Hugging Face returns an array of arrays — take the first result.
+ * Also handles a single input's list from a batched response.
+ * Anything else (e.g. an { error } body) throws, so the chain counts it
+ * as a failure instead of a clean verdict.
+ */
+function parseLabelScores(data) {
+  const results = Array.isArray(data?.[0]) ? data[0] : data;
+  if (!Array.isArray(results)) {
+    throw new Error(`Unexpected classifier response: ${JSON.stringify(data).slice(0, 100)}`);
+  }
+  return results.filter(r => r && typeof r.score === 'number');
+}
+
+module.exports = HttpClassifierProvider;
+module.exports.parseLabelScores = parseLabelScores;
@@ -0,0 +1,54 @@
+const axios = require('axios');
+const ModerationProvider = require('./ModerationProvider');
+const { parseLabelScores } = require('./HttpClassifierProvider');
+
+/**
+ * HttpImageClassifierProvider
+ * Remote image classifier for image messages — by default the Hugging
+ * Face image-classification shape: raw bytes in, [{ label, score }] out.
+ * Only labels in flagLabels are returned, so "normal"/"neutral" scores
+ * never count as violations.
+ *
+ * Options beyond the base ones:
+ *   url, token   endpoint and optional Bearer token
+ *   http         axios-compatible client — tests pass a fake here
+ *   flagLabels   labels that are violations (lowercase); each is a
+ *                policy category
+ */
+class HttpImageClassifierProvider extends ModerationProvider {
+  static type = 'http-image';
+
+  constructor({
+    url, token = null, http = axios, flagLabels = ['nsfw', 'porn', 'hentai', 'sexy'],
+    threshold = 0, timeoutMs = 10000, ...options
+  } = {}) {
+    super({ threshold, timeoutMs, ...options });
+    this.url = url;
+    this._token = token;
+    this._http = http;
+    this._flagLabels = flagLabels;
+    if (!url) this.enabled = false;
+  }
+
+  async check(image, { contentType = 'application/octet-stream' } = {}) {
+    const headers = { 'Content-Type': contentType };
+    if (this._token) headers.Authorization = `Bearer ${this._token}`;
+
+    const response = await this._http.post(this.url, image, { headers, timeout: this.timeoutMs });
+    const labels = parseLabelScores(response.data)
+      .map(({ label, score }) => ({ label: String(label).toLowerCase(), score }))
+      .filter(({ label }) => this._flagLabels.includes(label));
+    if (!labels.length) return this._clean();
+
+    const top = labels.reduce((best, cur) => (cur.score > best.score ? cur : best), labels[0]);
+    return {
+      score: top.score,
+      label: top.label,
+      categories: [top.label],
+      labels,
+      reason: 'Image violates community guidelines'
+    };
+  }
+}
+
+module.exports = HttpImageClassifierProvider;
@@ -0,0 +1,70 @@
+const ModerationProvider = require('./ModerationProvider');
+const DEFAULT_LEXICON = require('../lexicon/toxicity.json');
+const { normalizeText } = require('../normalize');
+
+/**
+ * LocalClassifierProvider
+ * Offline toxicity classifier that runs in-process on CPU — no network,
+ * so it still works when every HTTP classifier is down.
+ *
+ * Per category it scores a logistic model over lexicon features:
+ *   p = sigmoid(bias + Σ weight of each matched term
+ *                    + targetBoost if the text is aimed at "you")
+ * Every category scored is returned as a label. Pass `lexicon` to swap
+ * the model.
+ */
+class LocalClassifierProvider extends ModerationProvider {
+  static type = 'classifier';
+
+  constructor({ lexicon = DEFAULT_LEXICON, threshold = 0.7, ...options } = {}) {
+    super({ threshold, ...options });
+    this._lexicon = lexicon;
+  }
+
+  async check(content, { normalized = normalizeText(content) } = {}) {
+    const scores = this.classify(normalized[0]);
+    const [label, score] = Object.entries(scores)
+      .reduce((best, cur) => (cur[1] > best[1] ? cur : best), [null, 0]);
+
+    if (!label) return this._clean();
+    return {
+      score,
+      label,
+      categories: [label],
+      labels: Object.entries(scores).map(([l, s]) => ({ label: l, score: s })),
+      reason: 'Content violates community guidelines'
+    };
+  }
+
+  /**
+   * Probability per category, e.g. { insult: 0.82, threat: 0.05 }
+   */
+  classify(content) {
+    const { bias = 0, targetTerms = [], targetBoost = 0, categories = {} } = this._lexicon;
+    // Padded token string so phrases only match on whole words
+    const text = ` ${_tokenize(content).join(' ')} `;
+    const targeted = targetTerms.some(t => text.includes(` ${t} `));
+
+    const scores = {};
+    for (const [category, terms] of Object.entries(categories)) {
+      let logit = bias;
+      let matched = false;
+      for (const [term, weight] of Object.entries(terms)) {
+        if (text.includes(` ${term} `)) {
+          logit += weight;
+          matched = true;
+        }
+      }
+      if (!matched) continue;
+      if (targeted) logit += targetBoost;
+      scores[category] = 1 / (1 + Math.exp(-logit));
+    }
+    return scores;
+  }
+}
+
+function _tokenize(content) {
+  return content.toLowerCase().match(/[a-z0-9']+/g) || [];
+}
+
+module.exports = LocalClassifierProvider;
@@ -0,0 +1,58 @@
+const CircuitBreaker = require('../CircuitBreaker');
+
+/**
+ * ModerationProvider
+ * Base class for every provider in the moderation chain.
+ *
+ * Subclasses implement check(content, ctx) and resolve to
+ *   { score: 0..1, categories: string[], reason: string,
+ *     label?: string, labels?: [{ label, score }] }
+ * ProviderChain flags the message when a label's score reaches both
+ * this provider's threshold and its category's policy threshold.
+ *
+ * Options:
+ *   name         shown as the deciding `provider` / `layer` in results
+ *   threshold    minimum score this provider must reach in any category
+ *   timeoutMs    the chain gives up on this provider after this long
+ *   fallbackOnly only run when an earlier provider failed or is disabled
+ *   enabled      false removes the provider without reordering the chain
+ *   breaker      { failureThreshold, cooldownMs } — the chain skips the
+ *                provider while its circuit is open (see CircuitBreaker)
+ */
+class ModerationProvider {
+  constructor({ name, threshold = 1, timeoutMs = 1000, fallbackOnly = false, enabled = true, breaker = null } = {}) {
+    this.name = name || this.constructor.type;
+    this.type = this.constructor.type;
+    this.threshold = threshold;
+    this.timeoutMs = timeoutMs;
+    this.fallbackOnly = fallbackOnly;
+    this.enabled = enabled;
+    this.breaker = breaker ? new CircuitBreaker(breaker) : null;
+  }
+
+  /**
+   * check(content, ctx) — ctx.normalized holds the chain's normalised
+   * readings of content
+   */
+  async check() {
+    throw new Error(`${this.constructor.name} must implement check()`);
+  }
+
+  describe() {
+    return {
+      name: this.name,
+      type: this.type,
+      enabled: this.enabled,
+      threshold: this.threshold,
+      timeoutMs: this.timeoutMs,
+      fallbackOnly: this.fallbackOnly,
+      breaker: this.breaker ? this.breaker.getState() : null
+    };
+  }
+
+  _clean() {
+    return { score: 0, categories: [], reason: null };
+  }
+}
+
+module.exports = ModerationProvider;
@@ -0,0 +1,48 @@
+const ModerationProvider = require('./ModerationProvider');
+const { normalizeText } = require('../normalize');
+
+// Phrasings a plain wordlist misses
+const DEFAULT_RULES = [
+  {
+    pattern: '\\b(go\\s+)?(kill|hang|cut)\\s+(your\\s*self|urself|ur\\s+self)\\b',
+    category: 'self_harm',
+    reason: 'Content encourages self-harm'
+  },
+  {
+    pattern: '\\b(i\\s*will|i\\s*\'?ll|i\\s*\'?m\\s+(going\\s+to|gonna)|gonna)\\s+(dox|swat)\\s+(you|u)\\b',
+    category: 'threat',
+    reason: 'Content contains a threat'
+  }
+];
+
+/**
+ * RegexProvider
+ * Ordered regex rules — the first matching rule flags with score 1.
+ * Rules run against the raw text and every normalised reading of it.
+ * Rule: { pattern: string, flags?: string (default 'i'), category, reason? }
+ */
+class RegexProvider extends ModerationProvider {
+  static type = 'regex';
+
+  constructor({ rules = DEFAULT_RULES, ...options } = {}) {
+    super(options);
+    this._rules = rules.map(rule => ({
+      regex: new RegExp(rule.pattern, rule.flags ?? 'i'),
+      category: rule.category || 'prohibited-pattern',
+      reason: rule.reason || 'Content matches a prohibited pattern'
+    }));
+  }
+
+  async check(content, { normalized = normalizeText(content) } = {}) {
+    const texts = [content, ...normalized];
+    for (const rule of this._rules) {
+      if (texts.some(text => rule.regex.test(text))) {
+        return { score: 1, categories: [rule.category], reason: rule.reason };
+      }
+    }
+    return this._clean();
+  }
+}
+
+module.exports = RegexProvider;
+module.exports.DEFAULT_RULES = DEFAULT_RULES;
@@ -0,0 +1,77 @@
+const leoProfanity = require('leo-profanity');
+const ModerationProvider = require('./ModerationProvider');
+const { normalizeText, compileTerms } = require('../normalize');
+const TermMatcher = require('../TermMatcher');
+
+// Extra blocklist leo-profanity doesn't cover
+const DEFAULT_EXTRA_TERMS = [
+  'csam', 'jailbait', 'childporn',
+  'kill yourself', 'kys',
+  'doxxing', 'dox me', 'dox you'
+];
+
+/**
+ * WordlistProvider
+ * leo-profanity's list plus extra prohibited terms, matched as whole
+ * words against normalised text (see moderation/normalize.js) so
+ * "k y s" and "k1ll y0urself" are caught but "Scunthorpe" is not.
+ * Zero latency, zero API calls — a hit always scores 1.
+ *
+ * The extra terms are replaced at runtime by setLists() with the
+ * admin-managed blocklist; allowlist matches are masked out before
+ * anything is checked.
+ */
+class WordlistProvider extends ModerationProvider {
+  static type = 'wordlist';
+
+  constructor({ terms = null, profanity = leoProfanity.list(), ...options } = {}) {
+    super(options);
+    // Terms given in config — a shadow chain keeps these as the candidate
+    // blocklist instead of following the runtime lists
+    this.hasOwnTerms = Boolean(terms);
+    this._block = new TermMatcher((terms || DEFAULT_EXTRA_TERMS).map(term => ({ term, matchType: 'word', category: 'prohibited-terms' })));
+    this._allow = null;
+    this._profanityRegex = compileTerms(profanity);
+  }
+
+  /**
+   * Swap in compiled lists from ModerationListService
+   */
+  setLists({ block, allow }) {
+    this._block = block;
+    this._allow = allow;
+  }
+
+  async check(content, { normalized = normalizeText(content) } = {}) {
+    let raw = content;
+    let readings = normalized;
+    if (this._allow?.size) ({ raw, readings } = this._allow.mask(raw, readings));
+
+    // Check extra blocklist first
+    const hit = this._block.match(raw, readings);
+    if (hit) {
+      return {
+        score: 1,
+        categories: [hit.category || 'prohibited-terms'],
+        reason: 'Content contains prohibited terms'
+      };
+    }
+
+    if (this._matches(this._profanityRegex, readings)) {
+      return {
+        score: 1,
+        categories: ['profanity'],
+        reason: 'Content contains inappropriate language'
+      };
+    }
+
+    return this._clean();
+  }
+
+  _matches(regex, readings) {
+    return Boolean(regex) && readings.some(text => regex.test(text));
+  }
+}
+
+module.exports = WordlistProvider;
+module.exports.DEFAULT_EXTRA_TERMS = DEFAULT_EXTRA_TERMS;
@@ -0,0 +1,42 @@
+const WordlistProvider = require('./WordlistProvider');
+const RegexProvider = require('./RegexProvider');
+const LocalClassifierProvider = require('./LocalClassifierProvider');
+const HttpClassifierProvider = require('./HttpClassifierProvider');
+const HttpImageClassifierProvider = require('./HttpImageClassifierProvider');
+
+const PROVIDER_TYPES = {
+  [WordlistProvider.type]: WordlistProvider,
+  [RegexProvider.type]: RegexProvider,
+  [LocalClassifierProvider.type]: LocalClassifierProvider,
+  [HttpClassifierProvider.type]: HttpClassifierProvider,
+  [HttpImageClassifierProvider.type]: HttpImageClassifierProvider
+};
+
+/**
+ * Turn provider specs from config/moderation.js into provider instances.
+ * `tokenEnv` names the env var holding an HTTP provider's token; an HTTP
+ * provider that needs a token but has none is left disabled.
+ */
+function buildProviders(specs, env = process.env) {
+  return specs.map((spec) => {
+    const { type, tokenEnv, ...options } = spec;
+    const Provider = PROVIDER_TYPES[type];
+    if (!Provider) throw new Error(`Unknown moderation provider type: ${type}`);
+
+    if (tokenEnv) {
+      options.token = options.token || env[tokenEnv] || null;
+      if (!options.token) options.enabled = false;
+    }
+    return new Provider(options);
+  });
+}
+
+module.exports = {
+  buildProviders,
+  PROVIDER_TYPES,
+  WordlistProvider,
+  RegexProvider,
+  LocalClassifierProvider,
+  HttpClassifierProvider,
+  HttpImageClassifierProvider
+};
@@ -0,0 +1,211 @@
+const router = require('express').Router();
+const mongoose = require('mongoose');
+const { adminLoginLimiter } = require('../middleware/rateLimiter');
+const { authenticateAdmin, requireAdmin, audit, isAdminAuthConfigured } = require('../middleware/adminAuth');
+const reportService = require('../services/ReportService');
+const banService = require('../services/BanService');
+const auditService = require('../services/AuditService');
+const moderationService = require('../services/ModerationService');
+const { isConnected: isMongoConnected } = require('../config/mongo');
+const { REPORT_REASONS } = require('../constants');
+const { REPORT_STATUSES } = require('../models/Report');
+const logger = require('../loaders/logger');
+
+// ─── LOGIN ───────────────────────────────────────────────────
+router.post('/login', adminLoginLimiter, audit('admin.login'), async (req, res) => {
+  if (!isAdminAuthConfigured()) {
+    return res.status(503).json({ error: 'Admin access is not configured' });
+  }
+
+  const { username, password } = req.body;
+  if (!username || !password) {
+    return res.status(400).json({ error: 'username and password are required' });
+  }
+
+  try {
+    const result = await authenticateAdmin(username, password);
+    if (!result) return res.status(401).json({ error: 'Invalid credentials' });
+    res.json({ success: true, ...result });
+  } catch (err) {
+    logger.error('POST /admin/login', { error: err.message });
+    res.status(500).json({ error: 'Login failed' });
+  }
+});
+
+// Everything below needs a valid admin token and MongoDB
+router.use(requireAdmin);
+router.use((req, res, next) => {
+  if (!isMongoConnected()) return res.status(503).json({ error: 'Database unavailable' });
+  next();
+});
+
+// ─── REPORTS ─────────────────────────────────────────────────
+router.get('/reports', audit('report.list'), async (req, res) => {
+  const { status, reason } = req.query;
+  if (status && !REPORT_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status must be one of: ${REPORT_STATUSES.join(', ')}` });
+  }
+  if (reason && !REPORT_REASONS.includes(reason)) {
+    return res.status(400).json({ error: `reason must be one of: ${REPORT_REASONS.join(', ')}` });
+  }
+
+  try {
+    const { page, limit } = _pagination(req.query);
+    const { reports, total } = await reportService.listReports({ page, limit, status, reason });
+    res.json({ success: true, reports, pagination: _pageInfo(page, limit, total) });
+  } catch (err) {
+    logger.error('GET /admin/reports', { error: err.message });
+    res.status(500).json({ error: 'Failed to list reports' });
+  }
+});
+
+router.get('/reports/stats', audit('report.stats'), async (req, res) => {
+  const { status } = req.query;
+  if (status && !REPORT_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status must be one of: ${REPORT_STATUSES.join(', ')}` });
+  }
+
+  try {
+    const byReason = await reportService.countByReason({ status });
+    res.json({ success: true, byReason });
+  } catch (err) {
+    logger.error('GET /admin/reports/stats', { error: err.message });
+    res.status(500).json({ error: 'Failed to get report stats' });
+  }
+});
+
+router.get('/reports/:id', audit('report.view', { targetType: 'report', targetParam: 'id' }), async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return res.status(400).json({ error: 'Invalid report id' });
+  }
+
+  try {
+    const report = await reportService.getReportDetail(req.params.id);
+    if (!report) return res.status(404).json({ error: 'Report not found' });
+    res.json({ success: true, report });
+  } catch (err) {
+    logger.error('GET /admin/reports/:id', { error: err.message });
+    res.status(500).json({ error: 'Failed to get report' });
+  }
+});
+
+router.patch('/reports/:id', audit('report.update', { targetType: 'report', targetParam: 'id' }), async (req, res) => {
+  const { status, note } = req.body;
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return res.status(400).json({ error: 'Invalid report id' });
+  }
+  if (!REPORT_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status must be one of: ${REPORT_STATUSES.join(', ')}` });
+  }
+
+  req.auditDetails = { status, note };
+  try {
+    const report = await reportService.transition(req.params.id, status, {
+      changedBy: req.admin.username,
+      note
+    });
+    res.json({ success: true, report });
+  } catch (err) {
+    logger.error('PATCH /admin/reports/:id', { error: err.message });
+    res.status(err.status || 500).json({ error: err.status ? err.message : 'Failed to update report' });
+  }
+});
+
+// ─── FLAGGED USERS ───────────────────────────────────────────
+router.get('/flagged', audit('flagged.list'), async (req, res) => {
+  try {
+    const { limit } = _pagination(req.query);
+    const sessions = await reportService.getFlaggedSessions({ limit });
+    res.json({ success: true, sessions });
+  } catch (err) {
+    logger.error('GET /admin/flagged', { error: err.message });
+    res.status(500).json({ error: 'Failed to list flagged users' });
+  }
+});
+
+// Recent moderation violations for one session (inside the decay window)
+router.get('/flagged/:sessionId/violations', audit('violation.list', { targetType: 'session', targetParam: 'sessionId' }), async (req, res) => {
+  try {
+    const violations = await moderationService.getViolations(req.params.sessionId);
+    res.json({ success: true, violations, windowMs: moderationService.VIOLATION_WINDOW_MS });
+  } catch (err) {
+    logger.error('GET /admin/flagged/:sessionId/violations', { error: err.message });
+    res.status(500).json({ error: 'Failed to get violations' });
+  }
+});
+
+// ─── BANS ────────────────────────────────────────────────────
+router.get('/bans', audit('ban.list'), async (req, res) => {
+  try {
+    const { page, limit } = _pagination(req.query);
+    const { bans, total } = await banService.listActiveBans({ page, limit });
+    res.json({ success: true, bans, pagination: _pageInfo(page, limit, total) });
+  } catch (err) {
+    logger.error('GET /admin/bans', { error: err.message });
+    res.status(500).json({ error: 'Failed to list bans' });
+  }
+});
+
+router.post('/bans', audit('ban.create', { targetType: 'session', targetParam: 'sessionId' }), async (req, res) => {
+  const { sessionId, durationMinutes, reason } = req.body;
+  if (!sessionId) return res.status(400).json({ error: 'sessionId is required' });
+  if (durationMinutes != null && (!Number.isFinite(durationMinutes) || durationMinutes <= 0)) {
+    return res.status(400).json({ error: 'durationMinutes must be a positive number, or omitted for a permanent ban' });
+  }
+
+  req.auditDetails = { durationMinutes: durationMinutes ?? null, reason };
+  try {
+    const ban = await banService.ban(sessionId, {
+      durationMinutes: durationMinutes ?? null,
+      reason,
+      bannedBy: req.admin.username
+    });
+    res.status(201).json({ success: true, ban });
+  } catch (err) {
+    logger.error('POST /admin/bans', { error: err.message });
+    res.status(err.status || 500).json({ error: err.status ? err.message : 'Failed to ban session' });
+  }
+});
+
+router.delete('/bans/:sessionId', audit('ban.lift', { targetType: 'session', targetParam: 'sessionId' }), async (req, res) => {
+  try {
+    const lifted = await banService.unban(req.params.sessionId, { liftedBy: req.admin.username });
+    if (!lifted) return res.status(404).json({ error: 'No active ban for this session' });
+    res.json({ success: true, lifted });
+  } catch (err) {
+    logger.error('DELETE /admin/bans/:sessionId', { error: err.message });
+    res.status(500).json({ error: 'Failed to lift ban' });
+  }
+});
+
+// ─── AUDIT LOG ───────────────────────────────────────────────
+router.get('/audit-log', audit('audit.list'), async (req, res) => {
+  const { actor, action } = req.query;
+  // Filters go straight into the query — ?actor[$ne]=x must not become an operator
+  if ((actor != null && typeof actor !== 'string') || (action != null && typeof action !== 'string')) {
+    return res.status(400).json({ error: 'actor and action must be plain strings' });
+  }
+
+  try {
+    const { page, limit } = _pagination(req.query);
+    const { entries, total } = await auditService.list({ page, limit, actor, action });
+    res.json({ success: true, entries, pagination: _pageInfo(page, limit, total) });
+  } catch (err) {
+    logger.error('GET /admin/audit-log', { error: err.message });
+    res.status(500).json({ error: 'Failed to get audit log' });
+  }
+});
+
+// ─── PRIVATE ─────────────────────────────────────────────────
+
+function _pagination(query) {
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || 20, 1), 100);
+  return { page, limit };
+}
+
+function _pageInfo(page, limit, total) {
+  return { page, limit, total, pages: Math.ceil(total / limit) };
+}
+
+module.exports = router;
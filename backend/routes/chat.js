@@ -1,5 +1,8 @@
 const router = require('express').Router();
+const multer = require('multer');
 const chatService = require('../services/ChatService');
+const reportService = require('../services/ReportService');
+const mediaService = require('../services/MediaService');
 const { chatLimiter } = require('../middleware/rateLimiter');
 const logger = require('../loaders/logger');
 
@@ -24,12 +27,65 @@ router.post('/send-message', chatLimiter, async (req, res) => {
   }
 });
 
-router.post('/report', chatLimiter, (req, res) => {
-  const { reportedUserId, reason } = req.body;
+// The reporter is the X-Session-ID session; the room whose messages are
+// attached comes from that session's presence entry, never the body
+router.post('/report', chatLimiter, async (req, res) => {
+  const { reportedUserId, reason, description } = req.body;
   if (!reportedUserId || !reason) {
     return res.status(400).json({ error: 'reportedUserId and reason are required' });
   }
-  res.json({ success: true, reportId: `report_${Date.now()}` });
+  try {
+    const report = await reportService.createReport({
+      reporterSessionId: req.get('X-Session-ID') || null,
+      reportedSocketId: reportedUserId,
+      reason,
+      description,
+      source: 'chat-api'
+    });
+    res.json({ success: true, reportId: report.id });
+  } catch (err) {
+    logger.error('POST /chat/report', { error: err.message });
+    res.status(err.status || 500).json({ error: err.status ? err.message : 'Failed to submit report' });
+  }
+});
+
+// ─── MEDIA ───────────────────────────────────────────────────
+// Upload an image (multipart field "image") for the sender's current chat,
+// identified by X-Session-ID. It is delivered by a send-message
+// { type: 'image', mediaId } and only served once that passed moderation.
+router.post('/media', chatLimiter, _singleImage, async (req, res) => {
+  if (!req.file) return res.status(400).json({ error: 'image file is required' });
+
+  try {
+    const media = await mediaService.upload({
+      buffer: req.file.buffer,
+      mimetype: req.file.mimetype,
+      sessionId: req.get('X-Session-ID')
+    });
+    res.status(201).json({ success: true, media });
+  } catch (err) {
+    logger.error('POST /chat/media', { error: err.message });
+    res.status(err.status || 500).json({ error: err.status ? err.message : 'Failed to upload image' });
+  }
+});
+
+// The random media ID is the capability — <img> tags can't send headers
+router.get('/media/:id', async (req, res) => {
+  try {
+    const file = await mediaService.read(req.params.id);
+    if (!file) return res.status(404).json({ error: 'Image not found' });
+
+    res.set({
+      'Content-Type': file.contentType,
+      'Cache-Control': 'private, max-age=3600',
+      // The frontend is served from another origin
+      'Cross-Origin-Resource-Policy': 'cross-origin'
+    });
+    res.send(file.buffer);
+  } catch (err) {
+    logger.error('GET /chat/media/:id', { error: err.message });
+    res.status(500).json({ error: 'Failed to load image' });
+  }
 });
 
 router.get('/stats', chatLimiter, async (req, res) => {
@@ -41,4 +97,19 @@ router.get('/stats', chatLimiter, async (req, res) => {
   }
 });
 
+// ─── PRIVATE ─────────────────────────────────────────────────
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: mediaService.MAX_UPLOAD_BYTES, files: 1 }
+});
+
+function _singleImage(req, res, next) {
+  upload.single('image')(req, res, (err) => {
+    if (!err) return next();
+    const status = err.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+    res.status(status).json({ error: err.message });
+  });
+}
+
 module.exports = router;
\ No newline at end of file
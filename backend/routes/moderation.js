@@ -1,11 +1,11 @@
 const router = require('express').Router();
 const { moderationLimiter } = require('../middleware/rateLimiter');
 const moderationService = require('../services/ModerationService');
+const reportService = require('../services/ReportService');
+const moderationListService = require('../services/ModerationListService');
+const { requireAdmin, audit } = require('../middleware/adminAuth');
 const logger = require('../loaders/logger');
-
-const VALID_REASONS = [
-  'inappropriate-content', 'harassment', 'spam', 'underage', 'other'
-];
+const { REPORT_REASONS } = require('../constants');
 
 router.get('/test', moderationLimiter, (req, res) => {
   res.json({
@@ -28,7 +28,10 @@ router.post('/check-content', moderationLimiter, async (req, res) => {
       flagged: result.flagged,
       reason: result.reason || null,
       categories: result.categories,
+      provider: result.provider,
       layer: result.layer,
+      score: result.score,
+      action: result.action,
       timestamp: new Date().toISOString()
     });
   } catch (err) {
@@ -38,35 +41,123 @@ router.post('/check-content', moderationLimiter, async (req, res) => {
 });
 
 // ─── REPORT USER ─────────────────────────────────────────────
-router.post('/report-user', moderationLimiter, (req, res) => {
+// Same rules as POST /api/chat/report — see ReportService.createReport
+router.post('/report-user', moderationLimiter, async (req, res) => {
   const { userId, reason, description } = req.body;
 
   if (!userId || !reason) {
     return res.status(400).json({ error: 'userId and reason are required' });
   }
-  if (!VALID_REASONS.includes(reason)) {
-    return res.status(400).json({ error: `reason must be one of: ${VALID_REASONS.join(', ')}` });
+  if (!REPORT_REASONS.includes(reason)) {
+    return res.status(400).json({ error: `reason must be one of: ${REPORT_REASONS.join(', ')}` });
   }
 
-  logger.warn('User reported via API', { userId, reason, description });
+  try {
+    const report = await reportService.createReport({
+      reporterSessionId: req.get('X-Session-ID') || null,
+      reportedSocketId: userId,
+      reason,
+      description,
+      source: 'moderation-api'
+    });
 
-  res.json({
-    success: true,
-    reportId: `report_${Date.now()}`,
-    timestamp: new Date().toISOString()
-  });
+    res.json({
+      success: true,
+      reportId: report.id,
+      timestamp: new Date().toISOString()
+    });
+  } catch (err) {
+    logger.error('POST /moderation/report-user', { error: err.message });
+    res.status(err.status || 500).json({ error: err.status ? err.message : 'Failed to submit report' });
+  }
 });
 
 // ─── STATS ───────────────────────────────────────────────────
-router.get('/stats', moderationLimiter, (req, res) => {
-  res.json({
-    success: true,
-    stats: {
-      openaiEnabled: moderationService.isEnabled(),
-      activeFlaggedUsers: 0  // extend later with Redis tracking
-    },
-    timestamp: new Date().toISOString()
-  });
+router.get('/stats', moderationLimiter, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      stats: {
+        openaiEnabled: moderationService.isEnabled(),
+        // Sessions with a violation inside the decay window
+        activeFlaggedUsers: await moderationService.getActiveFlaggedCount(),
+        violationWindowMs: moderationService.VIOLATION_WINDOW_MS,
+        // Per-provider batching stats are under providers[].batching
+        providers: moderationService.getProviders(),
+        imageProviders: moderationService.getImageProviders(),
+        cache: moderationService.getCacheStats(),
+        policy: moderationService.getPolicy()
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (err) {
+    logger.error('GET /moderation/stats', { error: err.message });
+    res.status(500).json({ error: 'Failed to get moderation stats' });
+  }
+});
+
+// ─── BLOCK / ALLOW LISTS (admin) ─────────────────────────────
+// Changes apply to every running instance without a restart
+router.get('/terms', requireAdmin, audit('moderation-term.list'), async (req, res) => {
+  try {
+    const { list } = req.query;
+    const terms = await moderationListService.listTerms({ list });
+    res.json({ success: true, terms });
+  } catch (err) {
+    logger.error('GET /moderation/terms', { error: err.message });
+    res.status(500).json({ error: 'Failed to list terms' });
+  }
+});
+
+router.post('/terms', requireAdmin, audit('moderation-term.add'), async (req, res) => {
+  const { term, list, matchType, category, note } = req.body;
+  req.auditDetails = { term, list, matchType, category };
+
+  try {
+    const saved = await moderationListService.addTerm(
+      { term, list, matchType, category, note },
+      { createdBy: req.admin.username }
+    );
+    res.status(201).json({ success: true, term: saved });
+  } catch (err) {
+    logger.error('POST /moderation/terms', { error: err.message });
+    res.status(err.status || 500).json({ error: err.status ? err.message : 'Failed to add term' });
+  }
+});
+
+router.delete('/terms/:id', requireAdmin, audit('moderation-term.remove', { targetType: 'term', targetParam: 'id' }), async (req, res) => {
+  try {
+    const removed = await moderationListService.removeTerm(req.params.id, { removedBy: req.admin.username });
+    if (!removed) return res.status(404).json({ error: 'Term not found' });
+    res.json({ success: true });
+  } catch (err) {
+    logger.error('DELETE /moderation/terms/:id', { error: err.message });
+    res.status(500).json({ error: 'Failed to remove term' });
+  }
+});
+
+// ─── SHADOW MODE REPORT (admin) ──────────────────────────────
+// Where the candidate chain (MODERATION_SHADOW_CONFIG) disagreed with the
+// live one. Excerpts of real messages — admin only.
+router.get('/shadow', requireAdmin, audit('moderation-shadow.report'), async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 500);
+    const report = await moderationService.getShadowReport({ limit });
+    res.json({ success: true, report });
+  } catch (err) {
+    logger.error('GET /moderation/shadow', { error: err.message });
+    res.status(500).json({ error: 'Failed to get shadow report' });
+  }
+});
+
+router.delete('/shadow', requireAdmin, audit('moderation-shadow.clear'), async (req, res) => {
+  try {
+    await moderationService.clearShadowReport();
+    res.json({ success: true });
+  } catch (err) {
+    logger.error('DELETE /moderation/shadow', { error: err.message });
+    res.status(500).json({ error: 'Failed to clear shadow report' });
+  }
 });
 
 module.exports = router;
\ No newline at end of file
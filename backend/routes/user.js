@@ -1,7 +1,11 @@
 const router = require('express').Router();
+const mongoose = require('mongoose');
 const { userLimiter } = require('../middleware/rateLimiter');
 const presenceService = require('../services/PresenceService');
 const matchmakingService = require('../services/MatchmakingService');
+const blockService = require('../services/BlockService');
+const { isConnected: isMongoConnected } = require('../config/mongo');
+const logger = require('../loaders/logger');
 const { POPULAR_INTERESTS } = require('../constants');
 
 router.get('/test', userLimiter, (req, res) => {
@@ -24,17 +28,58 @@ router.get('/interests', userLimiter, (req, res) => {
   res.json({ success: true, interests: POPULAR_INTERESTS, count: POPULAR_INTERESTS.length });
 });
 
-router.get('/online-count', userLimiter, (req, res) => {
-  const stats = matchmakingService.getQueueStats();
-  res.json({
-    success: true,
-    onlineUsers: presenceService.getOnlineCount(),
-    queueStats: {
-      totalInQueue: stats.textQueue + stats.videoQueue,
-      textUsers: stats.textQueue,
-      videoUsers: stats.videoQueue
-    }
-  });
+router.get('/online-count', userLimiter, async (req, res) => {
+  try {
+    const stats = await matchmakingService.getQueueStats();
+    res.json({
+      success: true,
+      onlineUsers: await presenceService.getOnlineCount(),
+      queueStats: {
+        totalInQueue: stats.textQueue + stats.videoQueue,
+        textUsers: stats.textQueue,
+        videoUsers: stats.videoQueue
+      }
+    });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to get online count' });
+  }
+});
+
+// ─── BLOCKS ──────────────────────────────────────────────────
+// The caller is identified by the X-Session-ID header. Only blocks the
+// caller created are listed or cleared; blocked sessionIds are never returned.
+
+router.get('/blocks', userLimiter, async (req, res) => {
+  const sessionId = req.get('X-Session-ID');
+  if (!sessionId) return res.status(400).json({ error: 'X-Session-ID header is required' });
+  if (!isMongoConnected()) return res.status(503).json({ error: 'Block list unavailable' });
+
+  try {
+    const blocks = await blockService.listBlocks(sessionId);
+    res.json({ success: true, blocks, count: blocks.length });
+  } catch (err) {
+    logger.error('GET /user/blocks', { error: err.message });
+    res.status(500).json({ error: 'Failed to list blocks' });
+  }
+});
+
+router.delete('/blocks/:blockId?', userLimiter, async (req, res) => {
+  const sessionId = req.get('X-Session-ID');
+  const { blockId } = req.params;
+  if (!sessionId) return res.status(400).json({ error: 'X-Session-ID header is required' });
+  if (blockId && !mongoose.isValidObjectId(blockId)) {
+    return res.status(400).json({ error: 'Invalid blockId' });
+  }
+  if (!isMongoConnected()) return res.status(503).json({ error: 'Block list unavailable' });
+
+  try {
+    const cleared = await blockService.clearBlocks(sessionId, blockId || null);
+    if (blockId && cleared === 0) return res.status(404).json({ error: 'Block not found' });
+    res.json({ success: true, cleared });
+  } catch (err) {
+    logger.error('DELETE /user/blocks', { error: err.message });
+    res.status(500).json({ error: 'Failed to clear blocks' });
+  }
 });
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,46 @@
+const { DEFAULT_SCORERS } = require('./scorers');
+
+/**
+ * ScoringPipeline
+ * Runs every scorer over a (user, candidate) pair and sums weighted results.
+ *
+ * score() returns { total, breakdown } where breakdown holds each scorer's
+ * weighted contribution, e.g. { interests: 20, waitTime: 3, language: 0 }.
+ * Scorers with weight 0 are skipped and left out of the breakdown.
+ */
+class ScoringPipeline {
+  constructor({ weights = {}, waitThresholdMs = 30000, scorers = DEFAULT_SCORERS } = {}) {
+    this._scorers = scorers;
+    this._weights = weights;
+    this.waitThresholdMs = waitThresholdMs;
+  }
+
+  score(user, candidate, ctx = {}) {
+    const fullCtx = {
+      now: Date.now(),
+      waitThresholdMs: this.waitThresholdMs,
+      recentPartners: new Set(),
+      ...ctx
+    };
+
+    const breakdown = {};
+    let total = 0;
+
+    for (const scorer of this._scorers) {
+      const weight = this._weights[scorer.name] ?? 0;
+      if (!weight) continue;
+
+      const contribution = scorer.score(user, candidate, fullCtx) * weight;
+      breakdown[scorer.name] = contribution;
+      total += contribution;
+    }
+
+    return { total, breakdown };
+  }
+
+  getWeights() {
+    return { ...this._weights };
+  }
+}
+
+module.exports = ScoringPipeline;
@@ -0,0 +1,69 @@
+/**
+ * Matchmaking scorers.
+ * Each scorer returns a raw value for (user, candidate); ScoringPipeline
+ * multiplies it by the scorer's configured weight.
+ *
+ * ctx = { now: number, waitThresholdMs: number, recentPartners: Set<sessionId> }
+ */
+
+function normalise(value) {
+  return typeof value === 'string' ? value.trim().toLowerCase() : '';
+}
+
+function findCommonInterests(a = [], b = []) {
+  const setB = new Set(b.map(i => i.toLowerCase()));
+  return a.filter(i => setB.has(i.toLowerCase()));
+}
+
+const interests = {
+  name: 'interests',
+  // One point per shared interest
+  score(user, candidate) {
+    return findCommonInterests(user.interests, candidate.interests).length;
+  }
+};
+
+const waitTime = {
+  name: 'waitTime',
+  // Starvation guard — 1 once the candidate has waited past the threshold
+  score(user, candidate, ctx) {
+    const waitMs = ctx.now - new Date(candidate.joinedQueueAt).getTime();
+    return waitMs > ctx.waitThresholdMs ? 1 : 0;
+  }
+};
+
+const language = {
+  name: 'language',
+  score(user, candidate) {
+    const a = normalise(user.language);
+    return a && a === normalise(candidate.language) ? 1 : 0;
+  }
+};
+
+const region = {
+  name: 'region',
+  score(user, candidate) {
+    const a = normalise(user.region);
+    return a && a === normalise(candidate.region) ? 1 : 0;
+  }
+};
+
+const recentMatch = {
+  name: 'recentMatch',
+  // Penalty — -1 if these two sessions were paired recently
+  score(user, candidate, ctx) {
+    return ctx.recentPartners?.has(candidate.sessionId) ? -1 : 0;
+  }
+};
+
+const DEFAULT_SCORERS = [interests, waitTime, language, region, recentMatch];
+
+module.exports = {
+  interests,
+  waitTime,
+  language,
+  region,
+  recentMatch,
+  DEFAULT_SCORERS,
+  findCommonInterests
+};
@@ -5,7 +5,7 @@ const helmet = require('helmet');
 const compression = require('compression');
 
 const config = require('./config/env');
-const { createSocketServer } = require('./config/socket');
+const { createSocketServer, connectSocketAdapter } = require('./config/socket');
 const { connectRedis, getRedisClient } = require('./config/redis');
 const { connectMongo, isConnected: isMongoConnected } = require('./config/mongo');
 
@@ -13,6 +13,18 @@ const chatService = require('./services/ChatService');
 const heartbeatService = require('./services/HeartbeatService');
 const matchmakingService = require('./services/MatchmakingService');
 const presenceService = require('./services/PresenceService');
+const moderationService = require('./services/ModerationService');
+const moderationListService = require('./services/ModerationListService');
+const banService = require('./services/BanService');
+const mediaService = require('./services/MediaService');
+const RedisMatchStore = require('./stores/RedisMatchStore');
+const RedisPresenceStore = require('./stores/RedisPresenceStore');
+const RedisViolationStore = require('./stores/RedisViolationStore');
+const RedisVerdictStore = require('./stores/RedisVerdictStore');
+const RedisShadowStore = require('./stores/RedisShadowStore');
+const FileTermStore = require('./stores/FileTermStore');
+const MongoTermStore = require('./stores/MongoTermStore');
+const S3MediaStore = require('./stores/S3MediaStore');
 
 const connectionHandler = require('./socket/connectionHandler');
 const matchmakingHandler = require('./socket/matchmakingHandler');
@@ -22,6 +34,7 @@ const chatHandler = require('./socket/chatHandler');
 const chatRoutes = require('./routes/chat');
 const userRoutes = require('./routes/user');
 const moderationRoutes = require('./routes/moderation');
+const adminRoutes = require('./routes/admin');
 
 const { generalLimiter } = require('./middleware/rateLimiter');
 const { errorHandler, notFoundHandler } = require('./middleware/errorHandler');
@@ -49,8 +62,9 @@ app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // ─── HEALTH ──────────────────────────────────────────────────
 
-app.get('/health', (req, res) => {
-  const queueStats = matchmakingService.getQueueStats();
+app.get('/health', async (req, res) => {
+  const queueStats = await matchmakingService.getQueueStats().catch(() => ({}));
+  const onlineUsers = await presenceService.getOnlineCount().catch(() => null);
   res.json({
     status: 'OK',
     timestamp: new Date().toISOString(),
@@ -58,10 +72,11 @@ app.get('/health', (req, res) => {
     environment: config.NODE_ENV,
     services: {
       redis: getRedisClient() ? 'connected' : 'disconnected',
-      mongodb: isMongoConnected() ? 'connected' : 'disconnected'
+      mongodb: isMongoConnected() ? 'connected' : 'disconnected',
+      moderation: moderationService.getHealth()
     },
     stats: {
-      onlineUsers: presenceService.getOnlineCount(),
+      onlineUsers,
       ...queueStats
     }
   });
@@ -73,6 +88,7 @@ app.use('/api', generalLimiter);
 app.use('/api/chat', chatRoutes);
 app.use('/api/user', userRoutes);
 app.use('/api/moderation', moderationRoutes);
+app.use('/api/admin', adminRoutes);
 
 // ─── SOCKET.IO ───────────────────────────────────────────────
 
@@ -84,12 +100,24 @@ io.on('connection', (socket) => {
   chatHandler.register(socket, io);
 });
 
-// Periodic stale queue cleanup every 30s
+// Periodic stale queue / kick history cleanup every 30s
 setInterval(() => {
   const liveIds = Array.from(io.sockets.sockets.keys());
-  matchmakingService.cleanStaleEntries(liveIds);
+  matchmakingService.cleanStaleEntries(liveIds).catch((err) => {
+    logger.error('Stale queue cleanup failed', { error: err.message });
+  });
+  banService.pruneKicks().catch((err) => {
+    logger.error('Kick history cleanup failed', { error: err.message });
+  });
 }, 30000);
 
+// Expired image uploads every 10 minutes
+setInterval(() => {
+  mediaService.pruneExpired().catch((err) => {
+    logger.error('Media cleanup failed', { error: err.message });
+  });
+}, 10 * 60 * 1000);
+
 // ─── ERROR HANDLERS ──────────────────────────────────────────
 
 app.use(notFoundHandler);
@@ -103,11 +131,50 @@ async function initializeServices() {
   if (redis) {
     chatService.setRedis(redis);
     logger.info('ChatService wired to Redis');
+
+    matchmakingService.setStore(new RedisMatchStore(redis));
+    logger.info('MatchmakingService wired to Redis');
+
+    presenceService.setStore(new RedisPresenceStore(redis, { ttlMs: config.PRESENCE_TTL_MS }));
+    logger.info('PresenceService wired to Redis');
+
+    const violationStore = new RedisViolationStore(redis);
+    moderationService.setStore(violationStore);
+    banService.setStore(violationStore);
+    moderationService.setCacheStore(new RedisVerdictStore(redis));
+    moderationService.setShadowStore(new RedisShadowStore(redis));
+    logger.info('ModerationService wired to Redis');
   }
 
+  // Socket.IO adapter — cross-instance broadcasts when Redis is present
+  await connectSocketAdapter(io, redis);
+
   // MongoDB
   await connectMongo();
 
+  // Moderation block/allow lists — a watched file wins, then MongoDB,
+  // otherwise the built-in terms stay in memory
+  if (config.MODERATION_LISTS_FILE) {
+    await moderationListService.setStore(new FileTermStore(config.MODERATION_LISTS_FILE));
+    logger.info('Moderation lists loaded from file', { file: config.MODERATION_LISTS_FILE });
+  } else if (isMongoConnected()) {
+    await moderationListService.setStore(new MongoTermStore({ refreshMs: config.MODERATION_LISTS_REFRESH_MS }));
+    logger.info('Moderation lists wired to MongoDB');
+  }
+
+  // Image messages — local disk unless an S3-compatible store is configured
+  if (config.MEDIA_STORE === 's3') {
+    mediaService.setStore(new S3MediaStore({
+      endpoint: config.S3_ENDPOINT,
+      region: config.S3_REGION,
+      bucket: config.S3_BUCKET,
+      accessKeyId: config.S3_ACCESS_KEY_ID,
+      secretAccessKey: config.S3_SECRET_ACCESS_KEY,
+      forcePathStyle: config.S3_FORCE_PATH_STYLE
+    }));
+    logger.info('MediaService wired to S3', { endpoint: config.S3_ENDPOINT, bucket: config.S3_BUCKET });
+  }
+
   // Heartbeat — start after io is ready
   heartbeatService.start(io);
 
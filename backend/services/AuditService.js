@@ -0,0 +1,40 @@
+const AuditLog = require('../models/AuditLog');
+const logger = require('../loaders/logger');
+const { isConnected: isMongoConnected } = require('../config/mongo');
+
+/**
+ * AuditService
+ * Append-only record of every admin action.
+ * Writing the audit entry must never fail the action itself, so errors
+ * are logged and swallowed — the log file still gets the entry.
+ */
+class AuditService {
+  async record({ actor, action, targetType = null, targetId = null, statusCode, ip, details = {} }) {
+    logger.info('Admin action', { actor, action, targetType, targetId, statusCode });
+
+    if (!isMongoConnected()) return null;
+
+    try {
+      return await AuditLog.create({ actor, action, targetType, targetId, statusCode, ip, details });
+    } catch (err) {
+      logger.error('Failed to write audit log', { action, error: err.message });
+      return null;
+    }
+  }
+
+  async list({ page = 1, limit = 50, actor, action } = {}) {
+    const filter = {};
+    if (actor) filter.actor = actor;
+    if (action) filter.action = action;
+
+    const [entries, total] = await Promise.all([
+      AuditLog.find(filter).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit).lean(),
+      AuditLog.countDocuments(filter)
+    ]);
+    return { entries, total };
+  }
+}
+
+// Singleton
+const auditService = new AuditService();
+module.exports = auditService;
@@ -0,0 +1,204 @@
+const crypto = require('crypto');
+const Ban = require('../models/Ban');
+const logger = require('../loaders/logger');
+const config = require('../config/env');
+const presenceService = require('./PresenceService');
+const MemoryViolationStore = require('../stores/MemoryViolationStore');
+const { isConnected: isMongoConnected } = require('../config/mongo');
+
+/**
+ * BanService
+ * Registry of timed and permanent bans keyed by sessionId and, when the
+ * client sent one, a hashed fingerprint.
+ * Bans are never deleted — lifting one stamps liftedAt so history stays.
+ *
+ * Kicks that escalate into bans are counted in the violation store —
+ * in-memory by default, RedisViolationStore so every instance counts.
+ */
+class BanService {
+  constructor() {
+    this._store = new MemoryViolationStore();
+  }
+
+  /**
+   * Swap the kick history store — call before accepting connections
+   */
+  setStore(store) {
+    this._store = store;
+  }
+
+  /**
+   * Hash a client-supplied fingerprint so the raw value never hits the DB
+   */
+  hashFingerprint(fingerprint) {
+    if (!fingerprint || typeof fingerprint !== 'string') return null;
+    return crypto
+      .createHash('sha256')
+      .update(`${config.BAN_FINGERPRINT_SALT}:${fingerprint}`)
+      .digest('hex');
+  }
+
+  /**
+   * Ban a session. durationMinutes null/0 = permanent.
+   * An existing active ban for the session is lifted and replaced.
+   * If no fingerprintHash is given, the one on the live session is used.
+   */
+  async ban(sessionId, { durationMinutes = null, reason = '', bannedBy, fingerprintHash, auto = false }) {
+    if (!sessionId) throw this._error(400, 'sessionId is required');
+
+    if (fingerprintHash === undefined) {
+      const user = await presenceService.getUserBySession(sessionId).catch(() => null);
+      fingerprintHash = user?.fingerprintHash || null;
+    }
+
+    await Ban.updateMany(
+      Ban.activeFilter({ sessionId }),
+      { $set: { liftedAt: new Date(), liftedBy: bannedBy } }
+    );
+
+    const expiresAt = durationMinutes
+      ? new Date(Date.now() + durationMinutes * 60 * 1000)
+      : null;
+
+    const ban = await Ban.create({ sessionId, fingerprintHash, reason, bannedBy, expiresAt, auto });
+    logger.warn('Session banned', { banId: ban._id, expiresAt, bannedBy, auto });
+    return this._format(ban);
+  }
+
+  /**
+   * Lift every active ban on a session — returns how many were lifted
+   */
+  async unban(sessionId, { liftedBy }) {
+    const result = await Ban.updateMany(
+      Ban.activeFilter({ sessionId }),
+      { $set: { liftedAt: new Date(), liftedBy } }
+    );
+    logger.info('Session unbanned', { count: result.modifiedCount, liftedBy });
+    return result.modifiedCount;
+  }
+
+  /**
+   * Active ban matching the session or its fingerprint, if any.
+   * Without Mongo there is no registry, so nobody is treated as banned.
+   */
+  async getActiveBan({ sessionId, fingerprintHash = null } = {}) {
+    if (!sessionId || !isMongoConnected()) return null;
+
+    const keys = [{ sessionId }];
+    if (fingerprintHash) keys.push({ fingerprintHash });
+
+    // activeFilter already uses $or for expiry, so the key match goes in $and
+    const bans = await Ban.find(Ban.activeFilter({ $and: [{ $or: keys }] })).lean();
+    if (!bans.length) return null;
+
+    // Report the one that lasts longest — a permanent ban wins
+    const ban = bans.find(b => !b.expiresAt)
+      || bans.reduce((a, b) => (b.expiresAt > a.expiresAt ? b : a));
+    return this._format(ban);
+  }
+
+  /**
+   * Record a moderation kick. Once BAN_KICKS_BEFORE_BAN kicks land inside
+   * BAN_KICK_WINDOW_MS the session gets an automatic temporary ban, twice
+   * as long as its previous one. Returns the ban, or null if none was issued.
+   */
+  async recordKick(sessionId, { fingerprintHash = null, reason = 'Repeated community guideline violations' } = {}) {
+    if (!sessionId) return null;
+
+    const kicks = await this._store.recordKick(sessionId, config.BAN_KICK_WINDOW_MS);
+    if (kicks < config.BAN_KICKS_BEFORE_BAN) return null;
+
+    const ban = await this.autoBan(sessionId, { fingerprintHash, reason });
+    if (ban) await this._store.clearKicks(sessionId);
+    return ban;
+  }
+
+  /**
+   * Issue an automatic temporary ban, twice as long as the session's
+   * previous auto-ban (capped at BAN_AUTO_MAX_MINUTES).
+   * Returns null without Mongo, since there is nowhere to keep it.
+   */
+  async autoBan(sessionId, { fingerprintHash = null, reason = 'Community guideline violation' } = {}) {
+    if (!sessionId || !isMongoConnected()) return null;
+
+    const previous = await Ban.countDocuments({ sessionId, auto: true });
+    const durationMinutes = Math.min(
+      config.BAN_AUTO_BASE_MINUTES * 2 ** previous,
+      config.BAN_AUTO_MAX_MINUTES
+    );
+
+    return this.ban(sessionId, {
+      durationMinutes,
+      reason,
+      bannedBy: 'system',
+      fingerprintHash,
+      auto: true
+    });
+  }
+
+  /**
+   * Drop kick history that has aged out of the window
+   */
+  async pruneKicks() {
+    await this._store.pruneKicks(config.BAN_KICK_WINDOW_MS);
+  }
+
+  /**
+   * Client payload for the `banned` socket event
+   */
+  toBannedEvent(ban) {
+    return {
+      reason: ban.reason || 'You have been banned for violating community guidelines.',
+      permanent: ban.permanent,
+      expiresAt: ban.expiresAt,
+      message: ban.permanent
+        ? 'You have been permanently banned.'
+        : `You are banned until ${new Date(ban.expiresAt).toISOString()}.`
+    };
+  }
+
+  /**
+   * Tell a banned client why and until when, then drop the connection.
+   * Every socket entry point that checks bans answers the same way.
+   */
+  rejectSocket(socket, ban) {
+    logger.warn('Rejected banned session', { socketId: socket.id, banId: ban.id });
+    socket.emit('banned', this.toBannedEvent(ban));
+    // Small delay so the client receives the event before disconnect
+    setTimeout(() => socket.disconnect(true), 500);
+  }
+
+  async listActiveBans({ page = 1, limit = 20 } = {}) {
+    const filter = Ban.activeFilter();
+    const [bans, total] = await Promise.all([
+      Ban.find(filter).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit).lean(),
+      Ban.countDocuments(filter)
+    ]);
+    return { bans: bans.map(b => this._format(b)), total };
+  }
+
+  // ─── PRIVATE ─────────────────────────────────────────────────
+
+  _format(ban) {
+    return {
+      id: ban._id,
+      sessionId: ban.sessionId,
+      reason: ban.reason,
+      bannedBy: ban.bannedBy,
+      auto: Boolean(ban.auto),
+      permanent: !ban.expiresAt,
+      expiresAt: ban.expiresAt,
+      createdAt: ban.createdAt
+    };
+  }
+
+  _error(status, message) {
+    const err = new Error(message);
+    err.status = status;
+    return err;
+  }
+}
+
+// Singleton
+const banService = new BanService();
+module.exports = banService;
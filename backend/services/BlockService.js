@@ -0,0 +1,118 @@
+const Block = require('../models/Block');
+const logger = require('../loaders/logger');
+const config = require('../config/env');
+const { isConnected: isMongoConnected } = require('../config/mongo');
+
+/**
+ * BlockService
+ * Owns the "never match me with this person again" list.
+ * A block is stored once and keeps BOTH sessions apart until it expires.
+ */
+class BlockService {
+  constructor() {
+    this.BLOCK_DURATION_HOURS = config.BLOCK_DURATION_HOURS;
+    this._degraded = false;
+  }
+
+  /**
+   * Block blockedSessionId on behalf of blockerSessionId.
+   * Re-blocking the same session refreshes the expiry.
+   */
+  async blockSession(blockerSessionId, blockedSessionId, { roomId = null } = {}) {
+    if (!blockerSessionId || !blockedSessionId) {
+      throw new Error('Both sessionIds are required to block');
+    }
+    if (blockerSessionId === blockedSessionId) {
+      throw new Error('Cannot block yourself');
+    }
+
+    const expiresAt = new Date(Date.now() + this.BLOCK_DURATION_HOURS * 60 * 60 * 1000);
+
+    const block = await Block.findOneAndUpdate(
+      { blockerSessionId, blockedSessionId },
+      { $set: { roomId, expiresAt } },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    ).lean();
+
+    logger.info('Session blocked', { blockId: block._id, roomId, expiresAt });
+    return this._format(block);
+  }
+
+  /**
+   * Blocks created by sessionId — never exposes the other session's ID
+   */
+  async listBlocks(blockerSessionId) {
+    const blocks = await Block.find({
+      blockerSessionId,
+      expiresAt: { $gt: new Date() }
+    })
+    .sort({ createdAt: -1 })
+    .lean();
+
+    return blocks.map(b => this._format(b));
+  }
+
+  /**
+   * Lift one block (blockId) or all blocks created by blockerSessionId
+   */
+  async clearBlocks(blockerSessionId, blockId = null) {
+    const filter = { blockerSessionId };
+    if (blockId) filter._id = blockId;
+
+    const result = await Block.deleteMany(filter);
+    logger.info('Blocks cleared', { count: result.deletedCount, blockId });
+    return result.deletedCount;
+  }
+
+  /**
+   * Sessions that must never be paired with sessionId, or null when the
+   * block list can't be read — matchmaking then pairs nobody rather than
+   * risk reuniting blocked sessions. Without MONGODB_URI no block can
+   * exist, so that is an empty set and matching carries on.
+   */
+  async getBlockedSessionIds(sessionId) {
+    if (!sessionId || !config.MONGODB_URI) return new Set();
+
+    if (!isMongoConnected()) {
+      this._setDegraded(true, 'MongoDB not connected');
+      return null;
+    }
+
+    try {
+      const blocked = new Set(await Block.getBlockedSessionIds(sessionId));
+      this._setDegraded(false);
+      return blocked;
+    } catch (err) {
+      this._setDegraded(true, err.message);
+      return null;
+    }
+  }
+
+  // ─── PRIVATE ─────────────────────────────────────────────────
+
+  /**
+   * Log only when the block list goes away or comes back
+   */
+  _setDegraded(degraded, reason) {
+    if (degraded === this._degraded) return;
+    this._degraded = degraded;
+    if (degraded) {
+      logger.warn('Block list unavailable — matchmaking paused', { reason });
+    } else {
+      logger.info('Block list available again — matchmaking resumed');
+    }
+  }
+
+  _format(block) {
+    return {
+      id: block._id,
+      roomId: block.roomId,
+      createdAt: block.createdAt,
+      expiresAt: block.expiresAt
+    };
+  }
+}
+
+// Singleton
+const blockService = new BlockService();
+module.exports = blockService;
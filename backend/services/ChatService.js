@@ -1,4 +1,6 @@
+const mongoose = require('mongoose');
 const Message = require('../models/Message');
+const RoomSequence = require('../models/RoomSequence');
 const logger = require('../loaders/logger');
 const config = require('../config/env');
 
@@ -6,6 +8,14 @@ class ChatService {
   constructor() {
     this._redis = null;
     this.CACHE_TTL = config.CACHE_TTL;
+    this.EDIT_WINDOW_MS = config.MESSAGE_EDIT_WINDOW_MS;
+    this.STATUS_ORDER = ['sent', 'delivered', 'read'];
+    this.MAX_ACK_BATCH = 100;
+    this.REPLAY_LIMIT = 100;
+    // The Redis list holds up to this many of a room's newest messages
+    this.CACHE_SIZE = 100;
+    // Room counters must outlive the room's messages
+    this.SEQ_TTL_MS = 2 * Math.max(12, config.MESSAGE_EXPIRY_HOURS) * 60 * 60 * 1000;
     this.MSG_KEY = 'room:messages:';
     this.TYPING_KEY = 'typing:';
     this.TYPING_TTL = 10;
@@ -20,7 +30,15 @@ class ChatService {
 
   // ─── MESSAGES ────────────────────────────────────────────────
 
-  async sendMessage({ roomId, senderId, recipientId, content, type = 'text', metadata = {} }) {
+  /**
+   * Save a message with the room's next seq. A clientMessageId already
+   * saved in this room returns the original with duplicate: true.
+   *
+   * The seq is reserved before the save, so two sends racing in one room
+   * can be stored — and delivered — out of order (seq 6 before seq 5),
+   * and a seq whose save fails is never used at all. See getMissedMessages.
+   */
+  async sendMessage({ roomId, senderId, recipientId, content, type = 'text', metadata = {}, clientMessageId }) {
     if (!roomId || !senderId || !recipientId || !content) {
       throw new Error('Missing required message fields');
     }
@@ -32,11 +50,23 @@ class ChatService {
       content: content.trim(),
       type,
       metadata,
+      clientMessageId,
+      seq: await RoomSequence.next(roomId, this.SEQ_TTL_MS),
       status: 'sent'
     });
 
-    const saved = await msg.save();
-    logger.info('Message saved', { messageId: saved._id, roomId });
+    let saved;
+    try {
+      saved = await msg.save();
+    } catch (err) {
+      // Lost a race with a resend of the same message — its seq is skipped
+      const existing = err.code === 11000 && clientMessageId
+        ? await this.findByClientMessageId(roomId, clientMessageId)
+        : null;
+      if (existing) return { ...existing, duplicate: true };
+      throw err;
+    }
+    logger.info('Message saved', { messageId: saved._id, roomId, seq: saved.seq });
 
     if (this._isRedisReady()) {
       await this._cacheMessage(roomId, saved).catch(() => {});
@@ -45,21 +75,174 @@ class ChatService {
     return this._format(saved);
   }
 
-  async getRoomMessages(roomId, { limit = 50, skip = 0, useCache = true } = {}) {
-    if (useCache && this._isRedisReady()) {
-      const cached = await this._getCached(roomId).catch(() => null);
-      if (cached?.length) {
-        return cached.slice(skip, skip + limit);
-      }
+  async findByClientMessageId(roomId, clientMessageId) {
+    const msg = await Message.findOne({ roomId, clientMessageId }).lean();
+    return this._format(msg);
+  }
+
+  /**
+   * One page of history, always oldest first (room seq order) — from
+   * Redis or MongoDB alike. Returns { messages, nextCursor }.
+   *
+   *   {}               the newest `limit` messages
+   *   { before: id }   the `limit` messages just before message `id`
+   *   { after: id }    the `limit` messages just after message `id`
+   *   { afterSeq }     the same, from a seq (reconnect replay)
+   *
+   * nextCursor is the id to pass as the same option for the following
+   * page — the oldest message going back, the newest going forward —
+   * or null when there is nothing further.
+   */
+  async getRoomMessages(roomId, { limit = 50, before, after, afterSeq, useCache = true } = {}) {
+    if (before && after) throw this._error(400, 'Use either before or after, not both');
+
+    if (after || afterSeq !== undefined) {
+      const fromSeq = after ? await this._cursorSeq(roomId, after) : afterSeq;
+      const msgs = await Message.getMessagesAfterSeq(roomId, fromSeq, limit + 1);
+      const messages = msgs.slice(0, limit).map(m => this._format(m));
+      return {
+        messages,
+        nextCursor: msgs.length > limit ? String(messages[messages.length - 1].id) : null
+      };
     }
 
-    const msgs = await Message.getRoomMessages(roomId, limit, skip);
+    const cached = useCache && this._isRedisReady()
+      ? await this._getCached(roomId).catch(() => null)
+      : null;
+    const fromCache = cached && this._pageFromCache(cached, { before, limit });
+    if (fromCache) return fromCache;
 
-    if (this._isRedisReady() && msgs.length) {
-      await this._cacheAll(roomId, msgs).catch(() => {});
+    const beforeSeq = before ? await this._cursorSeq(roomId, before, cached) : undefined;
+    // A first page also refills the cache, so fetch enough for both
+    const fetchSize = (before ? limit : Math.max(limit, this.CACHE_SIZE)) + 1;
+    const msgs = (await Message.getMessagesBeforeSeq(roomId, beforeSeq, fetchSize)).map(m => this._format(m));
+
+    if (!before && this._isRedisReady() && msgs.length) {
+      await this._cacheAll(roomId, msgs.slice(0, this.CACHE_SIZE)).catch(() => {});
     }
 
-    return msgs.map(m => this._format(m));
+    const messages = msgs.slice(0, limit).reverse();
+    return {
+      messages,
+      nextCursor: msgs.length > limit ? String(messages[0].id) : null
+    };
+  }
+
+  /**
+   * Throw unless messageId is a text message the sender may still edit —
+   * checked before moderation, so edits of someone else's (or a missing)
+   * message never reach the classifiers or count as violations
+   */
+  async assertEditable(messageId, { senderId, roomId }) {
+    await this._findEditable(messageId, { senderId, roomId });
+  }
+
+  /**
+   * Replace the text of one of the sender's own messages. The caller is
+   * responsible for moderating the new content first.
+   */
+  async editMessage(messageId, { senderId, roomId, content }) {
+    const text = content?.trim();
+    if (!text) throw this._error(400, 'Message content is required');
+
+    const msg = await this._findEditable(messageId, { senderId, roomId });
+
+    msg.content = text;
+    msg.edited = true;
+    msg.editedAt = new Date();
+    const saved = await msg.save();
+    logger.info('Message edited', { messageId: saved._id, roomId });
+
+    const formatted = this._format(saved);
+    if (this._isRedisReady()) {
+      await this._updateCached(roomId, formatted).catch(() => {});
+    }
+    return formatted;
+  }
+
+  /**
+   * Soft-delete one of the sender's own messages — getRoomMessages
+   * skips it from then on. The room cache is dropped rather than patched,
+   * so a short list still means the whole room is cached.
+   */
+  async deleteMessage(messageId, { senderId, roomId }) {
+    const msg = await this._findOwnMessage(messageId, { senderId, roomId });
+
+    msg.deletedAt = new Date();
+    await msg.save();
+    logger.info('Message deleted', { messageId: msg._id, roomId });
+
+    if (this._isRedisReady()) {
+      await this._redis.del(`${this.MSG_KEY}${roomId}`).catch(() => {});
+    }
+    return { id: msg._id, roomId, deletedAt: msg.deletedAt };
+  }
+
+  /**
+   * Recipient acknowledged messages as delivered or read. Status only
+   * moves forward; returns the ids that actually changed.
+   */
+  async updateMessageStatus(messageIds, { recipientId, roomId, status }) {
+    const target = this.STATUS_ORDER.indexOf(status);
+    if (target < 1) throw this._error(400, 'status must be delivered or read');
+    if (!Array.isArray(messageIds)) throw this._error(400, 'messageIds must be an array');
+
+    const ids = messageIds.filter(id => mongoose.isValidObjectId(id)).slice(0, this.MAX_ACK_BATCH);
+    if (!ids.length) return [];
+
+    const filter = {
+      _id: { $in: ids },
+      roomId,
+      recipientId,
+      status: { $in: this.STATUS_ORDER.slice(0, target) }
+    };
+    const pending = await Message.find(filter).select('_id').lean();
+    if (!pending.length) return [];
+
+    await Message.updateMany(
+      { ...filter, _id: { $in: pending.map(m => m._id) } },
+      { $set: { status } }
+    );
+
+    const changed = pending.map(m => String(m._id));
+    if (this._isRedisReady()) {
+      await this._patchCached(roomId, changed, { status }).catch(() => {});
+    }
+    return changed;
+  }
+
+  /**
+   * Messages after afterSeq for a reconnecting client, oldest first.
+   * hasMore means the rest can be paged in with get-messages { afterSeq }.
+   *
+   * Seqs can become visible out of order (see sendMessage), so clients
+   * pass the last seq up to which they hold every message — not the
+   * newest one — and drop the repeats this returns.
+   */
+  async getMissedMessages(roomId, afterSeq, limit = this.REPLAY_LIMIT) {
+    const msgs = await Message.getMessagesAfterSeq(roomId, afterSeq, limit + 1);
+    return {
+      messages: msgs.slice(0, limit).map(m => this._format(m)),
+      hasMore: msgs.length > limit
+    };
+  }
+
+  /**
+   * Messages are addressed by socketId — carry a reconnecting user's
+   * messages over to their new socket so receipts, edits and deletes
+   * keep working
+   */
+  async remapSocket(roomId, oldSocketId, newSocketId) {
+    if (!oldSocketId || oldSocketId === newSocketId) return;
+
+    await Promise.all([
+      Message.updateMany({ roomId, senderId: oldSocketId }, { $set: { senderId: newSocketId } }),
+      Message.updateMany({ roomId, recipientId: oldSocketId }, { $set: { recipientId: newSocketId } })
+    ]);
+
+    if (this._isRedisReady()) {
+      await this._redis.del(`${this.MSG_KEY}${roomId}`).catch(() => {});
+    }
   }
 
   async markRoomMessagesAsRead(roomId, recipientId) {
@@ -102,22 +285,30 @@ class ChatService {
   }
 
   // ─── TYPING ──────────────────────────────────────────────────
+  // typing:<roomId> is a sorted set of userIds scored by when their
+  // indicator runs out. The key expires with its newest member, so a
+  // room never needs a pattern scan to find or clear it.
 
   async setTypingIndicator(roomId, userId, isTyping = true) {
     if (!this._isRedisReady()) return false;
-    const key = `${this.TYPING_KEY}${roomId}:${userId}`;
+    const key = `${this.TYPING_KEY}${roomId}`;
     if (isTyping) {
-      await this._redis.setEx(key, this.TYPING_TTL, '1');
+      const ttlMs = this.TYPING_TTL * 1000;
+      const now = Date.now();
+      await this._redis.multi()
+        .zRemRangeByScore(key, '-inf', now)
+        .zAdd(key, { score: now + ttlMs, value: userId })
+        .pExpire(key, ttlMs)
+        .exec();
     } else {
-      await this._redis.del(key);
+      await this._redis.zRem(key, userId);
     }
     return true;
   }
 
   async getTypingUsers(roomId) {
     if (!this._isRedisReady()) return [];
-    const keys = await this._redis.keys(`${this.TYPING_KEY}${roomId}:*`);
-    return keys.map(k => k.split(':').pop());
+    return this._redis.zRangeByScore(`${this.TYPING_KEY}${roomId}`, Date.now(), '+inf');
   }
 
   // ─── STATS ───────────────────────────────────────────────────
@@ -138,6 +329,67 @@ class ChatService {
     return this._redis && this._redis.isReady;
   }
 
+  /**
+   * A live message in roomId that senderId sent within the edit window
+   */
+  async _findOwnMessage(messageId, { senderId, roomId }) {
+    if (!mongoose.isValidObjectId(messageId)) throw this._error(400, 'Invalid messageId');
+
+    const msg = await Message.findOne({ _id: messageId, roomId, deletedAt: { $exists: false } });
+    if (!msg) throw this._error(404, 'Message not found');
+    if (msg.senderId !== senderId) throw this._error(403, 'You can only change your own messages');
+    if (Date.now() - new Date(msg.createdAt).getTime() > this.EDIT_WINDOW_MS) {
+      throw this._error(403, 'This message can no longer be changed');
+    }
+    return msg;
+  }
+
+  async _findEditable(messageId, { senderId, roomId }) {
+    const msg = await this._findOwnMessage(messageId, { senderId, roomId });
+    if (msg.type !== 'text') throw this._error(400, 'Only text messages can be edited');
+    return msg;
+  }
+
+  _error(status, message) {
+    const err = new Error(message);
+    err.status = status;
+    return err;
+  }
+
+  /**
+   * Seq of the message a cursor points at — from the cache when it is there
+   */
+  async _cursorSeq(roomId, messageId, cached = null) {
+    if (!mongoose.isValidObjectId(messageId)) throw this._error(400, 'Invalid cursor');
+
+    const hit = cached?.find(m => String(m.id) === String(messageId));
+    if (Number.isInteger(hit?.seq)) return hit.seq;
+
+    const msg = await Message.findOne({ _id: messageId, roomId }).select('seq').lean();
+    if (!Number.isInteger(msg?.seq)) throw this._error(400, 'Invalid cursor');
+    return msg.seq;
+  }
+
+  /**
+   * Serve a newest-first page from the cached tail of the room, or return
+   * null when it reaches past what the cache holds. A list shorter than
+   * CACHE_SIZE is the whole room.
+   */
+  _pageFromCache(cached, { before, limit }) {
+    const end = before ? cached.findIndex(m => String(m.id) === String(before)) : cached.length;
+    if (end === -1) return null;
+
+    const start = end - limit;
+    const wholeRoom = cached.length < this.CACHE_SIZE;
+    if (start < 0 && !wholeRoom) return null;
+
+    const messages = cached.slice(Math.max(start, 0), end);
+    return {
+      messages,
+      nextCursor: (start > 0 || !wholeRoom) && messages.length ? String(messages[0].id) : null
+    };
+  }
+
   _format(msg) {
     if (!msg) return null;
     return {
@@ -147,26 +399,69 @@ class ChatService {
       recipientId: msg.recipientId,
       content: msg.content,
       type: msg.type,
+      seq: msg.seq,
+      clientMessageId: msg.clientMessageId,
       status: msg.status,
       metadata: msg.metadata,
+      edited: Boolean(msg.edited),
+      editedAt: msg.editedAt,
       createdAt: msg.createdAt,
       timestamp: msg.createdAt
     };
   }
 
+  // ─── CACHE ───────────────────────────────────────────────────
+  // room:messages:<roomId> is a list of the room's newest messages,
+  // oldest first — the same order getRoomMessages returns
+
+  /**
+   * Append to an existing cache only — starting a list here would make
+   * a single message look like the whole room
+   */
   async _cacheMessage(roomId, msg) {
     const key = `${this.MSG_KEY}${roomId}`;
-    await this._redis.lPush(key, JSON.stringify(this._format(msg)));
-    await this._redis.lTrim(key, 0, 99);
+    const length = await this._redis.rPushX(key, JSON.stringify(this._format(msg)));
+    if (!length) return;
+    await this._redis.lTrim(key, -this.CACHE_SIZE, -1);
     await this._redis.expire(key, this.CACHE_TTL);
   }
 
+  /**
+   * Replace the cache with formatted messages, given newest first
+   */
   async _cacheAll(roomId, msgs) {
     const key = `${this.MSG_KEY}${roomId}`;
-    await this._redis.del(key);
-    const strs = msgs.map(m => JSON.stringify(this._format(m))).reverse();
-    await this._redis.rPush(key, ...strs);
-    await this._redis.expire(key, this.CACHE_TTL);
+    const strs = msgs.map(m => JSON.stringify(m)).reverse();
+    await this._redis.multi()
+      .del(key)
+      .rPush(key, strs)
+      .expire(key, this.CACHE_TTL)
+      .exec();
+  }
+
+  /**
+   * Swap a cached message for its edited version, in place
+   */
+  async _updateCached(roomId, formatted) {
+    const key = `${this.MSG_KEY}${roomId}`;
+    const items = await this._redis.lRange(key, 0, -1);
+    const index = items.findIndex(i => String(JSON.parse(i).id) === String(formatted.id));
+    if (index !== -1) await this._redis.lSet(key, index, JSON.stringify(formatted));
+  }
+
+  /**
+   * Apply the same change to several cached messages
+   */
+  async _patchCached(roomId, messageIds, patch) {
+    const key = `${this.MSG_KEY}${roomId}`;
+    const wanted = new Set(messageIds);
+    const items = await this._redis.lRange(key, 0, -1);
+    for (let i = 0; i < items.length; i++) {
+      const item = JSON.parse(items[i]);
+      if (wanted.has(String(item.id))) {
+        await this._redis.lSet(key, i, JSON.stringify({ ...item, ...patch }));
+      }
+    }
   }
 
   async _getCached(roomId) {
@@ -177,11 +472,10 @@ class ChatService {
     return items.map(i => JSON.parse(i));
   }
 
+  // Every per-room key is known by name — never pattern-scan here
   async _clearCache(roomId) {
     if (!this._isRedisReady()) return;
-    await this._redis.del(`${this.MSG_KEY}${roomId}`);
-    const typingKeys = await this._redis.keys(`${this.TYPING_KEY}${roomId}:*`);
-    if (typingKeys.length) await this._redis.del(...typingKeys);
+    await this._redis.del([`${this.MSG_KEY}${roomId}`, `${this.TYPING_KEY}${roomId}`]);
   }
 }
 
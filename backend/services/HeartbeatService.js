@@ -27,7 +27,9 @@ class HeartbeatService {
     this._io = io;
 
     this._interval = setInterval(() => {
-      this._pingAll();
+      this._pingAll().catch((err) => {
+        logger.error('Heartbeat ping failed', { error: err.message });
+      });
     }, this.PING_INTERVAL_MS);
 
     logger.info('Heartbeat service started', {
@@ -45,36 +47,38 @@ class HeartbeatService {
   }
 
   /**
-   * Called when a client sends back a pong
+   * Called when a client sends back a pong — also refreshes the
+   * user's presence TTL
    */
-  handlePong(socketId) {
-    presenceService.recordPong(socketId);
+  async handlePong(socketId) {
+    await presenceService.recordPong(socketId);
   }
 
   // ─── PRIVATE ─────────────────────────────────────────────────
 
-  _pingAll() {
-    const users = presenceService.getAllUsers();
-
-    users.forEach((user) => {
-      const socket = this._io.sockets.sockets.get(user.socketId);
-      if (!socket) return;
+  /**
+   * Pings only sockets connected to this instance — with a shared
+   * presence store every instance pings its own sockets.
+   */
+  async _pingAll() {
+    const sockets = Array.from(this._io.sockets.sockets.values());
 
+    for (const socket of sockets) {
       // Increment missed first — handlePong will reset if they reply
-      presenceService.incrementMissedPings(user.socketId);
-      const updated = presenceService.getUser(user.socketId);
+      const updated = await presenceService.incrementMissedPings(socket.id);
+      if (!updated) continue;
 
-      if (updated && updated.missedPings > this.MAX_MISSED_PINGS) {
+      if (updated.missedPings > this.MAX_MISSED_PINGS) {
         logger.warn('Evicting stale socket', {
-          socketId: user.socketId,
+          socketId: socket.id,
           missedPings: updated.missedPings
         });
         socket.disconnect(true);
-        return;
+        continue;
       }
 
       socket.emit('ping');
-    });
+    }
   }
 }
 
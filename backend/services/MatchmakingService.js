@@ -1,79 +1,109 @@
 const { v4: uuidv4 } = require('uuid');
 const logger = require('../loaders/logger');
 const presenceService = require('./PresenceService');
+const blockService = require('./BlockService');
 const config = require('../config/env');
+const { loadScoringConfig } = require('../config/scoring');
+const MemoryMatchStore = require('../stores/MemoryMatchStore');
+const ScoringPipeline = require('../scoring/ScoringPipeline');
+const { findCommonInterests } = require('../scoring/scorers');
 
 /**
  * MatchmakingService
  * Owns: text/video queues, active matches, scoring, grace period logic.
  * Extracted fully from server.js monolith.
+ *
+ * Queues and matches live in a pluggable store — in-memory by default,
+ * RedisMatchStore when several instances run behind a load balancer.
+ * Grace timers stay local to the instance that owns the socket; a
+ * reconnect through any instance claims the grace window in presence.
  */
 class MatchmakingService {
   constructor() {
-    this._textQueue = [];
-    this._videoQueue = [];
-    // roomId -> ActiveMatch
-    this._activeMatches = new Map();
+    this._store = new MemoryMatchStore();
     // sessionId -> graceTimer
     this._graceTimers = new Map();
 
+    this._scoring = new ScoringPipeline(loadScoringConfig());
+
     this.GRACE_PERIOD_MS = config.GRACE_PERIOD_MS;
-    this.STARVATION_WAIT_MS = 30000; // bonus score after waiting 30s
+    // Recently paired sessions are kept apart for this long
+    this.RECENT_COOLDOWN_MS = config.MATCH_RECENT_COOLDOWN_MS;
+    this.RECENT_POLICY = config.MATCH_RECENT_POLICY;
   }
 
   // ─── PUBLIC API ───────────────────────────────────────────────
 
+  /**
+   * Swap the queue/match store — call before accepting connections
+   */
+  setStore(store) {
+    this._store = store;
+  }
+
+  /**
+   * Swap the scoring pipeline — weights normally come from env / JSON config
+   */
+  setScoringPipeline(pipeline) {
+    this._scoring = pipeline;
+  }
+
   /**
    * Add user to the correct queue and try to match immediately.
    * Returns { matched: bool, match: ActiveMatch | null, position: number }
+   *
+   * position is 0 when another instance claimed this user while we were
+   * searching — that instance emits match-found instead.
    */
-  joinQueue(queueUser) {
-    const queue = this._getQueue(queueUser.mode);
+  async joinQueue(queueUser) {
+    const mode = this._getMode(queueUser.mode);
+    const entry = { ...queueUser, instanceId: config.INSTANCE_ID };
 
-    // Remove any stale entry for this socket first (idempotent)
-    this._removeFromQueue(queueUser.socketId, queue);
+    // Remove any stale entry for this socket first (idempotent), then
+    // enqueue before searching so a concurrent joiner can see us
+    await this._store.dequeue(mode, entry.socketId);
+    await this._store.enqueue(mode, entry);
 
-    const bestMatch = this._findBestMatch(queueUser, queue);
+    const best = await this._findBestMatch(entry, mode);
 
-    if (bestMatch) {
-      const match = this._createMatch(queueUser, bestMatch);
-      if (match) {
-        return { matched: true, match, position: 0 };
-      }
+    if (best) {
+      const match = await this._createMatch(entry, best.candidate, best.score);
+      return { matched: true, match, position: 0 };
     }
 
-    // No match — add to queue
-    queue.push(queueUser);
+    const queue = await this._store.listQueue(mode);
+    const position = queue.findIndex(u => u.socketId === entry.socketId) + 1;
+
     logger.info('User added to queue', {
-      socketId: queueUser.socketId,
-      mode: queueUser.mode,
-      position: queue.length
+      socketId: entry.socketId,
+      mode,
+      position
     });
 
-    return { matched: false, match: null, position: queue.length };
+    return { matched: false, match: null, position };
   }
 
   /**
    * Remove user from all queues (leave queue / disconnect)
    */
-  removeFromQueues(socketId) {
-    const removedText = this._removeFromQueue(socketId, this._textQueue);
-    const removedVideo = this._removeFromQueue(socketId, this._videoQueue);
+  async removeFromQueues(socketId) {
+    const removedText = await this._store.dequeue('text', socketId);
+    const removedVideo = await this._store.dequeue('video', socketId);
     return removedText || removedVideo;
   }
 
   /**
    * Get active match for a room
    */
-  getMatch(roomId) {
-    return this._activeMatches.get(roomId) || null;
+  async getMatch(roomId) {
+    return this._store.getMatch(roomId);
   }
 
   /**
    * Get partner socketId from a match
    */
-  getPartnerSocketId(roomId, mySocketId) {
-    const match = this._activeMatches.get(roomId);
+  async getPartnerSocketId(roomId, mySocketId) {
+    const match = await this._store.getMatch(roomId);
     if (!match) return null;
     return match.user1SocketId === mySocketId
       ? match.user2SocketId
@@ -84,24 +114,34 @@ class MatchmakingService {
    * Handle disconnect — start grace period before cleaning up
    * Partner is NOT notified during the grace window
    */
-  handleGracePeriod(roomId, disconnectedSocketId, onExpired) {
-    const match = this._activeMatches.get(roomId);
+  async handleGracePeriod(roomId, disconnectedSocketId, onExpired) {
+    const match = await this._store.getMatch(roomId);
     if (!match) return;
 
-    const user = presenceService.getUser(disconnectedSocketId);
+    const user = await presenceService.getUser(disconnectedSocketId);
     const sessionId = user?.sessionId;
 
     match.state = 'GRACE';
     match.graceStartedAt = new Date();
-    this._activeMatches.set(roomId, match);
+    await this._store.saveMatch(match);
 
     logger.info('Grace period started', { roomId, disconnectedSocketId, sessionId });
 
-    const timer = setTimeout(() => {
+    const timer = setTimeout(async () => {
       logger.info('Grace period expired', { roomId, sessionId });
       this._graceTimers.delete(sessionId);
-      this.cleanupMatch(roomId);
-      if (onExpired) onExpired(roomId, match);
+      try {
+        // A reconnect on another instance can't cancel this timer, but it
+        // takes the reconnect context first — then the match is theirs
+        if (sessionId && !(await presenceService.takePendingReconnect(sessionId))) {
+          logger.info('Grace period already claimed by a reconnect', { roomId, sessionId });
+          return;
+        }
+        await this.cleanupMatch(roomId);
+        if (onExpired) await onExpired(roomId, match);
+      } catch (err) {
+        logger.error('Error expiring grace period', { roomId, error: err.message });
+      }
     }, this.GRACE_PERIOD_MS);
 
     if (sessionId) {
@@ -110,22 +150,21 @@ class MatchmakingService {
   }
 
   /**
-   * Attempt to restore a match after reconnection.
+   * Attempt to restore a match after reconnection — the reconnecting
+   * user's old socket in roomId is swapped for the new one.
    * Returns the restored ActiveMatch or null if not found / expired.
    */
-  restoreMatch(sessionId, newSocketId) {
+  async restoreMatch(roomId, oldSocketId, newSocketId, sessionId) {
     // Cancel grace timer first
     this._cancelGraceTimer(sessionId);
 
-    // Find the match this session was in
-    const match = this._findMatchBySession(sessionId);
-    if (!match) {
-      logger.warn('restoreMatch: no match found for session', { sessionId });
+    const match = await this._store.getMatch(roomId);
+    if (!match || ![match.user1SocketId, match.user2SocketId].includes(oldSocketId)) {
+      logger.warn('restoreMatch: no match found for session', { sessionId, roomId });
       return null;
     }
 
     // Remap the socket in the match
-    const oldSocketId = presenceService.getSocketIdBySession(sessionId);
     if (match.user1SocketId === oldSocketId) {
       match.user1SocketId = newSocketId;
     } else {
@@ -133,35 +172,39 @@ class MatchmakingService {
     }
 
     match.state = 'CHATTING';
-    this._activeMatches.set(match.roomId, match);
+    delete match.graceStartedAt;
+    await this._store.saveMatch(match);
 
     logger.info('Match restored after reconnection', {
       sessionId,
       newSocketId,
-      roomId: match.roomId
+      roomId
     });
 
     return match;
   }
 
   /**
-   * Fully remove match and update presence state for both users
+   * Fully remove match and update presence state for both users.
+   * The store hands the match to exactly one caller, so concurrent
+   * cleanups (skip on one node, grace expiry on another) run once.
    */
-  cleanupMatch(roomId) {
-    const match = this._activeMatches.get(roomId);
+  async cleanupMatch(roomId) {
+    const match = await this._store.takeMatch(roomId);
     if (!match) return;
 
-    [match.user1SocketId, match.user2SocketId].forEach((sid) => {
+    // lastRoomId lets either user still report the other after the chat ends
+    await Promise.all([match.user1SocketId, match.user2SocketId].map((sid) =>
       presenceService.updateUser(sid, {
         isMatched: false,
         currentMatch: null,
         roomId: null,
+        lastRoomId: roomId,
         inQueue: false,
         matchState: 'idle'
-      });
-    });
+      })
+    ));
 
-    this._activeMatches.delete(roomId);
     logger.info('Match cleaned up', { roomId });
   }
 
@@ -173,101 +216,106 @@ class MatchmakingService {
   }
 
   /**
-   * Remove stale queue entries — called by cleanup interval
+   * Remove stale queue entries — called by cleanup interval.
+   * Only entries owned by this instance are checked, since liveSocketIds
+   * only covers sockets connected here.
    */
-  cleanStaleEntries(liveSocketIds) {
+  async cleanStaleEntries(liveSocketIds) {
     const liveSet = new Set(liveSocketIds);
-    const before = this._textQueue.length + this._videoQueue.length;
+    let removed = 0;
 
-    this._textQueue = this._textQueue.filter(u => liveSet.has(u.socketId));
-    this._videoQueue = this._videoQueue.filter(u => liveSet.has(u.socketId));
+    for (const mode of ['text', 'video']) {
+      const queue = await this._store.listQueue(mode);
+      for (const u of queue) {
+        if (u.instanceId !== config.INSTANCE_ID || liveSet.has(u.socketId)) continue;
+        if (await this._store.dequeue(mode, u.socketId)) removed++;
+      }
+    }
 
-    const removed = before - (this._textQueue.length + this._videoQueue.length);
     if (removed > 0) {
       logger.info('Stale queue entries cleaned', { removed });
     }
+
+    await this._store.pruneHistory();
   }
 
   /**
    * Queue and match stats
    */
-  getQueueStats() {
+  async getQueueStats() {
     return {
-      textQueue: this._textQueue.length,
-      videoQueue: this._videoQueue.length,
-      activeMatches: this._activeMatches.size,
+      textQueue: await this._store.queueSize('text'),
+      videoQueue: await this._store.queueSize('video'),
+      activeMatches: await this._store.matchCount(),
       graceTimers: this._graceTimers.size
     };
   }
 
   // ─── PRIVATE HELPERS ─────────────────────────────────────────
 
-  _getQueue(mode) {
-    return mode === 'video' ? this._videoQueue : this._textQueue;
-  }
-
-  _removeFromQueue(socketId, queue) {
-    const idx = queue.findIndex(u => u.socketId === socketId);
-    if (idx !== -1) {
-      queue.splice(idx, 1);
-      return true;
-    }
-    return false;
+  _getMode(mode) {
+    return mode === 'video' ? 'video' : 'text';
   }
 
   /**
-   * Score-based best match selection.
-   * score = (commonInterests × 10) + waitBonus(3 if waited > 30s)
+   * Score-based best match selection — see ScoringPipeline and scoring/scorers.
+   * Default score = (commonInterests × 10) + waitBonus(3 if waited > 30s)
+   *                 + 5 same language + 2 same region − 20 recent partner
+   * (see config/scoring.js)
    * Tie-break: longest wait time wins (prevents starvation)
+   *
+   * Sessions that blocked each other are never candidates, and nobody is
+   * while the block list is unavailable — the user just stays queued.
+   * Sessions paired within RECENT_COOLDOWN_MS are skipped entirely with the
+   * 'exclude' policy, or scored down by the recentMatch scorer with 'penalise'.
+   *
+   * Candidates are claimed together with the joining user in one atomic
+   * store call, best score first. Stops early if another instance has
+   * already claimed the joining user.
+   *
+   * Returns { candidate, score: { total, breakdown } } or null.
    */
-  _findBestMatch(user, queue) {
-    if (queue.length === 0) return null;
-
-    let best = null;
-    let bestScore = -1;
-    let bestIndex = -1;
-
-    queue.forEach((candidate, i) => {
-      if (candidate.socketId === user.socketId) return;
-
-      const score = this._calculateScore(user, candidate);
-      const isBetter =
-        score > bestScore ||
-        (score === bestScore && best && candidate.joinedQueueAt < best.joinedQueueAt);
-
-      if (isBetter) {
-        best = candidate;
-        bestScore = score;
-        bestIndex = i;
+  async _findBestMatch(user, mode) {
+    const queue = await this._store.listQueue(mode);
+    const recentPartners = await this._store.getRecentPartners(user.sessionId);
+    const blocked = await blockService.getBlockedSessionIds(user.sessionId);
+    if (!blocked) return null;
+    const excludeRecent = this.RECENT_POLICY === 'exclude';
+
+    const ranked = queue
+      .filter(candidate => candidate.socketId !== user.socketId)
+      .filter(candidate => !blocked.has(candidate.sessionId))
+      .filter(candidate => !(excludeRecent && recentPartners.has(candidate.sessionId)))
+      .map(candidate => ({ candidate, score: this._calculateScore(user, candidate, { recentPartners }) }))
+      .sort((a, b) =>
+        b.score.total - a.score.total ||
+        new Date(a.candidate.joinedQueueAt) - new Date(b.candidate.joinedQueueAt)
+      );
+
+    for (const best of ranked) {
+      if (await this._store.claimPair(mode, user.socketId, best.candidate.socketId)) {
+        return best;
+      }
+      if (!(await this._store.isQueued(mode, user.socketId))) {
+        return null;
       }
-    });
-
-    if (best) {
-      queue.splice(bestIndex, 1); // remove from queue before returning
     }
 
-    return best;
+    return null;
   }
 
-  _calculateScore(u1, u2) {
-    const common = this._findCommonInterests(u1.interests, u2.interests);
-    let score = common.length * 10;
-
-    // Starvation guard — reward long waits
-    const waitMs = Date.now() - new Date(u2.joinedQueueAt).getTime();
-    if (waitMs > this.STARVATION_WAIT_MS) {
-      score += 3;
-    }
-
-    return score;
+  /**
+   * Returns { total, breakdown } from the scoring pipeline
+   */
+  _calculateScore(u1, u2, ctx = {}) {
+    return this._scoring.score(u1, u2, ctx);
   }
 
   _findCommonInterests(a = [], b = []) {
-    const setB = new Set(b.map(i => i.toLowerCase()));
-    return a.filter(i => setB.has(i.toLowerCase()));
+    return findCommonInterests(a, b);
   }
 
-  _createMatch(user1, user2) {
+  async _createMatch(user1, user2, score = null) {
     const roomId = `room_${uuidv4()}`;
     const commonInterests = this._findCommonInterests(user1.interests, user2.interests);
 
@@ -278,13 +326,19 @@ class MatchmakingService {
       createdAt: new Date(),
       mode: user1.mode,
       commonInterests,
+      score: score ? score.total : null,
+      scoreBreakdown: score ? score.breakdown : null,
       state: 'MATCHED'
     };
 
-    this._activeMatches.set(roomId, match);
+    await this._store.saveMatch(match);
+
+    if (user1.sessionId && user2.sessionId) {
+      await this._store.recordPairing(user1.sessionId, user2.sessionId, this.RECENT_COOLDOWN_MS);
+    }
 
     // Update presence for both users
-    presenceService.updateUser(user1.socketId, {
+    await presenceService.updateUser(user1.socketId, {
       isMatched: true,
       currentMatch: user2.socketId,
       roomId,
@@ -292,7 +346,7 @@ class MatchmakingService {
       matchState: 'MATCHED'
     });
 
-    presenceService.updateUser(user2.socketId, {
+    await presenceService.updateUser(user2.socketId, {
       isMatched: true,
       currentMatch: user1.socketId,
       roomId,
@@ -305,6 +359,8 @@ class MatchmakingService {
       user1: user1.socketId,
       user2: user2.socketId,
       commonInterests,
+      score: match.score,
+      scoreBreakdown: match.scoreBreakdown,
       mode: user1.mode
     });
 
@@ -319,22 +375,6 @@ class MatchmakingService {
       logger.info('Grace timer cancelled', { sessionId });
     }
   }
-
-  _findMatchBySession(sessionId) {
-    const socketId = presenceService.getSocketIdBySession(sessionId);
-    if (!socketId) return null;
-
-    for (const match of this._activeMatches.values()) {
-      if (
-        match.user1SocketId === socketId ||
-        match.user2SocketId === socketId ||
-        match.state === 'GRACE'
-      ) {
-        return match;
-      }
-    }
-    return null;
-  }
 }
 
 // Singleton
@@ -0,0 +1,200 @@
+const crypto = require('crypto');
+const logger = require('../loaders/logger');
+const config = require('../config/env');
+const Media = require('../models/Media');
+const presenceService = require('./PresenceService');
+const LocalMediaStore = require('../stores/LocalMediaStore');
+const { isConnected: isMongoConnected } = require('../config/mongo');
+
+const IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif'];
+const OUTPUT_TYPE = 'image/webp';
+
+/**
+ * MediaService
+ * Image uploads for chat messages.
+ *
+ * Flow:
+ *   POST /api/chat/media  -> upload(): only a session in an active match,
+ *                            scoped to its current room; the image is
+ *                            re-encoded with sharp (EXIF and other metadata
+ *                            dropped, resized to fit MEDIA_MAX_DIMENSION)
+ *   send-message image    -> getForMessage() + moderation, then
+ *                            claimForMessage() and delivery
+ *                            (discard() if moderation blocks it,
+ *                            releaseClaim() if the save fails)
+ *   GET /api/chat/media/:id -> read()
+ *
+ * Files live in a pluggable store (local disk by default, S3/MinIO when
+ * configured); records live in MongoDB and expire with the chat.
+ */
+class MediaService {
+  constructor() {
+    this._store = new LocalMediaStore(config.MEDIA_DIR);
+    this.MAX_UPLOAD_BYTES = config.MEDIA_MAX_UPLOAD_BYTES;
+    this.MAX_DIMENSION = config.MEDIA_MAX_DIMENSION;
+    this.IMAGE_TYPES = IMAGE_TYPES;
+  }
+
+  /**
+   * Swap the file backend (e.g. S3 when configured)
+   */
+  setStore(store) {
+    this._store = store;
+  }
+
+  // ─── UPLOAD ──────────────────────────────────────────────────
+
+  async upload({ buffer, mimetype, sessionId }) {
+    if (!isMongoConnected()) throw this._error(503, 'Media uploads are unavailable');
+    if (!sessionId) throw this._error(401, 'X-Session-ID header is required');
+
+    const user = await presenceService.getUserBySession(sessionId);
+    if (!user?.isMatched || !user.roomId) throw this._error(403, 'Not in an active chat session');
+    if (!IMAGE_TYPES.includes(mimetype)) {
+      throw this._error(415, `Only ${IMAGE_TYPES.join(', ')} images are supported`);
+    }
+
+    const image = await this._processImage(buffer);
+    const mediaId = crypto.randomUUID();
+    const storageKey = `media/${mediaId}.webp`;
+    await this._store.put(storageKey, image.data, OUTPUT_TYPE);
+
+    const media = await Media.create({
+      mediaId,
+      roomId: user.roomId,
+      sessionId,
+      storageKey,
+      contentType: OUTPUT_TYPE,
+      size: image.info.size,
+      width: image.info.width,
+      height: image.info.height,
+      expiresAt: new Date(Date.now() + config.MESSAGE_EXPIRY_HOURS * 60 * 60 * 1000)
+    });
+
+    logger.info('Media uploaded', { mediaId, roomId: user.roomId, size: image.info.size });
+    return this._format(media);
+  }
+
+  // ─── SEND ────────────────────────────────────────────────────
+
+  /**
+   * An unsent upload of this session in this room, for moderation.
+   * Nothing is marked yet, so a failed moderation call leaves it sendable.
+   * Returns { media, buffer }.
+   */
+  async getForMessage(mediaId, { sessionId, roomId }) {
+    if (!isMongoConnected()) throw this._error(503, 'Media is unavailable');
+    const media = await Media.findOne({ mediaId, sessionId, roomId, sentAt: null }).lean();
+    if (!media) throw this._error(404, 'Image not found — upload it again');
+
+    const file = await this._store.get(media.storageKey);
+    if (!file) throw this._error(404, 'Image not found — upload it again');
+    return { media: this._format(media), buffer: file.buffer };
+  }
+
+  /**
+   * Mark a moderated upload as sent, right before its message is saved.
+   * Claiming is atomic, so an image goes out at most once — a second
+   * concurrent send gets a 409.
+   */
+  async claimForMessage(mediaId, { sessionId, roomId }) {
+    const claimed = await Media.findOneAndUpdate(
+      { mediaId, sessionId, roomId, sentAt: null },
+      { $set: { sentAt: new Date() } }
+    );
+    if (!claimed) throw this._error(409, 'Image was already sent');
+  }
+
+  /**
+   * Undo claimForMessage when the message could not be saved, so the
+   * client's retry can send the image again
+   */
+  async releaseClaim(mediaId) {
+    await Media.updateOne({ mediaId }, { $set: { sentAt: null } });
+  }
+
+  /**
+   * Delete an upload that failed moderation or was never sent
+   */
+  async discard(mediaId) {
+    const media = await Media.findOneAndDelete({ mediaId });
+    if (media) await this._store.remove(media.storageKey).catch(() => {});
+  }
+
+  // ─── SERVE ───────────────────────────────────────────────────
+
+  /**
+   * { buffer, contentType } for a sent image, or null
+   */
+  async read(mediaId) {
+    if (!isMongoConnected()) return null;
+    const media = await Media.findOne({ mediaId, sentAt: { $ne: null }, expiresAt: { $gt: new Date() } }).lean();
+    if (!media) return null;
+
+    const file = await this._store.get(media.storageKey);
+    return file ? { buffer: file.buffer, contentType: media.contentType } : null;
+  }
+
+  // ─── CLEANUP ─────────────────────────────────────────────────
+
+  /**
+   * Remove expired uploads — file first, then the record
+   */
+  async pruneExpired() {
+    if (!isMongoConnected()) return 0;
+    const expired = await Media.find({ expiresAt: { $lte: new Date() } }).limit(500).lean();
+    for (const media of expired) {
+      await this._store.remove(media.storageKey);
+      await Media.deleteOne({ _id: media._id });
+    }
+    if (expired.length) logger.info('Expired media pruned', { count: expired.length });
+    return expired.length;
+  }
+
+  // ─── PRIVATE ─────────────────────────────────────────────────
+
+  /**
+   * Re-encode to WebP: auto-rotate from EXIF, then drop all metadata
+   * (sharp keeps none unless asked) and fit within MAX_DIMENSION.
+   */
+  async _processImage(buffer) {
+    // Loaded lazily — the native binary is only needed once uploads happen
+    const sharp = require('sharp');
+    try {
+      return await sharp(buffer, { animated: false })
+        .rotate()
+        .resize({
+          width: this.MAX_DIMENSION,
+          height: this.MAX_DIMENSION,
+          fit: 'inside',
+          withoutEnlargement: true
+        })
+        .webp({ quality: 80 })
+        .toBuffer({ resolveWithObject: true });
+    } catch (err) {
+      logger.warn('Rejected unreadable image', { error: err.message });
+      throw this._error(400, 'File is not a valid image');
+    }
+  }
+
+  _format(media) {
+    return {
+      id: media.mediaId,
+      url: `/api/chat/media/${media.mediaId}`,
+      contentType: media.contentType,
+      size: media.size,
+      width: media.width,
+      height: media.height,
+      expiresAt: media.expiresAt
+    };
+  }
+
+  _error(status, message) {
+    const err = new Error(message);
+    err.status = status;
+    return err;
+  }
+}
+
+const mediaService = new MediaService();
+module.exports = mediaService;
@@ -0,0 +1,147 @@
+const logger = require('../loaders/logger');
+const TermMatcher = require('../moderation/TermMatcher');
+const MemoryTermStore = require('../stores/MemoryTermStore');
+const { DEFAULT_EXTRA_TERMS } = require('../moderation/providers/WordlistProvider');
+
+const LISTS = ['block', 'allow'];
+
+// What a fresh store starts with — the old hardcoded extra blocklist
+const DEFAULT_TERMS = DEFAULT_EXTRA_TERMS.map(term => ({
+  term,
+  list: 'block',
+  matchType: 'word',
+  category: 'prohibited-terms',
+  createdBy: 'system'
+}));
+
+/**
+ * ModerationListService
+ * Owns the runtime-editable moderation blocklist and allowlist.
+ *
+ * Terms live in a pluggable store (memory by default, Mongo or a watched
+ * JSON file when configured). Every change — through the admin API, a file
+ * edit, or another instance writing to Mongo — recompiles the lists and
+ * hands them to onChange() listeners, so no restart is needed.
+ */
+class ModerationListService {
+  constructor() {
+    this._listeners = [];
+    this._compiled = null;
+    this._signature = null;
+    this._stopWatch = null;
+    this._ready = this.setStore(new MemoryTermStore());
+  }
+
+  /**
+   * Swap the term store, seed it if empty and load it.
+   * Stores that can see outside changes (file watch, Mongo polling)
+   * trigger a reload through watch().
+   */
+  async setStore(store) {
+    this.stop();
+    this._store = store;
+    await store.seed(DEFAULT_TERMS);
+    await this.reload();
+
+    if (typeof store.watch === 'function') {
+      this._stopWatch = store.watch(() => {
+        this.reload().catch(err => logger.error('Moderation list reload failed', { error: err.message }));
+      });
+    }
+  }
+
+  stop() {
+    if (this._stopWatch) this._stopWatch();
+    this._stopWatch = null;
+  }
+
+  /**
+   * listener({ block: TermMatcher, allow: TermMatcher }) now and on every
+   * change — returns an unsubscribe function
+   */
+  onChange(listener) {
+    this._listeners.push(listener);
+    if (this._compiled) listener(this._compiled);
+    return () => {
+      this._listeners = this._listeners.filter(l => l !== listener);
+    };
+  }
+
+  getCompiled() {
+    return this._compiled;
+  }
+
+  /**
+   * Recompile from the store — listeners only hear about real changes
+   */
+  async reload() {
+    const terms = await this._store.list();
+    const signature = JSON.stringify(terms.map(t => [t.id, t.category]));
+    if (signature === this._signature) return;
+
+    const compiled = {};
+    for (const list of LISTS) {
+      compiled[list] = new TermMatcher(terms.filter(t => t.list === list));
+      for (const { entry, error } of compiled[list].invalid) {
+        logger.error('Skipping invalid moderation term', { id: entry.id, error });
+      }
+    }
+
+    this._compiled = compiled;
+    this._signature = signature;
+    for (const listener of this._listeners) listener(compiled);
+    logger.info('Moderation lists loaded', { block: compiled.block.size, allow: compiled.allow.size });
+  }
+
+  // ─── ADMIN ───────────────────────────────────────────────────
+
+  async listTerms({ list } = {}) {
+    const terms = await this._store.list();
+    return list ? terms.filter(t => t.list === list) : terms;
+  }
+
+  async addTerm({ term, list, matchType = 'word', category, note = '' }, { createdBy }) {
+    term = typeof term === 'string' ? term.trim() : '';
+    if (!term) throw this._error(400, 'term is required');
+    if (term.length > 200) throw this._error(400, 'term must be at most 200 characters');
+    if (!LISTS.includes(list)) throw this._error(400, `list must be one of: ${LISTS.join(', ')}`);
+    if (!TermMatcher.MATCH_TYPES.includes(matchType)) {
+      throw this._error(400, `matchType must be one of: ${TermMatcher.MATCH_TYPES.join(', ')}`);
+    }
+
+    try {
+      TermMatcher.compile({ term, matchType });
+    } catch (err) {
+      throw this._error(400, `Invalid term: ${err.message}`);
+    }
+
+    const entry = { term, list, matchType, note, createdBy };
+    if (list === 'block') entry.category = category || 'prohibited-terms';
+
+    const saved = await this._store.add(entry);
+    await this.reload();
+    logger.info('Moderation term added', { id: saved.id, list, matchType, createdBy });
+    return saved;
+  }
+
+  async removeTerm(id, { removedBy }) {
+    const removed = await this._store.remove(id);
+    if (removed) {
+      await this.reload();
+      logger.info('Moderation term removed', { id, removedBy });
+    }
+    return removed;
+  }
+
+  // ─── PRIVATE ─────────────────────────────────────────────────
+
+  _error(status, message) {
+    const err = new Error(message);
+    err.status = status;
+    return err;
+  }
+}
+
+// Singleton
+const moderationListService = new ModerationListService();
+module.exports = moderationListService;
@@ -1,60 +1,172 @@
-const axios = require('axios');
-const leoProfanity = require('leo-profanity');
 const logger = require('../loaders/logger');
+const config = require('../config/env');
+const MemoryViolationStore = require('../stores/MemoryViolationStore');
+const MemoryVerdictStore = require('../stores/MemoryVerdictStore');
+const MemoryShadowStore = require('../stores/MemoryShadowStore');
+const VerdictCache = require('../moderation/VerdictCache');
+const moderationListService = require('./ModerationListService');
+const ProviderChain = require('../moderation/ProviderChain');
+const ModerationPolicy = require('../moderation/ModerationPolicy');
+const { buildProviders } = require('../moderation/providers');
+const {
+  loadModerationConfig, loadShadowConfig, DEFAULT_PROVIDERS, DEFAULT_IMAGE_PROVIDERS, DEFAULT_POLICY
+} = require('../config/moderation');
 
 /**
  * ModerationService
  *
- * Two-layer moderation — completely free, no billing required:
- *   Layer 1 — leo-profanity local filter  (zero latency, zero API calls)
- *   Layer 2 — Hugging Face Inference API — unitary/toxic-bert
- *             (free tier, no credit card, just HF account token)
+ * Runs every message through an ordered chain of moderation providers
+ * (see moderation/ProviderChain.js). Default chain:
+ *   local            — leo-profanity + extra blocklist (zero latency)
+ *   regex            — phrasing rules a wordlist misses
+ *   huggingface      — unitary/toxic-bert over HTTPS (needs HF_API_TOKEN)
+ *   local-classifier — offline CPU classifier, only when huggingface
+ *                      is unset or failing
  *
  * Flow:
- *   content -> Layer 1 -> flagged? block immediately
- *           -> Layer 1 passes -> Layer 2 -> flagged? block + log
- *           -> both pass -> allow message
+ *   content -> each provider in order -> a category over its threshold?
+ *              -> that category's policy action (log/block/warn/kick/ban)
+ *           -> none flags -> allow message
+ *
+ * Image messages run through a separate image chain (checkImage) under
+ * the same policy table and violation history.
+ *
+ * Shadow mode: a candidate chain (MODERATION_SHADOW_CONFIG) can run on
+ * the same messages after the live decision. It never changes delivery —
+ * it only records messages where its action differs from the live one.
  */
-class ModerationService {
-  constructor() {
-    this._hfEnabled = false;
-    this._hfToken = null;
-    this._hfModel = 'unitary/toxic-bert';
-    this._hfApiUrl = `https://router.huggingface.co/hf-inference/models/${this._hfModel}`;
 
-    // Flag threshold — any label scoring above this is considered harmful
-    this._threshold = 0.5;
+// How much of a message a shadow disagreement keeps for review
+const SHADOW_EXCERPT_LENGTH = 200;
 
-    // Tracks violations per socketId
-    this._flaggedCounts = new Map();
+class ModerationService {
+  constructor() {
+    // Violation history per sessionId — swapped for Redis by setStore().
+    // Only violations inside the decay window count towards warn/kick,
+    // each weighted by its category's severity.
+    this._violations = new MemoryViolationStore();
+    this.VIOLATION_WINDOW_MS = config.MODERATION_VIOLATION_WINDOW_MS;
     this.MAX_FLAGS_BEFORE_WARN = 2;
     this.MAX_FLAGS_BEFORE_KICK = 5;
 
-    // Extra blocklist leo-profanity doesn't cover
-    this._extraBlocklist = [
-      'csam', 'jailbait', 'childporn',
-      'kill yourself', 'kys',
-      'doxxing', 'dox me', 'dox you'
-    ];
+    // Fail closed: block a message when a provider failed (or its circuit
+    // is open) and nothing after it could check the message instead
+    this.BLOCK_ON_FAIL = config.MODERATION_BLOCK_ON_FAIL;
+    this.LOG_FLAGGED = config.MODERATION_LOG_FLAGGED;
+
+    // Remote classifier verdicts by content hash — swapped for Redis by
+    // setCacheStore() so every instance shares them
+    this._verdictCache = new VerdictCache(
+      new MemoryVerdictStore({ maxEntries: config.MODERATION_CACHE_MAX_ENTRIES }),
+      { ttlMs: config.MODERATION_CACHE_TTL_MS }
+    );
+    // The shadow chain caches apart from the live one, so a candidate
+    // provider sharing a live provider's name never reads live verdicts
+    this._shadowCache = new VerdictCache(
+      new MemoryVerdictStore({ maxEntries: config.MODERATION_CACHE_MAX_ENTRIES }),
+      { ttlMs: config.MODERATION_CACHE_TTL_MS, namespace: 'shadow' }
+    );
+
+    // Shadow chain and its disagreements — swapped for Redis by
+    // setShadowStore(). checked counts this instance only.
+    this._shadow = null;
+    this._shadowStore = new MemoryShadowStore();
+    this._shadowChecked = 0;
+    this.SHADOW_MAX_ENTRIES = config.MODERATION_SHADOW_MAX_ENTRIES;
 
     this._init();
   }
 
+  /**
+   * Swap the violation history backend (e.g. Redis when available)
+   */
+  setStore(store) {
+    this._violations = store;
+  }
+
+  /**
+   * Swap the verdict cache backend (e.g. Redis when available)
+   */
+  setCacheStore(store) {
+    this._verdictCache.setStore(store);
+    this._shadowCache.setStore(store);
+  }
+
+  /**
+   * Swap the shadow disagreement backend (e.g. Redis when available)
+   */
+  setShadowStore(store) {
+    this._shadowStore = store;
+  }
+
+  /**
+   * Replace the provider chain — tests use this to plug in fakes.
+   * Keeps the current policy unless a new one is given.
+   */
+  setProviders(providers, policy = this._chain?.getPolicy()) {
+    this._chain = new ProviderChain(providers, policy);
+    this._prepareChain(this._chain, this._verdictCache);
+  }
+
+  /**
+   * Replace the image chain. Keeps the current policy unless a new one
+   * is given.
+   */
+  setImageProviders(providers, policy = this._chain.getPolicy()) {
+    this._imageChain = new ProviderChain(providers, policy);
+  }
+
+  /**
+   * Run a candidate chain in shadow mode; null turns shadow mode off.
+   * The policy defaults to the live one so only the providers differ.
+   */
+  setShadow(providers, policy = this._chain.getPolicy()) {
+    this._shadow = providers ? new ProviderChain(providers, policy) : null;
+    this._shadowChecked = 0;
+    if (this._shadow) this._prepareChain(this._shadow, this._shadowCache);
+  }
+
   // ─── INIT ────────────────────────────────────────────────────
 
   _init() {
-    const token = process.env.HF_API_TOKEN;
+    let providers;
+    let imageProviders;
+    let policy;
+    try {
+      const moderationConfig = loadModerationConfig();
+      providers = buildProviders(moderationConfig.providers);
+      imageProviders = buildProviders(moderationConfig.imageProviders);
+      policy = new ModerationPolicy(moderationConfig.policy);
+    } catch (err) {
+      logger.error('Invalid moderation config — using defaults', { error: err.message });
+      providers = buildProviders(DEFAULT_PROVIDERS);
+      imageProviders = buildProviders(DEFAULT_IMAGE_PROVIDERS);
+      policy = new ModerationPolicy(DEFAULT_POLICY);
+    }
+    this.setProviders(providers, policy);
+    this.setImageProviders(imageProviders, policy);
 
-    if (!token) {
-      logger.warn('ModerationService: HF_API_TOKEN not set — Layer 2 disabled, Layer 1 (local) still active');
-      return;
+    try {
+      const shadowConfig = loadShadowConfig();
+      if (shadowConfig) {
+        this.setShadow(buildProviders(shadowConfig.providers), new ModerationPolicy(shadowConfig.policy));
+        logger.info('Moderation shadow mode enabled', {
+          providers: this._shadow.getProviders().filter(p => p.enabled).map(p => p.name)
+        });
+      }
+    } catch (err) {
+      logger.error('Invalid moderation shadow config — shadow mode off', { error: err.message });
     }
 
-    this._hfToken = token;
-    this._hfEnabled = true;
+    // Block/allow lists can change at runtime — keep providers in step
+    moderationListService.onChange(lists => this._applyLists(lists));
+
+    for (const provider of [...providers, ...imageProviders].filter(p => !p.enabled)) {
+      logger.warn(`ModerationService: provider "${provider.name}" disabled (not configured)`);
+    }
     logger.info('ModerationService initialized', {
-      layer1: 'leo-profanity (local)',
-      layer2: `Hugging Face — ${this._hfModel}`
+      providers: providers.filter(p => p.enabled).map(p => p.name),
+      imageProviders: imageProviders.filter(p => p.enabled).map(p => p.name)
     });
   }
 
@@ -62,6 +174,8 @@ class ModerationService {
 
   /**
    * Call this before saving or delivering any message.
+   * Violations are recorded against sessionId; pass null to check
+   * without tracking (e.g. the REST check-content endpoint).
    *
    * Returns:
    * {
@@ -69,166 +183,322 @@ class ModerationService {
    *   flagged:    boolean,
    *   reason:     string | null,
    *   categories: string[],
-   *   layer:      'local' | 'huggingface' | null,
-   *   action:     'allow' | 'block' | 'warn' | 'kick'
+   *   provider:   name of the deciding provider | null,
+   *   layer:      same as provider (kept for older consumers),
+   *   score:      deciding provider's score (0 when allowed),
+   *   action:     'allow' | 'log' | 'block' | 'warn' | 'kick' | 'ban',
+   *   failed?:    true when blocked only because it could not be checked
    * }
+   * 'log' means the category's policy lets the message through; it is
+   * still reported as flagged.
    */
-  async checkMessage(content, socketId) {
+  async checkMessage(content, sessionId) {
     if (!content?.trim()) {
       return this._result(true, null, [], null, 'allow');
     }
 
-    // ── Layer 1: Local filter ──────────────────────────────────
-    const localResult = this._localCheck(content);
-    if (localResult.flagged) {
-      logger.warn('Message blocked by local filter', { socketId, reason: localResult.reason });
-      const action = this._trackViolation(socketId);
-      return this._result(false, localResult.reason, localResult.categories, 'local', action);
-    }
+    const verdict = await this._chain.run(content);
 
-    // ── Layer 2: Hugging Face API ──────────────────────────────
-    if (!this._hfEnabled) {
-      return this._result(true, null, [], null, 'allow');
-    }
+    // Not awaited — the shadow chain must never slow down or change delivery
+    if (this._shadow) this._runShadow(content, sessionId, verdict);
 
-    try {
-      const hfResult = await this._hfCheck(content);
+    return this._decide(verdict, sessionId);
+  }
 
-      if (hfResult.flagged) {
-        logger.warn('Message blocked by Hugging Face moderation', {
-          socketId,
-          label: hfResult.label,
-          score: hfResult.score
-        });
-        const action = this._trackViolation(socketId);
-        return this._result(
-          false,
-          'Content violates community guidelines',
-          [hfResult.label],
-          'huggingface',
-          action
-        );
-      }
+  async checkContent(content) {
+    return this.checkMessage(content, null);
+  }
 
-      return this._result(true, null, [], 'huggingface', 'allow');
+  /**
+   * Check an uploaded image before its message is delivered. Same result
+   * shape as checkMessage(). With no image provider configured, images
+   * are only blocked in fail-closed mode.
+   */
+  async checkImage(image, sessionId, { contentType } = {}) {
+    const verdict = await this._imageChain.run(image, { contentType });
+    if (!this._imageChain.getProviders().some(p => p.enabled)) verdict.degraded = true;
+    return this._decide(verdict, sessionId);
+  }
 
-    } catch (err) {
-      logger.error('Hugging Face moderation API error', { error: err.message });
+  // ─── TRACKING ────────────────────────────────────────────────
 
-      // Fail open — don't punish users for API issues
-      return this._result(true, null, [], null, 'allow');
-    }
+  /**
+   * Number of violations recorded for a session inside the decay window
+   */
+  async getFlagCount(sessionId) {
+    if (!sessionId) return 0;
+    return this._violations.count(sessionId, this.VIOLATION_WINDOW_MS);
   }
 
-  async checkContent(content) {
-    return this.checkMessage(content, 'api');
+  async getViolations(sessionId) {
+    if (!sessionId) return [];
+    return this._violations.list(sessionId, this.VIOLATION_WINDOW_MS);
   }
 
-  // ─── TRACKING ────────────────────────────────────────────────
-
-  getFlagCount(socketId) {
-    return this._flaggedCounts.get(socketId) || 0;
+  async clearViolations(sessionId) {
+    if (!sessionId) return;
+    await this._violations.clear(sessionId);
   }
 
-  resetFlagCount(socketId) {
-    this._flaggedCounts.delete(socketId);
+  /**
+   * Sessions with at least one violation inside the decay window
+   */
+  async getActiveFlaggedCount() {
+    return this._violations.activeCount(this.VIOLATION_WINDOW_MS);
   }
 
   isEnabled() {
-    return true; // Layer 1 always active
+    return this._chain.getProviders().some(p => p.enabled);
   }
 
-  isHFEnabled() {
-    return this._hfEnabled;
+  /**
+   * Provider chain in order, with each provider's threshold and timeout
+   */
+  getProviders() {
+    return this._chain.describe();
+  }
+
+  getImageProviders() {
+    return this._imageChain.describe();
+  }
+
+  /**
+   * Provider and circuit breaker state for /health. degraded while any
+   * enabled provider's circuit is not closed.
+   */
+  getHealth() {
+    const providers = [...this._chain.getProviders(), ...this._imageChain.getProviders()].map(p => ({
+      name: p.name,
+      enabled: p.enabled,
+      breaker: p.breaker ? p.breaker.getState() : null
+    }));
+    const degraded = providers.some(p => p.enabled && p.breaker && p.breaker.state !== 'closed');
+    return {
+      status: degraded ? 'degraded' : 'ok',
+      blockOnFail: this.BLOCK_ON_FAIL,
+      providers
+    };
+  }
+
+  /**
+   * Verdict cache hits, misses and hit rate since startup
+   */
+  getCacheStats() {
+    return this._verdictCache.getStats();
+  }
+
+  /**
+   * Shadow-mode summary plus the newest disagreements (up to limit).
+   * Kinds:
+   *   shadow-blocks  live delivered the message, the candidate would not
+   *   shadow-allows  live blocked it, the candidate would deliver it
+   *   action-differs both deliver or both block, with different actions
+   */
+  async getShadowReport({ limit = 50 } = {}) {
+    if (!this._shadow) return { enabled: false };
+
+    const entries = await this._shadowStore.list(this.SHADOW_MAX_ENTRIES);
+    const byKind = { 'shadow-blocks': 0, 'shadow-allows': 0, 'action-differs': 0 };
+    const byCategory = {};
+    for (const entry of entries) {
+      byKind[entry.kind] += 1;
+      const side = entry.kind === 'shadow-allows' ? entry.live : entry.shadow;
+      for (const category of side.categories) {
+        byCategory[category] = (byCategory[category] || 0) + 1;
+      }
+    }
+
+    return {
+      enabled: true,
+      checked: this._shadowChecked,
+      disagreements: entries.length,
+      byKind,
+      byCategory,
+      providers: this._shadow.describe(),
+      policy: this._shadow.getPolicy().toJSON(),
+      cache: this._shadowCache.getStats(),
+      entries: entries.slice(0, limit)
+    };
+  }
+
+  async clearShadowReport() {
+    this._shadowChecked = 0;
+    await this._shadowStore.clear();
+  }
+
+  /**
+   * Per-category threshold / action / severity table
+   */
+  getPolicy() {
+    return this._chain.getPolicy().toJSON();
   }
 
   // ─── PRIVATE ─────────────────────────────────────────────────
 
-  _localCheck(content) {
-    const lower = content.toLowerCase().trim();
+  /**
+   * Share a verdict cache and the current block/allow lists with a chain
+   */
+  _prepareChain(chain, cache) {
+    for (const provider of chain.getProviders()) {
+      if (typeof provider.setCache === 'function') provider.setCache(cache);
+    }
+    const lists = moderationListService.getCompiled();
+    if (lists) this._applyLists(lists);
+  }
+
+  /**
+   * Shadow wordlists configured with their own terms keep them — they
+   * are the candidate list being evaluated
+   */
+  _applyLists(lists) {
+    for (const provider of this._chain.getProviders()) {
+      if (typeof provider.setLists === 'function') provider.setLists(lists);
+    }
+    for (const provider of this._shadow?.getProviders() || []) {
+      if (typeof provider.setLists === 'function' && !provider.hasOwnTerms) provider.setLists(lists);
+    }
+  }
+
+  /**
+   * Run the shadow chain and record a disagreement with the live verdict.
+   * Compares policy actions only — live escalation from repeat offences
+   * is not part of the candidate configuration.
+   */
+  async _runShadow(content, sessionId, live) {
+    try {
+      const shadow = await this._shadow.run(content);
+      this._shadowChecked += 1;
+      if (shadow.action === live.action) return;
+
+      await this._shadowStore.record({
+        at: Date.now(),
+        sessionId,
+        excerpt: content.slice(0, SHADOW_EXCERPT_LENGTH),
+        kind: _disagreementKind(live.action, shadow.action),
+        live: _verdictSummary(live),
+        shadow: _verdictSummary(shadow)
+      }, this.SHADOW_MAX_ENTRIES);
+    } catch (err) {
+      logger.error('Shadow moderation failed', { error: err.message });
+    }
+  }
+
+  /**
+   * Turn a chain verdict into a checkMessage()-style result, recording a
+   * violation when the message is blocked
+   */
+  async _decide(verdict, sessionId) {
+    for (const failure of verdict.failures) {
+      // An open circuit is expected — it was already logged when it failed
+      if (failure.skipped) logger.debug('Moderation provider skipped', failure);
+      else logger.error('Moderation provider failed', failure);
+    }
 
-    // Check extra blocklist first
-    for (const term of this._extraBlocklist) {
-      if (lower.includes(term)) {
+    if (!verdict.flagged) {
+      if (verdict.degraded && this.BLOCK_ON_FAIL) {
+        // Not the sender's fault, so no violation is recorded
+        logger.warn('Message blocked — moderation unavailable', {
+          sessionId,
+          failed: verdict.failures.map(f => f.provider)
+        });
         return {
-          flagged: true,
-          reason: 'Content contains prohibited terms',
-          categories: ['prohibited-terms']
+          ...this._result(false, 'Your message could not be checked right now. Please try again shortly.', [], null, 'block'),
+          flagged: false,
+          failed: true
         };
       }
+      // Fail open — don't punish users for provider outages
+      return this._result(true, null, [], null, 'allow');
     }
 
-    // leo-profanity filter
-    if (leoProfanity.check(content)) {
+    if (verdict.action === 'log') {
+      if (this.LOG_FLAGGED) {
+        logger.warn('Message flagged but allowed by policy', {
+          sessionId,
+          provider: verdict.provider,
+          categories: verdict.categories,
+          score: verdict.score
+        });
+      }
       return {
-        flagged: true,
-        reason: 'Content contains inappropriate language',
-        categories: ['profanity']
+        ...this._result(true, verdict.reason, verdict.categories, verdict.provider, 'log', verdict.score),
+        flagged: true
       };
     }
 
-    return { flagged: false };
+    // The category's own action applies at once; repeat offences can
+    // still escalate it further
+    const escalated = await this._trackViolation(sessionId, verdict);
+    const action = ModerationPolicy.strongerAction(verdict.action, escalated);
+
+    if (this.LOG_FLAGGED) {
+      logger.warn('Message blocked by moderation', {
+        sessionId,
+        provider: verdict.provider,
+        categories: verdict.categories,
+        score: verdict.score,
+        policyAction: verdict.action,
+        action
+      });
+    }
+    return this._result(false, verdict.reason, verdict.categories, verdict.provider, action, verdict.score);
   }
 
   /**
-   * Call Hugging Face unitary/toxic-bert
-   *
-   * Model returns array of classifications like:
-   * [
-   *   { label: 'toxic',         score: 0.95 },
-   *   { label: 'severe_toxic',  score: 0.02 },
-   *   { label: 'obscene',       score: 0.60 },
-   *   { label: 'threat',        score: 0.01 },
-   *   { label: 'insult',        score: 0.80 },
-   *   { label: 'identity_hate', score: 0.01 },
-   * ]
-   * Flagged if ANY label scores above threshold (default 0.5).
-   */
-  async _hfCheck(content) {
-    const response = await axios.post(
-      this._hfApiUrl,
-      { inputs: content },
-      {
-        headers: {
-          Authorization: `Bearer ${this._hfToken}`,
-          'Content-Type': 'application/json'
-        },
-        timeout: 8000
-      }
-    );
-
-    // Response is array of arrays — take first result
-    const results = Array.isArray(response.data?.[0])
-      ? response.data[0]
-      : response.data || [];
+   * Record a violation and map the session's severity-weighted recent
+   * total to an action. Untracked checks, or a history store that is
+   * down, just block.
+   */
+  async _trackViolation(sessionId, verdict) {
+    if (!sessionId) return 'block';
 
-    if (!results.length) {
-      return { flagged: false, label: 'clean', score: 0 };
+    let weight;
+    try {
+      weight = await this._violations.record(
+        sessionId,
+        {
+          categories: verdict.categories,
+          layer: verdict.provider,
+          severity: verdict.severity,
+          at: Date.now()
+        },
+        this.VIOLATION_WINDOW_MS
+      );
+    } catch (err) {
+      logger.error('Failed to record moderation violation', { sessionId, error: err.message });
+      return 'block';
     }
 
-    // Find the highest scoring label
-    const top = results.reduce((best, cur) =>
-      cur.score > best.score ? cur : best
-    , results[0]);
-
-    // Flag if any label exceeds threshold
-    const flagged = top.score >= this._threshold;
-
-    return { flagged, label: top.label, score: top.score };
-  }
-
-  _trackViolation(socketId) {
-    const count = (this._flaggedCounts.get(socketId) || 0) + 1;
-    this._flaggedCounts.set(socketId, count);
-    if (count >= this.MAX_FLAGS_BEFORE_KICK) return 'kick';
-    if (count >= this.MAX_FLAGS_BEFORE_WARN) return 'warn';
+    if (weight >= this.MAX_FLAGS_BEFORE_KICK) return 'kick';
+    if (weight >= this.MAX_FLAGS_BEFORE_WARN) return 'warn';
     return 'block';
   }
 
-  _result(allowed, reason, categories, layer, action) {
-    return { allowed, flagged: !allowed, reason, categories, layer, action };
+  _result(allowed, reason, categories, provider, action, score = 0) {
+    return { allowed, flagged: !allowed, reason, categories, provider, layer: provider, score, action };
   }
 }
 
+// ─── HELPERS ─────────────────────────────────────────────────
+
+// 'allow' and 'log' deliver the message; every other action stops it
+function _delivers(action) {
+  return action === 'allow' || action === 'log';
+}
+
+function _disagreementKind(liveAction, shadowAction) {
+  if (_delivers(liveAction) === _delivers(shadowAction)) return 'action-differs';
+  return _delivers(liveAction) ? 'shadow-blocks' : 'shadow-allows';
+}
+
+function _verdictSummary(verdict) {
+  return {
+    action: verdict.action,
+    provider: verdict.provider,
+    categories: verdict.categories,
+    score: verdict.score
+  };
+}
+
 const moderationService = new ModerationService();
 module.exports = moderationService;
\ No newline at end of file
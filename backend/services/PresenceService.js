@@ -1,23 +1,31 @@
 const logger = require('../loaders/logger');
+const MemoryPresenceStore = require('../stores/MemoryPresenceStore');
 
 /**
  * PresenceService
  * Single source of truth for all connected users.
  * Owns the connectedUsers map and sessionId -> socketId mapping.
  * Extracted from server.js to follow SRP.
+ *
+ * Users live in a pluggable store — in-memory by default,
+ * RedisPresenceStore so counts and session lookups span every instance.
  */
 class PresenceService {
   constructor() {
-    // socketId -> ConnectedUser
-    this._users = new Map();
-    // sessionId -> socketId (for reconnection)
-    this._sessionToSocket = new Map();
+    this._store = new MemoryPresenceStore();
+  }
+
+  /**
+   * Swap the presence store — call before accepting connections
+   */
+  setStore(store) {
+    this._store = store;
   }
 
   /**
    * Register a new socket connection
    */
-  addUser(socketId, sessionId) {
+  async addUser(socketId, sessionId) {
     const user = {
       socketId,
       sessionId,
@@ -33,8 +41,8 @@ class PresenceService {
       joinedAt: new Date()
     };
 
-    this._users.set(socketId, user);
-    this._sessionToSocket.set(sessionId, socketId);
+    await this._store.setUser(user);
+    await this._store.setSessionSocket(sessionId, socketId);
 
     logger.info('User added to presence', { socketId, sessionId });
     return user;
@@ -43,12 +51,12 @@ class PresenceService {
   /**
    * Remove user by socketId — called on disconnect
    */
-  removeUser(socketId) {
-    const user = this._users.get(socketId);
+  async removeUser(socketId) {
+    const user = await this._store.getUser(socketId);
     if (!user) return null;
 
-    this._sessionToSocket.delete(user.sessionId);
-    this._users.delete(socketId);
+    await this._store.deleteSession(user.sessionId, socketId);
+    await this._store.deleteUser(socketId);
 
     logger.info('User removed from presence', { socketId });
     return user;
@@ -57,30 +65,28 @@ class PresenceService {
   /**
    * Get user by socketId
    */
-  getUser(socketId) {
-    return this._users.get(socketId) || null;
+  async getUser(socketId) {
+    return this._store.getUser(socketId);
   }
 
   /**
    * Get user by sessionId — used during reconnection
    */
-  getUserBySession(sessionId) {
-    const socketId = this._sessionToSocket.get(sessionId);
+  async getUserBySession(sessionId) {
+    const socketId = await this._store.getSessionSocket(sessionId);
     if (!socketId) return null;
-    return this._users.get(socketId) || null;
+    return this._store.getUser(socketId);
   }
 
   /**
    * Partial update of a user's data
    */
-  updateUser(socketId, data) {
-    const user = this._users.get(socketId);
-    if (!user) {
+  async updateUser(socketId, data) {
+    const updated = await this._store.patchUser(socketId, data);
+    if (!updated) {
       logger.warn('updateUser: user not found', { socketId });
       return null;
     }
-    const updated = { ...user, ...data };
-    this._users.set(socketId, updated);
     return updated;
   }
 
@@ -88,8 +94,8 @@ class PresenceService {
    * Remap socketId when user reconnects with a new socket
    * Keeps all match/room state intact under the new socketId
    */
-  remapSocket(oldSocketId, newSocketId, sessionId) {
-    const user = this._users.get(oldSocketId);
+  async remapSocket(oldSocketId, newSocketId, sessionId) {
+    const user = await this._store.getUser(oldSocketId);
     if (!user) {
       logger.warn('remapSocket: old socket not found', { oldSocketId });
       return null;
@@ -97,14 +103,20 @@ class PresenceService {
 
     const remapped = {
       ...user,
+      sessionId,
       socketId: newSocketId,
       lastPing: new Date(),
       missedPings: 0
     };
 
-    this._users.delete(oldSocketId);
-    this._users.set(newSocketId, remapped);
-    this._sessionToSocket.set(sessionId, newSocketId);
+    if (user.sessionId !== sessionId) {
+      await this._store.deleteSession(user.sessionId, oldSocketId);
+    }
+    if (oldSocketId !== newSocketId) {
+      await this._store.deleteUser(oldSocketId);
+    }
+    await this._store.setUser(remapped);
+    await this._store.setSessionSocket(sessionId, newSocketId);
 
     logger.info('Socket remapped for reconnection', { oldSocketId, newSocketId, sessionId });
     return remapped;
@@ -113,60 +125,82 @@ class PresenceService {
   /**
    * Get socketId for a given sessionId
    */
-  getSocketIdBySession(sessionId) {
-    return this._sessionToSocket.get(sessionId) || null;
+  async getSocketIdBySession(sessionId) {
+    return this._store.getSessionSocket(sessionId);
   }
 
   /**
    * Check if sessionId is already tracked (for reconnect detection)
    */
-  hasSession(sessionId) {
-    return this._sessionToSocket.has(sessionId);
+  async hasSession(sessionId) {
+    return Boolean(await this._store.getSessionSocket(sessionId));
+  }
+
+  /**
+   * Hold a disconnected session's reconnect context for ttlMs, where
+   * whichever instance the client comes back to can find it
+   */
+  async holdForReconnect(sessionId, pending, ttlMs) {
+    await this._store.setPendingReconnect(sessionId, pending, ttlMs);
+  }
+
+  async getPendingReconnect(sessionId) {
+    return this._store.getPendingReconnect(sessionId);
+  }
+
+  /**
+   * Remove and return the held context. Only the first caller gets it,
+   * so a reconnect and a grace expiry on different instances never both win.
+   */
+  async takePendingReconnect(sessionId) {
+    return this._store.takePendingReconnect(sessionId);
   }
 
   /**
    * Get all connected users as array
    */
-  getAllUsers() {
-    return Array.from(this._users.values());
+  async getAllUsers() {
+    return this._store.listUsers();
   }
 
   /**
    * Get all socket IDs currently tracked
    */
-  getAllSocketIds() {
-    return Array.from(this._users.keys());
+  async getAllSocketIds() {
+    const users = await this._store.listUsers();
+    return users.map(u => u.socketId);
   }
 
   /**
    * Total online user count
    */
-  getOnlineCount() {
-    return this._users.size;
+  async getOnlineCount() {
+    return this._store.count();
   }
 
   /**
-   * Update heartbeat timestamp and reset missed pings
+   * Update heartbeat timestamp, reset missed pings and extend the
+   * user's presence TTL
    */
-  recordPong(socketId) {
-    return this.updateUser(socketId, {
+  async recordPong(socketId) {
+    const updated = await this.updateUser(socketId, {
       lastPing: new Date(),
       missedPings: 0
     });
+    if (updated) {
+      await this._store.touch(socketId, updated.sessionId);
+    }
+    return updated;
   }
 
   /**
    * Increment missed ping counter
    */
-  incrementMissedPings(socketId) {
-    const user = this._users.get(socketId);
-    if (!user) return null;
-    return this.updateUser(socketId, {
-      missedPings: (user.missedPings || 0) + 1
-    });
+  async incrementMissedPings(socketId) {
+    return this._store.incrementMissedPings(socketId);
   }
 }
 
 // Singleton
 const presenceService = new PresenceService();
-module.exports = presenceService;
\ No newline at end of file
+module.exports = presenceService;
@@ -8,104 +8,123 @@ const matchmakingService = require('./MatchmakingService');
  *   1. On disconnect  → start grace timer via MatchmakingService
  *   2. On reconnect   → remap socket, restore match, cancel grace timer
  *   3. On expiry      → notify partner, schedule message deletion
+ *
+ * The reconnect context lives in the presence store, so a client that
+ * comes back through another instance still finds its match. Reconnect
+ * and grace expiry both take it atomically — whichever gets it wins.
  */
 class ReconnectionService {
-  constructor() {
-    // sessionId -> { roomId, partnerSocketId } — held during grace window
-    this._pendingReconnections = new Map();
-  }
-
   /**
    * Called when a socket disconnects.
    * If the user was in a match, starts grace period.
    * If in queue, just remove them.
    */
-  handleDisconnect(socketId, reason, io, chatService) {
-    const user = presenceService.getUser(socketId);
+  async handleDisconnect(socketId, reason, io, chatService) {
+    const user = await presenceService.getUser(socketId);
     if (!user) return;
 
     logger.info('Handling disconnect', { socketId, reason, isMatched: user.isMatched });
 
-    // Always remove from queues
-    matchmakingService.removeFromQueues(socketId);
-
-    if (user.isMatched && user.roomId) {
-      const partnerSocketId = matchmakingService.getPartnerSocketId(
-        user.roomId,
-        socketId
-      );
-
-      // Store context for potential reconnect
-      this._pendingReconnections.set(user.sessionId, {
-        roomId: user.roomId,
-        partnerSocketId,
-        disconnectedAt: new Date()
-      });
-
-      // Start grace period — partner is NOT notified yet
-      matchmakingService.handleGracePeriod(
-        user.roomId,
-        socketId,
-        async (roomId, match) => {
-          // Grace expired — now notify partner and clean up
-          this._pendingReconnections.delete(user.sessionId);
-
-          if (partnerSocketId) {
-            io.to(partnerSocketId).emit('partner-disconnected', {
-              reason: 'timeout',
-              message: 'Your partner has disconnected.'
+    try {
+      // Always remove from queues
+      await matchmakingService.removeFromQueues(socketId);
+
+      if (user.isMatched && user.roomId) {
+        const partnerSocketId = await matchmakingService.getPartnerSocketId(
+          user.roomId,
+          socketId
+        );
+
+        // Store context for potential reconnect — it outlives the grace
+        // timer so the expiry can still claim it. The user snapshot is
+        // what gets restored, since presence drops the old socket below.
+        await presenceService.holdForReconnect(user.sessionId, {
+          socketId,
+          roomId: user.roomId,
+          partnerSocketId,
+          user,
+          disconnectedAt: new Date()
+        }, matchmakingService.GRACE_PERIOD_MS * 2);
+
+        // Start grace period — partner is NOT notified yet
+        await matchmakingService.handleGracePeriod(
+          user.roomId,
+          socketId,
+          async (roomId, match) => {
+            // Grace expired — now notify partner and clean up
+            if (partnerSocketId) {
+              io.to(partnerSocketId).emit('partner-disconnected', {
+                reason: 'timeout',
+                message: 'Your partner has disconnected.'
+              });
+            }
+
+            if (chatService) {
+              await chatService.scheduleRoomDeletion(roomId, 12).catch(() => {});
+            }
+
+            logger.info('Grace expired — partner notified', {
+              roomId,
+              partnerSocketId
             });
           }
-
-          if (chatService) {
-            await chatService.scheduleRoomDeletion(roomId, 12).catch(() => {});
-          }
-
-          logger.info('Grace expired — partner notified', {
-            roomId,
-            partnerSocketId
-          });
-        }
-      );
+        );
+      }
+    } finally {
+      // Remove user from presence AFTER extracting data above
+      await presenceService.removeUser(socketId);
     }
-
-    // Remove user from presence AFTER extracting data above
-    presenceService.removeUser(socketId);
   }
 
   /**
    * Called when a socket reconnects with a known sessionId.
-   * Returns { success, roomId, partnerId, matchRestored }
+   * Returns { success, roomId, partnerId, previousSocketId, matchRestored }
    */
-  handleReconnect(newSocketId, sessionId, io) {
+  async handleReconnect(newSocketId, sessionId, io) {
     logger.info('Handling reconnect attempt', { newSocketId, sessionId });
 
-    const pending = this._pendingReconnections.get(sessionId);
-    const isInGrace = matchmakingService.isInGrace(sessionId);
+    // Claiming the context stops the grace timer, wherever it runs,
+    // from tearing the match down underneath us
+    const pending = await presenceService.takePendingReconnect(sessionId);
 
-    if (!pending || !isInGrace) {
+    if (!pending) {
       logger.info('No active grace period for session', { sessionId });
       return { success: false, matchRestored: false };
     }
 
-    // Remap socket in presence — keeps all user state intact
-    const oldSocketId = presenceService.getSocketIdBySession(sessionId);
-    presenceService.remapSocket(oldSocketId, newSocketId, sessionId);
+    const { roomId, socketId: previousSocketId, user } = pending;
 
     // Restore match with new socket ID
-    const match = matchmakingService.restoreMatch(sessionId, newSocketId);
+    const match = await matchmakingService.restoreMatch(roomId, previousSocketId, newSocketId, sessionId);
 
     if (!match) {
-      this._pendingReconnections.delete(sessionId);
       return { success: false, matchRestored: false };
     }
 
-    this._pendingReconnections.delete(sessionId);
-
-    const { roomId, partnerSocketId } = pending;
+    // The new socket joined under a temp session — give it the session
+    // and the match state the old socket had
+    const partnerSocketId = match.user1SocketId === newSocketId
+      ? match.user2SocketId
+      : match.user1SocketId;
+    const { interests, mode, language, region, fingerprintHash, matchState } = user;
+    await presenceService.remapSocket(newSocketId, newSocketId, sessionId);
+    await presenceService.updateUser(newSocketId, {
+      interests,
+      mode,
+      language,
+      region,
+      fingerprintHash,
+      isMatched: true,
+      currentMatch: partnerSocketId,
+      roomId,
+      inQueue: false,
+      matchState
+    });
 
-    // Notify partner that their peer is back
+    // Notify partner that their peer is back — and address their next
+    // messages to the new socket
     if (partnerSocketId) {
+      await presenceService.updateUser(partnerSocketId, { currentMatch: newSocketId }).catch(() => {});
       io.to(partnerSocketId).emit('partner-reconnected', {
         partnerId: newSocketId,
         roomId
@@ -123,15 +142,16 @@ class ReconnectionService {
       success: true,
       matchRestored: true,
       roomId,
-      partnerId: partnerSocketId
+      partnerId: partnerSocketId,
+      previousSocketId
     };
   }
 
   /**
-   * Check if a session has a pending reconnection context
+   * Check if a session has a pending reconnection context on any instance
    */
-  isPending(sessionId) {
-    return this._pendingReconnections.has(sessionId);
+  async isPending(sessionId) {
+    return Boolean(await presenceService.getPendingReconnect(sessionId));
   }
 }
 
@@ -0,0 +1,235 @@
+const Report = require('../models/Report');
+const logger = require('../loaders/logger');
+const config = require('../config/env');
+const chatService = require('./ChatService');
+const presenceService = require('./PresenceService');
+const { isConnected: isMongoConnected } = require('../config/mongo');
+const { REPORT_REASONS } = require('../constants');
+
+/**
+ * ReportService
+ * Creates persisted user reports for every entry point (report-user socket
+ * event, POST /api/chat/report, POST /api/moderation/report-user) and
+ * moves them through review: open -> reviewing -> actioned | dismissed.
+ */
+class ReportService {
+  constructor() {
+    this.SNAPSHOT_SIZE = config.REPORT_SNAPSHOT_SIZE;
+  }
+
+  /**
+   * Create a report.
+   * The reporter is identified by their sessionId and must be live in
+   * presence. The room — and so the message snapshot — is always the
+   * reporter's own current or last chat, never one the client names, and
+   * the reported socket must be or have been in it.
+   * Returns the formatted report.
+   */
+  async createReport({
+    reporterSessionId = null,
+    reportedSocketId = null,
+    reason,
+    description = '',
+    source
+  }) {
+    if (!REPORT_REASONS.includes(reason)) {
+      throw this._error(400, `reason must be one of: ${REPORT_REASONS.join(', ')}`);
+    }
+    if (!isMongoConnected()) {
+      throw this._error(503, 'Report storage unavailable');
+    }
+
+    const reporter = reporterSessionId
+      ? await presenceService.getUserBySession(reporterSessionId)
+      : null;
+    if (!reporter) {
+      throw this._error(403, 'Reporter session not found');
+    }
+
+    const reported = reportedSocketId ? await presenceService.getUser(reportedSocketId) : null;
+    if (!reported?.sessionId) {
+      throw this._error(404, 'Reported user not found');
+    }
+    const reportedSessionId = reported.sessionId;
+
+    const roomId = reporter.roomId || reporter.lastRoomId || null;
+    const messages = roomId ? await this._snapshotMessages(roomId) : [];
+    if (!roomId || !this._wasInRoom(reported, roomId, messages)) {
+      throw this._error(403, 'You can only report someone you have chatted with');
+    }
+
+    const report = await Report.create({
+      reporterSessionId,
+      reportedSessionId,
+      reportedSocketId,
+      reason,
+      description: (description || '').trim().slice(0, 1000),
+      roomId,
+      source,
+      messages,
+      statusHistory: [{ status: 'open', changedBy: reporterSessionId }]
+    });
+
+    logger.warn('User reported', {
+      reportId: report._id,
+      reason,
+      roomId,
+      source,
+      snapshotSize: messages.length
+    });
+
+    return this._format(report);
+  }
+
+  async getReport(reportId) {
+    return Report.findById(reportId);
+  }
+
+  /**
+   * Paginated reports, newest first, without message snapshots
+   */
+  async listReports({ page = 1, limit = 20, status, reason } = {}) {
+    const filter = {};
+    if (status) filter.status = status;
+    if (reason) filter.reason = reason;
+
+    const [reports, total] = await Promise.all([
+      Report.find(filter)
+        .select('-messages')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      Report.countDocuments(filter)
+    ]);
+
+    return { reports: reports.map(r => this._format(r)), total };
+  }
+
+  /**
+   * Full report including the message snapshot and status history
+   */
+  async getReportDetail(reportId) {
+    const report = await Report.findById(reportId).lean();
+    if (!report) return null;
+    return {
+      ...this._format(report),
+      reporterSessionId: report.reporterSessionId,
+      reportedSessionId: report.reportedSessionId,
+      description: report.description,
+      source: report.source,
+      messages: report.messages,
+      statusHistory: report.statusHistory,
+      updatedAt: report.updatedAt
+    };
+  }
+
+  /**
+   * Report counts grouped by reason, optionally for one status
+   */
+  async countByReason({ status } = {}) {
+    const match = status ? { status } : {};
+    const rows = await Report.aggregate([
+      { $match: match },
+      { $group: { _id: '$reason', count: { $sum: 1 } } }
+    ]);
+
+    const counts = Object.fromEntries(REPORT_REASONS.map(r => [r, 0]));
+    rows.forEach(row => { counts[row._id] = row.count; });
+    return counts;
+  }
+
+  /**
+   * Sessions with open or in-review reports, most reported first
+   */
+  async getFlaggedSessions({ limit = 50 } = {}) {
+    const rows = await Report.aggregate([
+      { $match: { status: { $in: ['open', 'reviewing'] } } },
+      {
+        $group: {
+          _id: '$reportedSessionId',
+          reportCount: { $sum: 1 },
+          reasons: { $addToSet: '$reason' },
+          lastReportedAt: { $max: '$createdAt' }
+        }
+      },
+      { $sort: { reportCount: -1, lastReportedAt: -1 } },
+      { $limit: limit }
+    ]);
+
+    return rows.map(row => ({
+      sessionId: row._id,
+      reportCount: row.reportCount,
+      reasons: row.reasons,
+      lastReportedAt: row.lastReportedAt
+    }));
+  }
+
+  /**
+   * Move a report to a new status — throws with status 409 if not allowed
+   */
+  async transition(reportId, status, { changedBy = null, note = null } = {}) {
+    const report = await Report.findById(reportId);
+    if (!report) throw this._error(404, 'Report not found');
+
+    const updated = await report.transitionTo(status, { changedBy, note });
+    logger.info('Report status changed', { reportId, status, changedBy });
+    return this._format(updated);
+  }
+
+  // ─── PRIVATE ─────────────────────────────────────────────────
+
+  /**
+   * Last SNAPSHOT_SIZE messages of the room, oldest first.
+   * A failed lookup should never stop the report itself.
+   */
+  async _snapshotMessages(roomId) {
+    try {
+      const { messages } = await chatService.getRoomMessages(roomId, {
+        limit: this.SNAPSHOT_SIZE,
+        useCache: false
+      });
+      return messages.map(m => ({
+        messageId: String(m.id),
+        senderId: m.senderId,
+        recipientId: m.recipientId,
+        content: m.content,
+        type: m.type,
+        createdAt: m.createdAt
+      }));
+    } catch (err) {
+      logger.error('Failed to snapshot messages for report', { roomId, error: err.message });
+      return [];
+    }
+  }
+
+  /**
+   * The reported user is in the room now, left it last, or has messages
+   * in it (they may have moved on to another chat since)
+   */
+  _wasInRoom(reported, roomId, messages) {
+    if (reported.roomId === roomId || reported.lastRoomId === roomId) return true;
+    return messages.some(m => m.senderId === reported.socketId || m.recipientId === reported.socketId);
+  }
+
+  _format(report) {
+    return {
+      id: report._id,
+      reason: report.reason,
+      status: report.status,
+      roomId: report.roomId,
+      messageCount: report.messages?.length || 0,
+      createdAt: report.createdAt
+    };
+  }
+
+  _error(status, message) {
+    const err = new Error(message);
+    err.status = status;
+    return err;
+  }
+}
+
+// Singleton
+const reportService = new ReportService();
+module.exports = reportService;
@@ -3,118 +3,235 @@ const presenceService = require('../services/PresenceService');
 const matchmakingService = require('../services/MatchmakingService');
 const chatService = require('../services/ChatService');
 const moderationService = require('../services/ModerationService');
+const blockService = require('../services/BlockService');
+const reportService = require('../services/ReportService');
+const banService = require('../services/BanService');
+const mediaService = require('../services/MediaService');
 
 /**
  * ChatHandler
- * Owns: send-message, get-messages, typing, stop-typing,
- *       mark-messages-read, report-user, disconnect-chat
+ * Owns: send-message, edit-message, delete-message, message-ack,
+ *       get-messages, typing, stop-typing, mark-messages-read, report-user, block-user, disconnect-chat
  *
  * Moderation is applied in send-message BEFORE saving or delivering.
  */
 function register(socket, io) {
 
   // ─── SEND MESSAGE ──────────────────────────────────────────
+  // Text: { content }. Image: { type: 'image', mediaId } from POST /api/chat/media.
+  // An optional clientMessageId makes resends safe — a repeat just gets
+  // the original message-sent back.
   socket.on('send-message', async (data) => {
     try {
-      const user = presenceService.getUser(socket.id);
+      const user = await presenceService.getUser(socket.id);
       if (!_isInMatch(user, socket)) return;
 
-      const { content, type = 'text' } = data || {};
-      if (!content?.trim()) {
-        socket.emit('message-error', { error: 'Message content is required' });
-        return;
+      const { content, type = 'text', mediaId, clientMessageId } = data || {};
+      let message;
+      let modResult;
+
+      if (clientMessageId !== undefined) {
+        if (typeof clientMessageId !== 'string' || !clientMessageId || clientMessageId.length > 64) {
+          socket.emit('message-error', { error: 'clientMessageId must be a string of at most 64 characters' });
+          return;
+        }
+        const existing = await chatService.findByClientMessageId(user.roomId, clientMessageId);
+        if (existing) {
+          socket.emit('message-sent', { ...existing, duplicate: true });
+          return;
+        }
       }
 
       // ── MODERATION CHECK (before save or delivery) ──────────
-      const modResult = await moderationService.checkMessage(content, socket.id);
-
-      if (!modResult.allowed) {
-        logger.warn('Message blocked by moderation', {
-          socketId: socket.id,
-          layer: modResult.layer,
-          categories: modResult.categories,
-          action: modResult.action
-        });
-
-        // Always tell sender their message was blocked
-        socket.emit('message-blocked', {
-          reason: modResult.reason,
-          categories: modResult.categories,
-          action: modResult.action
-        });
-
-        // Escalated actions based on repeat offenses
-        if (modResult.action === 'warn') {
-          socket.emit('moderation-warning', {
-            message: 'You have sent multiple messages that violate our guidelines. Further violations may result in removal.',
-            flagCount: moderationService.getFlagCount(socket.id)
-          });
+      if (type === 'image') {
+        if (!mediaId) {
+          socket.emit('message-error', { error: 'mediaId is required for image messages' });
+          return;
         }
-
-        if (modResult.action === 'kick') {
-          logger.warn('Kicking user for repeated moderation violations', {
-            socketId: socket.id
-          });
-          socket.emit('moderation-kick', {
-            message: 'You have been removed for repeatedly violating community guidelines.'
-          });
-          // Small delay so the client receives the event before disconnect
-          setTimeout(() => socket.disconnect(true), 500);
+        const { media, buffer } = await mediaService.getForMessage(mediaId, {
+          sessionId: user.sessionId,
+          roomId: user.roomId
+        });
+        modResult = await moderationService.checkImage(buffer, user.sessionId, { contentType: media.contentType });
+        if (!modResult.allowed) await mediaService.discard(mediaId).catch(() => {});
+        message = { content: media.url, type, media: { id: media.id, width: media.width, height: media.height } };
+      } else if (type === 'text') {
+        if (!content?.trim()) {
+          socket.emit('message-error', { error: 'Message content is required' });
+          return;
         }
+        modResult = await moderationService.checkMessage(content, user.sessionId);
+        message = { content, type };
+      } else {
+        socket.emit('message-error', { error: `Unsupported message type: ${type}` });
+        return;
+      }
 
+      if (!modResult.allowed) {
+        await _handleBlocked(socket, user, modResult);
         return; // Message is NEVER saved or delivered
       }
 
       // ── SAVE AND DELIVER (only reaches here if allowed) ──────
+      // An image is only marked sent now — and unmarked if the save fails,
+      // so the client's retry can still send it
+      if (message.media) {
+        await mediaService.claimForMessage(mediaId, { sessionId: user.sessionId, roomId: user.roomId });
+      }
       const saved = await chatService.sendMessage({
         roomId: user.roomId,
         senderId: socket.id,
         recipientId: user.currentMatch,
-        content,
-        type,
-        metadata: { interests: user.interests, mode: user.mode }
+        content: message.content,
+        type: message.type,
+        metadata: { interests: user.interests, mode: user.mode, media: message.media },
+        clientMessageId
+      }).catch(async (err) => {
+        if (message.media) await mediaService.releaseClaim(mediaId).catch(() => {});
+        throw err;
       });
 
-      socket.to(user.roomId).emit('message-received', saved);
+      if (!saved.duplicate) socket.to(user.roomId).emit('message-received', saved);
       socket.emit('message-sent', saved);
 
     } catch (err) {
       logger.error('Error in send-message', { error: err.message });
-      socket.emit('message-error', { error: 'Failed to send message' });
+      socket.emit('message-error', {
+        error: err.status && err.status < 500 ? err.message : 'Failed to send message'
+      });
+    }
+  });
+
+  // ─── EDIT MESSAGE ──────────────────────────────────────────
+  // { messageId, content } — sender only, within the edit window.
+  // The new text is moderated exactly like a new message.
+  socket.on('edit-message', async (data) => {
+    try {
+      const user = await presenceService.getUser(socket.id);
+      if (!_isInMatch(user, socket)) return;
+
+      const { messageId, content } = data || {};
+      if (!content?.trim()) {
+        socket.emit('message-error', { error: 'Message content is required' });
+        return;
+      }
+
+      // Check the target first, so a bad edit never earns a violation
+      await chatService.assertEditable(messageId, { senderId: socket.id, roomId: user.roomId });
+
+      const modResult = await moderationService.checkMessage(content, user.sessionId);
+      if (!modResult.allowed) {
+        await _handleBlocked(socket, user, modResult);
+        return; // The original message stays as it was
+      }
+
+      const edited = await chatService.editMessage(messageId, {
+        senderId: socket.id,
+        roomId: user.roomId,
+        content
+      });
+
+      socket.to(user.roomId).emit('message-edited', edited);
+      socket.emit('message-edited', edited);
+    } catch (err) {
+      logger.error('Error in edit-message', { error: err.message });
+      socket.emit('message-error', {
+        error: err.status && err.status < 500 ? err.message : 'Failed to edit message'
+      });
+    }
+  });
+
+  // ─── DELETE MESSAGE ────────────────────────────────────────
+  // { messageId } — sender only, within the edit window
+  socket.on('delete-message', async (data) => {
+    try {
+      const user = await presenceService.getUser(socket.id);
+      if (!_isInMatch(user, socket)) return;
+
+      const deleted = await chatService.deleteMessage(data?.messageId, {
+        senderId: socket.id,
+        roomId: user.roomId
+      });
+
+      const payload = { messageId: deleted.id, roomId: deleted.roomId };
+      socket.to(user.roomId).emit('message-deleted', payload);
+      socket.emit('message-deleted', payload);
+    } catch (err) {
+      logger.error('Error in delete-message', { error: err.message });
+      socket.emit('message-error', {
+        error: err.status && err.status < 500 ? err.message : 'Failed to delete message'
+      });
+    }
+  });
+
+  // ─── DELIVERY RECEIPTS ─────────────────────────────────────
+  // { messageIds, status: 'delivered' | 'read' } from the recipient once
+  // message-received is rendered / seen. The sender gets message-status.
+  socket.on('message-ack', async (data) => {
+    try {
+      const user = await presenceService.getUser(socket.id);
+      if (!user?.roomId) return;
+
+      const { messageIds, status } = data || {};
+      const changed = await chatService.updateMessageStatus(messageIds, {
+        recipientId: socket.id,
+        roomId: user.roomId,
+        status
+      });
+
+      if (changed.length) {
+        socket.to(user.roomId).emit('message-status', { messageIds: changed, status });
+      }
+    } catch (err) {
+      logger.error('Error in message-ack', { error: err.message });
+      if (err.status && err.status < 500) socket.emit('message-error', { error: err.message });
     }
   });
 
   // ─── GET MESSAGE HISTORY ───────────────────────────────────
+  // { limit, before | after } — message-id cursors, paged with the
+  // nextCursor from the previous messages-loaded — or { afterSeq } for
+  // everything after the last seq the client saw. Always oldest first.
   socket.on('get-messages', async (data) => {
     try {
-      const user = presenceService.getUser(socket.id);
+      const user = await presenceService.getUser(socket.id);
       if (!user?.roomId) {
         socket.emit('messages-error', { error: 'No active chat session' });
         return;
       }
 
-      const messages = await chatService.getRoomMessages(user.roomId, {
-        limit: data?.limit || 50,
-        skip: data?.skip || 0
+      const afterSeq = data?.afterSeq;
+      if (afterSeq !== undefined && !(Number.isInteger(afterSeq) && afterSeq >= 0)) {
+        socket.emit('messages-error', { error: 'afterSeq must be a non-negative integer' });
+        return;
+      }
+
+      const { messages, nextCursor } = await chatService.getRoomMessages(user.roomId, {
+        limit: Math.min(Math.max(parseInt(data?.limit, 10) || 50, 1), 100),
+        before: data?.before,
+        after: data?.after,
+        afterSeq
       });
 
-      socket.emit('messages-loaded', { messages, roomId: user.roomId });
+      socket.emit('messages-loaded', { messages, nextCursor, roomId: user.roomId, afterSeq });
     } catch (err) {
       logger.error('Error in get-messages', { error: err.message });
-      socket.emit('messages-error', { error: 'Failed to load messages' });
+      socket.emit('messages-error', {
+        error: err.status && err.status < 500 ? err.message : 'Failed to load messages'
+      });
     }
   });
 
   // ─── TYPING INDICATORS ─────────────────────────────────────
   socket.on('typing', async () => {
-    const user = presenceService.getUser(socket.id);
+    const user = await presenceService.getUser(socket.id).catch(() => null);
     if (!user?.isMatched || !user.roomId) return;
     await chatService.setTypingIndicator(user.roomId, socket.id, true).catch(() => {});
     socket.to(user.roomId).emit('partner-typing', true);
   });
 
   socket.on('stop-typing', async () => {
-    const user = presenceService.getUser(socket.id);
+    const user = await presenceService.getUser(socket.id).catch(() => null);
     if (!user?.isMatched || !user.roomId) return;
     await chatService.setTypingIndicator(user.roomId, socket.id, false).catch(() => {});
     socket.to(user.roomId).emit('partner-typing', false);
@@ -123,7 +240,7 @@ function register(socket, io) {
   // ─── MARK MESSAGES READ ────────────────────────────────────
   socket.on('mark-messages-read', async () => {
     try {
-      const user = presenceService.getUser(socket.id);
+      const user = await presenceService.getUser(socket.id);
       if (!user?.roomId) return;
 
       const count = await chatService.markRoomMessagesAsRead(user.roomId, socket.id);
@@ -135,37 +252,76 @@ function register(socket, io) {
   });
 
   // ─── REPORT USER ───────────────────────────────────────────
-  socket.on('report-user', (data) => {
-    logger.warn('User reported', {
-      reportedBy: socket.id,
-      reportedUser: data?.reportedUserId,
-      reason: data?.reason
-    });
-    // Reset flag count on the reported user as well — fresh slate with human review
-    socket.emit('report-submitted', {
-      success: true,
-      reportId: `report_${Date.now()}`,
-      message: 'Thank you for your report. We will review it shortly.'
-    });
+  // Defaults to the current partner; reportedUserId (a socketId) is only
+  // needed when reporting outside an active match.
+  socket.on('report-user', async (data) => {
+    try {
+      const user = await presenceService.getUser(socket.id);
+      const { reportedUserId, reason, description } = data || {};
+
+      const report = await reportService.createReport({
+        reporterSessionId: user?.sessionId || null,
+        reportedSocketId: (user?.isMatched && user.currentMatch) || reportedUserId || null,
+        reason,
+        description,
+        source: 'socket'
+      });
+
+      socket.emit('report-submitted', {
+        success: true,
+        reportId: report.id,
+        message: 'Thank you for your report. We will review it shortly.'
+      });
+    } catch (err) {
+      logger.error('Error in report-user', { error: err.message });
+      socket.emit('report-error', {
+        error: err.status && err.status < 500 ? err.message : 'Failed to submit report'
+      });
+    }
   });
 
-  // ─── DISCONNECT CHAT (voluntary) ───────────────────────────
-  socket.on('disconnect-chat', async () => {
+  // ─── BLOCK USER ────────────────────────────────────────────
+  // Blocks the current partner for both sessions, then ends the chat
+  // exactly like disconnect-chat. The partner only sees that the chat ended.
+  socket.on('block-user', async () => {
     try {
-      const user = presenceService.getUser(socket.id);
-      if (!user?.isMatched || !user.roomId) return;
+      const user = await presenceService.getUser(socket.id);
+      if (!user?.isMatched || !user.roomId) {
+        socket.emit('block-error', { error: 'Not in an active chat session' });
+        return;
+      }
 
-      socket.to(user.roomId).emit('partner-disconnected', {
-        reason: 'left',
-        message: 'Your partner has ended the chat.'
+      const partner = await presenceService.getUser(user.currentMatch);
+      if (!partner?.sessionId) {
+        socket.emit('block-error', { error: 'Partner session not found' });
+        return;
+      }
+
+      const block = await blockService.blockSession(user.sessionId, partner.sessionId, {
+        roomId: user.roomId
       });
 
-      socket.leave(user.roomId);
-      await chatService.scheduleRoomDeletion(user.roomId).catch(() => {});
-      matchmakingService.cleanupMatch(user.roomId);
+      await _endChat(socket, user);
 
-      // Clear their flag count on clean disconnect
-      moderationService.resetFlagCount(socket.id);
+      socket.emit('user-blocked', {
+        success: true,
+        blockId: block.id,
+        expiresAt: block.expiresAt,
+        message: 'You will not be matched with this person again.'
+      });
+    } catch (err) {
+      logger.error('Error in block-user', { error: err.message });
+      socket.emit('block-error', { error: 'Failed to block user' });
+    }
+  });
+
+  // ─── DISCONNECT CHAT (voluntary) ───────────────────────────
+  socket.on('disconnect-chat', async () => {
+    try {
+      const user = await presenceService.getUser(socket.id);
+      if (!user?.isMatched || !user.roomId) return;
+
+      await _endChat(socket, user);
     } catch (err) {
       logger.error('Error in disconnect-chat', { error: err.message });
     }
@@ -174,6 +330,90 @@ function register(socket, io) {
 
 // ─── PRIVATE ─────────────────────────────────────────────────
 
+/**
+ * Tell the sender their message was blocked and apply the moderation
+ * action — warn, kick (escalating to a ban) or ban
+ */
+async function _handleBlocked(socket, user, modResult) {
+  // Always tell sender their message was blocked
+  socket.emit('message-blocked', {
+    reason: modResult.reason,
+    categories: modResult.categories,
+    action: modResult.action
+  });
+
+  // Escalated actions based on repeat offenses
+  if (modResult.action === 'warn') {
+    socket.emit('moderation-warning', {
+      message: 'You have sent multiple messages that violate our guidelines. Further violations may result in removal.',
+      flagCount: await moderationService.getFlagCount(user.sessionId)
+    });
+  }
+
+  if (modResult.action === 'kick') {
+    logger.warn('Kicking user for repeated moderation violations', {
+      socketId: socket.id,
+      sessionId: user.sessionId
+    });
+    socket.emit('moderation-kick', {
+      message: 'You have been removed for repeatedly violating community guidelines.'
+    });
+
+    // Repeat kicks escalate into a temporary ban
+    const ban = await banService.recordKick(user.sessionId, {
+      fingerprintHash: user.fingerprintHash
+    }).catch((err) => {
+      logger.error('Failed to record kick', { error: err.message });
+      return null;
+    });
+    if (ban) socket.emit('banned', banService.toBannedEvent(ban));
+
+    // Small delay so the client receives the event before disconnect
+    setTimeout(() => socket.disconnect(true), 500);
+  }
+
+  // Policy says this category bans outright
+  if (modResult.action === 'ban') {
+    logger.warn('Auto-banning user for moderation violation', {
+      socketId: socket.id,
+      sessionId: user.sessionId,
+      categories: modResult.categories
+    });
+    const ban = await banService.autoBan(user.sessionId, {
+      fingerprintHash: user.fingerprintHash,
+      reason: `Community guideline violation: ${modResult.categories.join(', ')}`
+    }).catch((err) => {
+      logger.error('Failed to auto-ban', { error: err.message });
+      return null;
+    });
+
+    if (ban) {
+      socket.emit('banned', banService.toBannedEvent(ban));
+    } else {
+      // No ban registry (e.g. MongoDB down) — fall back to a kick
+      socket.emit('moderation-kick', {
+        message: 'You have been removed for violating community guidelines.'
+      });
+    }
+    setTimeout(() => socket.disconnect(true), 500);
+  }
+}
+
+/**
+ * Voluntarily end the user's current chat — shared by disconnect-chat
+ * and block-user
+ */
+async function _endChat(socket, user) {
+  socket.to(user.roomId).emit('partner-disconnected', {
+    reason: 'left',
+    message: 'Your partner has ended the chat.'
+  });
+
+  socket.leave(user.roomId);
+  await chatService.scheduleRoomDeletion(user.roomId).catch(() => {});
+  await matchmakingService.cleanupMatch(user.roomId);
+}
+
 function _isInMatch(user, socket) {
   if (!user || !user.isMatched || !user.roomId) {
     socket.emit('message-error', { error: 'Not in an active chat session' });
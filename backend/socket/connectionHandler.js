@@ -3,6 +3,7 @@ const presenceService = require('../services/PresenceService');
 const reconnectionService = require('../services/ReconnectionService');
 const heartbeatService = require('../services/HeartbeatService');
 const chatService = require('../services/ChatService');
+const banService = require('../services/BanService');
 
 /**
  * ConnectionHandler
@@ -13,35 +14,51 @@ function register(socket, io) {
   // Socket is already connected at this point.
   // We add the user to presence but wait for 'user-join' for full data.
   const tempSessionId = `temp_${socket.id}`;
-  presenceService.addUser(socket.id, tempSessionId);
+  const added = presenceService.addUser(socket.id, tempSessionId).catch((err) => {
+    logger.error('Error adding user to presence', { socketId: socket.id, error: err.message });
+  });
 
   logger.info('Socket connected', { socketId: socket.id });
 
   // ─── USER JOIN ─────────────────────────────────────────────
-  socket.on('user-join', (data) => {
+  // A reconnecting client also sends lastSeq — the seq up to which it has
+  // every message — and gets everything after it back in reconnect-success
+  socket.on('user-join', async (data) => {
     try {
-      const { sessionId, interests = [], mode = 'text' } = data || {};
+      const { sessionId, interests = [], mode = 'text', fingerprint, lastSeq } = data || {};
 
       if (!sessionId) {
         socket.emit('error', { message: 'sessionId is required' });
         return;
       }
 
-      // Check if this is a reconnecting session
-      const isReconnect = presenceService.hasSession(sessionId);
+      const fingerprintHash = banService.hashFingerprint(fingerprint);
+      const ban = await banService.getActiveBan({ sessionId, fingerprintHash });
+      if (ban) {
+        banService.rejectSocket(socket, ban);
+        return;
+      }
+
+      // Presence entry must exist before it can be remapped
+      await added;
 
-      if (isReconnect && reconnectionService.isPending(sessionId)) {
+      // A session still inside its grace window is reconnecting — the old
+      // socket's presence is already gone, so ask the shared pending store
+      if (await reconnectionService.isPending(sessionId)) {
         // Hand off to reconnect flow
-        const result = reconnectionService.handleReconnect(socket.id, sessionId, io);
+        const result = await reconnectionService.handleReconnect(socket.id, sessionId, io);
 
         if (result.success) {
           // Re-join the socket room
           socket.join(result.roomId);
 
+          const missed = await _replayMissed(socket, result, lastSeq);
+
           socket.emit('reconnect-success', {
             matchRestored: true,
             roomId: result.roomId,
-            partnerId: result.partnerId
+            partnerId: result.partnerId,
+            ...missed
           });
 
           logger.info('Session reconnected with match restored', {
@@ -54,8 +71,8 @@ function register(socket, io) {
       }
 
       // Fresh join — remap the temp session to real sessionId
-      presenceService.remapSocket(socket.id, socket.id, sessionId);
-      presenceService.updateUser(socket.id, { interests, mode });
+      await presenceService.remapSocket(socket.id, socket.id, sessionId);
+      await presenceService.updateUser(socket.id, { interests, mode, fingerprintHash });
 
       socket.emit('session-confirmed', { sessionId });
 
@@ -67,20 +84,43 @@ function register(socket, io) {
 
   // ─── PONG (heartbeat response) ─────────────────────────────
   socket.on('pong', () => {
-    heartbeatService.handlePong(socket.id);
+    heartbeatService.handlePong(socket.id).catch(() => {});
   });
 
   // ─── DISCONNECT ────────────────────────────────────────────
-  socket.on('disconnect', (reason) => {
+  socket.on('disconnect', async (reason) => {
     logger.info('Socket disconnecting', { socketId: socket.id, reason });
 
-    reconnectionService.handleDisconnect(
-      socket.id,
-      reason,
-      io,
-      chatService
-    );
+    try {
+      await added;
+      await reconnectionService.handleDisconnect(
+        socket.id,
+        reason,
+        io,
+        chatService
+      );
+    } catch (err) {
+      logger.error('Error in disconnect', { socketId: socket.id, error: err.message });
+    }
   });
 }
 
-module.exports = { register };
\ No newline at end of file
+/**
+ * Move the room's messages to the new socket, then collect what the
+ * client missed. Returns { missedMessages, hasMore } — empty without a
+ * usable lastSeq, so a replay failure never blocks the reconnect.
+ */
+async function _replayMissed(socket, result, lastSeq) {
+  try {
+    await chatService.remapSocket(result.roomId, result.previousSocketId, socket.id);
+    if (!Number.isInteger(lastSeq) || lastSeq < 0) return {};
+
+    const { messages, hasMore } = await chatService.getMissedMessages(result.roomId, lastSeq);
+    return { missedMessages: messages, hasMore };
+  } catch (err) {
+    logger.error('Failed to replay missed messages', { socketId: socket.id, error: err.message });
+    return {};
+  }
+}
+
+module.exports = { register };
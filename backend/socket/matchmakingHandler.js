@@ -1,6 +1,7 @@
 const logger = require('../loaders/logger');
 const presenceService = require('../services/PresenceService');
 const matchmakingService = require('../services/MatchmakingService');
+const banService = require('../services/BanService');
 
 /**
  * MatchmakingHandler
@@ -9,9 +10,9 @@ const matchmakingService = require('../services/MatchmakingService');
 function register(socket, io) {
 
   // ─── JOIN QUEUE ────────────────────────────────────────────
-  socket.on('join-queue', (data) => {
+  socket.on('join-queue', async (data) => {
     try {
-      const user = presenceService.getUser(socket.id);
+      const user = await presenceService.getUser(socket.id);
       if (!user) {
         socket.emit('error', { message: 'Session not initialized. Send user-join first.' });
         return;
@@ -22,24 +23,36 @@ function register(socket, io) {
         return;
       }
 
-      const { interests = [], mode = 'text' } = data || {};
+      // A ban can land after user-join, so check again before matching
+      const ban = await banService.getActiveBan({
+        sessionId: user.sessionId,
+        fingerprintHash: user.fingerprintHash
+      });
+      if (ban) {
+        banService.rejectSocket(socket, ban);
+        return;
+      }
+
+      const { interests = [], mode = 'text', language = null, region = null } = data || {};
 
       // Update user data before queuing
-      presenceService.updateUser(socket.id, { interests, mode, inQueue: true });
+      await presenceService.updateUser(socket.id, { interests, mode, language, region, inQueue: true });
 
       const queueUser = {
         socketId: socket.id,
         sessionId: user.sessionId,
         interests,
         mode,
+        language,
+        region,
         joinedQueueAt: new Date()
       };
 
-      const result = matchmakingService.joinQueue(queueUser);
+      const result = await matchmakingService.joinQueue(queueUser);
 
       if (result.matched) {
-        _emitMatchFound(io, result.match);
-      } else {
+        await _emitMatchFound(io, result.match);
+      } else if (result.position > 0) {
         socket.emit('queue-status', {
           position: result.position,
           estimatedWait: result.position * 15,
@@ -61,16 +74,21 @@ function register(socket, io) {
   });
 
   // ─── LEAVE QUEUE ───────────────────────────────────────────
-  socket.on('leave-queue', () => {
-    matchmakingService.removeFromQueues(socket.id);
-    presenceService.updateUser(socket.id, { inQueue: false });
+  socket.on('leave-queue', async () => {
+    try {
+      await matchmakingService.removeFromQueues(socket.id);
+      await presenceService.updateUser(socket.id, { inQueue: false });
+    } catch (err) {
+      logger.error('Error in leave-queue', { error: err.message });
+      return;
+    }
     logger.info('User left queue', { socketId: socket.id });
   });
 
   // ─── SKIP USER ─────────────────────────────────────────────
   socket.on('skip-user', async () => {
     try {
-      const user = presenceService.getUser(socket.id);
+      const user = await presenceService.getUser(socket.id);
       if (!user?.isMatched || !user.roomId) return;
 
       logger.info('User skipping partner', { socketId: socket.id, roomId: user.roomId });
@@ -85,7 +103,7 @@ function register(socket, io) {
       socket.leave(user.roomId);
 
       // Clean up match
-      matchmakingService.cleanupMatch(user.roomId);
+      await matchmakingService.cleanupMatch(user.roomId);
 
       socket.emit('skip-confirmed');
     } catch (err) {
@@ -100,37 +118,47 @@ function register(socket, io) {
  * Emit match-found to both users.
  * User1 is always the WebRTC initiator (sendOffer: true).
  * User2 is always the receiver (sendOffer: false).
+ *
+ * Sockets are addressed through io rather than the local socket map so
+ * a partner connected to another instance is reached via the adapter.
  */
-function _emitMatchFound(io, match) {
+async function _emitMatchFound(io, match) {
   const { roomId, user1SocketId, user2SocketId, commonInterests, mode } = match;
+  const score = { total: match.score, breakdown: match.scoreBreakdown };
 
-  const s1 = io.sockets.sockets.get(user1SocketId);
-  const s2 = io.sockets.sockets.get(user2SocketId);
+  const [s1, s2] = await Promise.all([
+    io.in(user1SocketId).fetchSockets(),
+    io.in(user2SocketId).fetchSockets()
+  ]);
 
-  if (!s1 || !s2) {
+  if (!s1.length || !s2.length) {
     logger.error('Match emit failed — socket not found', { user1SocketId, user2SocketId });
-    matchmakingService.cleanupMatch(roomId);
+    await matchmakingService.cleanupMatch(roomId);
     return;
   }
 
-  s1.join(roomId);
-  s2.join(roomId);
+  io.in(user1SocketId).socketsJoin(roomId);
+  io.in(user2SocketId).socketsJoin(roomId);
 
   // Update match state to CHATTING
-  presenceService.updateUser(user1SocketId, { matchState: 'CHATTING' });
-  presenceService.updateUser(user2SocketId, { matchState: 'CHATTING' });
+  await Promise.all([
+    presenceService.updateUser(user1SocketId, { matchState: 'CHATTING' }),
+    presenceService.updateUser(user2SocketId, { matchState: 'CHATTING' })
+  ]);
 
-  s1.emit('match-found', {
+  io.to(user1SocketId).emit('match-found', {
     partnerId: user2SocketId,
     commonInterests,
+    score,
     mode,
     sendOffer: true,   // initiator
     roomId
   });
 
-  s2.emit('match-found', {
+  io.to(user2SocketId).emit('match-found', {
     partnerId: user1SocketId,
     commonInterests,
+    score,
     mode,
     sendOffer: false,  // receiver
     roomId
@@ -10,8 +10,8 @@ const presenceService = require('../services/PresenceService');
 function register(socket, io) {
 
   // ─── OFFER ─────────────────────────────────────────────────
-  socket.on('webrtc-offer', (data) => {
-    const user = presenceService.getUser(socket.id);
+  socket.on('webrtc-offer', async (data) => {
+    const user = await presenceService.getUser(socket.id).catch(() => null);
     if (!_isInMatch(user, socket)) return;
 
     logger.info('Relaying webrtc-offer', { from: socket.id, roomId: user.roomId });
@@ -23,8 +23,8 @@ function register(socket, io) {
   });
 
   // ─── ANSWER ────────────────────────────────────────────────
-  socket.on('webrtc-answer', (data) => {
-    const user = presenceService.getUser(socket.id);
+  socket.on('webrtc-answer', async (data) => {
+    const user = await presenceService.getUser(socket.id).catch(() => null);
     if (!_isInMatch(user, socket)) return;
 
     logger.info('Relaying webrtc-answer', { from: socket.id, roomId: user.roomId });
@@ -36,8 +36,8 @@ function register(socket, io) {
   });
 
   // ─── ICE CANDIDATE ─────────────────────────────────────────
-  socket.on('webrtc-ice-candidate', (data) => {
-    const user = presenceService.getUser(socket.id);
+  socket.on('webrtc-ice-candidate', async (data) => {
+    const user = await presenceService.getUser(socket.id).catch(() => null);
     if (!_isInMatch(user, socket)) return;
 
     socket.to(user.roomId).emit('webrtc-ice-candidate', {
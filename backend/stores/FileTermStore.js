@@ -0,0 +1,103 @@
+const fs = require('fs');
+const path = require('path');
+const { termId, duplicateError } = require('./MemoryTermStore');
+
+/**
+ * FileTermStore
+ * Moderation lists in a JSON file that can be edited by hand or through
+ * the admin API. The file is watched, so edits apply without a restart.
+ *
+ * File shape:
+ *   {
+ *     "block": [{ "term": "kys", "matchType": "word", "category": "self_harm" }],
+ *     "allow": [{ "term": "scunthorpe", "matchType": "word" }]
+ *   }
+ * Ids are derived as `<list>:<matchType>:<term>`.
+ */
+class FileTermStore {
+  constructor(filePath, { watchIntervalMs = 1000 } = {}) {
+    this.filePath = path.resolve(filePath);
+    this._watchIntervalMs = watchIntervalMs;
+  }
+
+  async list() {
+    const data = await this._read();
+    return ['block', 'allow'].flatMap(list =>
+      (data[list] || []).map(entry => ({
+        matchType: 'word',
+        ...entry,
+        list,
+        id: termId({ list, matchType: entry.matchType || 'word', term: entry.term })
+      }))
+    );
+  }
+
+  async add(entry) {
+    const data = await this._read();
+    const id = termId(entry);
+    const { list, ...fields } = entry;
+    const existing = (data[list] || []).map(e => termId({ list, matchType: e.matchType || 'word', term: e.term }));
+    if (existing.includes(id)) throw duplicateError();
+
+    const saved = { ...fields, createdAt: new Date().toISOString() };
+    data[list] = [...(data[list] || []), saved];
+    await this._write(data);
+    return { id, list, ...saved };
+  }
+
+  async remove(id) {
+    const data = await this._read();
+    let removed = false;
+    for (const list of ['block', 'allow']) {
+      const before = (data[list] || []).length;
+      data[list] = (data[list] || []).filter(e =>
+        termId({ list, matchType: e.matchType || 'word', term: e.term }) !== id
+      );
+      removed = removed || data[list].length !== before;
+    }
+    if (removed) await this._write(data);
+    return removed;
+  }
+
+  /**
+   * Create the file with the built-in terms if it doesn't exist yet
+   */
+  async seed(entries) {
+    if (fs.existsSync(this.filePath)) return;
+    const data = { block: [], allow: [] };
+    for (const { list, ...fields } of entries) data[list].push(fields);
+    await this._write(data);
+  }
+
+  /**
+   * Call onChange whenever the file is modified — returns a stop function
+   */
+  watch(onChange) {
+    const listener = (curr, prev) => {
+      if (curr.mtimeMs !== prev.mtimeMs) onChange();
+    };
+    fs.watchFile(this.filePath, { interval: this._watchIntervalMs, persistent: false }, listener);
+    return () => fs.unwatchFile(this.filePath, listener);
+  }
+
+  // ─── PRIVATE ─────────────────────────────────────────────────
+
+  async _read() {
+    try {
+      return JSON.parse(await fs.promises.readFile(this.filePath, 'utf8'));
+    } catch (err) {
+      if (err.code === 'ENOENT') return { block: [], allow: [] };
+      throw err;
+    }
+  }
+
+  // Write to a temp file and rename, so the watcher never sees half a file
+  async _write(data) {
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+    const tmp = `${this.filePath}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tmp, `${JSON.stringify(data, null, 2)}\n`);
+    await fs.promises.rename(tmp, this.filePath);
+  }
+}
+
+module.exports = FileTermStore;
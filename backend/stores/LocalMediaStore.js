@@ -0,0 +1,51 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+/**
+ * LocalMediaStore
+ * Default media store — files on local disk under `dir`. Only suitable
+ * for a single backend instance (or a shared volume).
+ *
+ * Every method is async so it is interchangeable with S3MediaStore.
+ */
+class LocalMediaStore {
+  constructor(dir) {
+    this.dir = path.resolve(dir);
+  }
+
+  async put(key, buffer, contentType) {
+    const file = this._path(key);
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    // Write-then-rename so a reader never sees half a file
+    const tmp = `${file}.${process.pid}.tmp`;
+    await fs.writeFile(tmp, buffer);
+    await fs.rename(tmp, file);
+    return { key, contentType, size: buffer.length };
+  }
+
+  /**
+   * { buffer } or null when the key does not exist
+   */
+  async get(key) {
+    try {
+      return { buffer: await fs.readFile(this._path(key)) };
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw err;
+    }
+  }
+
+  async remove(key) {
+    await fs.rm(this._path(key), { force: true });
+  }
+
+  // ─── PRIVATE ─────────────────────────────────────────────────
+
+  _path(key) {
+    const file = path.resolve(this.dir, key);
+    if (!file.startsWith(`${this.dir}${path.sep}`)) throw new Error(`Invalid media key: ${key}`);
+    return file;
+  }
+}
+
+module.exports = LocalMediaStore;
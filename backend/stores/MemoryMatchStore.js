@@ -0,0 +1,134 @@
+/**
+ * MemoryMatchStore
+ * Default queue/match store — keeps everything in process memory.
+ * Only suitable for a single backend instance.
+ *
+ * Every method is async so it is interchangeable with RedisMatchStore.
+ */
+class MemoryMatchStore {
+  constructor() {
+    // mode -> Map<socketId, QueueUser>
+    this._queues = new Map();
+    // roomId -> ActiveMatch
+    this._matches = new Map();
+    // sessionId -> Map<partnerSessionId, expiresAt>
+    this._recentPairs = new Map();
+  }
+
+  // ─── QUEUES ──────────────────────────────────────────────────
+
+  async enqueue(mode, queueUser) {
+    this._getQueue(mode).set(queueUser.socketId, queueUser);
+  }
+
+  async dequeue(mode, socketId) {
+    return this._getQueue(mode).delete(socketId);
+  }
+
+  async isQueued(mode, socketId) {
+    return this._getQueue(mode).has(socketId);
+  }
+
+  /**
+   * Queue entries for a mode, oldest first
+   */
+  async listQueue(mode) {
+    return Array.from(this._getQueue(mode).values())
+      .sort((a, b) => new Date(a.joinedQueueAt) - new Date(b.joinedQueueAt));
+  }
+
+  async queueSize(mode) {
+    return this._getQueue(mode).size;
+  }
+
+  /**
+   * Atomically remove BOTH users from the queue.
+   * Returns false (and removes nobody) if either one was already claimed.
+   */
+  async claimPair(mode, socketIdA, socketIdB) {
+    const queue = this._getQueue(mode);
+    if (!queue.has(socketIdA) || !queue.has(socketIdB)) return false;
+    queue.delete(socketIdA);
+    queue.delete(socketIdB);
+    return true;
+  }
+
+  // ─── MATCHES ─────────────────────────────────────────────────
+
+  async saveMatch(match) {
+    this._matches.set(match.roomId, match);
+  }
+
+  async getMatch(roomId) {
+    return this._matches.get(roomId) || null;
+  }
+
+  /**
+   * Remove and return a match — only the first caller gets it back
+   */
+  async takeMatch(roomId) {
+    const match = this._matches.get(roomId) || null;
+    this._matches.delete(roomId);
+    return match;
+  }
+
+  async listMatches() {
+    return Array.from(this._matches.values());
+  }
+
+  async matchCount() {
+    return this._matches.size;
+  }
+
+  // ─── PAIRING HISTORY ─────────────────────────────────────────
+
+  /**
+   * Remember that two sessions were paired, in both directions, for ttlMs
+   */
+  async recordPairing(sessionIdA, sessionIdB, ttlMs) {
+    const expiresAt = Date.now() + ttlMs;
+    this._addRecent(sessionIdA, sessionIdB, expiresAt);
+    this._addRecent(sessionIdB, sessionIdA, expiresAt);
+  }
+
+  /**
+   * Session IDs paired with sessionId whose cooldown has not run out
+   */
+  async getRecentPartners(sessionId) {
+    this._pruneRecent(sessionId, Date.now());
+    return new Set(this._recentPairs.get(sessionId)?.keys() || []);
+  }
+
+  /**
+   * Drop every expired pairing — Redis does this itself via key expiry
+   */
+  async pruneHistory() {
+    const now = Date.now();
+    for (const sessionId of Array.from(this._recentPairs.keys())) {
+      this._pruneRecent(sessionId, now);
+    }
+  }
+
+  // ─── PRIVATE ─────────────────────────────────────────────────
+
+  _addRecent(sessionId, partnerId, expiresAt) {
+    if (!this._recentPairs.has(sessionId)) this._recentPairs.set(sessionId, new Map());
+    this._recentPairs.get(sessionId).set(partnerId, expiresAt);
+  }
+
+  _pruneRecent(sessionId, now) {
+    const partners = this._recentPairs.get(sessionId);
+    if (!partners) return;
+    for (const [partnerId, expiresAt] of partners) {
+      if (expiresAt <= now) partners.delete(partnerId);
+    }
+    if (!partners.size) this._recentPairs.delete(sessionId);
+  }
+
+  _getQueue(mode) {
+    if (!this._queues.has(mode)) this._queues.set(mode, new Map());
+    return this._queues.get(mode);
+  }
+}
+
+module.exports = MemoryMatchStore;
@@ -0,0 +1,106 @@
+/**
+ * MemoryPresenceStore
+ * Default presence store — connected users held in process memory.
+ * Only sees sockets connected to this instance; TTLs are ignored because
+ * HeartbeatService evicts stale local sockets directly.
+ *
+ * Every method is async so it is interchangeable with RedisPresenceStore.
+ */
+class MemoryPresenceStore {
+  constructor() {
+    // socketId -> ConnectedUser
+    this._users = new Map();
+    // sessionId -> socketId (for reconnection)
+    this._sessionToSocket = new Map();
+    // sessionId -> { pending, expiresAt } — held during the grace window
+    this._pending = new Map();
+  }
+
+  async setUser(user) {
+    this._users.set(user.socketId, user);
+  }
+
+  async getUser(socketId) {
+    return this._users.get(socketId) || null;
+  }
+
+  /**
+   * Merge data into an existing user — returns null if the user is gone
+   */
+  async patchUser(socketId, data) {
+    const user = this._users.get(socketId);
+    if (!user) return null;
+    const updated = { ...user, ...data };
+    this._users.set(socketId, updated);
+    return updated;
+  }
+
+  async incrementMissedPings(socketId) {
+    const user = this._users.get(socketId);
+    if (!user) return null;
+    return this.patchUser(socketId, { missedPings: (user.missedPings || 0) + 1 });
+  }
+
+  async deleteUser(socketId) {
+    this._users.delete(socketId);
+  }
+
+  async getSessionSocket(sessionId) {
+    return this._sessionToSocket.get(sessionId) || null;
+  }
+
+  async setSessionSocket(sessionId, socketId) {
+    this._sessionToSocket.set(sessionId, socketId);
+  }
+
+  /**
+   * Drop a session mapping only if it still points at socketId,
+   * so a newer socket for the same session is left alone
+   */
+  async deleteSession(sessionId, socketId) {
+    if (this._sessionToSocket.get(sessionId) === socketId) {
+      this._sessionToSocket.delete(sessionId);
+    }
+  }
+
+  async setPendingReconnect(sessionId, pending, ttlMs) {
+    this._pending.set(sessionId, { pending, expiresAt: Date.now() + ttlMs });
+  }
+
+  async getPendingReconnect(sessionId) {
+    return this._livePending(sessionId);
+  }
+
+  /**
+   * Remove and return the pending reconnect — only the first caller gets it
+   */
+  async takePendingReconnect(sessionId) {
+    const pending = this._livePending(sessionId);
+    this._pending.delete(sessionId);
+    return pending;
+  }
+
+  async touch() {}
+
+  async listUsers() {
+    return Array.from(this._users.values());
+  }
+
+  async count() {
+    return this._users.size;
+  }
+
+  // ─── PRIVATE ─────────────────────────────────────────────────
+
+  _livePending(sessionId) {
+    const entry = this._pending.get(sessionId);
+    if (!entry) return null;
+    if (entry.expiresAt <= Date.now()) {
+      this._pending.delete(sessionId);
+      return null;
+    }
+    return entry.pending;
+  }
+}
+
+module.exports = MemoryPresenceStore;
@@ -0,0 +1,35 @@
+/**
+ * MemoryShadowStore
+ * Default store for shadow-mode disagreements — the newest maxEntries
+ * held in process memory. Only suitable for a single backend instance.
+ *
+ * Every method is async so it is interchangeable with RedisShadowStore.
+ */
+class MemoryShadowStore {
+  constructor() {
+    // Disagreement[], newest first
+    this._entries = [];
+  }
+
+  async record(disagreement, maxEntries) {
+    this._entries.unshift(disagreement);
+    if (this._entries.length > maxEntries) this._entries.length = maxEntries;
+  }
+
+  /**
+   * Newest first
+   */
+  async list(limit) {
+    return this._entries.slice(0, limit);
+  }
+
+  async count() {
+    return this._entries.length;
+  }
+
+  async clear() {
+    this._entries = [];
+  }
+}
+
+module.exports = MemoryShadowStore;
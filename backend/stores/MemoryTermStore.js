@@ -0,0 +1,58 @@
+/**
+ * MemoryTermStore
+ * Default moderation list store — terms held in process memory.
+ * Runtime edits only reach this instance and are lost on restart;
+ * use MongoTermStore or FileTermStore to share and keep them.
+ *
+ * Every method is async so it is interchangeable with the other term stores.
+ */
+class MemoryTermStore {
+  constructor() {
+    // id -> ModerationTerm
+    this._terms = new Map();
+  }
+
+  async list() {
+    return Array.from(this._terms.values());
+  }
+
+  /**
+   * Add a term — duplicates (same list, match type and term) are rejected
+   */
+  async add(entry) {
+    const id = termId(entry);
+    if (this._terms.has(id)) throw duplicateError();
+    const saved = { id, createdAt: new Date(), ...entry };
+    this._terms.set(id, saved);
+    return saved;
+  }
+
+  async remove(id) {
+    return this._terms.delete(id);
+  }
+
+  /**
+   * Fill an empty store with the built-in terms
+   */
+  async seed(entries) {
+    if (this._terms.size) return;
+    for (const entry of entries) await this.add(entry);
+  }
+}
+
+/**
+ * Stable id for stores without their own — readable in a JSON file
+ */
+function termId({ list, matchType, term }) {
+  return `${list}:${matchType}:${term}`;
+}
+
+function duplicateError() {
+  const err = new Error('Term is already on this list');
+  err.status = 409;
+  return err;
+}
+
+module.exports = MemoryTermStore;
+module.exports.termId = termId;
+module.exports.duplicateError = duplicateError;
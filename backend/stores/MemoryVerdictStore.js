@@ -0,0 +1,38 @@
+/**
+ * MemoryVerdictStore
+ * Default moderation verdict cache — an LRU held in process memory,
+ * capped at maxEntries, with a per-entry TTL.
+ *
+ * Every method is async so it is interchangeable with RedisVerdictStore.
+ */
+class MemoryVerdictStore {
+  constructor({ maxEntries = 5000 } = {}) {
+    this.maxEntries = maxEntries;
+    // key -> { verdict, expiresAt } — Map order doubles as LRU order
+    this._entries = new Map();
+  }
+
+  async get(key) {
+    const entry = this._entries.get(key);
+    if (!entry) return null;
+    this._entries.delete(key);
+    if (entry.expiresAt <= Date.now()) return null;
+    // Re-insert so it becomes the most recently used
+    this._entries.set(key, entry);
+    return entry.verdict;
+  }
+
+  async set(key, verdict, ttlMs) {
+    this._entries.delete(key);
+    this._entries.set(key, { verdict, expiresAt: Date.now() + ttlMs });
+    while (this._entries.size > this.maxEntries) {
+      this._entries.delete(this._entries.keys().next().value);
+    }
+  }
+
+  async size() {
+    return this._entries.size;
+  }
+}
+
+module.exports = MemoryVerdictStore;
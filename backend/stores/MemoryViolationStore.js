@@ -0,0 +1,103 @@
+/**
+ * MemoryViolationStore
+ * Default moderation history store — violations held in process memory.
+ * Only suitable for a single backend instance.
+ *
+ * Every method is async so it is interchangeable with RedisViolationStore.
+ */
+class MemoryViolationStore {
+  constructor() {
+    // sessionId -> Violation[] ({ categories, layer, severity, at }), oldest first
+    this._violations = new Map();
+    // sessionId -> moderation kick timestamps, oldest first
+    this._kicks = new Map();
+  }
+
+  /**
+   * Append a violation and return the session's severity-weighted total
+   * inside the window
+   */
+  async record(sessionId, violation, windowMs) {
+    if (!this._violations.has(sessionId)) this._violations.set(sessionId, []);
+    this._violations.get(sessionId).push(violation);
+    return this.weight(sessionId, windowMs);
+  }
+
+  async count(sessionId, windowMs) {
+    return (await this.list(sessionId, windowMs)).length;
+  }
+
+  /**
+   * Sum of severities inside the window (violations without one count 1)
+   */
+  async weight(sessionId, windowMs) {
+    return sumSeverity(await this.list(sessionId, windowMs));
+  }
+
+  /**
+   * Violations inside the window, oldest first
+   */
+  async list(sessionId, windowMs) {
+    this._prune(sessionId, Date.now() - windowMs);
+    return (this._violations.get(sessionId) || []).slice();
+  }
+
+  async clear(sessionId) {
+    this._violations.delete(sessionId);
+  }
+
+  /**
+   * Sessions with at least one violation inside the window
+   */
+  async activeCount(windowMs) {
+    const cutoff = Date.now() - windowMs;
+    for (const sessionId of Array.from(this._violations.keys())) {
+      this._prune(sessionId, cutoff);
+    }
+    return this._violations.size;
+  }
+
+  // ─── KICKS ───────────────────────────────────────────────────
+
+  /**
+   * Record a moderation kick — returns how many landed inside the window
+   */
+  async recordKick(sessionId, windowMs) {
+    const now = Date.now();
+    const kicks = (this._kicks.get(sessionId) || []).filter(t => t > now - windowMs);
+    kicks.push(now);
+    this._kicks.set(sessionId, kicks);
+    return kicks.length;
+  }
+
+  async clearKicks(sessionId) {
+    this._kicks.delete(sessionId);
+  }
+
+  /**
+   * Drop kick history that has aged out of the window
+   */
+  async pruneKicks(windowMs) {
+    const cutoff = Date.now() - windowMs;
+    for (const [sessionId, kicks] of this._kicks) {
+      if (kicks.every(t => t <= cutoff)) this._kicks.delete(sessionId);
+    }
+  }
+
+  // ─── PRIVATE ─────────────────────────────────────────────────
+
+  _prune(sessionId, cutoff) {
+    const violations = this._violations.get(sessionId);
+    if (!violations) return;
+    const kept = violations.filter(v => v.at > cutoff);
+    if (kept.length) this._violations.set(sessionId, kept);
+    else this._violations.delete(sessionId);
+  }
+}
+
+function sumSeverity(violations) {
+  return violations.reduce((sum, v) => sum + (v.severity ?? 1), 0);
+}
+
+module.exports = MemoryViolationStore;
+module.exports.sumSeverity = sumSeverity;
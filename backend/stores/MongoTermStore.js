@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+const ModerationTerm = require('../models/ModerationTerm');
+const { duplicateError } = require('./MemoryTermStore');
+
+/**
+ * MongoTermStore
+ * Moderation lists shared by every backend instance.
+ * watch() polls, so other instances pick up a change within refreshMs.
+ */
+class MongoTermStore {
+  constructor({ refreshMs = 30000 } = {}) {
+    this._refreshMs = refreshMs;
+  }
+
+  async list() {
+    const terms = await ModerationTerm.find().sort({ createdAt: 1 }).lean();
+    return terms.map(t => this._format(t));
+  }
+
+  async add(entry) {
+    try {
+      const term = await ModerationTerm.create(entry);
+      return this._format(term);
+    } catch (err) {
+      if (err.code === 11000) throw duplicateError();
+      throw err;
+    }
+  }
+
+  async remove(id) {
+    if (!mongoose.isValidObjectId(id)) return false;
+    const result = await ModerationTerm.deleteOne({ _id: id });
+    return result.deletedCount > 0;
+  }
+
+  /**
+   * Fill an empty collection with the built-in terms. Instances racing
+   * to seed just hit the unique index.
+   */
+  async seed(entries) {
+    if (await ModerationTerm.estimatedDocumentCount()) return;
+    await ModerationTerm.insertMany(entries, { ordered: false }).catch((err) => {
+      if (err.code !== 11000) throw err;
+    });
+  }
+
+  /**
+   * Call onChange every refreshMs — returns a stop function
+   */
+  watch(onChange) {
+    const timer = setInterval(onChange, this._refreshMs);
+    timer.unref();
+    return () => clearInterval(timer);
+  }
+
+  _format(term) {
+    return {
+      id: String(term._id),
+      term: term.term,
+      list: term.list,
+      matchType: term.matchType,
+      category: term.category,
+      note: term.note,
+      createdBy: term.createdBy,
+      createdAt: term.createdAt
+    };
+  }
+}
+
+module.exports = MongoTermStore;
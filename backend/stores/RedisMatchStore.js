@@ -0,0 +1,147 @@
+/**
+ * RedisMatchStore
+ * Shared queue/match store so every backend instance sees the same
+ * waiting users and active matches.
+ *
+ * Keys:
+ *   mm:queue:<mode>   hash   socketId -> QueueUser JSON
+ *   mm:match:<roomId> string ActiveMatch JSON
+ *   mm:matches        set    roomIds of active matches
+ *   mm:recent:<sessionId> zset partner sessionIds scored by cooldown expiry
+ */
+
+// Removes both users only if both are still waiting — one round trip,
+// so two instances can never claim the same candidate.
+const CLAIM_PAIR_SCRIPT = `
+if redis.call('HEXISTS', KEYS[1], ARGV[1]) == 1 and redis.call('HEXISTS', KEYS[1], ARGV[2]) == 1 then
+  redis.call('HDEL', KEYS[1], ARGV[1], ARGV[2])
+  return 1
+end
+return 0
+`;
+
+class RedisMatchStore {
+  constructor(redisClient) {
+    this._redis = redisClient;
+    this.QUEUE_KEY = 'mm:queue:';
+    this.MATCH_KEY = 'mm:match:';
+    this.MATCH_SET_KEY = 'mm:matches';
+    this.RECENT_KEY = 'mm:recent:';
+  }
+
+  // ─── QUEUES ──────────────────────────────────────────────────
+
+  async enqueue(mode, queueUser) {
+    await this._redis.hSet(this._queueKey(mode), queueUser.socketId, JSON.stringify(queueUser));
+  }
+
+  async dequeue(mode, socketId) {
+    const removed = await this._redis.hDel(this._queueKey(mode), socketId);
+    return removed > 0;
+  }
+
+  async isQueued(mode, socketId) {
+    return this._redis.hExists(this._queueKey(mode), socketId);
+  }
+
+  /**
+   * Queue entries for a mode, oldest first
+   */
+  async listQueue(mode) {
+    const entries = await this._redis.hVals(this._queueKey(mode));
+    return entries
+      .map(e => JSON.parse(e))
+      .sort((a, b) => new Date(a.joinedQueueAt) - new Date(b.joinedQueueAt));
+  }
+
+  async queueSize(mode) {
+    return this._redis.hLen(this._queueKey(mode));
+  }
+
+  /**
+   * Atomically remove BOTH users from the queue.
+   * Returns false (and removes nobody) if either one was already claimed.
+   */
+  async claimPair(mode, socketIdA, socketIdB) {
+    const claimed = await this._redis.eval(CLAIM_PAIR_SCRIPT, {
+      keys: [this._queueKey(mode)],
+      arguments: [socketIdA, socketIdB]
+    });
+    return claimed === 1;
+  }
+
+  // ─── MATCHES ─────────────────────────────────────────────────
+
+  async saveMatch(match) {
+    await this._redis.multi()
+      .set(`${this.MATCH_KEY}${match.roomId}`, JSON.stringify(match))
+      .sAdd(this.MATCH_SET_KEY, match.roomId)
+      .exec();
+  }
+
+  async getMatch(roomId) {
+    const raw = await this._redis.get(`${this.MATCH_KEY}${roomId}`);
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  /**
+   * Remove and return a match — only the first caller gets it back
+   */
+  async takeMatch(roomId) {
+    const [raw] = await this._redis.multi()
+      .get(`${this.MATCH_KEY}${roomId}`)
+      .del(`${this.MATCH_KEY}${roomId}`)
+      .sRem(this.MATCH_SET_KEY, roomId)
+      .exec();
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  async listMatches() {
+    const roomIds = await this._redis.sMembers(this.MATCH_SET_KEY);
+    if (!roomIds.length) return [];
+    const raws = await this._redis.mGet(roomIds.map(id => `${this.MATCH_KEY}${id}`));
+    return raws.filter(Boolean).map(r => JSON.parse(r));
+  }
+
+  async matchCount() {
+    return this._redis.sCard(this.MATCH_SET_KEY);
+  }
+
+  // ─── PAIRING HISTORY ─────────────────────────────────────────
+
+  /**
+   * Remember that two sessions were paired, in both directions, for ttlMs.
+   * Each history key expires with its newest entry.
+   */
+  async recordPairing(sessionIdA, sessionIdB, ttlMs) {
+    const expiresAt = Date.now() + ttlMs;
+    const keyA = `${this.RECENT_KEY}${sessionIdA}`;
+    const keyB = `${this.RECENT_KEY}${sessionIdB}`;
+    await this._redis.multi()
+      .zAdd(keyA, { score: expiresAt, value: sessionIdB })
+      .pExpire(keyA, ttlMs)
+      .zAdd(keyB, { score: expiresAt, value: sessionIdA })
+      .pExpire(keyB, ttlMs)
+      .exec();
+  }
+
+  /**
+   * Session IDs paired with sessionId whose cooldown has not run out
+   */
+  async getRecentPartners(sessionId) {
+    const key = `${this.RECENT_KEY}${sessionId}`;
+    await this._redis.zRemRangeByScore(key, '-inf', Date.now());
+    return new Set(await this._redis.zRange(key, 0, -1));
+  }
+
+  // Expired entries are dropped on read and whole keys expire on their own
+  async pruneHistory() {}
+
+  // ─── PRIVATE ─────────────────────────────────────────────────
+
+  _queueKey(mode) {
+    return `${this.QUEUE_KEY}${mode === 'video' ? 'video' : 'text'}`;
+  }
+}
+
+module.exports = RedisMatchStore;
@@ -0,0 +1,189 @@
+/**
+ * RedisPresenceStore
+ * Cluster-wide presence so online counts and session lookups see every
+ * backend instance.
+ *
+ * Keys:
+ *   presence:user:<socketId>     hash   field -> JSON value (expires)
+ *   presence:session:<sessionId> string socketId (expires)
+ *   presence:online              zset   socketId scored by expiry time
+ *   presence:pending:<sessionId> string reconnect context JSON (expires)
+ *
+ * Entries expire after ttlMs unless refreshed by touch() — HeartbeatService
+ * calls it on every pong, so users on a crashed instance age out on their own.
+ */
+
+// Partial update that never resurrects an expired or removed user
+const PATCH_SCRIPT = `
+if redis.call('EXISTS', KEYS[1]) == 0 then return nil end
+for i = 1, #ARGV, 2 do
+  redis.call('HSET', KEYS[1], ARGV[i], ARGV[i + 1])
+end
+return redis.call('HGETALL', KEYS[1])
+`;
+
+const INCR_MISSED_SCRIPT = `
+if redis.call('EXISTS', KEYS[1]) == 0 then return nil end
+redis.call('HINCRBY', KEYS[1], 'missedPings', 1)
+return redis.call('HGETALL', KEYS[1])
+`;
+
+const DELETE_SESSION_SCRIPT = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+  return redis.call('DEL', KEYS[1])
+end
+return 0
+`;
+
+class RedisPresenceStore {
+  constructor(redisClient, { ttlMs }) {
+    this._redis = redisClient;
+    this.TTL_MS = ttlMs;
+    this.USER_KEY = 'presence:user:';
+    this.SESSION_KEY = 'presence:session:';
+    this.ONLINE_KEY = 'presence:online';
+    this.PENDING_KEY = 'presence:pending:';
+  }
+
+  async setUser(user) {
+    const key = `${this.USER_KEY}${user.socketId}`;
+    await this._redis.multi()
+      .del(key)
+      .hSet(key, this._serialize(user))
+      .pExpire(key, this.TTL_MS)
+      .zAdd(this.ONLINE_KEY, { score: Date.now() + this.TTL_MS, value: user.socketId })
+      .exec();
+  }
+
+  async getUser(socketId) {
+    const hash = await this._redis.hGetAll(`${this.USER_KEY}${socketId}`);
+    return this._deserialize(hash);
+  }
+
+  /**
+   * Merge data into an existing user — returns null if the user is gone
+   */
+  async patchUser(socketId, data) {
+    const args = Object.entries(this._serialize(data)).flat();
+    const reply = await this._redis.eval(PATCH_SCRIPT, {
+      keys: [`${this.USER_KEY}${socketId}`],
+      arguments: args
+    });
+    return this._deserializeReply(reply);
+  }
+
+  async incrementMissedPings(socketId) {
+    const reply = await this._redis.eval(INCR_MISSED_SCRIPT, {
+      keys: [`${this.USER_KEY}${socketId}`]
+    });
+    return this._deserializeReply(reply);
+  }
+
+  async deleteUser(socketId) {
+    await this._redis.multi()
+      .del(`${this.USER_KEY}${socketId}`)
+      .zRem(this.ONLINE_KEY, socketId)
+      .exec();
+  }
+
+  async getSessionSocket(sessionId) {
+    return this._redis.get(`${this.SESSION_KEY}${sessionId}`);
+  }
+
+  async setSessionSocket(sessionId, socketId) {
+    await this._redis.set(`${this.SESSION_KEY}${sessionId}`, socketId, { PX: this.TTL_MS });
+  }
+
+  /**
+   * Drop a session mapping only if it still points at socketId,
+   * so a newer socket for the same session is left alone
+   */
+  async deleteSession(sessionId, socketId) {
+    await this._redis.eval(DELETE_SESSION_SCRIPT, {
+      keys: [`${this.SESSION_KEY}${sessionId}`],
+      arguments: [socketId]
+    });
+  }
+
+  async setPendingReconnect(sessionId, pending, ttlMs) {
+    await this._redis.set(`${this.PENDING_KEY}${sessionId}`, JSON.stringify(pending), { PX: ttlMs });
+  }
+
+  async getPendingReconnect(sessionId) {
+    const raw = await this._redis.get(`${this.PENDING_KEY}${sessionId}`);
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  /**
+   * Remove and return the pending reconnect — GETDEL hands it to exactly
+   * one instance, however many race for it
+   */
+  async takePendingReconnect(sessionId) {
+    const raw = await this._redis.getDel(`${this.PENDING_KEY}${sessionId}`);
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  /**
+   * Push back expiry for a live user and their session mapping
+   */
+  async touch(socketId, sessionId) {
+    const multi = this._redis.multi()
+      .pExpire(`${this.USER_KEY}${socketId}`, this.TTL_MS)
+      .zAdd(this.ONLINE_KEY, { score: Date.now() + this.TTL_MS, value: socketId });
+    if (sessionId) {
+      multi.pExpire(`${this.SESSION_KEY}${sessionId}`, this.TTL_MS);
+    }
+    await multi.exec();
+  }
+
+  async listUsers() {
+    const socketIds = await this._liveSocketIds();
+    const users = await Promise.all(socketIds.map(id => this.getUser(id)));
+    return users.filter(Boolean);
+  }
+
+  async count() {
+    await this._pruneExpired();
+    return this._redis.zCard(this.ONLINE_KEY);
+  }
+
+  // ─── PRIVATE ─────────────────────────────────────────────────
+
+  async _pruneExpired() {
+    await this._redis.zRemRangeByScore(this.ONLINE_KEY, '-inf', Date.now());
+  }
+
+  async _liveSocketIds() {
+    await this._pruneExpired();
+    return this._redis.zRange(this.ONLINE_KEY, 0, -1);
+  }
+
+  _serialize(data) {
+    const out = {};
+    for (const [field, value] of Object.entries(data)) {
+      if (value !== undefined) out[field] = JSON.stringify(value);
+    }
+    return out;
+  }
+
+  _deserialize(hash) {
+    if (!hash || !Object.keys(hash).length) return null;
+    const user = {};
+    for (const [field, value] of Object.entries(hash)) {
+      user[field] = JSON.parse(value);
+    }
+    return user;
+  }
+
+  // EVAL returns HGETALL as a flat [field, value, ...] array
+  _deserializeReply(reply) {
+    if (!reply) return null;
+    const hash = {};
+    for (let i = 0; i < reply.length; i += 2) {
+      hash[reply[i]] = reply[i + 1];
+    }
+    return this._deserialize(hash);
+  }
+}
+
+module.exports = RedisPresenceStore;
@@ -0,0 +1,39 @@
+/**
+ * RedisShadowStore
+ * Shared shadow-mode disagreements so the report covers traffic on every
+ * backend instance.
+ *
+ * Keys:
+ *   mod:shadow:disagreements list Disagreement JSON, newest first
+ */
+class RedisShadowStore {
+  constructor(redisClient) {
+    this._redis = redisClient;
+    this.DISAGREEMENTS_KEY = 'mod:shadow:disagreements';
+  }
+
+  async record(disagreement, maxEntries) {
+    await this._redis.multi()
+      .lPush(this.DISAGREEMENTS_KEY, JSON.stringify(disagreement))
+      .lTrim(this.DISAGREEMENTS_KEY, 0, maxEntries - 1)
+      .exec();
+  }
+
+  /**
+   * Newest first
+   */
+  async list(limit) {
+    const raws = await this._redis.lRange(this.DISAGREEMENTS_KEY, 0, limit - 1);
+    return raws.map(r => JSON.parse(r));
+  }
+
+  async count() {
+    return this._redis.lLen(this.DISAGREEMENTS_KEY);
+  }
+
+  async clear() {
+    await this._redis.del(this.DISAGREEMENTS_KEY);
+  }
+}
+
+module.exports = RedisShadowStore;
@@ -0,0 +1,25 @@
+/**
+ * RedisVerdictStore
+ * Shared moderation verdict cache, so every instance benefits from a
+ * verdict any of them paid for. Redis expires entries on its own.
+ *
+ * Keys:
+ *   mod:verdict:<provider>:<sha256> string Verdict JSON
+ */
+class RedisVerdictStore {
+  constructor(redisClient) {
+    this._redis = redisClient;
+    this.VERDICT_KEY = 'mod:verdict:';
+  }
+
+  async get(key) {
+    const raw = await this._redis.get(`${this.VERDICT_KEY}${key}`);
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  async set(key, verdict, ttlMs) {
+    await this._redis.set(`${this.VERDICT_KEY}${key}`, JSON.stringify(verdict), { PX: ttlMs });
+  }
+}
+
+module.exports = RedisVerdictStore;
@@ -0,0 +1,108 @@
+const crypto = require('crypto');
+const { sumSeverity } = require('./MemoryViolationStore');
+
+/**
+ * RedisViolationStore
+ * Shared moderation history so violations follow a session across
+ * sockets, chats and backend instances.
+ *
+ * Keys:
+ *   mod:violations:<sessionId> zset Violation JSON scored by timestamp
+ *   mod:flagged                zset sessionIds scored by latest violation
+ *   mod:kicks:<sessionId>      zset moderation kicks scored by timestamp
+ */
+class RedisViolationStore {
+  constructor(redisClient) {
+    this._redis = redisClient;
+    this.VIOLATION_KEY = 'mod:violations:';
+    this.FLAGGED_KEY = 'mod:flagged';
+    this.KICK_KEY = 'mod:kicks:';
+  }
+
+  /**
+   * Append a violation and return the session's severity-weighted total
+   * inside the window. Each history key expires with its newest entry.
+   */
+  async record(sessionId, violation, windowMs) {
+    const key = `${this.VIOLATION_KEY}${sessionId}`;
+    // The id keeps two identical violations in the same ms from collapsing
+    const member = JSON.stringify({ id: crypto.randomUUID(), ...violation });
+
+    const results = await this._redis.multi()
+      .zAdd(key, { score: violation.at, value: member })
+      .zRemRangeByScore(key, '-inf', Date.now() - windowMs)
+      .pExpire(key, windowMs)
+      .zAdd(this.FLAGGED_KEY, { score: violation.at, value: sessionId })
+      .zRange(key, 0, -1)
+      .exec();
+    return sumSeverity(results[results.length - 1].map(raw => JSON.parse(raw)));
+  }
+
+  async count(sessionId, windowMs) {
+    return this._redis.zCount(`${this.VIOLATION_KEY}${sessionId}`, `(${Date.now() - windowMs}`, '+inf');
+  }
+
+  /**
+   * Sum of severities inside the window (violations without one count 1)
+   */
+  async weight(sessionId, windowMs) {
+    return sumSeverity(await this.list(sessionId, windowMs));
+  }
+
+  /**
+   * Violations inside the window, oldest first
+   */
+  async list(sessionId, windowMs) {
+    const raws = await this._redis.zRangeByScore(
+      `${this.VIOLATION_KEY}${sessionId}`,
+      `(${Date.now() - windowMs}`,
+      '+inf'
+    );
+    return raws.map((raw) => {
+      const { id, ...violation } = JSON.parse(raw);
+      return violation;
+    });
+  }
+
+  async clear(sessionId) {
+    await this._redis.multi()
+      .del(`${this.VIOLATION_KEY}${sessionId}`)
+      .zRem(this.FLAGGED_KEY, sessionId)
+      .exec();
+  }
+
+  /**
+   * Sessions with at least one violation inside the window
+   */
+  async activeCount(windowMs) {
+    await this._redis.zRemRangeByScore(this.FLAGGED_KEY, '-inf', Date.now() - windowMs);
+    return this._redis.zCard(this.FLAGGED_KEY);
+  }
+
+  // ─── KICKS ───────────────────────────────────────────────────
+
+  /**
+   * Record a moderation kick — returns how many landed inside the window,
+   * counted across every instance
+   */
+  async recordKick(sessionId, windowMs) {
+    const key = `${this.KICK_KEY}${sessionId}`;
+    const now = Date.now();
+    const results = await this._redis.multi()
+      .zAdd(key, { score: now, value: `${now}:${crypto.randomUUID()}` })
+      .zRemRangeByScore(key, '-inf', now - windowMs)
+      .pExpire(key, windowMs)
+      .zCard(key)
+      .exec();
+    return results[results.length - 1];
+  }
+
+  async clearKicks(sessionId) {
+    await this._redis.del(`${this.KICK_KEY}${sessionId}`);
+  }
+
+  // Kick keys expire with their newest entry
+  async pruneKicks() {}
+}
+
+module.exports = RedisViolationStore;
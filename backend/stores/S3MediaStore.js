@@ -0,0 +1,119 @@
+const crypto = require('crypto');
+const axios = require('axios');
+
+/**
+ * S3MediaStore
+ * Media in any S3-compatible bucket (AWS S3, MinIO, R2 ...), so every
+ * backend instance serves the same files. Requests are signed with AWS
+ * Signature V4 directly — no SDK needed for put/get/delete.
+ *
+ * Options:
+ *   endpoint         e.g. http://minio:9000 or https://s3.eu-west-1.amazonaws.com
+ *   region, bucket, accessKeyId, secretAccessKey
+ *   forcePathStyle   true for MinIO (endpoint/bucket/key), false for
+ *                    virtual-hosted buckets (bucket.endpoint/key)
+ *   http             axios-compatible client — tests pass their own
+ */
+class S3MediaStore {
+  constructor({ endpoint, region = 'us-east-1', bucket, accessKeyId, secretAccessKey, forcePathStyle = true, http = axios } = {}) {
+    if (!endpoint || !bucket || !accessKeyId || !secretAccessKey) {
+      throw new Error('S3MediaStore needs endpoint, bucket, accessKeyId and secretAccessKey');
+    }
+    this._endpoint = new URL(endpoint);
+    this.region = region;
+    this.bucket = bucket;
+    this._accessKeyId = accessKeyId;
+    this._secretAccessKey = secretAccessKey;
+    this._forcePathStyle = forcePathStyle;
+    this._http = http;
+  }
+
+  async put(key, buffer, contentType) {
+    await this._request('PUT', key, { body: buffer, contentType });
+    return { key, contentType, size: buffer.length };
+  }
+
+  /**
+   * { buffer, contentType } or null when the key does not exist
+   */
+  async get(key) {
+    const res = await this._request('GET', key, { allow404: true });
+    if (res.status === 404) return null;
+    return { buffer: Buffer.from(res.data), contentType: res.headers['content-type'] };
+  }
+
+  async remove(key) {
+    await this._request('DELETE', key, { allow404: true });
+  }
+
+  // ─── PRIVATE ─────────────────────────────────────────────────
+
+  async _request(method, key, { body = null, contentType = null, allow404 = false } = {}) {
+    const { url, host, path } = this._location(key);
+    const headers = this._sign(method, host, path, body || Buffer.alloc(0), new Date());
+    if (contentType) headers['Content-Type'] = contentType;
+
+    return this._http.request({
+      method,
+      url,
+      headers,
+      data: body,
+      responseType: 'arraybuffer',
+      validateStatus: status => (status >= 200 && status < 300) || (allow404 && status === 404)
+    });
+  }
+
+  _location(key) {
+    const encodedKey = key.split('/').map(encodeURIComponent).join('/');
+    const { protocol, host } = this._endpoint;
+    if (this._forcePathStyle) {
+      const path = `/${this.bucket}/${encodedKey}`;
+      return { url: `${protocol}//${host}${path}`, host, path };
+    }
+    const bucketHost = `${this.bucket}.${host}`;
+    const path = `/${encodedKey}`;
+    return { url: `${protocol}//${bucketHost}${path}`, host: bucketHost, path };
+  }
+
+  /**
+   * AWS Signature V4 headers for a request with no query string
+   */
+  _sign(method, host, path, body, now) {
+    const amzDate = now.toISOString().replace(/[:-]|\.\d{3}/g, '');
+    const date = amzDate.slice(0, 8);
+    const payloadHash = _sha256(body);
+
+    const signedHeaders = 'host;x-amz-content-sha256;x-amz-date';
+    const canonicalRequest = [
+      method,
+      path,
+      '',
+      `host:${host}\nx-amz-content-sha256:${payloadHash}\nx-amz-date:${amzDate}\n`,
+      signedHeaders,
+      payloadHash
+    ].join('\n');
+
+    const scope = `${date}/${this.region}/s3/aws4_request`;
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, _sha256(canonicalRequest)].join('\n');
+
+    let key = `AWS4${this._secretAccessKey}`;
+    for (const part of [date, this.region, 's3', 'aws4_request']) key = _hmac(key, part);
+    const signature = _hmac(key, stringToSign).toString('hex');
+
+    return {
+      'x-amz-content-sha256': payloadHash,
+      'x-amz-date': amzDate,
+      Authorization: `AWS4-HMAC-SHA256 Credential=${this._accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`
+    };
+  }
+}
+
+function _sha256(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function _hmac(key, data) {
+  return crypto.createHmac('sha256', key).update(data).digest();
+}
+
+module.exports = S3MediaStore;
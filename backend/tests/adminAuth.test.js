@@ -0,0 +1,237 @@
+jest.mock('../loaders/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+jest.mock('../config/mongo', () => ({ isConnected: jest.fn(() => true) }));
+
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const bcrypt = require('bcryptjs');
+const config = require('../config/env');
+const { authenticateAdmin, requireAdmin, audit, isAdminAuthConfigured } = require('../middleware/adminAuth');
+const auditService = require('../services/AuditService');
+const reportService = require('../services/ReportService');
+const banService = require('../services/BanService');
+const adminRoutes = require('../routes/admin');
+
+const SECRET = 'test-secret';
+const PASSWORD = 'correct horse';
+
+function adminApp() {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/admin', adminRoutes);
+  return app;
+}
+
+const token = (payload = { sub: 'alice', role: 'admin' }, secret = SECRET, options = {}) =>
+  jwt.sign(payload, secret, { expiresIn: '1h', ...options });
+
+describe('admin auth', () => {
+  const saved = {};
+
+  beforeAll(() => {
+    saved.JWT_SECRET = config.JWT_SECRET;
+    saved.ADMIN_USERS = config.ADMIN_USERS;
+    config.JWT_SECRET = SECRET;
+    config.ADMIN_USERS = `alice:${bcrypt.hashSync(PASSWORD, 4)}, bob:${bcrypt.hashSync('other', 4)}`;
+  });
+
+  afterAll(() => Object.assign(config, saved));
+
+  beforeEach(() => {
+    jest.spyOn(auditService, 'record').mockResolvedValue(null);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  describe('authenticateAdmin', () => {
+    it('signs an admin token for valid credentials', async () => {
+      const result = await authenticateAdmin('alice', PASSWORD);
+
+      expect(result.expiresIn).toBe(config.ADMIN_JWT_EXPIRES_IN);
+      expect(jwt.verify(result.token, SECRET)).toMatchObject({ sub: 'alice', role: 'admin' });
+    });
+
+    it('rejects a wrong password or an unknown user', async () => {
+      expect(await authenticateAdmin('alice', 'wrong')).toBeNull();
+      expect(await authenticateAdmin('mallory', PASSWORD)).toBeNull();
+      expect(await authenticateAdmin('alice', undefined)).toBeNull();
+    });
+
+    it('is only configured with both a secret and admin users', () => {
+      expect(isAdminAuthConfigured()).toBe(true);
+
+      config.JWT_SECRET = '';
+      expect(isAdminAuthConfigured()).toBe(false);
+      config.JWT_SECRET = SECRET;
+
+      config.ADMIN_USERS = 'no-hash-here';
+      expect(isAdminAuthConfigured()).toBe(false);
+      config.ADMIN_USERS = `alice:${bcrypt.hashSync(PASSWORD, 4)}`;
+    });
+  });
+
+  describe('POST /login', () => {
+    it('returns a token for valid credentials', async () => {
+      const res = await request(adminApp()).post('/api/admin/login').send({ username: 'alice', password: PASSWORD });
+
+      expect(res.status).toBe(200);
+      expect(jwt.verify(res.body.token, SECRET).sub).toBe('alice');
+    });
+
+    it('401s bad credentials and 400s missing ones', async () => {
+      const app = adminApp();
+      expect((await request(app).post('/api/admin/login').send({ username: 'alice', password: 'nope' })).status).toBe(401);
+      expect((await request(app).post('/api/admin/login').send({ username: 'alice' })).status).toBe(400);
+    });
+  });
+
+  describe('requireAdmin', () => {
+    function guarded() {
+      const app = express();
+      app.get('/guarded', requireAdmin, (req, res) => res.json({ admin: req.admin }));
+      return app;
+    }
+
+    const get = auth => request(guarded()).get('/guarded').set(auth ? { Authorization: auth } : {});
+
+    it('lets a valid admin token through', async () => {
+      const res = await get(`Bearer ${token()}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.admin).toEqual({ username: 'alice' });
+    });
+
+    it('401s a missing or malformed header', async () => {
+      expect((await get(null)).status).toBe(401);
+      expect((await get(token())).status).toBe(401);
+      expect((await get(`Basic ${token()}`)).status).toBe(401);
+    });
+
+    it('401s a token that is forged or expired', async () => {
+      expect((await get(`Bearer ${token(undefined, 'wrong-secret')}`)).status).toBe(401);
+      expect((await get(`Bearer ${token(undefined, SECRET, { expiresIn: -10 })}`)).status).toBe(401);
+    });
+
+    it('403s a valid token without the admin role', async () => {
+      expect((await get(`Bearer ${token({ sub: 'alice', role: 'user' })}`)).status).toBe(403);
+    });
+
+    it('503s when admin access is not configured', async () => {
+      config.JWT_SECRET = '';
+      try {
+        expect((await get(`Bearer ${token()}`)).status).toBe(503);
+      } finally {
+        config.JWT_SECRET = SECRET;
+      }
+    });
+  });
+
+  describe('audit', () => {
+    it('records the action once the response has finished', async () => {
+      const app = express();
+      app.use(express.json());
+      app.post('/bans/:sessionId', requireAdmin, audit('ban.create', { targetType: 'session', targetParam: 'sessionId' }), (req, res) => {
+        req.auditDetails = { durationMinutes: 60 };
+        res.status(201).json({ ok: true });
+      });
+
+      await request(app).post('/bans/S1?x=1').set('Authorization', `Bearer ${token()}`).send({});
+
+      expect(auditService.record).toHaveBeenCalledTimes(1);
+      expect(auditService.record).toHaveBeenCalledWith(expect.objectContaining({
+        actor: 'alice',
+        action: 'ban.create',
+        targetType: 'session',
+        targetId: 'S1',
+        statusCode: 201,
+        details: { method: 'POST', path: '/bans/S1?x=1', durationMinutes: 60 }
+      }));
+    });
+
+    it('audits failed logins under the attempted username', async () => {
+      await request(adminApp()).post('/api/admin/login').send({ username: 'mallory', password: 'guess' });
+
+      expect(auditService.record).toHaveBeenCalledWith(expect.objectContaining({
+        actor: 'mallory',
+        action: 'admin.login',
+        statusCode: 401
+      }));
+    });
+  });
+
+  describe('GET /reports/stats', () => {
+    const stats = query => request(adminApp())
+      .get('/api/admin/reports/stats')
+      .query(query)
+      .set('Authorization', `Bearer ${token()}`);
+
+    it('counts reports for a valid status', async () => {
+      jest.spyOn(reportService, 'countByReason').mockResolvedValue({ spam: 2 });
+
+      const res = await stats({ status: 'open' });
+
+      expect(res.status).toBe(200);
+      expect(reportService.countByReason).toHaveBeenCalledWith({ status: 'open' });
+    });
+
+    it('rejects an unknown status or a query operator', async () => {
+      jest.spyOn(reportService, 'countByReason');
+
+      expect((await stats({ status: 'closed' })).status).toBe(400);
+      expect((await stats('status[$ne]=x')).status).toBe(400);
+      expect(reportService.countByReason).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /bans', () => {
+    const ban = body => request(adminApp())
+      .post('/api/admin/bans')
+      .send(body)
+      .set('Authorization', `Bearer ${token()}`);
+
+    it('bans for the given duration, or permanently without one', async () => {
+      jest.spyOn(banService, 'ban').mockResolvedValue({ sessionId: 'S' });
+
+      expect((await ban({ sessionId: 'S', durationMinutes: 30 })).status).toBe(201);
+      expect((await ban({ sessionId: 'S' })).status).toBe(201);
+
+      expect(banService.ban.mock.calls.map(([, options]) => options.durationMinutes)).toEqual([30, null]);
+    });
+
+    it('rejects a zero or negative duration instead of banning permanently', async () => {
+      jest.spyOn(banService, 'ban');
+
+      expect((await ban({ sessionId: 'S', durationMinutes: 0 })).status).toBe(400);
+      expect((await ban({ sessionId: 'S', durationMinutes: -5 })).status).toBe(400);
+      expect(banService.ban).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /audit-log', () => {
+    const auditLog = query => request(adminApp())
+      .get('/api/admin/audit-log')
+      .query(query)
+      .set('Authorization', `Bearer ${token()}`);
+
+    it('filters by actor and action', async () => {
+      jest.spyOn(auditService, 'list').mockResolvedValue({ entries: [], total: 0 });
+
+      expect((await auditLog({ actor: 'alice', action: 'ban.create' })).status).toBe(200);
+      expect(auditService.list).toHaveBeenCalledWith(expect.objectContaining({ actor: 'alice', action: 'ban.create' }));
+    });
+
+    it('rejects query operators in the filters', async () => {
+      jest.spyOn(auditService, 'list');
+
+      expect((await auditLog('actor[$ne]=x')).status).toBe(400);
+      expect((await auditLog('action[$regex]=.*')).status).toBe(400);
+      expect(auditService.list).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,246 @@
+jest.mock('../loaders/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+jest.mock('../config/mongo', () => ({ isConnected: jest.fn(() => true) }));
+
+const crypto = require('crypto');
+const { isConnected } = require('../config/mongo');
+const config = require('../config/env');
+const Ban = require('../models/Ban');
+const banService = require('../services/BanService');
+const presenceService = require('../services/PresenceService');
+const connectionHandler = require('../socket/connectionHandler');
+const matchmakingHandler = require('../socket/matchmakingHandler');
+const MemoryPresenceStore = require('../stores/MemoryPresenceStore');
+const MemoryViolationStore = require('../stores/MemoryViolationStore');
+const RedisViolationStore = require('../stores/RedisViolationStore');
+const { FakeRedisServer } = require('./helpers/fakeRedis');
+const { fakeSocket, fakeIo } = require('./helpers/fakeSocket');
+
+const HOUR = 60 * 60 * 1000;
+
+function banDoc(fields = {}) {
+  return {
+    _id: crypto.randomUUID(),
+    sessionId: 'A',
+    reason: 'spam',
+    bannedBy: 'admin',
+    auto: false,
+    expiresAt: new Date(Date.now() + HOUR),
+    createdAt: new Date(),
+    ...fields
+  };
+}
+
+// Ban.find(...).lean() resolving to docs
+function mockFind(docs) {
+  return jest.spyOn(Ban, 'find').mockReturnValue({ lean: () => Promise.resolve(docs) });
+}
+
+beforeEach(() => {
+  isConnected.mockReturnValue(true);
+  presenceService.setStore(new MemoryPresenceStore());
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  jest.useRealTimers();
+});
+
+describe('BanService fingerprints', () => {
+  it('hashes with the salt and never returns the raw value', () => {
+    const hash = banService.hashFingerprint('device-1');
+
+    expect(hash).toMatch(/^[0-9a-f]{64}$/);
+    expect(hash).toBe(banService.hashFingerprint('device-1'));
+    expect(hash).not.toBe(banService.hashFingerprint('device-2'));
+    expect(hash).toBe(crypto.createHash('sha256').update(`${config.BAN_FINGERPRINT_SALT}:device-1`).digest('hex'));
+  });
+
+  it('ignores missing or non-string fingerprints', () => {
+    expect(banService.hashFingerprint(undefined)).toBeNull();
+    expect(banService.hashFingerprint('')).toBeNull();
+    expect(banService.hashFingerprint({ id: 1 })).toBeNull();
+  });
+});
+
+describe('BanService.getActiveBan', () => {
+  it('matches on the session or the fingerprint', async () => {
+    mockFind([]);
+
+    await banService.getActiveBan({ sessionId: 'A', fingerprintHash: 'fp' });
+
+    const filter = Ban.find.mock.calls[0][0];
+    expect(filter.$and).toEqual([{ $or: [{ sessionId: 'A' }, { fingerprintHash: 'fp' }] }]);
+    expect(filter.liftedAt).toBeNull();
+  });
+
+  it('reports the longest-lasting ban, permanent first', async () => {
+    mockFind([banDoc({ _id: 'short' }), banDoc({ _id: 'long', expiresAt: new Date(Date.now() + 5 * HOUR) })]);
+    expect((await banService.getActiveBan({ sessionId: 'A' })).id).toBe('long');
+
+    Ban.find.mockRestore();
+    mockFind([banDoc({ _id: 'long', expiresAt: new Date(Date.now() + 5 * HOUR) }), banDoc({ _id: 'forever', expiresAt: null })]);
+    expect(await banService.getActiveBan({ sessionId: 'A' })).toMatchObject({ id: 'forever', permanent: true });
+  });
+
+  it('treats nobody as banned without MongoDB', async () => {
+    isConnected.mockReturnValue(false);
+    mockFind([banDoc()]);
+
+    expect(await banService.getActiveBan({ sessionId: 'A' })).toBeNull();
+    expect(Ban.find).not.toHaveBeenCalled();
+  });
+});
+
+describe('BanService.ban', () => {
+  beforeEach(() => {
+    jest.spyOn(Ban, 'updateMany').mockResolvedValue({ modifiedCount: 0 });
+    jest.spyOn(Ban, 'create').mockImplementation(async doc => banDoc(doc));
+  });
+
+  it('carries over the fingerprint of the live session', async () => {
+    await presenceService.addUser('s1', 'A');
+    await presenceService.updateUser('s1', { fingerprintHash: 'fp' });
+
+    await banService.ban('A', { durationMinutes: 60, bannedBy: 'admin' });
+
+    expect(Ban.create).toHaveBeenCalledWith(expect.objectContaining({ sessionId: 'A', fingerprintHash: 'fp' }));
+  });
+
+  it('lifts the previous ban and issues a permanent one without a duration', async () => {
+    const ban = await banService.ban('A', { bannedBy: 'admin', fingerprintHash: null });
+
+    expect(Ban.updateMany).toHaveBeenCalledWith(
+      expect.objectContaining({ sessionId: 'A', liftedAt: null }),
+      { $set: { liftedAt: expect.any(Date), liftedBy: 'admin' } }
+    );
+    expect(ban.permanent).toBe(true);
+  });
+});
+
+describe.each([
+  ['MemoryViolationStore', () => new MemoryViolationStore()],
+  ['RedisViolationStore', () => new RedisViolationStore(new FakeRedisServer().createClient())]
+])('BanService kick escalation with %s', (name, createStore) => {
+  let previousAutoBans;
+
+  beforeEach(() => {
+    banService.setStore(createStore());
+    previousAutoBans = 0;
+    jest.spyOn(Ban, 'countDocuments').mockImplementation(async () => previousAutoBans);
+    jest.spyOn(Ban, 'updateMany').mockResolvedValue({ modifiedCount: 0 });
+    jest.spyOn(Ban, 'create').mockImplementation(async (doc) => {
+      previousAutoBans++;
+      return banDoc(doc);
+    });
+  });
+
+  const kick = () => banService.recordKick('A', { fingerprintHash: 'fp' });
+
+  it('bans once BAN_KICKS_BEFORE_BAN kicks land inside the window', async () => {
+    for (let i = 1; i < config.BAN_KICKS_BEFORE_BAN; i++) {
+      expect(await kick()).toBeNull();
+    }
+    const ban = await kick();
+
+    expect(ban).toMatchObject({ auto: true, permanent: false });
+    expect(Ban.create).toHaveBeenCalledWith(expect.objectContaining({ sessionId: 'A', fingerprintHash: 'fp', auto: true }));
+  });
+
+  it('doubles each further auto-ban up to the cap', async () => {
+    const durations = [];
+    for (let round = 0; round < 8; round++) {
+      for (let i = 0; i < config.BAN_KICKS_BEFORE_BAN; i++) await kick();
+      const { expiresAt } = Ban.create.mock.calls[round][0];
+      durations.push(Math.round((expiresAt - Date.now()) / 60000));
+    }
+
+    expect(durations.slice(0, 3)).toEqual([1, 2, 4].map(n => n * config.BAN_AUTO_BASE_MINUTES));
+    expect(Math.max(...durations)).toBe(config.BAN_AUTO_MAX_MINUTES);
+  });
+
+  it('forgets kicks that aged out of the window', async () => {
+    const window = config.BAN_KICK_WINDOW_MS;
+    config.BAN_KICK_WINDOW_MS = 20;
+    try {
+      for (let i = 1; i < config.BAN_KICKS_BEFORE_BAN; i++) await kick();
+      await new Promise(resolve => setTimeout(resolve, 30));
+      await banService.pruneKicks();
+
+      expect(await kick()).toBeNull();
+    } finally {
+      config.BAN_KICK_WINDOW_MS = window;
+    }
+  });
+
+  it('keeps counting kicks when no ban could be issued', async () => {
+    isConnected.mockReturnValue(false);
+    for (let i = 0; i < config.BAN_KICKS_BEFORE_BAN; i++) expect(await kick()).toBeNull();
+
+    isConnected.mockReturnValue(true);
+    expect(await kick()).not.toBeNull();
+  });
+});
+
+describe('Kick history across instances', () => {
+  it('counts kicks issued on different instances together', async () => {
+    const redis = new FakeRedisServer();
+    const instanceA = new RedisViolationStore(redis.createClient());
+    const instanceB = new RedisViolationStore(redis.createClient());
+
+    await instanceA.recordKick('A', HOUR);
+    expect(await instanceB.recordKick('A', HOUR)).toBe(2);
+
+    await instanceA.clearKicks('A');
+    expect(await instanceB.recordKick('A', HOUR)).toBe(1);
+  });
+});
+
+describe('Rejecting banned sockets', () => {
+  const activeBan = banDoc({ _id: 'b1', reason: 'spam' });
+
+  it('tells a banned client why, then disconnects it', () => {
+    jest.useFakeTimers();
+    const socket = fakeSocket('s1');
+
+    banService.rejectSocket(socket, banService._format(activeBan));
+
+    expect(socket.events('banned')).toEqual([expect.objectContaining({ reason: 'spam', permanent: false })]);
+    expect(socket.disconnected).toBe(false);
+    jest.advanceTimersByTime(500);
+    expect(socket.disconnected).toBe(true);
+  });
+
+  it('turns away a new session that reuses a banned fingerprint on user-join', async () => {
+    mockFind([activeBan]);
+    const socket = fakeSocket('s1');
+    connectionHandler.register(socket, fakeIo());
+
+    await socket.fire('user-join', { sessionId: 'fresh-session', fingerprint: 'device-1' });
+
+    const filter = Ban.find.mock.calls[0][0];
+    expect(filter.$and[0].$or).toContainEqual({ fingerprintHash: banService.hashFingerprint('device-1') });
+    expect(socket.events('banned')).toHaveLength(1);
+    expect(socket.events('session-confirmed')).toEqual([]);
+  });
+
+  it('checks again on join-queue for bans issued after user-join', async () => {
+    mockFind([]);
+    const socket = fakeSocket('s1');
+    connectionHandler.register(socket, fakeIo());
+    matchmakingHandler.register(socket, fakeIo());
+    await socket.fire('user-join', { sessionId: 'A', fingerprint: 'device-1' });
+    expect(socket.events('session-confirmed')).toHaveLength(1);
+
+    Ban.find.mockReturnValue({ lean: () => Promise.resolve([activeBan]) });
+    await socket.fire('join-queue', { interests: [] });
+
+    expect(socket.events('banned')).toHaveLength(1);
+    expect(socket.events('queue-status')).toEqual([]);
+  });
+});
@@ -0,0 +1,305 @@
+jest.mock('../loaders/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+jest.mock('../config/mongo', () => ({ isConnected: jest.fn(() => true) }));
+
+const express = require('express');
+const request = require('supertest');
+const logger = require('../loaders/logger');
+const config = require('../config/env');
+const { isConnected } = require('../config/mongo');
+const Block = require('../models/Block');
+const blockService = require('../services/BlockService');
+const matchmakingService = require('../services/MatchmakingService');
+const presenceService = require('../services/PresenceService');
+const chatService = require('../services/ChatService');
+const MemoryMatchStore = require('../stores/MemoryMatchStore');
+const MemoryPresenceStore = require('../stores/MemoryPresenceStore');
+const chatHandler = require('../socket/chatHandler');
+const userRoutes = require('../routes/user');
+const { fakeSocket, fakeIo } = require('./helpers/fakeSocket');
+
+const BLOCK_ID = '65f0c0ffee0000000000abcd';
+
+// Mongoose queries are chained — resolve whatever the chain ends with
+const query = (result) => {
+  const chain = {
+    sort: () => chain,
+    select: () => chain,
+    lean: () => Promise.resolve(result)
+  };
+  return chain;
+};
+
+function blockDoc(overrides = {}) {
+  return {
+    _id: BLOCK_ID,
+    blockerSessionId: 'A',
+    blockedSessionId: 'B',
+    roomId: 'room-1',
+    createdAt: new Date(),
+    expiresAt: new Date(Date.now() + 60000),
+    ...overrides
+  };
+}
+
+async function join(socketId, sessionId) {
+  return matchmakingService.joinQueue({
+    socketId,
+    sessionId,
+    interests: ['Music'],
+    mode: 'text',
+    joinedQueueAt: new Date()
+  });
+}
+
+describe('BlockService', () => {
+  const savedUri = config.MONGODB_URI;
+
+  beforeEach(() => {
+    config.MONGODB_URI = 'mongodb://blocks.test/anonverse';
+    isConnected.mockReturnValue(true);
+    blockService._degraded = false;
+    jest.clearAllMocks();
+  });
+
+  afterEach(() => {
+    config.MONGODB_URI = savedUri;
+    jest.restoreAllMocks();
+  });
+
+  describe('blockSession', () => {
+    it('upserts one block per direction and never returns the blocked session', async () => {
+      const upsert = jest.spyOn(Block, 'findOneAndUpdate').mockReturnValue(query(blockDoc()));
+
+      const block = await blockService.blockSession('A', 'B', { roomId: 'room-1' });
+
+      const [filter, update, options] = upsert.mock.calls[0];
+      expect(filter).toEqual({ blockerSessionId: 'A', blockedSessionId: 'B' });
+      expect(update.$set.roomId).toBe('room-1');
+      expect(update.$set.expiresAt.getTime()).toBeGreaterThan(Date.now());
+      expect(options.upsert).toBe(true);
+      expect(block).toEqual({
+        id: BLOCK_ID,
+        roomId: 'room-1',
+        createdAt: expect.any(Date),
+        expiresAt: expect.any(Date)
+      });
+    });
+
+    it('rejects a missing session or a self-block', async () => {
+      const upsert = jest.spyOn(Block, 'findOneAndUpdate');
+
+      await expect(blockService.blockSession('A', null)).rejects.toThrow('Both sessionIds');
+      await expect(blockService.blockSession('A', 'A')).rejects.toThrow('Cannot block yourself');
+      expect(upsert).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('listBlocks / clearBlocks', () => {
+    it('lists only unexpired blocks created by the caller', async () => {
+      const find = jest.spyOn(Block, 'find').mockReturnValue(query([blockDoc()]));
+
+      const blocks = await blockService.listBlocks('A');
+
+      expect(find.mock.calls[0][0]).toEqual({ blockerSessionId: 'A', expiresAt: { $gt: expect.any(Date) } });
+      expect(blocks).toHaveLength(1);
+      expect(blocks[0]).not.toHaveProperty('blockedSessionId');
+    });
+
+    it('clears one block or all of the caller\'s blocks', async () => {
+      const remove = jest.spyOn(Block, 'deleteMany').mockResolvedValue({ deletedCount: 2 });
+
+      expect(await blockService.clearBlocks('A')).toBe(2);
+      await blockService.clearBlocks('A', BLOCK_ID);
+
+      expect(remove.mock.calls[0][0]).toEqual({ blockerSessionId: 'A' });
+      expect(remove.mock.calls[1][0]).toEqual({ blockerSessionId: 'A', _id: BLOCK_ID });
+    });
+  });
+
+  describe('getBlockedSessionIds', () => {
+    it('returns the sessions kept apart in either direction', async () => {
+      jest.spyOn(Block, 'getBlockedSessionIds').mockResolvedValue(['B', 'C']);
+
+      expect(await blockService.getBlockedSessionIds('A')).toEqual(new Set(['B', 'C']));
+    });
+
+    it('is empty without MONGODB_URI, since no block can exist', async () => {
+      config.MONGODB_URI = '';
+      isConnected.mockReturnValue(false);
+
+      expect(await blockService.getBlockedSessionIds('A')).toEqual(new Set());
+      expect(logger.warn).not.toHaveBeenCalled();
+    });
+
+    it('fails closed and logs once while MongoDB is unreachable', async () => {
+      isConnected.mockReturnValue(false);
+
+      expect(await blockService.getBlockedSessionIds('A')).toBeNull();
+      expect(await blockService.getBlockedSessionIds('B')).toBeNull();
+
+      expect(logger.warn).toHaveBeenCalledTimes(1);
+      expect(logger.warn).toHaveBeenCalledWith(
+        'Block list unavailable — matchmaking paused',
+        { reason: 'MongoDB not connected' }
+      );
+    });
+
+    it('fails closed when the query throws, and logs the recovery', async () => {
+      const lookup = jest.spyOn(Block, 'getBlockedSessionIds').mockRejectedValueOnce(new Error('socket hang up'));
+
+      expect(await blockService.getBlockedSessionIds('A')).toBeNull();
+      expect(logger.warn).toHaveBeenCalledWith(
+        'Block list unavailable — matchmaking paused',
+        { reason: 'socket hang up' }
+      );
+
+      lookup.mockResolvedValue([]);
+      expect(await blockService.getBlockedSessionIds('A')).toEqual(new Set());
+      expect(logger.info).toHaveBeenCalledWith('Block list available again — matchmaking resumed');
+    });
+  });
+
+  describe('matchmaking', () => {
+    beforeEach(async () => {
+      matchmakingService.setStore(new MemoryMatchStore());
+      presenceService.setStore(new MemoryPresenceStore());
+      jest.spyOn(Block, 'getBlockedSessionIds').mockResolvedValue([]);
+      for (const [socketId, sessionId] of [['a1', 'A'], ['b1', 'B'], ['c1', 'C']]) {
+        await presenceService.addUser(socketId, sessionId);
+      }
+    });
+
+    it('skips a candidate the joining user blocked or was blocked by', async () => {
+      Block.getBlockedSessionIds.mockImplementation(async (sessionId) => (
+        sessionId === 'C' ? ['A'] : []
+      ));
+
+      await join('a1', 'A');
+      const blocked = await join('c1', 'C');
+      const other = await join('b1', 'B');
+
+      expect(blocked.matched).toBe(false);
+      expect(other.matched).toBe(true);
+      expect(other.match.user2SocketId).toBe('a1');
+    });
+
+    it('keeps everyone queued while the block list is unavailable', async () => {
+      await join('a1', 'A');
+      isConnected.mockReturnValue(false);
+
+      const waiting = await join('b1', 'B');
+
+      expect(waiting.matched).toBe(false);
+      expect(waiting.position).toBe(2);
+    });
+  });
+
+  describe('block-user event', () => {
+    let socket;
+    let roomId;
+
+    beforeEach(async () => {
+      matchmakingService.setStore(new MemoryMatchStore());
+      presenceService.setStore(new MemoryPresenceStore());
+      jest.spyOn(Block, 'getBlockedSessionIds').mockResolvedValue([]);
+      jest.spyOn(chatService, 'scheduleRoomDeletion').mockResolvedValue();
+
+      await presenceService.addUser('a1', 'A');
+      await presenceService.addUser('b1', 'B');
+      await join('a1', 'A');
+      ({ match: { roomId } } = await join('b1', 'B'));
+
+      socket = fakeSocket('b1');
+      socket.join(roomId);
+      chatHandler.register(socket, fakeIo());
+    });
+
+    it('blocks the partner\'s session and ends the chat', async () => {
+      const upsert = jest.spyOn(Block, 'findOneAndUpdate').mockReturnValue(query(blockDoc({
+        blockerSessionId: 'B',
+        blockedSessionId: 'A',
+        roomId
+      })));
+
+      await socket.fire('block-user');
+
+      expect(upsert.mock.calls[0][0]).toEqual({ blockerSessionId: 'B', blockedSessionId: 'A' });
+      expect(socket.events('user-blocked')).toEqual([
+        expect.objectContaining({ success: true, blockId: BLOCK_ID })
+      ]);
+      expect(socket.broadcast).toContainEqual([roomId, 'partner-disconnected', expect.objectContaining({ reason: 'left' })]);
+      expect(socket.rooms.has(roomId)).toBe(false);
+      expect(await matchmakingService.getMatch(roomId)).toBeNull();
+    });
+
+    it('keeps the chat open when the block cannot be saved', async () => {
+      jest.spyOn(Block, 'findOneAndUpdate').mockReturnValue({ lean: () => Promise.reject(new Error('down')) });
+
+      await socket.fire('block-user');
+
+      expect(socket.events('block-error')).toEqual([{ error: 'Failed to block user' }]);
+      expect(await matchmakingService.getMatch(roomId)).not.toBeNull();
+    });
+
+    it('needs an active chat', async () => {
+      const loner = fakeSocket('c1');
+      await presenceService.addUser('c1', 'C');
+      chatHandler.register(loner, fakeIo());
+
+      await loner.fire('block-user');
+
+      expect(loner.events('block-error')).toEqual([{ error: 'Not in an active chat session' }]);
+    });
+  });
+
+  describe('/api/user/blocks', () => {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/user', userRoutes);
+
+    it('needs the X-Session-ID header', async () => {
+      await request(app).get('/api/user/blocks').expect(400);
+      await request(app).delete('/api/user/blocks').expect(400);
+    });
+
+    it('is unavailable without MongoDB', async () => {
+      isConnected.mockReturnValue(false);
+
+      await request(app).get('/api/user/blocks').set('X-Session-ID', 'A').expect(503);
+      await request(app).delete('/api/user/blocks').set('X-Session-ID', 'A').expect(503);
+    });
+
+    it('lists the caller\'s blocks', async () => {
+      jest.spyOn(Block, 'find').mockReturnValue(query([blockDoc()]));
+
+      const res = await request(app).get('/api/user/blocks').set('X-Session-ID', 'A').expect(200);
+
+      expect(res.body).toMatchObject({ success: true, count: 1, blocks: [{ id: BLOCK_ID, roomId: 'room-1' }] });
+    });
+
+    it('clears every block, or one by id', async () => {
+      const remove = jest.spyOn(Block, 'deleteMany').mockResolvedValue({ deletedCount: 3 });
+
+      const all = await request(app).delete('/api/user/blocks').set('X-Session-ID', 'A').expect(200);
+      expect(all.body).toEqual({ success: true, cleared: 3 });
+
+      remove.mockResolvedValue({ deletedCount: 1 });
+      await request(app).delete(`/api/user/blocks/${BLOCK_ID}`).set('X-Session-ID', 'A').expect(200);
+      expect(remove.mock.calls[1][0]).toEqual({ blockerSessionId: 'A', _id: BLOCK_ID });
+    });
+
+    it('rejects a malformed id and 404s on someone else\'s block', async () => {
+      const remove = jest.spyOn(Block, 'deleteMany').mockResolvedValue({ deletedCount: 0 });
+
+      await request(app).delete('/api/user/blocks/not-an-id').set('X-Session-ID', 'A').expect(400);
+      await request(app).delete(`/api/user/blocks/${BLOCK_ID}`).set('X-Session-ID', 'A').expect(404);
+      expect(remove).toHaveBeenCalledTimes(1);
+    });
+  });
+});
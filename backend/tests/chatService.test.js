@@ -0,0 +1,602 @@
+jest.mock('../loaders/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const mongoose = require('mongoose');
+const logger = require('../loaders/logger');
+const Message = require('../models/Message');
+const RoomSequence = require('../models/RoomSequence');
+const chatService = require('../services/ChatService');
+const moderationService = require('../services/ModerationService');
+const presenceService = require('../services/PresenceService');
+const MemoryPresenceStore = require('../stores/MemoryPresenceStore');
+const chatHandler = require('../socket/chatHandler');
+const { fakeSocket, fakeIo } = require('./helpers/fakeSocket');
+
+/**
+ * Just enough of a node-redis client for the room message cache
+ */
+function fakeRedis() {
+  const lists = new Map();
+  const zsets = new Map();
+  const zset = key => {
+    if (!zsets.has(key)) zsets.set(key, new Map());
+    return zsets.get(key);
+  };
+  return {
+    isReady: true,
+    lists,
+    zsets,
+    keys: jest.fn(),
+    async lRange(key) { return [...(lists.get(key) || [])]; },
+    async lSet(key, index, value) { lists.get(key)[index] = value; },
+    async rPushX(key, value) {
+      if (!lists.has(key)) return 0;
+      return lists.get(key).push(value);
+    },
+    async lTrim(key, start) { lists.set(key, lists.get(key).slice(start)); },
+    async expire() {},
+    async del(keys) { [].concat(keys).forEach(key => { lists.delete(key); zsets.delete(key); }); },
+    async zRem(key, member) { zset(key).delete(member); },
+    async zRangeByScore(key, min) {
+      return Array.from(zset(key)).filter(([, score]) => score >= min).map(([member]) => member);
+    },
+    multi() {
+      const ops = [];
+      const tx = {
+        del: (key) => { ops.push(() => lists.delete(key)); return tx; },
+        rPush: (key, values) => { ops.push(() => lists.set(key, [...(lists.get(key) || []), ...values])); return tx; },
+        expire: () => tx,
+        pExpire: () => tx,
+        zRemRangeByScore: (key, min, max) => {
+          ops.push(() => zset(key).forEach((score, member) => { if (score <= max) zset(key).delete(member); }));
+          return tx;
+        },
+        zAdd: (key, { score, value }) => { ops.push(() => zset(key).set(value, score)); return tx; },
+        exec: async () => ops.forEach(op => op())
+      };
+      return tx;
+    }
+  };
+}
+
+function storedMessage(overrides = {}) {
+  const msg = new Message({
+    roomId: 'room1',
+    senderId: 'sock-a',
+    recipientId: 'sock-b',
+    content: 'helo',
+    ...overrides
+  });
+  msg.createdAt = overrides.createdAt || new Date();
+  return msg;
+}
+
+describe('ChatService edit and delete', () => {
+  let redis;
+  let msg;
+
+  beforeEach(() => {
+    msg = storedMessage();
+    jest.spyOn(Message, 'findOne').mockImplementation(async () => msg);
+    jest.spyOn(Message.prototype, 'save').mockImplementation(function save() {
+      return Promise.resolve(this);
+    });
+
+    redis = fakeRedis();
+    redis.lists.set('room:messages:room1', [
+      JSON.stringify({ id: String(new mongoose.Types.ObjectId()), content: 'newer' }),
+      JSON.stringify({ id: String(msg._id), content: 'helo' })
+    ]);
+    chatService.setRedis(redis);
+    chatService.EDIT_WINDOW_MS = 5 * 60 * 1000;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    chatService.setRedis(null);
+  });
+
+  it('lets the sender edit and updates the cached copy in place', async () => {
+    const edited = await chatService.editMessage(String(msg._id), {
+      senderId: 'sock-a',
+      roomId: 'room1',
+      content: '  hello  '
+    });
+
+    expect(edited.content).toBe('hello');
+    expect(edited.edited).toBe(true);
+    expect(edited.editedAt).toBeInstanceOf(Date);
+
+    const cached = redis.lists.get('room:messages:room1').map(i => JSON.parse(i));
+    expect(cached.map(m => m.content)).toEqual(['newer', 'hello']);
+  });
+
+  it('soft-deletes and drops the room cache', async () => {
+    const deleted = await chatService.deleteMessage(String(msg._id), {
+      senderId: 'sock-a',
+      roomId: 'room1'
+    });
+
+    expect(deleted.deletedAt).toBeInstanceOf(Date);
+    expect(msg.deletedAt).toBeInstanceOf(Date);
+    expect(redis.lists.has('room:messages:room1')).toBe(false);
+  });
+
+  it('only looks up live messages in the sender\'s room', async () => {
+    await chatService.deleteMessage(String(msg._id), { senderId: 'sock-a', roomId: 'room1' });
+
+    expect(Message.findOne).toHaveBeenCalledWith({
+      _id: String(msg._id),
+      roomId: 'room1',
+      deletedAt: { $exists: false }
+    });
+  });
+
+  it('refuses anyone but the sender', async () => {
+    await expect(chatService.editMessage(String(msg._id), {
+      senderId: 'sock-b',
+      roomId: 'room1',
+      content: 'not mine'
+    })).rejects.toMatchObject({ status: 403 });
+    expect(Message.prototype.save).not.toHaveBeenCalled();
+  });
+
+  it('refuses changes once the edit window has passed', async () => {
+    msg = storedMessage({ createdAt: new Date(Date.now() - 6 * 60 * 1000) });
+
+    await expect(chatService.deleteMessage(String(msg._id), {
+      senderId: 'sock-a',
+      roomId: 'room1'
+    })).rejects.toMatchObject({ status: 403 });
+  });
+
+  it('rejects unknown ids, empty edits and image edits', async () => {
+    await expect(chatService.deleteMessage('nope', { senderId: 'sock-a', roomId: 'room1' }))
+      .rejects.toMatchObject({ status: 400 });
+
+    await expect(chatService.editMessage(String(msg._id), { senderId: 'sock-a', roomId: 'room1', content: ' ' }))
+      .rejects.toMatchObject({ status: 400 });
+
+    msg = storedMessage({ type: 'image', content: '/api/chat/media/x' });
+    await expect(chatService.editMessage(String(msg._id), { senderId: 'sock-a', roomId: 'room1', content: 'hi' }))
+      .rejects.toMatchObject({ status: 400 });
+
+    Message.findOne.mockImplementation(async () => null);
+    await expect(chatService.deleteMessage(String(msg._id), { senderId: 'sock-a', roomId: 'room1' }))
+      .rejects.toMatchObject({ status: 404 });
+  });
+});
+
+describe('edit-message event', () => {
+  let socket;
+  let msg;
+
+  beforeEach(async () => {
+    presenceService.setStore(new MemoryPresenceStore());
+    await presenceService.addUser('sock-a', 'A');
+    await presenceService.updateUser('sock-a', { isMatched: true, roomId: 'room1', currentMatch: 'sock-b' });
+
+    socket = fakeSocket('sock-a');
+    chatHandler.register(socket, fakeIo());
+
+    msg = storedMessage();
+    jest.spyOn(Message, 'findOne').mockImplementation(async () => msg);
+    jest.spyOn(Message.prototype, 'save').mockImplementation(function save() {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(moderationService, 'checkMessage').mockResolvedValue({ allowed: true, action: 'allow' });
+    chatService.EDIT_WINDOW_MS = 5 * 60 * 1000;
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('moderates and saves an edit of the sender\'s own message', async () => {
+    await socket.fire('edit-message', { messageId: String(msg._id), content: 'hello' });
+
+    expect(moderationService.checkMessage).toHaveBeenCalledWith('hello', 'A');
+    expect(socket.events('message-edited')).toEqual([expect.objectContaining({ content: 'hello', edited: true })]);
+    expect(socket.broadcast).toContainEqual(['room1', 'message-edited', expect.objectContaining({ content: 'hello' })]);
+  });
+
+  it('rejects someone else\'s message without moderating the text', async () => {
+    msg = storedMessage({ senderId: 'sock-b' });
+
+    await socket.fire('edit-message', { messageId: String(msg._id), content: 'you idiot' });
+
+    expect(moderationService.checkMessage).not.toHaveBeenCalled();
+    expect(socket.events('message-error')).toEqual([{ error: 'You can only change your own messages' }]);
+  });
+
+  it('rejects a missing or unknown message without moderating the text', async () => {
+    Message.findOne.mockImplementation(async () => null);
+
+    await socket.fire('edit-message', { content: 'you idiot' });
+    await socket.fire('edit-message', { messageId: String(msg._id), content: 'you idiot' });
+
+    expect(moderationService.checkMessage).not.toHaveBeenCalled();
+    expect(socket.events('message-error')).toEqual([{ error: 'Invalid messageId' }, { error: 'Message not found' }]);
+  });
+
+  it('keeps the original when the new text is blocked', async () => {
+    moderationService.checkMessage.mockResolvedValue({ allowed: false, action: 'block', reason: 'nope', categories: ['toxic'] });
+
+    await socket.fire('edit-message', { messageId: String(msg._id), content: 'you idiot' });
+
+    expect(socket.events('message-blocked')).toHaveLength(1);
+    // ModerationService already logged it
+    expect(logger.warn).not.toHaveBeenCalledWith('Message blocked by moderation', expect.anything());
+    expect(Message.prototype.save).not.toHaveBeenCalled();
+    expect(msg.content).toBe('helo');
+  });
+});
+
+describe('ChatService delivery receipts', () => {
+  const ids = [new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId()];
+  let redis;
+
+  beforeEach(() => {
+    jest.spyOn(Message, 'find').mockReturnValue({
+      select: () => ({ lean: async () => ids.map(_id => ({ _id })) })
+    });
+    jest.spyOn(Message, 'updateMany').mockResolvedValue({ modifiedCount: ids.length });
+
+    redis = fakeRedis();
+    redis.lists.set('room:messages:room1', ids.map(id => JSON.stringify({ id: String(id), status: 'sent' })));
+    chatService.setRedis(redis);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    chatService.setRedis(null);
+  });
+
+  it('moves the recipient\'s messages forward and patches the cache', async () => {
+    const changed = await chatService.updateMessageStatus([...ids.map(String), 'junk'], {
+      recipientId: 'sock-b',
+      roomId: 'room1',
+      status: 'delivered'
+    });
+
+    expect(changed).toEqual(ids.map(String));
+    expect(Message.find).toHaveBeenCalledWith({
+      _id: { $in: ids.map(String) },
+      roomId: 'room1',
+      recipientId: 'sock-b',
+      status: { $in: ['sent'] }
+    });
+    expect(Message.updateMany.mock.calls[0][1]).toEqual({ $set: { status: 'delivered' } });
+
+    const cached = redis.lists.get('room:messages:room1').map(i => JSON.parse(i));
+    expect(cached.map(m => m.status)).toEqual(['delivered', 'delivered']);
+  });
+
+  it('lets read skip over delivered but never moves backwards', async () => {
+    await chatService.updateMessageStatus(ids.map(String), { recipientId: 'sock-b', roomId: 'room1', status: 'read' });
+    expect(Message.find.mock.calls[0][0].status).toEqual({ $in: ['sent', 'delivered'] });
+
+    await expect(chatService.updateMessageStatus(ids.map(String), {
+      recipientId: 'sock-b',
+      roomId: 'room1',
+      status: 'sent'
+    })).rejects.toMatchObject({ status: 400 });
+  });
+
+  it('skips the database when nothing valid was acknowledged', async () => {
+    expect(await chatService.updateMessageStatus(['nope'], { recipientId: 'sock-b', roomId: 'room1', status: 'read' }))
+      .toEqual([]);
+    expect(Message.find).not.toHaveBeenCalled();
+
+    await expect(chatService.updateMessageStatus('nope', { recipientId: 'sock-b', roomId: 'room1', status: 'read' }))
+      .rejects.toMatchObject({ status: 400 });
+  });
+});
+
+describe('ChatService ordering and idempotent sends', () => {
+  let seq;
+
+  beforeEach(() => {
+    seq = 0;
+    jest.spyOn(RoomSequence, 'next').mockImplementation(async () => ++seq);
+    jest.spyOn(Message.prototype, 'save').mockImplementation(function save() {
+      return Promise.resolve(this);
+    });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  const send = (overrides = {}) => chatService.sendMessage({
+    roomId: 'room1',
+    senderId: 'sock-a',
+    recipientId: 'sock-b',
+    content: 'hi',
+    ...overrides
+  });
+
+  it('numbers messages in order within the room', async () => {
+    const first = await send({ clientMessageId: 'c1' });
+    const second = await send({ clientMessageId: 'c2' });
+
+    expect([first.seq, second.seq]).toEqual([1, 2]);
+    expect(first.clientMessageId).toBe('c1');
+    expect(RoomSequence.next).toHaveBeenCalledWith('room1', chatService.SEQ_TTL_MS);
+  });
+
+  it('returns the original when a resend loses the race on the unique index', async () => {
+    const original = storedMessage({ clientMessageId: 'c1', seq: 1 });
+    Message.prototype.save.mockRejectedValue(Object.assign(new Error('E11000 duplicate key'), { code: 11000 }));
+    jest.spyOn(Message, 'findOne').mockReturnValue({ lean: async () => original.toObject() });
+
+    const again = await send({ clientMessageId: 'c1' });
+
+    expect(again.duplicate).toBe(true);
+    expect(String(again.id)).toBe(String(original._id));
+    expect(again.seq).toBe(1);
+    expect(Message.findOne).toHaveBeenCalledWith({ roomId: 'room1', clientMessageId: 'c1' });
+  });
+
+  it('still throws duplicate key errors it cannot explain', async () => {
+    Message.prototype.save.mockRejectedValue(Object.assign(new Error('E11000 duplicate key'), { code: 11000 }));
+
+    await expect(send()).rejects.toThrow('E11000');
+  });
+
+  it('fetches only what came after afterSeq, bypassing the cache', async () => {
+    const later = [storedMessage({ seq: 4 }), storedMessage({ seq: 5 })].map(m => m.toObject());
+    jest.spyOn(Message, 'getMessagesAfterSeq').mockResolvedValue(later);
+    chatService.setRedis(fakeRedis());
+
+    const { messages, nextCursor } = await chatService.getRoomMessages('room1', { afterSeq: 3, limit: 20 });
+
+    expect(Message.getMessagesAfterSeq).toHaveBeenCalledWith('room1', 3, 21);
+    expect(messages.map(m => m.seq)).toEqual([4, 5]);
+    expect(nextCursor).toBeNull();
+    chatService.setRedis(null);
+  });
+});
+
+describe('ChatService reconnect replay', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it('replays a seq that was saved after a newer one from the last contiguous seq', async () => {
+    // What MongoDB holds: only committed messages, found by seq
+    const committed = [];
+    jest.spyOn(Message, 'find').mockImplementation(({ seq }) => {
+      const chain = {
+        sort: () => chain,
+        limit: () => chain,
+        lean: async () => committed.filter(m => m.seq > seq.$gt).sort((a, b) => a.seq - b.seq)
+      };
+      return chain;
+    });
+    let seq = 4;
+    jest.spyOn(RoomSequence, 'next').mockImplementation(async () => ++seq);
+    let commitFirst;
+    const firstSaved = new Promise(resolve => { commitFirst = resolve; });
+    jest.spyOn(Message.prototype, 'save')
+      .mockImplementationOnce(async function save() {
+        await firstSaved;
+        committed.push(this.toObject());
+        return this;
+      })
+      .mockImplementationOnce(async function save() {
+        committed.push(this.toObject());
+        return this;
+      });
+
+    const send = content => chatService.sendMessage({ roomId: 'room1', senderId: 'sock-a', recipientId: 'sock-b', content });
+    const slow = send('first');
+    const fast = await send('second');
+    expect(fast.seq).toBe(6);
+
+    // A client that saw seq 6 is already past seq 5, which is not stored yet
+    expect((await chatService.getMissedMessages('room1', 6)).messages).toEqual([]);
+
+    commitFirst();
+    expect((await slow).seq).toBe(5);
+
+    // From its last contiguous seq it gets both, in seq order
+    const { messages } = await chatService.getMissedMessages('room1', 4);
+    expect(messages.map(m => [m.seq, m.content])).toEqual([[5, 'first'], [6, 'second']]);
+  });
+
+  it('returns at most REPLAY_LIMIT missed messages and flags the rest', async () => {
+    const stored = [4, 5, 6].map(seq => storedMessage({ seq }).toObject());
+    jest.spyOn(Message, 'getMessagesAfterSeq').mockResolvedValue(stored);
+
+    const { messages, hasMore } = await chatService.getMissedMessages('room1', 3, 2);
+
+    expect(Message.getMessagesAfterSeq).toHaveBeenCalledWith('room1', 3, 3);
+    expect(messages.map(m => m.seq)).toEqual([4, 5]);
+    expect(hasMore).toBe(true);
+  });
+
+  it('moves both directions of the room\'s messages to the new socket', async () => {
+    jest.spyOn(Message, 'updateMany').mockResolvedValue({ modifiedCount: 1 });
+
+    await chatService.remapSocket('room1', 'old-sock', 'new-sock');
+
+    expect(Message.updateMany).toHaveBeenCalledWith(
+      { roomId: 'room1', senderId: 'old-sock' },
+      { $set: { senderId: 'new-sock' } }
+    );
+    expect(Message.updateMany).toHaveBeenCalledWith(
+      { roomId: 'room1', recipientId: 'old-sock' },
+      { $set: { recipientId: 'new-sock' } }
+    );
+
+    Message.updateMany.mockClear();
+    await chatService.remapSocket('room1', undefined, 'new-sock');
+    expect(Message.updateMany).not.toHaveBeenCalled();
+  });
+});
+
+describe('ChatService cursor pagination', () => {
+  // 1..n in a room, as MongoDB would hold them
+  let stored;
+
+  function room(n) {
+    stored = Array.from({ length: n }, (_, i) => storedMessage({ seq: i + 1, content: `m${i + 1}` }).toObject());
+  }
+
+  const seqs = page => page.messages.map(m => m.seq);
+  const idOf = seq => String(stored[seq - 1]._id);
+
+  beforeEach(() => {
+    jest.spyOn(Message, 'getMessagesBeforeSeq').mockImplementation(async (roomId, beforeSeq, limit) =>
+      stored
+        .filter(m => beforeSeq === undefined || m.seq < beforeSeq)
+        .sort((a, b) => b.seq - a.seq)
+        .slice(0, limit));
+    jest.spyOn(Message, 'getMessagesAfterSeq').mockImplementation(async (roomId, afterSeq, limit) =>
+      stored.filter(m => m.seq > afterSeq).slice(0, limit));
+    jest.spyOn(Message, 'findOne').mockImplementation(({ _id }) => ({
+      select: () => ({ lean: async () => stored.find(m => String(m._id) === String(_id)) || null })
+    }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    chatService.setRedis(null);
+  });
+
+  it('pages back through MongoDB oldest first with before cursors', async () => {
+    room(7);
+
+    const first = await chatService.getRoomMessages('room1', { limit: 3, useCache: false });
+    expect(seqs(first)).toEqual([5, 6, 7]);
+    expect(first.nextCursor).toBe(idOf(5));
+
+    const second = await chatService.getRoomMessages('room1', { limit: 3, before: first.nextCursor, useCache: false });
+    expect(seqs(second)).toEqual([2, 3, 4]);
+
+    const last = await chatService.getRoomMessages('room1', { limit: 3, before: second.nextCursor, useCache: false });
+    expect(seqs(last)).toEqual([1]);
+    expect(last.nextCursor).toBeNull();
+  });
+
+  it('pages forward with after cursors', async () => {
+    room(5);
+
+    const page = await chatService.getRoomMessages('room1', { limit: 2, after: idOf(1) });
+    expect(seqs(page)).toEqual([2, 3]);
+    expect(page.nextCursor).toBe(idOf(3));
+
+    const rest = await chatService.getRoomMessages('room1', { limit: 2, after: page.nextCursor });
+    expect(seqs(rest)).toEqual([4, 5]);
+    expect(rest.nextCursor).toBeNull();
+  });
+
+  it('returns the same pages from Redis as from MongoDB', async () => {
+    room(7);
+    const redis = fakeRedis();
+    chatService.setRedis(redis);
+
+    const fromMongo = await chatService.getRoomMessages('room1', { limit: 3 });
+    expect(redis.lists.get('room:messages:room1')).toHaveLength(7);
+    Message.getMessagesBeforeSeq.mockClear();
+
+    const fromCache = await chatService.getRoomMessages('room1', { limit: 3 });
+    const older = await chatService.getRoomMessages('room1', { limit: 3, before: fromCache.nextCursor });
+
+    expect(Message.getMessagesBeforeSeq).not.toHaveBeenCalled();
+    // Same payload once it goes over the wire
+    expect(fromCache).toEqual(JSON.parse(JSON.stringify(fromMongo)));
+    expect(seqs(older)).toEqual([2, 3, 4]);
+  });
+
+  it('appends new messages to the cache in order and goes to MongoDB past its end', async () => {
+    room(chatService.CACHE_SIZE + 5);
+    const redis = fakeRedis();
+    chatService.setRedis(redis);
+    jest.spyOn(RoomSequence, 'next').mockResolvedValue(stored.length + 1);
+    jest.spyOn(Message.prototype, 'save').mockImplementation(function save() {
+      stored.push(this.toObject());
+      return Promise.resolve(this);
+    });
+
+    await chatService.getRoomMessages('room1', { limit: 3 });
+    await chatService.sendMessage({ roomId: 'room1', senderId: 'sock-a', recipientId: 'sock-b', content: 'new' });
+
+    const cached = redis.lists.get('room:messages:room1').map(i => JSON.parse(i).seq);
+    expect(cached).toHaveLength(chatService.CACHE_SIZE);
+    expect(cached.slice(-2)).toEqual([stored.length - 1, stored.length]);
+
+    const oldest = await chatService.getRoomMessages('room1', { limit: 3, before: idOf(7) });
+    expect(seqs(oldest)).toEqual([4, 5, 6]);
+    expect(Message.getMessagesBeforeSeq).toHaveBeenLastCalledWith('room1', 7, 4);
+  });
+
+  it('does not start a cache from a single new message', async () => {
+    room(0);
+    const redis = fakeRedis();
+    chatService.setRedis(redis);
+    jest.spyOn(RoomSequence, 'next').mockResolvedValue(1);
+    jest.spyOn(Message.prototype, 'save').mockImplementation(function save() {
+      return Promise.resolve(this);
+    });
+
+    await chatService.sendMessage({ roomId: 'room1', senderId: 'sock-a', recipientId: 'sock-b', content: 'hi' });
+
+    expect(redis.lists.has('room:messages:room1')).toBe(false);
+  });
+
+  it('rejects bad or conflicting cursors', async () => {
+    room(3);
+
+    await expect(chatService.getRoomMessages('room1', { before: 'junk' })).rejects.toMatchObject({ status: 400 });
+    await expect(chatService.getRoomMessages('room1', { before: String(new mongoose.Types.ObjectId()) }))
+      .rejects.toMatchObject({ status: 400 });
+    await expect(chatService.getRoomMessages('room1', { before: idOf(2), after: idOf(1) }))
+      .rejects.toMatchObject({ status: 400 });
+  });
+});
+
+describe('ChatService typing indicators', () => {
+  let redis;
+
+  beforeEach(() => {
+    redis = fakeRedis();
+    chatService.setRedis(redis);
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    chatService.setRedis(null);
+  });
+
+  it('keeps one sorted set per room', async () => {
+    await chatService.setTypingIndicator('room1', 'sock-a');
+    await chatService.setTypingIndicator('room1', 'sock-b');
+    await chatService.setTypingIndicator('room2', 'sock-c');
+    await chatService.setTypingIndicator('room1', 'sock-b', false);
+
+    expect(await chatService.getTypingUsers('room1')).toEqual(['sock-a']);
+    expect(await chatService.getTypingUsers('room2')).toEqual(['sock-c']);
+    expect([...redis.zsets.keys()]).toEqual(['typing:room1', 'typing:room2']);
+  });
+
+  it('drops members whose indicator ran out', async () => {
+    jest.useFakeTimers({ now: 1000000 });
+    await chatService.setTypingIndicator('room1', 'sock-a');
+    jest.setSystemTime(1000000 + chatService.TYPING_TTL * 1000 + 1);
+    await chatService.setTypingIndicator('room1', 'sock-b');
+
+    expect(await chatService.getTypingUsers('room1')).toEqual(['sock-b']);
+    expect([...redis.zsets.get('typing:room1').keys()]).toEqual(['sock-b']);
+  });
+
+  it('clears a room by key name without scanning', async () => {
+    redis.lists.set('room:messages:room1', ['{}']);
+    await chatService.setTypingIndicator('room1', 'sock-a');
+
+    await chatService._clearCache('room1');
+
+    expect(redis.lists.has('room:messages:room1')).toBe(false);
+    expect(redis.zsets.has('typing:room1')).toBe(false);
+    expect(redis.keys).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,619 @@
+const { EventEmitter } = require('events');
+const { lua, lauxlib, lualib, to_luastring } = require('fengari');
+
+/**
+ * In-process stand-in for a Redis server's pub/sub.
+ * Clients created from the same bus see each other's publishes, which is
+ * all @socket.io/redis-adapter needs to link several io servers together.
+ * Implements the node-redis v4 method names the adapter looks for.
+ */
+class FakeRedisBus {
+  constructor() {
+    this._clients = new Set();
+  }
+
+  createClient() {
+    const client = new FakeRedisClient(this);
+    this._clients.add(client);
+    return client;
+  }
+
+  publish(channel, message) {
+    const payload = Buffer.isBuffer(message) ? message : Buffer.from(message);
+    let receivers = 0;
+    for (const client of this._clients) {
+      receivers += client._deliver(channel, payload);
+    }
+    return receivers;
+  }
+
+  numSub(channel) {
+    let count = 0;
+    for (const client of this._clients) {
+      if (client._channels.has(channel)) count++;
+    }
+    return count;
+  }
+}
+
+class FakeRedisClient extends EventEmitter {
+  constructor(bus) {
+    super();
+    this._bus = bus;
+    // channel -> listener
+    this._channels = new Map();
+    // pattern -> { regex, listener }
+    this._patterns = new Map();
+    this.isReady = true;
+  }
+
+  async connect() {}
+
+  async quit() {
+    this._channels.clear();
+    this._patterns.clear();
+    this._bus._clients.delete(this);
+  }
+
+  duplicate() {
+    return this._bus.createClient();
+  }
+
+  async publish(channel, message) {
+    return this._bus.publish(channel, message);
+  }
+
+  async subscribe(channels, listener) {
+    [].concat(channels).forEach(c => this._channels.set(c, listener));
+  }
+
+  async unsubscribe(channels) {
+    [].concat(channels).forEach(c => this._channels.delete(c));
+  }
+
+  async pSubscribe(pattern, listener) {
+    const regex = new RegExp(`^${pattern.split('*').map(escapeRegex).join('.*')}$`);
+    this._patterns.set(pattern, { regex, listener });
+  }
+
+  async pUnsubscribe(pattern) {
+    this._patterns.delete(pattern);
+  }
+
+  // Sharded pub/sub is unused here — present so the adapter treats us as node-redis v4
+  async sSubscribe() {}
+  async sUnsubscribe() {}
+
+  async sendCommand([command, sub, channel]) {
+    if (command.toUpperCase() === 'PUBSUB' && sub.toUpperCase() === 'NUMSUB') {
+      return [channel, this._bus.numSub(channel)];
+    }
+    throw new Error(`FakeRedisClient: unsupported command ${command}`);
+  }
+
+  _deliver(channel, payload) {
+    let delivered = 0;
+    const listener = this._channels.get(channel);
+    // Delivered on a later tick, like a real round trip through Redis
+    if (listener) {
+      setImmediate(() => listener(payload, channel));
+      delivered++;
+    }
+    for (const { regex, listener: pListener } of this._patterns.values()) {
+      if (regex.test(channel)) {
+        setImmediate(() => pListener(payload, channel));
+        delivered++;
+      }
+    }
+    return delivered;
+  }
+}
+
+function escapeRegex(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// ─── DATA COMMANDS ─────────────────────────────────────────────
+
+/**
+ * In-process stand-in for a Redis server's keyspace.
+ * Every command runs synchronously against one shared keyspace, so a
+ * MULTI or an EVAL script is atomic exactly as it is on a real server.
+ * Clients created from the same server behave like separate connections
+ * (one per backend instance) and yield between commands, so concurrent
+ * callers interleave the way they would over the network.
+ *
+ * EVAL runs the script in a real Lua VM (fengari), with redis.call
+ * routed back into the same keyspace.
+ */
+class FakeRedisServer {
+  constructor() {
+    // key -> { type, value, expiresAt }
+    this._keys = new Map();
+  }
+
+  createClient() {
+    return new FakeRedisDataClient(this);
+  }
+
+  /**
+   * Run one command (upper-case name, string arguments) and return the
+   * raw Redis reply: string, integer, null or array
+   */
+  call(name, ...args) {
+    const command = COMMANDS[name.toUpperCase()];
+    if (!command) throw new Error(`FakeRedisServer: unsupported command ${name}`);
+    return command.call(this, ...args.map(String));
+  }
+
+  eval(script, keys, args) {
+    const L = lauxlib.luaL_newstate();
+    lualib.luaL_openlibs(L);
+
+    pushArray(L, keys);
+    lua.lua_setglobal(L, to_luastring('KEYS'));
+    pushArray(L, args);
+    lua.lua_setglobal(L, to_luastring('ARGV'));
+
+    lua.lua_newtable(L);
+    lua.lua_pushjsfunction(L, (state) => {
+      const argc = lua.lua_gettop(state);
+      const argv = [];
+      for (let i = 1; i <= argc; i++) argv.push(lua.lua_tojsstring(state, i));
+      let reply;
+      try {
+        reply = this.call(...argv);
+      } catch (err) {
+        return lauxlib.luaL_error(state, to_luastring(err.message));
+      }
+      pushReply(state, reply);
+      return 1;
+    });
+    lua.lua_setfield(L, -2, to_luastring('call'));
+    lua.lua_setglobal(L, to_luastring('redis'));
+
+    if (lauxlib.luaL_loadstring(L, to_luastring(script)) !== lua.LUA_OK
+      || lua.lua_pcall(L, 0, 1, 0) !== lua.LUA_OK) {
+      throw new Error(`ERR Error running script: ${lua.lua_tojsstring(L, -1)}`);
+    }
+    return readReply(L, -1);
+  }
+
+  // ─── KEYSPACE ────────────────────────────────────────────────
+
+  _get(key, type) {
+    const entry = this._keys.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+      this._keys.delete(key);
+      return null;
+    }
+    if (type && entry.type !== type) {
+      throw new Error('WRONGTYPE Operation against a key holding the wrong kind of value');
+    }
+    return entry;
+  }
+
+  // Existing entry of the given type, or a new empty one
+  _getOrCreate(key, type, empty) {
+    const entry = this._get(key, type);
+    if (entry) return entry;
+    const created = { type, value: empty, expiresAt: null };
+    this._keys.set(key, created);
+    return created;
+  }
+
+  // Redis removes collections once they are empty
+  _dropIfEmpty(key, entry) {
+    const size = entry.value instanceof Map || entry.value instanceof Set
+      ? entry.value.size
+      : entry.value.length;
+    if (size === 0) this._keys.delete(key);
+  }
+
+  _sortedMembers(entry) {
+    return Array.from(entry.value.entries())
+      .sort(([ma, a], [mb, b]) => (a - b) || (ma < mb ? -1 : ma > mb ? 1 : 0))
+      .map(([member]) => member);
+  }
+}
+
+const COMMANDS = {
+  // ─── KEYS ──────────────────────────────────────────────────
+  DEL(...keys) {
+    return keys.filter(key => this._get(key) && this._keys.delete(key)).length;
+  },
+  EXISTS(...keys) {
+    return keys.filter(key => this._get(key)).length;
+  },
+  PEXPIRE(key, ms) {
+    const entry = this._get(key);
+    if (!entry) return 0;
+    entry.expiresAt = Date.now() + Number(ms);
+    return 1;
+  },
+  EXPIRE(key, seconds) {
+    return COMMANDS.PEXPIRE.call(this, key, Number(seconds) * 1000);
+  },
+  KEYS(pattern) {
+    const regex = new RegExp(`^${pattern.split('*').map(p => escapeRegex(p).replace(/\\\?/g, '.')).join('.*')}$`);
+    return Array.from(this._keys.keys()).filter(key => regex.test(key) && this._get(key));
+  },
+
+  // ─── STRINGS ───────────────────────────────────────────────
+  GET(key) {
+    const entry = this._get(key, 'string');
+    return entry ? entry.value : null;
+  },
+  SET(key, value, ...options) {
+    let expiresAt = null;
+    let onlyIfMissing = false;
+    for (let i = 0; i < options.length; i++) {
+      const option = options[i].toUpperCase();
+      if (option === 'PX') expiresAt = Date.now() + Number(options[++i]);
+      else if (option === 'EX') expiresAt = Date.now() + Number(options[++i]) * 1000;
+      else if (option === 'NX') onlyIfMissing = true;
+    }
+    if (onlyIfMissing && this._get(key)) return null;
+    this._keys.set(key, { type: 'string', value, expiresAt });
+    return 'OK';
+  },
+  GETDEL(key) {
+    const value = COMMANDS.GET.call(this, key);
+    if (value !== null) this._keys.delete(key);
+    return value;
+  },
+  MGET(...keys) {
+    return keys.map((key) => {
+      const entry = this._get(key);
+      return entry && entry.type === 'string' ? entry.value : null;
+    });
+  },
+  INCR(key) {
+    const entry = this._getOrCreate(key, 'string', '0');
+    entry.value = String(Number(entry.value) + 1);
+    return Number(entry.value);
+  },
+
+  // ─── HASHES ────────────────────────────────────────────────
+  HSET(key, ...pairs) {
+    const entry = this._getOrCreate(key, 'hash', new Map());
+    let added = 0;
+    for (let i = 0; i < pairs.length; i += 2) {
+      if (!entry.value.has(pairs[i])) added++;
+      entry.value.set(pairs[i], pairs[i + 1]);
+    }
+    return added;
+  },
+  HGET(key, field) {
+    const entry = this._get(key, 'hash');
+    return entry && entry.value.has(field) ? entry.value.get(field) : null;
+  },
+  HDEL(key, ...fields) {
+    const entry = this._get(key, 'hash');
+    if (!entry) return 0;
+    const removed = fields.filter(f => entry.value.delete(f)).length;
+    this._dropIfEmpty(key, entry);
+    return removed;
+  },
+  HEXISTS(key, field) {
+    const entry = this._get(key, 'hash');
+    return entry && entry.value.has(field) ? 1 : 0;
+  },
+  HLEN(key) {
+    const entry = this._get(key, 'hash');
+    return entry ? entry.value.size : 0;
+  },
+  HVALS(key) {
+    const entry = this._get(key, 'hash');
+    return entry ? Array.from(entry.value.values()) : [];
+  },
+  HGETALL(key) {
+    const entry = this._get(key, 'hash');
+    return entry ? Array.from(entry.value.entries()).flat() : [];
+  },
+  HINCRBY(key, field, increment) {
+    const entry = this._getOrCreate(key, 'hash', new Map());
+    const value = Number(entry.value.get(field) || 0) + Number(increment);
+    entry.value.set(field, String(value));
+    return value;
+  },
+
+  // ─── SETS ──────────────────────────────────────────────────
+  SADD(key, ...members) {
+    const entry = this._getOrCreate(key, 'set', new Set());
+    const before = entry.value.size;
+    members.forEach(m => entry.value.add(m));
+    return entry.value.size - before;
+  },
+  SREM(key, ...members) {
+    const entry = this._get(key, 'set');
+    if (!entry) return 0;
+    const removed = members.filter(m => entry.value.delete(m)).length;
+    this._dropIfEmpty(key, entry);
+    return removed;
+  },
+  SMEMBERS(key) {
+    const entry = this._get(key, 'set');
+    return entry ? Array.from(entry.value) : [];
+  },
+  SISMEMBER(key, member) {
+    const entry = this._get(key, 'set');
+    return entry && entry.value.has(member) ? 1 : 0;
+  },
+  SCARD(key) {
+    const entry = this._get(key, 'set');
+    return entry ? entry.value.size : 0;
+  },
+
+  // ─── SORTED SETS ───────────────────────────────────────────
+  ZADD(key, ...pairs) {
+    const entry = this._getOrCreate(key, 'zset', new Map());
+    let added = 0;
+    for (let i = 0; i < pairs.length; i += 2) {
+      if (!entry.value.has(pairs[i + 1])) added++;
+      entry.value.set(pairs[i + 1], Number(pairs[i]));
+    }
+    return added;
+  },
+  ZREM(key, ...members) {
+    const entry = this._get(key, 'zset');
+    if (!entry) return 0;
+    const removed = members.filter(m => entry.value.delete(m)).length;
+    this._dropIfEmpty(key, entry);
+    return removed;
+  },
+  ZSCORE(key, member) {
+    const entry = this._get(key, 'zset');
+    return entry && entry.value.has(member) ? String(entry.value.get(member)) : null;
+  },
+  ZCARD(key) {
+    const entry = this._get(key, 'zset');
+    return entry ? entry.value.size : 0;
+  },
+  ZRANGE(key, start, stop) {
+    const entry = this._get(key, 'zset');
+    return entry ? sliceRange(this._sortedMembers(entry), start, stop) : [];
+  },
+  ZRANGEBYSCORE(key, min, max) {
+    const entry = this._get(key, 'zset');
+    if (!entry) return [];
+    const inRange = scoreRange(min, max);
+    return this._sortedMembers(entry).filter(m => inRange(entry.value.get(m)));
+  },
+  ZCOUNT(key, min, max) {
+    return COMMANDS.ZRANGEBYSCORE.call(this, key, min, max).length;
+  },
+  ZREMRANGEBYSCORE(key, min, max) {
+    const members = COMMANDS.ZRANGEBYSCORE.call(this, key, min, max);
+    return members.length ? COMMANDS.ZREM.call(this, key, ...members) : 0;
+  },
+
+  // ─── LISTS ─────────────────────────────────────────────────
+  LPUSH(key, ...values) {
+    const entry = this._getOrCreate(key, 'list', []);
+    values.forEach(v => entry.value.unshift(v));
+    return entry.value.length;
+  },
+  RPUSH(key, ...values) {
+    const entry = this._getOrCreate(key, 'list', []);
+    entry.value.push(...values);
+    return entry.value.length;
+  },
+  RPUSHX(key, ...values) {
+    return this._get(key, 'list') ? COMMANDS.RPUSH.call(this, key, ...values) : 0;
+  },
+  LRANGE(key, start, stop) {
+    const entry = this._get(key, 'list');
+    return entry ? sliceRange(entry.value, start, stop) : [];
+  },
+  LTRIM(key, start, stop) {
+    const entry = this._get(key, 'list');
+    if (!entry) return 'OK';
+    entry.value = sliceRange(entry.value, start, stop);
+    this._dropIfEmpty(key, entry);
+    return 'OK';
+  },
+  LLEN(key) {
+    const entry = this._get(key, 'list');
+    return entry ? entry.value.length : 0;
+  },
+  LSET(key, index, value) {
+    const entry = this._get(key, 'list');
+    if (!entry) throw new Error('ERR no such key');
+    const i = Number(index) < 0 ? entry.value.length + Number(index) : Number(index);
+    if (i < 0 || i >= entry.value.length) throw new Error('ERR index out of range');
+    entry.value[i] = value;
+    return 'OK';
+  }
+};
+
+/**
+ * node-redis v4 method signatures, mapped onto raw commands.
+ * Each entry returns [COMMAND, ...args] and optionally transforms the reply
+ * the way node-redis does (hGetAll -> object, hExists -> boolean).
+ */
+const toArgs = value => [].concat(value);
+const zMembers = members => toArgs(members).flatMap(m => [m.score, m.value]);
+
+const METHODS = {
+  del: keys => ['DEL', ...toArgs(keys)],
+  exists: keys => ['EXISTS', ...toArgs(keys)],
+  pExpire: (key, ms) => ['PEXPIRE', key, ms],
+  expire: (key, seconds) => ['EXPIRE', key, seconds],
+  keys: pattern => ['KEYS', pattern],
+  get: key => ['GET', key],
+  set: (key, value, options = {}) => [
+    'SET', key, value,
+    ...(options.PX ? ['PX', options.PX] : []),
+    ...(options.EX ? ['EX', options.EX] : []),
+    ...(options.NX ? ['NX'] : [])
+  ],
+  getDel: key => ['GETDEL', key],
+  mGet: keys => ['MGET', ...keys],
+  incr: key => ['INCR', key],
+  hSet: (key, field, value) => (typeof field === 'object'
+    ? ['HSET', key, ...Object.entries(field).flat()]
+    : ['HSET', key, field, value]),
+  hGet: (key, field) => ['HGET', key, field],
+  hDel: (key, fields) => ['HDEL', key, ...toArgs(fields)],
+  hExists: (key, field) => ['HEXISTS', key, field],
+  hLen: key => ['HLEN', key],
+  hVals: key => ['HVALS', key],
+  hGetAll: key => ['HGETALL', key],
+  hIncrBy: (key, field, increment) => ['HINCRBY', key, field, increment],
+  sAdd: (key, members) => ['SADD', key, ...toArgs(members)],
+  sRem: (key, members) => ['SREM', key, ...toArgs(members)],
+  sMembers: key => ['SMEMBERS', key],
+  sIsMember: (key, member) => ['SISMEMBER', key, member],
+  sCard: key => ['SCARD', key],
+  zAdd: (key, members) => ['ZADD', key, ...zMembers(members)],
+  zRem: (key, members) => ['ZREM', key, ...toArgs(members)],
+  zScore: (key, member) => ['ZSCORE', key, member],
+  zCard: key => ['ZCARD', key],
+  zRange: (key, start, stop) => ['ZRANGE', key, start, stop],
+  zRangeByScore: (key, min, max) => ['ZRANGEBYSCORE', key, min, max],
+  zCount: (key, min, max) => ['ZCOUNT', key, min, max],
+  zRemRangeByScore: (key, min, max) => ['ZREMRANGEBYSCORE', key, min, max],
+  lPush: (key, values) => ['LPUSH', key, ...toArgs(values)],
+  rPush: (key, values) => ['RPUSH', key, ...toArgs(values)],
+  rPushX: (key, values) => ['RPUSHX', key, ...toArgs(values)],
+  lRange: (key, start, stop) => ['LRANGE', key, start, stop],
+  lTrim: (key, start, stop) => ['LTRIM', key, start, stop],
+  lLen: key => ['LLEN', key],
+  lSet: (key, index, value) => ['LSET', key, index, value]
+};
+
+const REPLIES = {
+  hGetAll: (reply) => {
+    const hash = {};
+    for (let i = 0; i < reply.length; i += 2) hash[reply[i]] = reply[i + 1];
+    return hash;
+  },
+  hExists: reply => reply === 1,
+  sIsMember: reply => reply === 1,
+  zScore: reply => (reply === null ? null : Number(reply))
+};
+
+class FakeRedisDataClient {
+  constructor(server) {
+    this._server = server;
+    this.isReady = true;
+
+    for (const [method, toCommand] of Object.entries(METHODS)) {
+      this[method] = async (...args) => {
+        // One network round trip — lets other clients' commands run first
+        await Promise.resolve();
+        return this._run(method, toCommand(...args));
+      };
+    }
+  }
+
+  async connect() {}
+  async quit() {}
+
+  /**
+   * Queue commands and run them back to back on exec(), with nothing
+   * from other clients in between
+   */
+  multi() {
+    const queued = [];
+    const chain = {
+      exec: async () => {
+        await Promise.resolve();
+        return queued.map(([method, command]) => this._run(method, command));
+      }
+    };
+    for (const [method, toCommand] of Object.entries(METHODS)) {
+      chain[method] = (...args) => {
+        queued.push([method, toCommand(...args)]);
+        return chain;
+      };
+    }
+    return chain;
+  }
+
+  async eval(script, { keys = [], arguments: args = [] } = {}) {
+    await Promise.resolve();
+    return this._server.eval(script, keys.map(String), args.map(String));
+  }
+
+  _run(method, [name, ...args]) {
+    const reply = this._server.call(name, ...args);
+    return REPLIES[method] ? REPLIES[method](reply) : reply;
+  }
+}
+
+// ─── HELPERS ─────────────────────────────────────────────────
+
+// Inclusive start/stop with negative indices counting from the end
+function sliceRange(items, start, stop) {
+  const len = items.length;
+  let from = Number(start);
+  let to = Number(stop);
+  if (from < 0) from = Math.max(len + from, 0);
+  if (to < 0) to = len + to;
+  return items.slice(from, to + 1);
+}
+
+// Parses ZRANGEBYSCORE bounds: -inf, +inf, exclusive "(n" or inclusive "n"
+function scoreRange(min, max) {
+  const bound = (raw) => {
+    const exclusive = raw.startsWith('(');
+    const text = exclusive ? raw.slice(1) : raw;
+    const value = text === '-inf' ? -Infinity : text === '+inf' || text === 'inf' ? Infinity : Number(text);
+    return { value, exclusive };
+  };
+  const lo = bound(min);
+  const hi = bound(max);
+  return score => (lo.exclusive ? score > lo.value : score >= lo.value)
+    && (hi.exclusive ? score < hi.value : score <= hi.value);
+}
+
+function pushArray(L, items) {
+  lua.lua_createtable(L, items.length, 0);
+  items.forEach((item, i) => {
+    lua.lua_pushstring(L, to_luastring(item));
+    lua.lua_rawseti(L, -2, i + 1);
+  });
+}
+
+// Redis -> Lua conversion: nil becomes false, arrays become tables
+function pushReply(L, reply) {
+  if (reply === null || reply === undefined) lua.lua_pushboolean(L, false);
+  else if (typeof reply === 'number') lua.lua_pushinteger(L, reply);
+  else if (Array.isArray(reply)) {
+    lua.lua_createtable(L, reply.length, 0);
+    reply.forEach((item, i) => {
+      pushReply(L, item);
+      lua.lua_rawseti(L, -2, i + 1);
+    });
+  } else lua.lua_pushstring(L, to_luastring(String(reply)));
+}
+
+// Lua -> Redis conversion: numbers truncate to integers, false/nil become nil,
+// tables become arrays up to the first nil
+function readReply(L, index) {
+  const idx = lua.lua_absindex(L, index);
+  switch (lua.lua_type(L, idx)) {
+    case lua.LUA_TNUMBER: return Math.trunc(lua.lua_tonumber(L, idx));
+    case lua.LUA_TSTRING: return lua.lua_tojsstring(L, idx);
+    case lua.LUA_TBOOLEAN: return lua.lua_toboolean(L, idx) ? 1 : null;
+    case lua.LUA_TTABLE: {
+      const items = [];
+      for (let i = 1; ; i++) {
+        lua.lua_rawgeti(L, idx, i);
+        if (lua.lua_isnil(L, -1)) {
+          lua.lua_pop(L, 1);
+          break;
+        }
+        items.push(readReply(L, -1));
+        lua.lua_pop(L, 1);
+      }
+      return items;
+    }
+    default: return null;
+  }
+}
+
+module.exports = { FakeRedisBus, FakeRedisServer };
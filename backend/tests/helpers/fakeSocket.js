@@ -0,0 +1,59 @@
+/**
+ * Just enough of a server-side Socket.IO socket to call a handler's
+ * register(socket, io) directly. fire() runs an event handler to
+ * completion; everything emitted is recorded for assertions.
+ */
+function fakeSocket(id) {
+  const handlers = new Map();
+  const socket = {
+    id,
+    emitted: [],
+    // [room, event, payload] for socket.to(room).emit(...)
+    broadcast: [],
+    rooms: new Set([id]),
+    disconnected: false,
+
+    on(event, handler) {
+      handlers.set(event, handler);
+    },
+    emit(event, payload) {
+      socket.emitted.push([event, payload]);
+    },
+    to(room) {
+      return { emit: (event, payload) => socket.broadcast.push([room, event, payload]) };
+    },
+    join(room) {
+      socket.rooms.add(room);
+    },
+    leave(room) {
+      socket.rooms.delete(room);
+    },
+    disconnect() {
+      socket.disconnected = true;
+    },
+
+    async fire(event, data) {
+      await handlers.get(event)(data);
+    },
+    // Payloads of every emit of one event, oldest first
+    events(event) {
+      return socket.emitted.filter(([name]) => name === event).map(([, payload]) => payload);
+    }
+  };
+  return socket;
+}
+
+/**
+ * io stand-in that records io.to(room).emit(...) as [room, event, payload]
+ */
+function fakeIo() {
+  const io = {
+    emitted: [],
+    to(room) {
+      return { emit: (event, payload) => io.emitted.push([room, event, payload]) };
+    }
+  };
+  return io;
+}
+
+module.exports = { fakeSocket, fakeIo };
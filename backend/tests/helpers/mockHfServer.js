@@ -0,0 +1,75 @@
+const http = require('http');
+
+/**
+ * Local stand-in for the Hugging Face Inference API (text-classification),
+ * so moderation tests never touch the network.
+ *
+ *   const hf = await startMockHfServer({ scores: text => ({ toxic: 0.9 }) });
+ *   new HttpClassifierProvider({ url: hf.url, token: 'hf_test' });
+ *   await hf.close();
+ *
+ * Answers POST { inputs } like toxic-bert: one [{ label, score }] list per
+ * input, nested in an outer array. Labels missing from scores(text) come
+ * back at 0.001. Set hf.mode to simulate failures:
+ *   'ok' | 'loading' (503 + HF error body) | 'unauthorized' (401)
+ *   | 'hang' (never answers) | 'malformed' (200 with an object body)
+ */
+const LABELS = ['toxic', 'severe_toxic', 'obscene', 'threat', 'insult', 'identity_hate'];
+
+async function startMockHfServer({ scores = () => ({}), token = null } = {}) {
+  const hf = {
+    mode: 'ok',
+    requests: [],
+    url: null,
+    close: null
+  };
+  const hanging = new Set();
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      const payload = JSON.parse(body || '{}');
+      hf.requests.push({ inputs: payload.inputs, authorization: req.headers.authorization || null });
+
+      if (hf.mode === 'hang') {
+        hanging.add(res);
+        return;
+      }
+      if (hf.mode === 'unauthorized' || (token && req.headers.authorization !== `Bearer ${token}`)) {
+        return _send(res, 401, { error: 'Invalid credentials in Authorization header' });
+      }
+      if (hf.mode === 'loading') {
+        return _send(res, 503, { error: 'Model unitary/toxic-bert is currently loading', estimated_time: 20 });
+      }
+      if (hf.mode === 'malformed') {
+        return _send(res, 200, { unexpected: true });
+      }
+
+      const inputs = Array.isArray(payload.inputs) ? payload.inputs : [payload.inputs];
+      _send(res, 200, inputs.map(text => _labelScores(scores(text) || {})));
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  hf.url = `http://127.0.0.1:${server.address().port}/models/unitary/toxic-bert`;
+  hf.close = () => new Promise((resolve) => {
+    for (const res of hanging) res.destroy();
+    server.close(resolve);
+  });
+  return hf;
+}
+
+// Highest score first, like the real API
+function _labelScores(scores) {
+  return LABELS
+    .map(label => ({ label, score: scores[label] ?? 0.001 }))
+    .sort((a, b) => b.score - a.score);
+}
+
+function _send(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+module.exports = { startMockHfServer, LABELS };
@@ -0,0 +1,46 @@
+const ProviderChain = require('../../moderation/ProviderChain');
+
+/**
+ * Score one moderation layer on its own against a labelled corpus
+ * ({ text, flag }[]), using the same thresholds as the live chain.
+ * Fallback-only providers are run unconditionally.
+ */
+async function evaluateLayer(provider, entries, policy) {
+  const alwaysRuns = Object.assign(Object.create(provider), { fallbackOnly: false });
+  return evaluateChain(new ProviderChain([alwaysRuns], policy), entries, provider.name);
+}
+
+/**
+ * Returns { layer, tp, fp, fn, tn, precision, recall, mistakes } where
+ * mistakes lists the texts the chain got wrong
+ */
+async function evaluateChain(chain, entries, layer = 'chain') {
+  const row = { layer, tp: 0, fp: 0, fn: 0, tn: 0, mistakes: [] };
+
+  for (const { text, flag } of entries) {
+    const verdict = await chain.run(text);
+    if (verdict.failures.length) throw new Error(verdict.failures[0].error);
+
+    if (verdict.flagged && flag) row.tp += 1;
+    else if (verdict.flagged) row.fp += 1;
+    else if (flag) row.fn += 1;
+    else row.tn += 1;
+    if (verdict.flagged !== flag) row.mistakes.push({ text, expected: flag, categories: verdict.categories });
+  }
+
+  row.precision = row.tp + row.fp ? row.tp / (row.tp + row.fp) : 1;
+  row.recall = row.tp + row.fn ? row.tp / (row.tp + row.fn) : 1;
+  return row;
+}
+
+function formatMetrics(rows) {
+  const lines = rows.map(r => [
+    r.layer.padEnd(18),
+    r.precision.toFixed(2).padStart(9),
+    r.recall.toFixed(2).padStart(7),
+    `${r.tp}/${r.fp}/${r.fn}/${r.tn}`.padStart(14)
+  ].join(' '));
+  return [`${'layer'.padEnd(18)} precision  recall   tp/fp/fn/tn`, ...lines].join('\n');
+}
+
+module.exports = { evaluateLayer, evaluateChain, formatMetrics };
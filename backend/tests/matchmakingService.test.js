@@ -0,0 +1,178 @@
+jest.mock('../loaders/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const matchmakingService = require('../services/MatchmakingService');
+const presenceService = require('../services/PresenceService');
+const blockService = require('../services/BlockService');
+const MemoryMatchStore = require('../stores/MemoryMatchStore');
+const MemoryPresenceStore = require('../stores/MemoryPresenceStore');
+const RedisMatchStore = require('../stores/RedisMatchStore');
+const RedisPresenceStore = require('../stores/RedisPresenceStore');
+const { FakeRedisServer } = require('./helpers/fakeRedis');
+
+async function join(socketId, sessionId, interests = ['Music']) {
+  return matchmakingService.joinQueue({
+    socketId,
+    sessionId,
+    interests,
+    mode: 'text',
+    joinedQueueAt: new Date()
+  });
+}
+
+// Block lookups need MongoDB — nobody is blocked in these tests
+beforeEach(() => {
+  jest.spyOn(blockService, 'getBlockedSessionIds').mockResolvedValue(new Set());
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('MatchmakingService recent pairings', () => {
+  beforeEach(async () => {
+    matchmakingService.setStore(new MemoryMatchStore());
+    presenceService.setStore(new MemoryPresenceStore());
+    matchmakingService.RECENT_POLICY = 'exclude';
+    matchmakingService.RECENT_COOLDOWN_MS = 60000;
+
+    for (const [socketId, sessionId] of [['a1', 'A'], ['b1', 'B'], ['c1', 'C']]) {
+      await presenceService.addUser(socketId, sessionId);
+    }
+  });
+
+  async function pairThenSkip() {
+    await join('a1', 'A');
+    const first = await join('b1', 'B');
+    expect(first.matched).toBe(true);
+    await matchmakingService.cleanupMatch(first.match.roomId);
+  }
+
+  it('does not re-pair sessions that were just matched', async () => {
+    await pairThenSkip();
+
+    await join('b1', 'B');
+    const again = await join('a1', 'A');
+
+    expect(again.matched).toBe(false);
+    expect(again.position).toBe(2);
+  });
+
+  it('pairs with someone new instead of the skipped partner', async () => {
+    await pairThenSkip();
+
+    // B and C were also paired just now, so both can wait side by side
+    await join('b1', 'B');
+    const bc = await join('c1', 'C');
+    await matchmakingService.cleanupMatch(bc.match.roomId);
+
+    await join('b1', 'B');
+    await join('c1', 'C');
+    const next = await join('a1', 'A');
+
+    expect(next.matched).toBe(true);
+    expect(next.match.user2SocketId).toBe('c1');
+  });
+
+  it('allows the pair again once the cooldown has expired', async () => {
+    matchmakingService.RECENT_COOLDOWN_MS = 1;
+    await pairThenSkip();
+    await new Promise(resolve => setTimeout(resolve, 5));
+
+    await join('b1', 'B');
+    const again = await join('a1', 'A');
+
+    expect(again.matched).toBe(true);
+  });
+
+  it('only scores recent partners down with the penalise policy', async () => {
+    matchmakingService.RECENT_POLICY = 'penalise';
+    await pairThenSkip();
+
+    await join('b1', 'B');
+    const again = await join('a1', 'A');
+
+    expect(again.matched).toBe(true);
+    expect(again.match.scoreBreakdown.recentMatch).toBeLessThan(0);
+  });
+});
+
+describe('RedisMatchStore claims across instances', () => {
+  let redis;
+  let storeA;
+  let storeB;
+
+  beforeEach(() => {
+    redis = new FakeRedisServer();
+    // Two backend instances, each with its own connection to the same Redis
+    storeA = new RedisMatchStore(redis.createClient());
+    storeB = new RedisMatchStore(redis.createClient());
+  });
+
+  const waiting = (socketId, sessionId) => ({
+    socketId,
+    sessionId,
+    interests: ['Music'],
+    mode: 'text',
+    joinedQueueAt: new Date()
+  });
+
+  it('lets only one instance claim a contested candidate', async () => {
+    for (const [socketId, sessionId] of [['a1', 'A'], ['b1', 'B'], ['c1', 'C']]) {
+      await storeA.enqueue('text', waiting(socketId, sessionId));
+    }
+
+    const claims = await Promise.all([
+      storeA.claimPair('text', 'b1', 'a1'),
+      storeB.claimPair('text', 'c1', 'a1')
+    ]);
+
+    expect(claims.filter(Boolean)).toHaveLength(1);
+    const left = (await storeB.listQueue('text')).map(u => u.socketId);
+    expect(left).toEqual([claims[0] ? 'c1' : 'b1']);
+  });
+
+  it('removes nobody when either user was already claimed', async () => {
+    await storeA.enqueue('text', waiting('a1', 'A'));
+
+    expect(await storeB.claimPair('text', 'b1', 'a1')).toBe(false);
+    expect(await storeA.isQueued('text', 'a1')).toBe(true);
+  });
+
+  it('pairs the waiting user once when two instances search at the same time', async () => {
+    const serviceA = matchmakingService;
+    const serviceB = new matchmakingService.constructor();
+    serviceA.setStore(storeA);
+    serviceB.setStore(storeB);
+    presenceService.setStore(new RedisPresenceStore(redis.createClient(), { ttlMs: 60000 }));
+    for (const service of [serviceA, serviceB]) {
+      service.RECENT_POLICY = 'exclude';
+      service.RECENT_COOLDOWN_MS = 60000;
+    }
+
+    for (const [socketId, sessionId] of [['a1', 'A'], ['b1', 'B'], ['c1', 'C']]) {
+      await presenceService.addUser(socketId, sessionId);
+    }
+    const first = await serviceA.joinQueue(waiting('a1', 'A'));
+    expect(first.matched).toBe(false);
+
+    const results = await Promise.all([
+      serviceA.joinQueue(waiting('b1', 'B')),
+      serviceB.joinQueue(waiting('c1', 'C'))
+    ]);
+
+    const matched = results.filter(r => r.matched);
+    expect(matched).toHaveLength(1);
+    expect(await storeA.matchCount()).toBe(1);
+
+    // Whoever lost the race is still waiting, and nobody was claimed twice
+    const match = matched[0].match;
+    const paired = [match.user1SocketId, match.user2SocketId];
+    const queued = (await storeA.listQueue('text')).map(u => u.socketId);
+    expect(queued).toHaveLength(1);
+    expect(paired).not.toContain(queued[0]);
+    expect([...paired, ...queued].sort()).toEqual(['a1', 'b1', 'c1']);
+  });
+});
@@ -0,0 +1,292 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../loaders/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const LocalMediaStore = require('../stores/LocalMediaStore');
+const S3MediaStore = require('../stores/S3MediaStore');
+const { HttpImageClassifierProvider } = require('../moderation/providers');
+const ModerationPolicy = require('../moderation/ModerationPolicy');
+const { DEFAULT_POLICY } = require('../config/moderation');
+const moderationService = require('../services/ModerationService');
+const MemoryViolationStore = require('../stores/MemoryViolationStore');
+const chatHandler = require('../socket/chatHandler');
+const chatService = require('../services/ChatService');
+const mediaService = require('../services/MediaService');
+const presenceService = require('../services/PresenceService');
+const MemoryPresenceStore = require('../stores/MemoryPresenceStore');
+const { fakeSocket, fakeIo } = require('./helpers/fakeSocket');
+
+const IMAGE = Buffer.from('not really a webp, but bytes are bytes');
+
+/**
+ * Minimal S3-compatible server: keeps objects in memory by path and
+ * records each request's signing headers
+ */
+async function startMockS3() {
+  const s3 = { objects: new Map(), requests: [] };
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const body = Buffer.concat(chunks);
+      s3.requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+
+      if (req.method === 'PUT') {
+        s3.objects.set(req.url, { body, contentType: req.headers['content-type'] });
+        res.writeHead(200);
+        return res.end();
+      }
+      const object = s3.objects.get(req.url);
+      if (!object) {
+        res.writeHead(404, { 'Content-Type': 'application/xml' });
+        return res.end('<Error><Code>NoSuchKey</Code></Error>');
+      }
+      if (req.method === 'DELETE') {
+        s3.objects.delete(req.url);
+        res.writeHead(204);
+        return res.end();
+      }
+      res.writeHead(200, { 'Content-Type': object.contentType });
+      res.end(object.body);
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  s3.endpoint = `http://127.0.0.1:${server.address().port}`;
+  s3.close = () => new Promise(resolve => server.close(resolve));
+  return s3;
+}
+
+describe('LocalMediaStore', () => {
+  let dir;
+  let store;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'media-'));
+    store = new LocalMediaStore(dir);
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('stores, reads and removes files', async () => {
+    await store.put('media/a.webp', IMAGE, 'image/webp');
+    expect((await store.get('media/a.webp')).buffer.equals(IMAGE)).toBe(true);
+
+    await store.remove('media/a.webp');
+    expect(await store.get('media/a.webp')).toBeNull();
+  });
+
+  it('refuses keys outside its directory', async () => {
+    await expect(store.put('../escape.webp', IMAGE, 'image/webp')).rejects.toThrow(/Invalid media key/);
+  });
+});
+
+describe('S3MediaStore', () => {
+  let s3;
+  let store;
+
+  beforeAll(async () => {
+    s3 = await startMockS3();
+    store = new S3MediaStore({
+      endpoint: s3.endpoint,
+      region: 'us-east-1',
+      bucket: 'anonverse-media',
+      accessKeyId: 'minio',
+      secretAccessKey: 'minio-secret'
+    });
+  });
+
+  afterAll(async () => {
+    await s3.close();
+  });
+
+  it('round-trips objects with path-style URLs', async () => {
+    await store.put('media/b.webp', IMAGE, 'image/webp');
+    const file = await store.get('media/b.webp');
+
+    expect(s3.requests[0]).toMatchObject({ method: 'PUT', url: '/anonverse-media/media/b.webp' });
+    expect(file.buffer.equals(IMAGE)).toBe(true);
+    expect(file.contentType).toBe('image/webp');
+  });
+
+  it('signs every request with SigV4', async () => {
+    await store.put('media/c.webp', IMAGE, 'image/webp');
+    const { headers } = s3.requests[s3.requests.length - 1];
+
+    expect(headers['x-amz-content-sha256']).toBe(crypto.createHash('sha256').update(IMAGE).digest('hex'));
+    expect(headers['x-amz-date']).toMatch(/^\d{8}T\d{6}Z$/);
+    expect(headers.authorization).toMatch(
+      /^AWS4-HMAC-SHA256 Credential=minio\/\d{8}\/us-east-1\/s3\/aws4_request, SignedHeaders=host;x-amz-content-sha256;x-amz-date, Signature=[0-9a-f]{64}$/
+    );
+  });
+
+  it('returns null for missing objects and deletes quietly', async () => {
+    expect(await store.get('media/missing.webp')).toBeNull();
+    await expect(store.remove('media/missing.webp')).resolves.toBeUndefined();
+  });
+
+  it('needs credentials and a bucket', () => {
+    expect(() => new S3MediaStore({ endpoint: s3.endpoint })).toThrow(/needs endpoint/);
+  });
+});
+
+describe('HttpImageClassifierProvider', () => {
+  function provider(labels, options = {}) {
+    const http = {
+      calls: [],
+      post(url, body, opts) {
+        this.calls.push({ body, opts });
+        return Promise.resolve({ data: labels });
+      }
+    };
+    return new HttpImageClassifierProvider({ name: 'image', url: 'http://classifier.test/nsfw', http, ...options });
+  }
+
+  it('sends raw bytes with the image content type', async () => {
+    const p = provider([{ label: 'normal', score: 0.99 }], { token: 'hf_x' });
+    await p.check(IMAGE, { contentType: 'image/webp' });
+
+    expect(p._http.calls[0].body).toBe(IMAGE);
+    expect(p._http.calls[0].opts.headers).toEqual({ 'Content-Type': 'image/webp', Authorization: 'Bearer hf_x' });
+  });
+
+  it('only reports labels that are violations', async () => {
+    expect(await provider([{ label: 'normal', score: 0.99 }, { label: 'nsfw', score: 0.01 }]).check(IMAGE))
+      .toMatchObject({ score: 0.01, labels: [{ label: 'nsfw', score: 0.01 }] });
+    expect((await provider([{ label: 'neutral', score: 1 }]).check(IMAGE)).categories).toEqual([]);
+  });
+});
+
+describe('ModerationService.checkImage', () => {
+  const policy = new ModerationPolicy(DEFAULT_POLICY);
+
+  function imageClassifier(labels) {
+    return new HttpImageClassifierProvider({
+      name: 'image',
+      url: 'http://classifier.test/nsfw',
+      http: { post: () => Promise.resolve({ data: labels }) }
+    });
+  }
+
+  beforeEach(() => {
+    moderationService.BLOCK_ON_FAIL = false;
+    moderationService.setStore(new MemoryViolationStore());
+  });
+
+  afterAll(() => {
+    moderationService.setImageProviders([]);
+  });
+
+  it('blocks images over the category threshold and records a violation', async () => {
+    moderationService.setImageProviders([imageClassifier([{ label: 'nsfw', score: 0.93 }])], policy);
+
+    const result = await moderationService.checkImage(IMAGE, 'img-1', { contentType: 'image/webp' });
+
+    // Severity 2 — one NSFW image already reaches the warn threshold
+    expect(result).toMatchObject({ allowed: false, provider: 'image', categories: ['nsfw'], action: 'warn' });
+    expect(await moderationService.getFlagCount('img-1')).toBe(1);
+  });
+
+  it('delivers images under the threshold', async () => {
+    moderationService.setImageProviders([imageClassifier([{ label: 'nsfw', score: 0.4 }])], policy);
+    expect((await moderationService.checkImage(IMAGE, 'img-2')).allowed).toBe(true);
+  });
+
+  it('only blocks unmoderated images in fail-closed mode', async () => {
+    moderationService.setImageProviders([], policy);
+    expect((await moderationService.checkImage(IMAGE, 'img-3')).allowed).toBe(true);
+
+    moderationService.BLOCK_ON_FAIL = true;
+    expect(await moderationService.checkImage(IMAGE, 'img-3')).toMatchObject({ allowed: false, failed: true });
+  });
+});
+
+describe('send-message with an image', () => {
+  const media = { id: 'img', url: '/api/chat/media/img', contentType: 'image/webp', width: 10, height: 10 };
+  let socket;
+
+  beforeEach(async () => {
+    presenceService.setStore(new MemoryPresenceStore());
+    await presenceService.addUser('s1', 'A');
+    await presenceService.updateUser('s1', { isMatched: true, roomId: 'room', currentMatch: 's2' });
+
+    socket = fakeSocket('s1');
+    chatHandler.register(socket, fakeIo());
+
+    jest.spyOn(mediaService, 'getForMessage').mockResolvedValue({ media, buffer: IMAGE });
+    jest.spyOn(mediaService, 'claimForMessage').mockResolvedValue();
+    jest.spyOn(mediaService, 'releaseClaim').mockResolvedValue();
+    jest.spyOn(mediaService, 'discard').mockResolvedValue();
+    jest.spyOn(chatService, 'findByClientMessageId').mockResolvedValue(null);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  const sendImage = () => socket.fire('send-message', { type: 'image', mediaId: 'img', clientMessageId: 'c1' });
+
+  it('only claims the image once moderation has passed', async () => {
+    const order = [];
+    jest.spyOn(moderationService, 'checkImage').mockImplementation(async () => {
+      order.push('moderate');
+      return { allowed: true };
+    });
+    mediaService.claimForMessage.mockImplementation(async () => { order.push('claim'); });
+    jest.spyOn(chatService, 'sendMessage').mockImplementation(async (msg) => {
+      order.push('save');
+      return { id: 'm1', ...msg };
+    });
+
+    await sendImage();
+
+    expect(order).toEqual(['moderate', 'claim', 'save']);
+    expect(mediaService.claimForMessage).toHaveBeenCalledWith('img', { sessionId: 'A', roomId: 'room' });
+    expect(socket.events('message-sent')).toHaveLength(1);
+  });
+
+  it('leaves the image unclaimed when moderation throws', async () => {
+    jest.spyOn(moderationService, 'checkImage').mockRejectedValue(new Error('classifier down'));
+    jest.spyOn(chatService, 'sendMessage');
+
+    await sendImage();
+
+    expect(mediaService.claimForMessage).not.toHaveBeenCalled();
+    expect(chatService.sendMessage).not.toHaveBeenCalled();
+    expect(socket.events('message-error')).toEqual([{ error: 'Failed to send message' }]);
+  });
+
+  it('releases the claim when the message cannot be saved, so a retry can send it', async () => {
+    jest.spyOn(moderationService, 'checkImage').mockResolvedValue({ allowed: true });
+    jest.spyOn(chatService, 'sendMessage')
+      .mockRejectedValueOnce(new Error('write failed'))
+      .mockImplementation(async msg => ({ id: 'm1', ...msg }));
+
+    await sendImage();
+    expect(mediaService.releaseClaim).toHaveBeenCalledWith('img');
+    expect(socket.events('message-error')).toHaveLength(1);
+
+    await sendImage();
+    expect(mediaService.claimForMessage).toHaveBeenCalledTimes(2);
+    expect(socket.events('message-sent')).toHaveLength(1);
+  });
+
+  it('discards a blocked image without claiming it', async () => {
+    jest.spyOn(moderationService, 'checkImage').mockResolvedValue({ allowed: false, categories: ['nsfw'], action: 'none' });
+    jest.spyOn(chatService, 'sendMessage');
+
+    await sendImage();
+
+    expect(mediaService.discard).toHaveBeenCalledWith('img');
+    expect(mediaService.claimForMessage).not.toHaveBeenCalled();
+    expect(chatService.sendMessage).not.toHaveBeenCalled();
+  });
+});
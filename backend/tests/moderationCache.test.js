@@ -0,0 +1,178 @@
+jest.mock('../loaders/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const MicroBatcher = require('../moderation/MicroBatcher');
+const VerdictCache = require('../moderation/VerdictCache');
+const MemoryVerdictStore = require('../stores/MemoryVerdictStore');
+const { HttpClassifierProvider } = require('../moderation/providers');
+
+/**
+ * Fake axios-compatible client answering the Hugging Face shape: one
+ * label list per input, for single and batched requests alike
+ */
+function fakeHttp(scoreFor) {
+  return {
+    calls: [],
+    post(url, body) {
+      this.calls.push(body.inputs);
+      const inputs = Array.isArray(body.inputs) ? body.inputs : [body.inputs];
+      const data = inputs.map(text => [{ label: 'toxic', score: scoreFor(text) }]);
+      return Promise.resolve({ data });
+    }
+  };
+}
+
+function classifier(http, options = {}) {
+  return new HttpClassifierProvider({ name: 'hf', url: 'http://classifier.test/score', http, ...options });
+}
+
+describe('MicroBatcher', () => {
+  it('groups concurrent items into one handler call', async () => {
+    const handler = jest.fn(async items => items.map(i => i.toUpperCase()));
+    const batcher = new MicroBatcher(handler, { maxBatchSize: 10, maxWaitMs: 5 });
+
+    const results = await Promise.all(['a', 'b', 'c'].map(i => batcher.add(i)));
+
+    expect(results).toEqual(['A', 'B', 'C']);
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(batcher.getStats()).toMatchObject({ batches: 1, items: 3, requests: 3 });
+  });
+
+  it('flushes as soon as a batch is full', async () => {
+    const handler = jest.fn(async items => items);
+    const batcher = new MicroBatcher(handler, { maxBatchSize: 2, maxWaitMs: 20 });
+
+    await Promise.all(['a', 'b', 'c', 'd', 'e'].map(i => batcher.add(i)));
+
+    expect(handler.mock.calls.map(([items]) => items)).toEqual([['a', 'b'], ['c', 'd'], ['e']]);
+  });
+
+  it('sends identical items once', async () => {
+    const handler = jest.fn(async items => items.map(i => `${i}!`));
+    const batcher = new MicroBatcher(handler, { maxWaitMs: 5 });
+
+    const results = await Promise.all(['hi', 'hi', 'asl'].map(i => batcher.add(i)));
+
+    expect(results).toEqual(['hi!', 'hi!', 'asl!']);
+    expect(handler).toHaveBeenCalledWith(['hi', 'asl']);
+  });
+
+  it('rejects every caller in a failed batch', async () => {
+    const batcher = new MicroBatcher(async () => { throw new Error('503'); }, { maxWaitMs: 5 });
+
+    const settled = await Promise.allSettled([batcher.add('a'), batcher.add('b')]);
+
+    expect(settled.map(s => s.status)).toEqual(['rejected', 'rejected']);
+  });
+});
+
+describe('MemoryVerdictStore', () => {
+  it('expires entries after their TTL', async () => {
+    const store = new MemoryVerdictStore();
+    await store.set('k', { score: 1 }, -1);
+    expect(await store.get('k')).toBeNull();
+  });
+
+  it('evicts the least recently used entry', async () => {
+    const store = new MemoryVerdictStore({ maxEntries: 2 });
+    await store.set('a', { score: 1 }, 60000);
+    await store.set('b', { score: 2 }, 60000);
+    await store.get('a');
+    await store.set('c', { score: 3 }, 60000);
+
+    expect(await store.get('a')).toEqual({ score: 1 });
+    expect(await store.get('b')).toBeNull();
+    expect(await store.size()).toBe(2);
+  });
+});
+
+describe('HttpClassifierProvider caching and batching', () => {
+  it('answers repeated content from the cache', async () => {
+    const http = fakeHttp(() => 0.1);
+    const cache = new VerdictCache();
+    const provider = classifier(http);
+    provider.setCache(cache);
+
+    await provider.check('hi');
+    await new Promise(r => setImmediate(r));
+    const verdict = await provider.check('  HI ');
+
+    expect(verdict).toMatchObject({ score: 0.1, label: 'toxic' });
+    expect(http.calls).toHaveLength(1);
+    expect(cache.getStats()).toMatchObject({ hits: 1, misses: 1, hitRate: 0.5 });
+  });
+
+  it('keeps verdicts from different providers apart', async () => {
+    const cache = new VerdictCache();
+    const a = classifier(fakeHttp(() => 0.9), { name: 'a' });
+    const b = classifier(fakeHttp(() => 0.2), { name: 'b' });
+    a.setCache(cache);
+    b.setCache(cache);
+
+    await a.check('hello');
+    await new Promise(r => setImmediate(r));
+
+    expect((await b.check('hello')).score).toBe(0.2);
+  });
+
+  it('does not reuse verdicts once a provider points at another model', async () => {
+    const cache = new VerdictCache();
+    const before = classifier(fakeHttp(() => 0.9), { url: 'http://classifier.test/models/toxic-bert' });
+    const after = classifier(fakeHttp(() => 0.2), { url: 'http://classifier.test/models/toxic-roberta' });
+    before.setCache(cache);
+    after.setCache(cache);
+
+    await before.check('hello');
+    await new Promise(r => setImmediate(r));
+
+    expect((await after.check('hello')).score).toBe(0.2);
+  });
+
+  it('treats a failing cache as a miss', async () => {
+    const http = fakeHttp(() => 0.3);
+    const provider = classifier(http);
+    provider.setCache({
+      get: () => Promise.reject(new Error('redis down')),
+      set: () => Promise.reject(new Error('redis down'))
+    });
+
+    expect((await provider.check('hello')).score).toBe(0.3);
+  });
+
+  it('can opt out of the cache', async () => {
+    const http = fakeHttp(() => 0.1);
+    const provider = classifier(http, { cache: false });
+    provider.setCache(new VerdictCache());
+
+    await provider.check('hi');
+    await provider.check('hi');
+
+    expect(http.calls).toHaveLength(2);
+    expect(provider.describe().cache).toBe(false);
+  });
+
+  it('sends concurrent checks as one batched request', async () => {
+    const http = fakeHttp(text => (text === 'you idiot' ? 0.9 : 0.05));
+    const provider = classifier(http, { batchSize: 8, batchWaitMs: 5 });
+
+    const [clean, toxic] = await Promise.all([provider.check('hello there'), provider.check('you idiot')]);
+
+    expect(http.calls).toEqual([['hello there', 'you idiot']]);
+    expect(clean.score).toBe(0.05);
+    expect(toxic.score).toBe(0.9);
+    expect(provider.describe().batching).toMatchObject({ batches: 1, items: 2, maxBatchSize: 8 });
+  });
+
+  it('fails the batch when the response does not line up with the inputs', async () => {
+    const http = { post: () => Promise.resolve({ data: [[{ label: 'toxic', score: 0.1 }]] }) };
+    const provider = classifier(http, { batchSize: 4, batchWaitMs: 5 });
+
+    const settled = await Promise.allSettled([provider.check('a'), provider.check('b')]);
+
+    expect(settled.every(s => s.status === 'rejected')).toBe(true);
+  });
+});
@@ -0,0 +1,160 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../loaders/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const TermMatcher = require('../moderation/TermMatcher');
+const { normalizeText } = require('../moderation/normalize');
+const FileTermStore = require('../stores/FileTermStore');
+const MemoryTermStore = require('../stores/MemoryTermStore');
+const moderationListService = require('../services/ModerationListService');
+const moderationService = require('../services/ModerationService');
+const MemoryViolationStore = require('../stores/MemoryViolationStore');
+
+function matches(matcher, text) {
+  return matcher.match(text, normalizeText(text));
+}
+
+describe('TermMatcher', () => {
+  it.each([
+    ['exact', 'discord.gg/', 'join discord.gg/abc', true],
+    ['exact', 'discord.gg/', 'discord gg abc', false],
+    ['word', 'kys', 'k y s', true],
+    ['word', 'kys', 'skyscraper', false],
+    ['regex', '\\bcash\\s*app\\b', 'send it to my CashApp', true],
+    ['regex', '\\bcash\\s*app\\b', 'cashew apple', false]
+  ])('%s "%s" against "%s" -> %s', (matchType, term, text, expected) => {
+    const matcher = new TermMatcher([{ term, matchType }]);
+    expect(Boolean(matches(matcher, text))).toBe(expected);
+  });
+
+  it('masks allowlisted phrases', () => {
+    const allow = new TermMatcher([{ term: 'hell yeah', matchType: 'word' }]);
+    const { readings } = allow.mask('hell yeah!', normalizeText('hell yeah!'));
+    expect(readings[0].trim()).toBe('');
+  });
+
+  it('skips entries whose regex does not compile', () => {
+    const matcher = new TermMatcher([{ term: '(', matchType: 'regex' }, { term: 'ok', matchType: 'word' }]);
+    expect(matcher.size).toBe(1);
+    expect(matcher.invalid).toHaveLength(1);
+  });
+
+  it('refuses regexes prone to catastrophic backtracking', () => {
+    for (const term of ['(a+)+', '(\\w+\\s?)*$', '(?:x+){2,}', '((ab)*c)+']) {
+      expect(() => TermMatcher.compile({ term, matchType: 'regex' })).toThrow('Nested quantifiers');
+    }
+    for (const term of ['(a)\\1', '(?<w>a)\\k<w>']) {
+      expect(() => TermMatcher.compile({ term, matchType: 'regex' })).toThrow('Backreferences');
+    }
+  });
+
+  it('still accepts ordinary regexes', () => {
+    for (const term of ['fr+ee', '(free|fr33)+', 'b(a+)?c', '[(a+)]+', '\\(a+\\)+', '\\\\1']) {
+      expect(() => TermMatcher.compile({ term, matchType: 'regex' })).not.toThrow();
+    }
+  });
+});
+
+describe('ModerationListService', () => {
+  beforeEach(async () => {
+    await moderationListService.setStore(new MemoryTermStore());
+    moderationService.setStore(new MemoryViolationStore());
+  });
+
+  afterAll(() => moderationListService.stop());
+
+  it('seeds the built-in terms', async () => {
+    const terms = await moderationListService.listTerms({ list: 'block' });
+    expect(terms.map(t => t.term)).toContain('kys');
+  });
+
+  it('applies added and removed terms to moderation straight away', async () => {
+    const saved = await moderationListService.addTerm(
+      { term: 'bananaphone', list: 'block', matchType: 'word', category: 'spam' },
+      { createdBy: 'admin' }
+    );
+    expect(await moderationService.checkMessage('b4n4n4phone', null)).toMatchObject({
+      allowed: false,
+      categories: ['spam']
+    });
+
+    await moderationListService.removeTerm(saved.id, { removedBy: 'admin' });
+    expect((await moderationService.checkMessage('bananaphone', null)).allowed).toBe(true);
+  });
+
+  it('lets the allowlist override a profanity hit', async () => {
+    expect((await moderationService.checkMessage('the cock crowed at dawn', null)).allowed).toBe(false);
+    await moderationListService.addTerm({ term: 'cock crowed', list: 'allow' }, { createdBy: 'admin' });
+    expect((await moderationService.checkMessage('the cock crowed at dawn', null)).allowed).toBe(true);
+  });
+
+  it('rejects invalid input with a 400', async () => {
+    await expect(moderationListService.addTerm({ term: '(', list: 'block', matchType: 'regex' }, { createdBy: 'admin' }))
+      .rejects.toMatchObject({ status: 400 });
+    await expect(moderationListService.addTerm({ term: 'x', list: 'grey' }, { createdBy: 'admin' }))
+      .rejects.toMatchObject({ status: 400 });
+  });
+
+  it('rejects an unsafe regex with a 400', async () => {
+    await expect(moderationListService.addTerm({ term: '(a+)+$', list: 'block', matchType: 'regex' }, { createdBy: 'admin' }))
+      .rejects.toMatchObject({ status: 400, message: 'Invalid term: Nested quantifiers are not allowed' });
+    expect(await moderationListService.listTerms({ list: 'block' })).not.toContainEqual(expect.objectContaining({ term: '(a+)+$' }));
+  });
+
+  it('rejects duplicates with a 409', async () => {
+    await expect(moderationListService.addTerm({ term: 'kys', list: 'block' }, { createdBy: 'admin' }))
+      .rejects.toMatchObject({ status: 409 });
+  });
+});
+
+describe('FileTermStore', () => {
+  let dir;
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'moderation-lists-'));
+  });
+  afterEach(async () => {
+    // Go back to memory so the file watcher is released
+    await moderationListService.setStore(new MemoryTermStore());
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('creates the file with the built-in terms and round-trips edits', async () => {
+    const store = new FileTermStore(path.join(dir, 'lists.json'));
+    await moderationListService.setStore(store);
+
+    const saved = await moderationListService.addTerm({ term: 'scunthorpe', list: 'allow' }, { createdBy: 'admin' });
+    expect(saved.id).toBe('allow:word:scunthorpe');
+
+    const onDisk = JSON.parse(fs.readFileSync(store.filePath, 'utf8'));
+    expect(onDisk.block.map(t => t.term)).toContain('kys');
+    expect(onDisk.allow).toEqual([expect.objectContaining({ term: 'scunthorpe', matchType: 'word' })]);
+
+    expect(await moderationListService.removeTerm(saved.id, { removedBy: 'admin' })).toBe(true);
+    expect(await store.list()).not.toContainEqual(expect.objectContaining({ term: 'scunthorpe' }));
+  });
+
+  it('reloads when the file is edited by hand', async () => {
+    const file = path.join(dir, 'lists.json');
+    await moderationListService.setStore(new FileTermStore(file, { watchIntervalMs: 20 }));
+    expect((await moderationService.checkMessage('pineapple pizza', null)).allowed).toBe(true);
+
+    let unsubscribe;
+    const reloaded = new Promise((resolve) => {
+      unsubscribe = moderationListService.onChange((lists) => {
+        if (lists.block.size === 1) resolve();
+      });
+    });
+    fs.writeFileSync(file, JSON.stringify({ block: [{ term: 'pineapple pizza', matchType: 'word' }], allow: [] }));
+    await reloaded;
+    unsubscribe();
+
+    expect((await moderationService.checkMessage('pineapple pizza', null)).allowed).toBe(false);
+  });
+});
@@ -0,0 +1,126 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../loaders/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const ModerationPolicy = require('../moderation/ModerationPolicy');
+const ProviderChain = require('../moderation/ProviderChain');
+const { HttpClassifierProvider, WordlistProvider } = require('../moderation/providers');
+const { loadModerationConfig, DEFAULT_POLICY } = require('../config/moderation');
+const moderationService = require('../services/ModerationService');
+const MemoryViolationStore = require('../stores/MemoryViolationStore');
+
+/**
+ * HTTP classifier whose next answer is set per test
+ */
+function scriptedClassifier() {
+  const provider = new HttpClassifierProvider({
+    name: 'classifier',
+    url: 'http://classifier.test',
+    http: { post: () => Promise.resolve({ data: [provider.next] }) }
+  });
+  provider.next = [];
+  return provider;
+}
+
+describe('ModerationPolicy', () => {
+  const classifier = scriptedClassifier();
+  const chain = new ProviderChain([classifier], new ModerationPolicy(DEFAULT_POLICY));
+
+  it('gives each category its own threshold', async () => {
+    classifier.next = [{ label: 'toxic', score: 0.55 }];
+    expect((await chain.run('x')).flagged).toBe(true);
+
+    classifier.next = [{ label: 'obscene', score: 0.55 }];
+    expect((await chain.run('x')).flagged).toBe(false);
+  });
+
+  it('lets the most severe flagged category decide the action', async () => {
+    classifier.next = [{ label: 'toxic', score: 0.9 }, { label: 'threat', score: 0.6 }];
+    expect(await chain.run('x')).toMatchObject({
+      label: 'threat',
+      categories: ['threat', 'toxic'],
+      action: 'kick',
+      severity: 4
+    });
+  });
+
+  it('treats a provider threshold as a floor under the category threshold', async () => {
+    const strict = scriptedClassifier();
+    strict.threshold = 0.8;
+    strict.next = [{ label: 'toxic', score: 0.6 }];
+    expect((await new ProviderChain([strict], new ModerationPolicy(DEFAULT_POLICY)).run('x')).flagged).toBe(false);
+  });
+
+  it('rejects unknown actions', () => {
+    expect(() => new ModerationPolicy({ toxic: { threshold: 0.5, action: 'shout', severity: 1 } }))
+      .toThrow('Invalid moderation action');
+  });
+
+  it('picks the stronger of two actions', () => {
+    expect(ModerationPolicy.strongerAction('block', 'kick')).toBe('kick');
+    expect(ModerationPolicy.strongerAction('ban', 'warn')).toBe('ban');
+  });
+});
+
+describe('loadModerationConfig policy', () => {
+  it('merges policy rows from the JSON file over the defaults', () => {
+    const file = path.join(os.tmpdir(), `moderation-policy-${process.pid}.json`);
+    fs.writeFileSync(file, JSON.stringify({
+      policy: { toxic: { action: 'log', severity: 0 }, spam: { threshold: 0.9 } }
+    }));
+
+    try {
+      const { policy } = loadModerationConfig({ MODERATION_PROVIDERS_CONFIG: file });
+      expect(policy.toxic).toEqual({ threshold: 0.5, action: 'log', severity: 0 });
+      expect(policy.spam).toEqual({ threshold: 0.9, action: 'block', severity: 1 });
+      expect(policy.threat).toEqual(DEFAULT_POLICY.threat);
+    } finally {
+      fs.unlinkSync(file);
+    }
+  });
+});
+
+describe('ModerationService policy actions', () => {
+  const classifier = scriptedClassifier();
+
+  beforeEach(() => {
+    moderationService.setStore(new MemoryViolationStore());
+    moderationService.setProviders(
+      [new WordlistProvider({ name: 'local' }), classifier],
+      new ModerationPolicy({ ...DEFAULT_POLICY, toxic: { threshold: 0.5, action: 'log', severity: 0 } })
+    );
+  });
+
+  it('allows and logs categories whose action is log', async () => {
+    classifier.next = [{ label: 'toxic', score: 0.7 }];
+    const result = await moderationService.checkMessage('meh', 'session-1');
+
+    expect(result).toMatchObject({ allowed: true, flagged: true, action: 'log' });
+    expect(await moderationService.getFlagCount('session-1')).toBe(0);
+  });
+
+  it('acts immediately on high-severity categories', async () => {
+    classifier.next = [{ label: 'threat', score: 0.99 }];
+    expect((await moderationService.checkMessage('meet me outside', 'session-1')).action).toBe('kick');
+  });
+
+  it('weights repeat violations by severity', async () => {
+    classifier.next = [{ label: 'insult', score: 0.9 }];
+    expect((await moderationService.checkMessage('a', 'session-1')).action).toBe('block');
+
+    classifier.next = [{ label: 'identity_hate', score: 0.9 }];
+    expect((await moderationService.checkMessage('b', 'session-1')).action).toBe('warn');
+
+    // 1 + 3 + 1 reaches the kick threshold in three messages, not five
+    classifier.next = [{ label: 'insult', score: 0.9 }];
+    expect((await moderationService.checkMessage('c', 'session-1')).action).toBe('kick');
+    expect(await moderationService.getFlagCount('session-1')).toBe(3);
+  });
+});
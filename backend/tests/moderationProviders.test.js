@@ -0,0 +1,161 @@
+jest.mock('../loaders/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const ProviderChain = require('../moderation/ProviderChain');
+const {
+  buildProviders,
+  WordlistProvider,
+  RegexProvider,
+  LocalClassifierProvider,
+  HttpClassifierProvider
+} = require('../moderation/providers');
+const { loadModerationConfig } = require('../config/moderation');
+const moderationService = require('../services/ModerationService');
+const MemoryViolationStore = require('../stores/MemoryViolationStore');
+
+/**
+ * Fake axios-compatible client: answers every POST with the given labels,
+ * or never answers when `hang` is set.
+ */
+function fakeHttp(labels, { hang = false } = {}) {
+  return {
+    calls: [],
+    post(url, body, options) {
+      this.calls.push({ url, body, options });
+      if (hang) return new Promise(() => {});
+      return Promise.resolve({ data: [labels] });
+    }
+  };
+}
+
+function fakeClassifier(labels, options = {}) {
+  return new HttpClassifierProvider({
+    name: 'fake-http',
+    url: 'http://classifier.test/score',
+    http: fakeHttp(labels, options),
+    ...options
+  });
+}
+
+describe('ProviderChain', () => {
+  it('lets the first provider that reaches its threshold decide', async () => {
+    const chain = new ProviderChain([
+      new WordlistProvider({ name: 'local' }),
+      fakeClassifier([{ label: 'insult', score: 0.9 }])
+    ]);
+
+    expect((await chain.run('you are an asshole')).provider).toBe('local');
+
+    const verdict = await chain.run('you are a complete walnut');
+    expect(verdict).toMatchObject({ flagged: true, provider: 'fake-http', categories: ['insult'], score: 0.9 });
+  });
+
+  it('applies each provider\'s own threshold', async () => {
+    const lenient = new ProviderChain([fakeClassifier([{ label: 'toxic', score: 0.6 }], { threshold: 0.8 })]);
+    const strict = new ProviderChain([fakeClassifier([{ label: 'toxic', score: 0.6 }], { threshold: 0.5 })]);
+
+    expect((await lenient.run('hmm')).flagged).toBe(false);
+    expect((await strict.run('hmm')).flagged).toBe(true);
+  });
+
+  it('records a timed-out provider and falls back to the offline classifier', async () => {
+    const chain = new ProviderChain([
+      fakeClassifier([], { hang: true, timeoutMs: 20 }),
+      new LocalClassifierProvider({ name: 'local-classifier', fallbackOnly: true })
+    ]);
+
+    const verdict = await chain.run('You are a complete idiot');
+    expect(verdict.provider).toBe('local-classifier');
+    expect(verdict.failures).toEqual([
+      { provider: 'fake-http', error: 'fake-http timed out after 20ms' }
+    ]);
+  });
+
+  it('skips fallback-only providers while earlier providers are healthy', async () => {
+    const chain = new ProviderChain([
+      fakeClassifier([{ label: 'toxic', score: 0.1 }]),
+      new LocalClassifierProvider({ name: 'local-classifier', fallbackOnly: true })
+    ]);
+
+    expect((await chain.run('You are a complete idiot')).flagged).toBe(false);
+  });
+
+  it('allows the message when every provider fails', async () => {
+    const broken = fakeClassifier([]);
+    broken.check = () => Promise.reject(new Error('503'));
+
+    const verdict = await new ProviderChain([broken]).run('anything');
+    expect(verdict.flagged).toBe(false);
+    expect(verdict.failures).toHaveLength(1);
+  });
+});
+
+describe('providers', () => {
+  it('regex rules catch phrasing the wordlist misses', async () => {
+    const verdict = await new RegexProvider().check('im gonna dox you');
+    expect(verdict).toMatchObject({ score: 1, categories: ['threat'] });
+  });
+
+  it('the offline classifier separates insults from harmless uses', () => {
+    const classifier = new LocalClassifierProvider();
+    expect(classifier.classify('You are a complete idiot').insult).toBeGreaterThan(0.7);
+    expect(classifier.classify('that movie was stupid').insult).toBeLessThan(0.7);
+    expect(classifier.classify('I love playing video games')).toEqual({});
+  });
+
+  it('the HTTP classifier sends the token and parses Hugging Face output', async () => {
+    const http = fakeHttp([{ label: 'toxic', score: 0.2 }, { label: 'insult', score: 0.7 }]);
+    const provider = new HttpClassifierProvider({ url: 'http://x.test', token: 'secret', http, timeoutMs: 1234 });
+
+    const verdict = await provider.check('hello');
+    expect(verdict).toMatchObject({ label: 'insult', score: 0.7 });
+    expect(http.calls[0].body).toEqual({ inputs: 'hello' });
+    expect(http.calls[0].options).toMatchObject({ timeout: 1234, headers: { Authorization: 'Bearer secret' } });
+  });
+
+  it('leaves token-based HTTP providers disabled without a token', () => {
+    const [hf] = buildProviders([{ type: 'http', name: 'huggingface', url: 'http://x.test', tokenEnv: 'HF_API_TOKEN' }], {});
+    expect(hf.enabled).toBe(false);
+  });
+});
+
+describe('loadModerationConfig', () => {
+  it('orders the chain by MODERATION_PROVIDERS and applies per-provider overrides', () => {
+    const { providers } = loadModerationConfig({
+      MODERATION_PROVIDERS: 'huggingface, local',
+      MODERATION_HUGGINGFACE_THRESHOLD: '0.8',
+      MODERATION_HUGGINGFACE_TIMEOUT_MS: '1500'
+    });
+
+    expect(providers.map(p => p.name)).toEqual(['huggingface', 'local']);
+    expect(providers[0]).toMatchObject({ threshold: 0.8, timeoutMs: 1500 });
+  });
+});
+
+describe('ModerationService with a fake HTTP classifier', () => {
+  beforeEach(() => {
+    moderationService.setStore(new MemoryViolationStore());
+    moderationService.setProviders([
+      new WordlistProvider({ name: 'local' }),
+      fakeClassifier([{ label: 'insult', score: 0.95 }])
+    ]);
+  });
+
+  it('reports which provider decided', async () => {
+    const result = await moderationService.checkMessage('meet me outside', 'session-1');
+    expect(result).toMatchObject({
+      allowed: false,
+      provider: 'fake-http',
+      layer: 'fake-http',
+      categories: ['insult'],
+      action: 'block'
+    });
+    expect(await moderationService.getViolations('session-1')).toEqual([
+      expect.objectContaining({ categories: ['insult'], layer: 'fake-http' })
+    ]);
+  });
+});
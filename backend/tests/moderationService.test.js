@@ -0,0 +1,348 @@
+jest.mock('../loaders/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const logger = require('../loaders/logger');
+const moderationService = require('../services/ModerationService');
+const ModerationPolicy = require('../moderation/ModerationPolicy');
+const ProviderChain = require('../moderation/ProviderChain');
+const CircuitBreaker = require('../moderation/CircuitBreaker');
+const { buildProviders } = require('../moderation/providers');
+const { parseLabelScores } = require('../moderation/providers/HttpClassifierProvider');
+const { DEFAULT_PROVIDERS, DEFAULT_POLICY } = require('../config/moderation');
+const MemoryViolationStore = require('../stores/MemoryViolationStore');
+const MemoryVerdictStore = require('../stores/MemoryVerdictStore');
+const { startMockHfServer } = require('./helpers/mockHfServer');
+const { evaluateLayer, evaluateChain, formatMetrics } = require('./helpers/moderationMetrics');
+const corpus = require('./fixtures/moderation-corpus.json');
+
+const HF_TOKEN = 'hf_test_token';
+const corpusScores = new Map(corpus.entries.map(e => [e.text, e.hf]));
+
+/**
+ * The default chain, with Hugging Face pointed at the mock server and a
+ * short timeout so failure cases stay fast
+ */
+function defaultProviders(hf) {
+  const specs = DEFAULT_PROVIDERS.map(spec => (
+    spec.name === 'huggingface' ? { ...spec, url: hf.url, timeoutMs: 300, batchSize: 1 } : spec
+  ));
+  return buildProviders(specs, { HF_API_TOKEN: HF_TOKEN });
+}
+
+describe('ModerationService', () => {
+  let hf;
+
+  beforeAll(async () => {
+    hf = await startMockHfServer({ scores: text => corpusScores.get(text), token: HF_TOKEN });
+  });
+
+  afterAll(async () => {
+    await hf.close();
+  });
+
+  beforeEach(() => {
+    hf.mode = 'ok';
+    hf.requests.length = 0;
+    logger.error.mockClear();
+    moderationService.BLOCK_ON_FAIL = false;
+    moderationService.setStore(new MemoryViolationStore());
+    moderationService.setCacheStore(new MemoryVerdictStore());
+    moderationService.setProviders(defaultProviders(hf), new ModerationPolicy(DEFAULT_POLICY));
+  });
+
+  // ─── LOCAL FILTER ──────────────────────────────────────────
+
+  describe('local filter', () => {
+    it('allows clean messages', async () => {
+      expect(await moderationService.checkMessage('hey how are you today?', 's1')).toMatchObject({
+        allowed: true,
+        flagged: false,
+        action: 'allow',
+        provider: null
+      });
+    });
+
+    it('blocks profanity without calling Hugging Face', async () => {
+      const result = await moderationService.checkMessage('You are a stupid asshole', 's1');
+
+      expect(result).toMatchObject({ allowed: false, provider: 'local', categories: ['profanity'], action: 'block' });
+      expect(hf.requests).toHaveLength(0);
+    });
+
+    it('logs a blocked message once, with the action taken', async () => {
+      logger.warn.mockClear();
+
+      await moderationService.checkMessage('You are a stupid asshole', 's1');
+
+      const logged = logger.warn.mock.calls.filter(([message]) => message === 'Message blocked by moderation');
+      expect(logged).toEqual([[
+        'Message blocked by moderation',
+        expect.objectContaining({ sessionId: 's1', provider: 'local', policyAction: 'block', action: 'block' })
+      ]]);
+    });
+
+    it('sees through spaced-out and leetspeak obfuscation', async () => {
+      expect((await moderationService.checkContent('what the f u c k')).provider).toBe('local');
+      expect((await moderationService.checkContent('you piece of sh1t')).provider).toBe('local');
+    });
+
+    it('warns straight away for prohibited terms', async () => {
+      expect(await moderationService.checkMessage('send me csam', 's1')).toMatchObject({
+        allowed: false,
+        categories: ['prohibited-terms'],
+        action: 'warn'
+      });
+    });
+
+    it('allows empty content without running any provider', async () => {
+      expect((await moderationService.checkMessage('   ', 's1')).allowed).toBe(true);
+      expect(hf.requests).toHaveLength(0);
+    });
+  });
+
+  // ─── ESCALATION ────────────────────────────────────────────
+
+  describe('escalation', () => {
+    it('goes from block to warn to kick as violations add up', async () => {
+      const actions = [];
+      for (let i = 0; i < 5; i++) {
+        actions.push((await moderationService.checkMessage('fuck off', 'repeat')).action);
+      }
+
+      expect(actions).toEqual(['block', 'warn', 'warn', 'warn', 'kick']);
+      expect(await moderationService.getFlagCount('repeat')).toBe(5);
+    });
+
+    it('tracks each session separately', async () => {
+      await moderationService.checkMessage('fuck off', 'a');
+      expect((await moderationService.checkMessage('fuck off', 'b')).action).toBe('block');
+    });
+
+    it('never escalates untracked checks', async () => {
+      for (let i = 0; i < 5; i++) await moderationService.checkContent('fuck off');
+      expect((await moderationService.checkContent('fuck off')).action).toBe('block');
+    });
+  });
+
+  // ─── HUGGING FACE LAYER ────────────────────────────────────
+
+  describe('Hugging Face layer', () => {
+    it('catches insults the wordlist misses', async () => {
+      const result = await moderationService.checkMessage('you are a complete idiot', 's1');
+
+      expect(result).toMatchObject({ allowed: false, provider: 'huggingface', action: 'block' });
+      expect(result.categories).toEqual(expect.arrayContaining(['toxic', 'insult']));
+      expect(hf.requests[0]).toEqual({ inputs: 'you are a complete idiot', authorization: `Bearer ${HF_TOKEN}` });
+    });
+
+    it('applies the policy threshold per label', async () => {
+      expect((await moderationService.checkMessage('I hate mondays', 's1')).allowed).toBe(true);
+      expect((await moderationService.checkMessage('go back to your country', 's1')).action).toBe('warn');
+    });
+  });
+
+  // ─── FAILURES ──────────────────────────────────────────────
+
+  describe('when Hugging Face fails', () => {
+    it.each(['loading', 'unauthorized', 'malformed', 'hang'])('fails open on %s', async (mode) => {
+      hf.mode = mode;
+
+      const result = await moderationService.checkMessage('can you recommend a good book', 's1');
+
+      expect(result).toMatchObject({ allowed: true, action: 'allow' });
+      expect(logger.error).toHaveBeenCalledWith(
+        'Moderation provider failed',
+        expect.objectContaining({ provider: 'huggingface' })
+      );
+    });
+
+    it('falls back to the offline classifier', async () => {
+      hf.mode = 'loading';
+
+      const result = await moderationService.checkMessage('you are a worthless moron', 's1');
+
+      expect(result).toMatchObject({ allowed: false, provider: 'local-classifier' });
+    });
+
+    it('still applies the local filter', async () => {
+      hf.mode = 'hang';
+      expect((await moderationService.checkMessage('fuck off', 's1')).provider).toBe('local');
+    });
+  });
+
+  describe('with MODERATION_BLOCK_ON_FAIL', () => {
+    beforeEach(() => {
+      moderationService.BLOCK_ON_FAIL = true;
+    });
+
+    it('blocks a message nothing could check, without recording a violation', async () => {
+      hf.mode = 'loading';
+      moderationService.setProviders(
+        defaultProviders(hf).filter(p => p.name !== 'local-classifier'),
+        new ModerationPolicy(DEFAULT_POLICY)
+      );
+
+      const result = await moderationService.checkMessage('can you recommend a good book', 's1');
+
+      expect(result).toMatchObject({ allowed: false, flagged: false, failed: true, action: 'block' });
+      expect(await moderationService.getFlagCount('s1')).toBe(0);
+    });
+
+    it('delivers when the offline classifier checked the message instead', async () => {
+      hf.mode = 'loading';
+      expect((await moderationService.checkMessage('can you recommend a good book', 's1')).allowed).toBe(true);
+    });
+
+    it('does not block while Hugging Face is merely unconfigured', async () => {
+      moderationService.setProviders(
+        buildProviders(DEFAULT_PROVIDERS.filter(p => p.name !== 'local-classifier'), {}),
+        new ModerationPolicy(DEFAULT_POLICY)
+      );
+      expect((await moderationService.checkMessage('hello there', 's1')).allowed).toBe(true);
+    });
+  });
+
+  describe('circuit breaker', () => {
+    it('skips Hugging Face after repeated failures and reports it in health', async () => {
+      hf.mode = 'loading';
+      for (let i = 0; i < 5; i++) await moderationService.checkMessage('hello there', 's1');
+      expect(hf.requests).toHaveLength(5);
+
+      await moderationService.checkMessage('hello there', 's1');
+
+      expect(hf.requests).toHaveLength(5);
+      const huggingface = moderationService.getHealth().providers.find(p => p.name === 'huggingface');
+      expect(moderationService.getHealth().status).toBe('degraded');
+      expect(huggingface.breaker).toMatchObject({ state: 'open', consecutiveFailures: 5 });
+    });
+
+    it('counts timeouts as failures', async () => {
+      hf.mode = 'hang';
+      const huggingface = moderationService._chain.getProviders().find(p => p.name === 'huggingface');
+
+      await moderationService.checkMessage('hello there', 's1');
+
+      expect(huggingface.breaker.getState().consecutiveFailures).toBe(1);
+    });
+  });
+});
+
+describe('CircuitBreaker', () => {
+  let now;
+  let breaker;
+
+  beforeEach(() => {
+    now = 0;
+    breaker = new CircuitBreaker({ failureThreshold: 2, cooldownMs: 1000, now: () => now });
+  });
+
+  it('opens after consecutive failures only', () => {
+    breaker.recordFailure();
+    breaker.recordSuccess();
+    breaker.recordFailure();
+    expect(breaker.canRequest()).toBe(true);
+
+    breaker.recordFailure();
+    expect(breaker.canRequest()).toBe(false);
+    expect(breaker.getState()).toMatchObject({ state: 'open', retryAt: new Date(1000).toISOString() });
+  });
+
+  it('lets one probe through after the cooldown', () => {
+    breaker.recordFailure();
+    breaker.recordFailure();
+    now = 1000;
+
+    expect(breaker.getState().state).toBe('half-open');
+    expect(breaker.canRequest()).toBe(true);
+    expect(breaker.canRequest()).toBe(false);
+  });
+
+  it('closes when the probe succeeds and reopens when it fails', () => {
+    breaker.recordFailure();
+    breaker.recordFailure();
+    now = 1000;
+    breaker.canRequest();
+    breaker.recordFailure();
+    expect(breaker.getState()).toMatchObject({ state: 'open', openedAt: new Date(1000).toISOString() });
+
+    now = 2000;
+    breaker.canRequest();
+    breaker.recordSuccess();
+    expect(breaker.getState()).toMatchObject({ state: 'closed', consecutiveFailures: 0 });
+  });
+});
+
+// ─── RESPONSE PARSING ────────────────────────────────────────
+
+describe('parseLabelScores', () => {
+  const labels = [{ label: 'toxic', score: 0.9 }, { label: 'insult', score: 0.4 }];
+
+  it('reads the nested single-input shape', () => {
+    expect(parseLabelScores([labels])).toEqual(labels);
+  });
+
+  it('reads a flat list and one input of a batched response', () => {
+    expect(parseLabelScores(labels)).toEqual(labels);
+    expect(parseLabelScores([labels, [{ label: 'toxic', score: 0.1 }]])).toEqual(labels);
+  });
+
+  it('drops entries without a numeric score', () => {
+    expect(parseLabelScores([[{ label: 'toxic', score: '0.9' }, null, labels[1]]])).toEqual([labels[1]]);
+  });
+
+  it('throws on an error body instead of reading it as clean', () => {
+    expect(() => parseLabelScores({ error: 'Model is loading', estimated_time: 20 })).toThrow(/Unexpected/);
+    expect(() => parseLabelScores(null)).toThrow(/Unexpected/);
+  });
+});
+
+// ─── LABELLED CORPUS ─────────────────────────────────────────
+
+/**
+ * Precision/recall per layer on tests/fixtures/moderation-corpus.json.
+ * The floors catch regressions; raise them as layers improve. Run
+ * `npm run test:moderation` to print the table.
+ */
+describe('labelled corpus', () => {
+  const FLOORS = {
+    local: { precision: 1, recall: 0.5 },
+    regex: { precision: 1, recall: 0.15 },
+    huggingface: { precision: 0.9, recall: 0.75 },
+    'local-classifier': { precision: 1, recall: 0.3 },
+    chain: { precision: 0.9, recall: 1 }
+  };
+  const rows = [];
+  let hf;
+
+  beforeAll(async () => {
+    hf = await startMockHfServer({ scores: text => corpusScores.get(text) });
+  });
+
+  afterAll(async () => {
+    await hf.close();
+    if (process.env.MODERATION_METRICS) process.stdout.write(`\n${formatMetrics(rows)}\n\n`);
+  });
+
+  const policy = new ModerationPolicy(DEFAULT_POLICY);
+
+  it.each(DEFAULT_PROVIDERS.map(p => p.name))('%s layer stays above its floors', async (name) => {
+    const provider = defaultProviders(hf).find(p => p.name === name);
+    const row = await evaluateLayer(provider, corpus.entries, policy);
+    rows.push(row);
+
+    expect(row.precision).toBeGreaterThanOrEqual(FLOORS[name].precision);
+    expect(row.recall).toBeGreaterThanOrEqual(FLOORS[name].recall);
+  });
+
+  it('whole chain stays above its floors', async () => {
+    const row = await evaluateChain(new ProviderChain(defaultProviders(hf), policy), corpus.entries);
+    rows.push(row);
+
+    expect(row.precision).toBeGreaterThanOrEqual(FLOORS.chain.precision);
+    expect(row.recall).toBeGreaterThanOrEqual(FLOORS.chain.recall);
+  });
+});
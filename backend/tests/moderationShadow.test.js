@@ -0,0 +1,173 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../loaders/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const ModerationPolicy = require('../moderation/ModerationPolicy');
+const { WordlistProvider, RegexProvider, HttpClassifierProvider } = require('../moderation/providers');
+const { loadShadowConfig, DEFAULT_POLICY } = require('../config/moderation');
+const moderationService = require('../services/ModerationService');
+const MemoryViolationStore = require('../stores/MemoryViolationStore');
+const MemoryShadowStore = require('../stores/MemoryShadowStore');
+const MemoryVerdictStore = require('../stores/MemoryVerdictStore');
+
+// The shadow chain runs after checkMessage resolves
+const shadowSettled = () => new Promise(r => setTimeout(r, 10));
+
+describe('moderation shadow mode', () => {
+  beforeEach(() => {
+    moderationService.setStore(new MemoryViolationStore());
+    moderationService.setShadowStore(new MemoryShadowStore());
+    moderationService.setProviders([new WordlistProvider({ name: 'local' })], new ModerationPolicy(DEFAULT_POLICY));
+  });
+
+  afterAll(() => {
+    moderationService.setShadow(null);
+  });
+
+  it('reports nothing while shadow mode is off', async () => {
+    moderationService.setShadow(null);
+    expect(await moderationService.getShadowReport()).toEqual({ enabled: false });
+  });
+
+  it('records messages a candidate wordlist would block without changing delivery', async () => {
+    moderationService.setShadow([new WordlistProvider({ name: 'candidate', terms: ['walnut'] })]);
+
+    const result = await moderationService.checkMessage('you absolute walnut', 'session-1');
+    await moderationService.checkMessage('hello there', 'session-1');
+    await shadowSettled();
+
+    expect(result).toMatchObject({ allowed: true, action: 'allow' });
+    const report = await moderationService.getShadowReport();
+    expect(report).toMatchObject({
+      enabled: true,
+      checked: 2,
+      disagreements: 1,
+      byKind: { 'shadow-blocks': 1, 'shadow-allows': 0, 'action-differs': 0 },
+      byCategory: { 'prohibited-terms': 1 }
+    });
+    expect(report.entries[0]).toMatchObject({
+      sessionId: 'session-1',
+      excerpt: 'you absolute walnut',
+      kind: 'shadow-blocks',
+      live: { action: 'allow', provider: null },
+      shadow: { action: 'warn', provider: 'candidate' }
+    });
+  });
+
+  it('records messages the candidate would let through', async () => {
+    moderationService.setShadow([new RegexProvider({ name: 'candidate' })]);
+
+    const result = await moderationService.checkMessage('you are an asshole', 'session-2');
+    await shadowSettled();
+
+    expect(result.allowed).toBe(false);
+    const { entries } = await moderationService.getShadowReport();
+    expect(entries[0]).toMatchObject({ kind: 'shadow-allows', live: { categories: ['profanity'] } });
+  });
+
+  it('flags a stricter policy as a different action', async () => {
+    const policy = new ModerationPolicy({ ...DEFAULT_POLICY, profanity: { threshold: 0, action: 'kick', severity: 1 } });
+    moderationService.setShadow([new WordlistProvider({ name: 'local' })], policy);
+
+    await moderationService.checkMessage('you are an asshole', 'session-3');
+    await shadowSettled();
+
+    const { entries } = await moderationService.getShadowReport();
+    expect(entries[0]).toMatchObject({ kind: 'action-differs', live: { action: 'block' }, shadow: { action: 'kick' } });
+  });
+
+  it('never lets a failing shadow chain affect delivery', async () => {
+    const broken = new WordlistProvider({ name: 'broken' });
+    broken.check = () => { throw new Error('boom'); };
+    moderationService.setShadow([broken]);
+    moderationService.setShadowStore({ record: () => Promise.reject(new Error('down')) });
+
+    const result = await moderationService.checkMessage('hello there', 'session-4');
+    await shadowSettled();
+
+    expect(result).toMatchObject({ allowed: true, action: 'allow' });
+  });
+
+  it('never answers the shadow chain from live verdicts', async () => {
+    // Same name and endpoint, different candidate labelling
+    const classifier = (label, score) => new HttpClassifierProvider({
+      name: 'hf',
+      url: 'http://classifier.test/score',
+      http: { post: jest.fn(async () => ({ data: [[{ label, score }]] })) }
+    });
+    const live = classifier('toxic', 0.1);
+    const candidate = classifier('insult', 0.95);
+    moderationService.setCacheStore(new MemoryVerdictStore());
+    moderationService.setProviders([live], new ModerationPolicy(DEFAULT_POLICY));
+    moderationService.setShadow([candidate]);
+
+    await moderationService.checkMessage('hello there', 'session-6');
+    await shadowSettled();
+
+    expect(candidate._http.post).toHaveBeenCalledTimes(1);
+    const report = await moderationService.getShadowReport();
+    expect(report.entries[0]).toMatchObject({ kind: 'shadow-blocks', shadow: { categories: ['insult'] } });
+    expect(report.cache).toMatchObject({ hits: 0, misses: 1 });
+  });
+
+  it('clears the report', async () => {
+    moderationService.setShadow([new WordlistProvider({ name: 'candidate', terms: ['walnut'] })]);
+    await moderationService.checkMessage('walnut', 'session-5');
+    await shadowSettled();
+
+    await moderationService.clearShadowReport();
+
+    expect(await moderationService.getShadowReport()).toMatchObject({ checked: 0, disagreements: 0, entries: [] });
+  });
+
+  it('keeps only the newest disagreements', async () => {
+    const store = new MemoryShadowStore();
+    for (const n of [1, 2, 3]) await store.record({ n }, 2);
+    expect(await store.list(10)).toEqual([{ n: 3 }, { n: 2 }]);
+  });
+});
+
+describe('loadShadowConfig', () => {
+  let dir;
+
+  beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'shadow-'));
+  });
+
+  afterAll(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('is off unless a file is configured', () => {
+    expect(loadShadowConfig({})).toBeNull();
+  });
+
+  it('layers the file over the defaults only', () => {
+    const file = path.join(dir, 'shadow.json');
+    fs.writeFileSync(file, JSON.stringify({
+      providers: [{ name: 'local', terms: ['walnut'] }],
+      policy: { insult: { threshold: 0.4 } }
+    }));
+
+    const { providers, policy } = loadShadowConfig({
+      MODERATION_SHADOW_CONFIG: file,
+      MODERATION_LOCAL_THRESHOLD: '0.9'
+    });
+
+    expect(providers).toEqual([{ type: 'wordlist', name: 'local', terms: ['walnut'] }]);
+    expect(policy.insult).toEqual({ threshold: 0.4, action: 'block', severity: 1 });
+  });
+
+  it('throws on a broken file instead of shadowing with the defaults', () => {
+    const file = path.join(dir, 'broken.json');
+    fs.writeFileSync(file, '{ nope');
+    expect(() => loadShadowConfig({ MODERATION_SHADOW_CONFIG: file })).toThrow();
+  });
+});
@@ -0,0 +1,99 @@
+const { normalizeText, compileTerms } = require('../moderation/normalize');
+const { WordlistProvider, RegexProvider } = require('../moderation/providers');
+
+const wordlist = new WordlistProvider();
+
+describe('normalizeText', () => {
+  it.each([
+    ['strips zero-width characters', 'k\u200By\u200Ds', 'kys'],
+    ['strips soft hyphens', 'ki\u00ADll', 'kill'],
+    ['folds accents', 'fück', 'fuck'],
+    ['folds full-width letters', 'ｋｙｓ', 'kys'],
+    ['folds mathematical letters', '𝐟𝐮𝐜𝐤', 'fuck'],
+    ['folds Cyrillic lookalikes', 'kіll yоurself', 'kill yourself'],
+    ['folds Greek lookalikes', 'αss', 'ass'],
+    ['decodes leetspeak inside words', 'h3ll0 w0rld', 'hello world'],
+    ['leaves numbers alone', 'I have 5 cats in 2024', 'i have 5 cats in 2024'],
+    ['drops trailing punctuation before decoding', 'see you at 3!', 'see you at 3'],
+    ['joins spaced-out letters', 'k y s', 'kys'],
+    ['joins dotted letters', 'f.u.c.k you', 'fuck you'],
+    ['keeps short single-letter runs apart', 'u r cool', 'u r cool']
+  ])('%s', (_, input, expected) => {
+    expect(normalizeText(input)[0]).toBe(expected);
+  });
+
+  it('returns both readings of an ambiguous 1', () => {
+    expect(normalizeText('ki11')).toEqual(['kiii', 'kill']);
+  });
+});
+
+describe('compileTerms', () => {
+  const regex = compileTerms(['ass', 'kill yourself']);
+
+  it.each([
+    ['ass', true],
+    ['aaasss', true],
+    ['as', false],
+    ['class', false],
+    ['killyourself', true],
+    ['kill   yourself', true]
+  ])('"%s" -> %s', (text, expected) => {
+    expect(regex.test(text)).toBe(expected);
+  });
+});
+
+describe('WordlistProvider evasions', () => {
+  it.each([
+    'k y s',
+    'K.Y.S',
+    'k1ll y0urs3lf',
+    'ki11 yourself',
+    'killyourself',
+    'kіll yоurself',
+    'ｋｙｓ',
+    'k\u200Bys',
+    'fuuuuck off',
+    'f u c k',
+    'sh!t',
+    '$hit',
+    'a$$hole',
+    'b1tch',
+    'ＦＵＣＫ',
+    'd0x me',
+    'c s a m'
+  ])('flags "%s"', async (text) => {
+    expect((await wordlist.check(text)).score).toBe(1);
+  });
+});
+
+describe('WordlistProvider safe words', () => {
+  it.each([
+    'Scunthorpe',
+    'classic',
+    'assassin',
+    'Dickens',
+    'cocktail',
+    'I passed the class',
+    'skills',
+    'Essex',
+    'analysis',
+    'therapist',
+    'grape juice',
+    'shiitake mushrooms',
+    'skyscraper',
+    'pass the bass',
+    'I have 5 cats',
+    'see you at 3!',
+    'a b c d e f g',
+    'password123'
+  ])('allows "%s"', async (text) => {
+    expect((await wordlist.check(text)).score).toBe(0);
+  });
+});
+
+describe('RegexProvider on normalised text', () => {
+  it('catches leetspeak the raw pattern misses', async () => {
+    const regex = new RegexProvider();
+    expect((await regex.check('g0 k1ll y0urs3lf')).categories).toEqual(['self_harm']);
+  });
+});
@@ -0,0 +1,150 @@
+const MemoryPresenceStore = require('../stores/MemoryPresenceStore');
+const RedisPresenceStore = require('../stores/RedisPresenceStore');
+const { FakeRedisServer } = require('./helpers/fakeRedis');
+
+const TTL_MS = 60000;
+
+function user(socketId, sessionId, extra = {}) {
+  return {
+    socketId,
+    sessionId,
+    isMatched: false,
+    currentMatch: null,
+    roomId: null,
+    interests: ['Music'],
+    missedPings: 0,
+    matchState: 'idle',
+    ...extra
+  };
+}
+
+const stores = [
+  ['MemoryPresenceStore', () => new MemoryPresenceStore()],
+  ['RedisPresenceStore', () => new RedisPresenceStore(new FakeRedisServer().createClient(), { ttlMs: TTL_MS })]
+];
+
+describe.each(stores)('%s', (name, createStore) => {
+  let store;
+
+  beforeEach(() => {
+    store = createStore();
+  });
+
+  it('round-trips a user with its field types intact', async () => {
+    const stored = user('s1', 'A', { roomId: 'room_1', isMatched: true });
+    await store.setUser(stored);
+
+    expect(await store.getUser('s1')).toEqual(stored);
+    expect(await store.getUser('missing')).toBeNull();
+  });
+
+  it('merges a patch into an existing user', async () => {
+    await store.setUser(user('s1', 'A'));
+
+    const patched = await store.patchUser('s1', { isMatched: true, currentMatch: 's2' });
+
+    expect(patched).toMatchObject({ socketId: 's1', isMatched: true, currentMatch: 's2', interests: ['Music'] });
+    expect(await store.getUser('s1')).toEqual(patched);
+  });
+
+  it('never resurrects a removed user on patch or missed ping', async () => {
+    await store.setUser(user('s1', 'A'));
+    await store.deleteUser('s1');
+
+    expect(await store.patchUser('s1', { isMatched: true })).toBeNull();
+    expect(await store.incrementMissedPings('s1')).toBeNull();
+    expect(await store.getUser('s1')).toBeNull();
+  });
+
+  it('counts missed pings up from the stored value', async () => {
+    await store.setUser(user('s1', 'A', { missedPings: 1 }));
+
+    await store.incrementMissedPings('s1');
+    const updated = await store.incrementMissedPings('s1');
+
+    expect(updated.missedPings).toBe(3);
+  });
+
+  it('only drops a session mapping that still points at the given socket', async () => {
+    await store.setSessionSocket('A', 's2');
+
+    await store.deleteSession('A', 's1');
+    expect(await store.getSessionSocket('A')).toBe('s2');
+
+    await store.deleteSession('A', 's2');
+    expect(await store.getSessionSocket('A')).toBeNull();
+  });
+
+  it('lists and counts online users', async () => {
+    await store.setUser(user('s1', 'A'));
+    await store.setUser(user('s2', 'B'));
+    await store.deleteUser('s1');
+
+    expect(await store.count()).toBe(1);
+    expect((await store.listUsers()).map(u => u.socketId)).toEqual(['s2']);
+  });
+
+  it('hands a pending reconnect to exactly one taker', async () => {
+    const pending = { socketId: 's1', roomId: 'room_1', partnerSocketId: 's2' };
+    await store.setPendingReconnect('A', pending, TTL_MS);
+
+    expect(await store.getPendingReconnect('A')).toEqual(pending);
+
+    const takes = await Promise.all([store.takePendingReconnect('A'), store.takePendingReconnect('A')]);
+    expect(takes.filter(Boolean)).toEqual([pending]);
+    expect(await store.getPendingReconnect('A')).toBeNull();
+  });
+
+  it('lets a pending reconnect expire', async () => {
+    await store.setPendingReconnect('A', { socketId: 's1' }, 5);
+    await new Promise(resolve => setTimeout(resolve, 10));
+
+    expect(await store.getPendingReconnect('A')).toBeNull();
+    expect(await store.takePendingReconnect('A')).toBeNull();
+  });
+});
+
+describe('RedisPresenceStore expiry', () => {
+  let redis;
+  let store;
+
+  beforeEach(() => {
+    redis = new FakeRedisServer();
+    store = new RedisPresenceStore(redis.createClient(), { ttlMs: 20 });
+  });
+
+  const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+  it('ages out users from a crashed instance', async () => {
+    await store.setUser(user('s1', 'A'));
+    await store.setSessionSocket('A', 's1');
+    await wait(30);
+
+    expect(await store.count()).toBe(0);
+    expect(await store.listUsers()).toEqual([]);
+    expect(await store.getUser('s1')).toBeNull();
+    expect(await store.getSessionSocket('A')).toBeNull();
+    expect(redis.call('ZCARD', store.ONLINE_KEY)).toBe(0);
+  });
+
+  it('keeps users that are touched alive', async () => {
+    await store.setUser(user('s1', 'A'));
+    await store.setSessionSocket('A', 's1');
+
+    for (let i = 0; i < 3; i++) {
+      await wait(10);
+      await store.touch('s1', 'A');
+    }
+
+    expect(await store.count()).toBe(1);
+    expect(await store.getUser('s1')).toMatchObject({ socketId: 's1' });
+    expect(await store.getSessionSocket('A')).toBe('s1');
+  });
+
+  it('replaces every field when a user is set again', async () => {
+    await store.setUser(user('s1', 'A', { roomId: 'room_1' }));
+    await store.setUser({ socketId: 's1', sessionId: 'A' });
+
+    expect(await store.getUser('s1')).toEqual({ socketId: 's1', sessionId: 'A' });
+  });
+});
@@ -0,0 +1,188 @@
+const http = require('http');
+const { io: ioClient } = require('socket.io-client');
+
+jest.mock('../loaders/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const config = require('../config/env');
+const { createSocketServer } = require('../config/socket');
+const connectionHandler = require('../socket/connectionHandler');
+const Message = require('../models/Message');
+const presenceService = require('../services/PresenceService');
+const matchmakingService = require('../services/MatchmakingService');
+const reconnectionService = require('../services/ReconnectionService');
+const blockService = require('../services/BlockService');
+const MemoryMatchStore = require('../stores/MemoryMatchStore');
+const MemoryPresenceStore = require('../stores/MemoryPresenceStore');
+const RedisMatchStore = require('../stores/RedisMatchStore');
+const RedisPresenceStore = require('../stores/RedisPresenceStore');
+const { FakeRedisBus, FakeRedisServer } = require('./helpers/fakeRedis');
+
+function startNode(bus) {
+  return new Promise((resolve) => {
+    const httpServer = http.createServer();
+    const redisClient = bus.createClient();
+    const io = createSocketServer(httpServer, { pubClient: redisClient, subClient: redisClient.duplicate() });
+    io.on('connection', socket => connectionHandler.register(socket, io));
+    httpServer.listen(0, () => resolve({ io, port: httpServer.address().port }));
+  });
+}
+
+function connectClient(node) {
+  return new Promise((resolve, reject) => {
+    const client = ioClient(`http://localhost:${node.port}`, { transports: ['websocket'], forceNew: true });
+    client.on('connect', () => resolve(client));
+    client.on('connect_error', reject);
+  });
+}
+
+function nextEvent(client, event) {
+  return new Promise(resolve => client.once(event, resolve));
+}
+
+async function waitFor(check, timeoutMs = 2000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!(await check())) {
+    if (Date.now() > deadline) throw new Error('waitFor timed out');
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+}
+
+function storedMessage(seq, senderId, recipientId) {
+  return {
+    _id: `m${seq}`,
+    roomId: 'room',
+    senderId,
+    recipientId,
+    content: `message ${seq}`,
+    type: 'text',
+    seq,
+    status: 'sent',
+    createdAt: new Date()
+  };
+}
+
+describe('Reconnecting inside the grace window', () => {
+  let nodes;
+  let clients;
+
+  beforeEach(async () => {
+    const redis = new FakeRedisServer();
+    presenceService.setStore(new RedisPresenceStore(redis.createClient(), { ttlMs: 60000 }));
+    matchmakingService.setStore(new RedisMatchStore(redis.createClient()));
+    matchmakingService.GRACE_PERIOD_MS = 60000;
+
+    jest.spyOn(Message, 'updateMany').mockResolvedValue({ modifiedCount: 0 });
+    jest.spyOn(Message, 'scheduleRoomDeletion').mockResolvedValue({ modifiedCount: 0 });
+    jest.spyOn(blockService, 'getBlockedSessionIds').mockResolvedValue(new Set());
+
+    // Two instances behind the Redis adapter
+    const bus = new FakeRedisBus();
+    nodes = [await startNode(bus), await startNode(bus)];
+    clients = [];
+  });
+
+  afterEach(async () => {
+    // Fresh stores first, so tearing the sockets down starts no grace timers
+    presenceService.setStore(new MemoryPresenceStore());
+    matchmakingService.setStore(new MemoryMatchStore());
+    matchmakingService.GRACE_PERIOD_MS = config.GRACE_PERIOD_MS;
+    clients.forEach(c => c.disconnect());
+    await Promise.all(nodes.map(n => new Promise(resolve => n.io.close(() => resolve()))));
+    jest.restoreAllMocks();
+  });
+
+  async function join(node, data) {
+    const client = await connectClient(node);
+    clients.push(client);
+    const confirmed = Promise.race([nextEvent(client, 'session-confirmed'), nextEvent(client, 'reconnect-success')]);
+    client.emit('user-join', data);
+    return { client, reply: await confirmed };
+  }
+
+  // Two users on the first instance, matched with each other
+  async function matchedPair() {
+    const { client: a } = await join(nodes[0], { sessionId: 'A' });
+    const { client: b } = await join(nodes[0], { sessionId: 'B' });
+    await matchmakingService.joinQueue({ socketId: a.id, sessionId: 'A', interests: [], mode: 'text', joinedQueueAt: new Date() });
+    const { match } = await matchmakingService.joinQueue({ socketId: b.id, sessionId: 'B', interests: [], mode: 'text', joinedQueueAt: new Date() });
+    return { a, b, roomId: match.roomId };
+  }
+
+  async function dropConnection(client, sessionId) {
+    client.disconnect();
+    await waitFor(() => reconnectionService.isPending(sessionId));
+  }
+
+  it('restores the match on another instance and replays what was missed', async () => {
+    const { a, b, roomId } = await matchedPair();
+    const oldSocketId = a.id;
+    await dropConnection(a, 'A');
+
+    const missed = [storedMessage(4, b.id, oldSocketId), storedMessage(5, b.id, oldSocketId)];
+    jest.spyOn(Message, 'getMessagesAfterSeq').mockResolvedValue(missed);
+    const partnerNotified = nextEvent(b, 'partner-reconnected');
+
+    const { client: a2, reply } = await join(nodes[1], { sessionId: 'A', lastSeq: 3 });
+
+    expect(reply).toMatchObject({ matchRestored: true, roomId, partnerId: b.id, hasMore: false });
+    expect(reply.missedMessages.map(m => m.seq)).toEqual([4, 5]);
+    expect(Message.getMessagesAfterSeq).toHaveBeenCalledWith(roomId, 3, expect.any(Number));
+    expect(Message.updateMany).toHaveBeenCalledWith({ roomId, senderId: oldSocketId }, { $set: { senderId: a2.id } });
+    expect(await partnerNotified).toEqual({ partnerId: a2.id, roomId });
+
+    expect(await presenceService.getUserBySession('A')).toMatchObject({
+      socketId: a2.id,
+      isMatched: true,
+      roomId,
+      currentMatch: b.id
+    });
+    expect((await presenceService.getUser(b.id)).currentMatch).toBe(a2.id);
+    const match = await matchmakingService.getMatch(roomId);
+    expect([match.user1SocketId, match.user2SocketId].sort()).toEqual([a2.id, b.id].sort());
+    expect(match.state).toBe('CHATTING');
+  });
+
+  it('treats a session with no grace window as a fresh join', async () => {
+    const { reply } = await join(nodes[1], { sessionId: 'A', lastSeq: 3 });
+
+    expect(reply).toEqual({ sessionId: 'A' });
+  });
+
+  it('falls back to a fresh join once the grace period has expired', async () => {
+    matchmakingService.GRACE_PERIOD_MS = 20;
+    const { a, b, roomId } = await matchedPair();
+    const partnerLeft = nextEvent(b, 'partner-disconnected');
+    await dropConnection(a, 'A');
+
+    await partnerLeft;
+    const { reply } = await join(nodes[1], { sessionId: 'A', lastSeq: 3 });
+
+    expect(reply).toEqual({ sessionId: 'A' });
+    expect(await matchmakingService.getMatch(roomId)).toBeNull();
+  });
+
+  it('keeps a restored match when the grace timer fires on another instance', async () => {
+    // The instance the client dropped from can't cancel its timer when the
+    // reconnect lands elsewhere — the timer has to find the window claimed
+    jest.spyOn(matchmakingService, '_cancelGraceTimer').mockImplementation(() => {});
+    matchmakingService.GRACE_PERIOD_MS = 100;
+    const { a, b, roomId } = await matchedPair();
+    const partnerLeft = jest.fn();
+    b.on('partner-disconnected', partnerLeft);
+    await dropConnection(a, 'A');
+
+    jest.spyOn(Message, 'getMessagesAfterSeq').mockResolvedValue([]);
+    const { client: a2, reply } = await join(nodes[1], { sessionId: 'A', lastSeq: 0 });
+    expect(reply.matchRestored).toBe(true);
+
+    await new Promise(resolve => setTimeout(resolve, 150));
+    expect(partnerLeft).not.toHaveBeenCalled();
+    const match = await matchmakingService.getMatch(roomId);
+    expect([match.user1SocketId, match.user2SocketId].sort()).toEqual([a2.id, b.id].sort());
+  });
+});
@@ -0,0 +1,123 @@
+/**
+ * Typing and room-cleanup latency against a real Redis at 10k rooms.
+ * Skipped by default — run with `npm run test:load` against a local,
+ * disposable Redis (REDIS_URL, default redis://localhost:6379):
+ *
+ *   docker run --rm -p 6379:6379 redis:7
+ *   npm run test:load
+ *
+ * LOAD_TEST_ROOMS and LOAD_TEST_CONCURRENCY scale the run.
+ */
+jest.mock('../loaders/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const { createClient } = require('redis');
+const chatService = require('../services/ChatService');
+
+const ROOMS = parseInt(process.env.LOAD_TEST_ROOMS, 10) || 10000;
+const CONCURRENCY = parseInt(process.env.LOAD_TEST_CONCURRENCY, 10) || 100;
+const CACHED_MESSAGES = 20;
+const KEYS_SAMPLES = 50;
+
+const describeLoad = process.env.LOAD_TEST ? describe : describe.skip;
+
+const roomId = i => `loadtest-${i}`;
+
+/**
+ * Run fn(i) for 0..count-1 with at most `concurrency` in flight,
+ * returning each call's latency in ms
+ */
+async function timed(count, fn, concurrency = CONCURRENCY) {
+  const latencies = new Array(count);
+  let next = 0;
+  async function worker() {
+    while (next < count) {
+      const i = next++;
+      const start = process.hrtime.bigint();
+      await fn(i);
+      latencies[i] = Number(process.hrtime.bigint() - start) / 1e6;
+    }
+  }
+  await Promise.all(Array.from({ length: Math.min(concurrency, count) }, worker));
+  return latencies;
+}
+
+function summarize(latencies) {
+  const sorted = [...latencies].sort((a, b) => a - b);
+  const at = p => sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+  return { ops: sorted.length, p50: at(0.5), p95: at(0.95), p99: at(0.99), max: sorted[sorted.length - 1] };
+}
+
+function formatRows(rows) {
+  const ms = n => n.toFixed(2).padStart(8);
+  return [
+    `Redis latency at ${ROOMS} rooms, ${CONCURRENCY} in flight (ms)`,
+    `${'operation'.padEnd(24)}${'ops'.padStart(8)}${'p50'.padStart(8)}${'p95'.padStart(8)}${'p99'.padStart(8)}${'max'.padStart(8)}`,
+    ...Object.entries(rows).map(([name, s]) =>
+      `${name.padEnd(24)}${String(s.ops).padStart(8)}${ms(s.p50)}${ms(s.p95)}${ms(s.p99)}${ms(s.max)}`)
+  ].join('\n');
+}
+
+describeLoad('Redis typing and room cleanup under load', () => {
+  let redis;
+  const results = {};
+
+  beforeAll(async () => {
+    redis = createClient({ url: process.env.REDIS_URL || 'redis://localhost:6379' });
+    await redis.connect();
+    chatService.setRedis(redis);
+
+    // Every room has two people typing and a warm message cache
+    const cached = Array.from({ length: CACHED_MESSAGES }, (_, n) => JSON.stringify({ id: `m${n}`, seq: n + 1 }));
+    await timed(ROOMS, async (i) => {
+      await chatService.setTypingIndicator(roomId(i), `a-${i}`);
+      await chatService.setTypingIndicator(roomId(i), `b-${i}`);
+      await redis.rPush(`${chatService.MSG_KEY}${roomId(i)}`, cached);
+    });
+  }, 120000);
+
+  afterAll(async () => {
+    if (!redis) return;
+    await timed(ROOMS, i => chatService._clearCache(roomId(i))).catch(() => {});
+    chatService.setRedis(null);
+    await redis.quit();
+    // Straight to stdout, like the moderation metrics table
+    process.stdout.write(`\n${formatRows(results)}\n\n`);
+  });
+
+  it('starts and reads typing indicators in constant time per room', async () => {
+    results['typing start'] = summarize(await timed(ROOMS, i => chatService.setTypingIndicator(roomId(i), `a-${i}`)));
+
+    const typing = new Array(ROOMS);
+    results['typing read'] = summarize(await timed(ROOMS, async (i) => {
+      typing[i] = await chatService.getTypingUsers(roomId(i));
+    }));
+
+    results['typing stop'] = summarize(await timed(ROOMS, i => chatService.setTypingIndicator(roomId(i), `b-${i}`, false)));
+
+    expect(typing.every((users, i) => users.length === 2 && users.includes(`a-${i}`))).toBe(true);
+    expect(await chatService.getTypingUsers(roomId(0))).toEqual(['a-0']);
+  }, 120000);
+
+  it('clears rooms by key name', async () => {
+    // For comparison, what every lookup and clear used to cost: a pattern
+    // scan over the whole keyspace, one at a time since KEYS blocks Redis
+    results['KEYS scan (before)'] = summarize(await timed(
+      KEYS_SAMPLES,
+      i => redis.keys(`${chatService.TYPING_KEY}${roomId(i)}:*`),
+      1
+    ));
+
+    results['room clear'] = summarize(await timed(ROOMS, i => chatService._clearCache(roomId(i))));
+
+    expect(await redis.exists([
+      `${chatService.MSG_KEY}${roomId(0)}`,
+      `${chatService.TYPING_KEY}${roomId(0)}`
+    ])).toBe(0);
+    expect(await redis.exists(`${chatService.MSG_KEY}${roomId(ROOMS - 1)}`)).toBe(0);
+  }, 120000);
+});
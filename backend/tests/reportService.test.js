@@ -0,0 +1,177 @@
+jest.mock('../loaders/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+jest.mock('../config/mongo', () => ({ isConnected: jest.fn(() => true) }));
+
+const { isConnected } = require('../config/mongo');
+const Report = require('../models/Report');
+const chatService = require('../services/ChatService');
+const presenceService = require('../services/PresenceService');
+const blockService = require('../services/BlockService');
+const matchmakingService = require('../services/MatchmakingService');
+const reportService = require('../services/ReportService');
+const MemoryPresenceStore = require('../stores/MemoryPresenceStore');
+const MemoryMatchStore = require('../stores/MemoryMatchStore');
+
+function message(senderId, recipientId, content) {
+  return { id: `${senderId}-${content}`, senderId, recipientId, content, type: 'text', createdAt: new Date() };
+}
+
+describe('ReportService.createReport', () => {
+  let roomId;
+
+  beforeEach(async () => {
+    presenceService.setStore(new MemoryPresenceStore());
+    matchmakingService.setStore(new MemoryMatchStore());
+    isConnected.mockReturnValue(true);
+    jest.spyOn(blockService, 'getBlockedSessionIds').mockResolvedValue(new Set());
+
+    // A and B are chatting; C and D are in a private chat of their own
+    for (const [socketId, sessionId] of [['a1', 'A'], ['b1', 'B'], ['c1', 'C'], ['d1', 'D']]) {
+      await presenceService.addUser(socketId, sessionId);
+      await matchmakingService.joinQueue({ socketId, sessionId, interests: [], mode: 'text', joinedQueueAt: new Date() });
+    }
+    roomId = (await presenceService.getUser('a1')).roomId;
+
+    jest.spyOn(chatService, 'getRoomMessages').mockImplementation(async room => ({
+      messages: room === roomId
+        ? [message('a1', 'b1', 'hi'), message('b1', 'a1', 'something rude')]
+        : [message('c1', 'd1', 'private')],
+      nextCursor: null
+    }));
+    jest.spyOn(Report, 'create').mockImplementation(async doc => ({ _id: 'r1', status: 'open', createdAt: new Date(), ...doc }));
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  const report = (fields = {}) => reportService.createReport({
+    reporterSessionId: 'A',
+    reportedSocketId: 'b1',
+    reason: 'harassment',
+    source: 'socket',
+    ...fields
+  });
+
+  it("snapshots the reporter's own room", async () => {
+    const created = await report();
+
+    expect(created).toMatchObject({ id: 'r1', roomId, messageCount: 2 });
+    expect(chatService.getRoomMessages).toHaveBeenCalledWith(roomId, expect.objectContaining({ useCache: false }));
+    expect(Report.create).toHaveBeenCalledWith(expect.objectContaining({
+      reporterSessionId: 'A',
+      reportedSessionId: 'B',
+      roomId
+    }));
+  });
+
+  it('ignores a roomId supplied by the client', async () => {
+    const otherRoom = (await presenceService.getUser('c1')).roomId;
+
+    const created = await report({ roomId: otherRoom });
+
+    expect(created.roomId).toBe(roomId);
+    expect(chatService.getRoomMessages).not.toHaveBeenCalledWith(otherRoom, expect.anything());
+  });
+
+  it('rejects reporting someone the reporter never chatted with', async () => {
+    await expect(report({ reportedSocketId: 'c1' })).rejects.toMatchObject({ status: 403 });
+    expect(Report.create).not.toHaveBeenCalled();
+  });
+
+  it('rejects a reporter session that is not in presence', async () => {
+    await expect(report({ reporterSessionId: 'nobody' })).rejects.toMatchObject({ status: 403 });
+    await expect(report({ reporterSessionId: null })).rejects.toMatchObject({ status: 403 });
+    expect(chatService.getRoomMessages).not.toHaveBeenCalled();
+  });
+
+  it('rejects a reporter who has not chatted with anyone yet', async () => {
+    await presenceService.addUser('e1', 'E');
+
+    await expect(report({ reporterSessionId: 'E' })).rejects.toMatchObject({ status: 403 });
+  });
+
+  it('still accepts the report once the chat has ended', async () => {
+    await matchmakingService.cleanupMatch(roomId);
+
+    const created = await report();
+
+    expect(created.roomId).toBe(roomId);
+  });
+
+  it('accepts a partner who has moved on when they have messages in the room', async () => {
+    await matchmakingService.cleanupMatch(roomId);
+    await presenceService.updateUser('b1', { roomId: 'room_next', lastRoomId: 'room_other' });
+
+    await expect(report()).resolves.toMatchObject({ roomId });
+  });
+
+  it('404s when the reported socket is unknown', async () => {
+    await expect(report({ reportedSocketId: 'gone' })).rejects.toMatchObject({ status: 404 });
+  });
+
+  it('validates the reason and needs MongoDB', async () => {
+    await expect(report({ reason: 'boredom' })).rejects.toMatchObject({ status: 400 });
+
+    isConnected.mockReturnValue(false);
+    await expect(report()).rejects.toMatchObject({ status: 503 });
+  });
+});
+
+describe('ReportService.transition', () => {
+  let stored;
+
+  beforeEach(() => {
+    // One report in "MongoDB" — every read gets its own copy
+    stored = new Report({
+      reporterSessionId: 'A',
+      reportedSessionId: 'B',
+      reportedSocketId: 'b1',
+      roomId: 'room-1',
+      reason: 'harassment',
+      source: 'socket',
+      status: 'reviewing'
+    }).toObject();
+    jest.spyOn(Report, 'findById').mockImplementation(async () => Report.hydrate({ ...stored }));
+    jest.spyOn(Report, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+      if (String(filter._id) !== String(stored._id) || filter.status !== stored.status) return null;
+      stored = {
+        ...stored,
+        ...update.$set,
+        statusHistory: [...stored.statusHistory, update.$push.statusHistory]
+      };
+      return Report.hydrate({ ...stored });
+    });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('moves the report on and records who did it', async () => {
+    const report = await reportService.transition(stored._id, 'actioned', { changedBy: 'alice', note: 'banned' });
+
+    expect(report.status).toBe('actioned');
+    expect(stored.statusHistory).toEqual([expect.objectContaining({ status: 'actioned', changedBy: 'alice', note: 'banned' })]);
+  });
+
+  it('lets only one of two concurrent moderators through', async () => {
+    const results = await Promise.allSettled([
+      reportService.transition(stored._id, 'actioned', { changedBy: 'alice' }),
+      reportService.transition(stored._id, 'dismissed', { changedBy: 'bob' })
+    ]);
+
+    expect(results.map(r => r.status)).toEqual(['fulfilled', 'rejected']);
+    expect(results[1].reason.status).toBe(409);
+    expect(stored.status).toBe('actioned');
+    expect(stored.statusHistory.map(h => h.changedBy)).toEqual(['alice']);
+  });
+
+  it('409s a move the workflow does not allow', async () => {
+    stored.status = 'dismissed';
+
+    await expect(reportService.transition(stored._id, 'actioned')).rejects.toMatchObject({ status: 409 });
+    expect(Report.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+});
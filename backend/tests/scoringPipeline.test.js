@@ -0,0 +1,153 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../loaders/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const ScoringPipeline = require('../scoring/ScoringPipeline');
+const { loadScoringConfig, DEFAULT_SCORING } = require('../config/scoring');
+
+const NOW = Date.parse('2026-01-01T00:00:00Z');
+
+function queueUser(overrides = {}) {
+  return {
+    socketId: 's1',
+    sessionId: 'session-1',
+    interests: [],
+    language: null,
+    region: null,
+    joinedQueueAt: new Date(NOW).toISOString(),
+    ...overrides
+  };
+}
+
+describe('ScoringPipeline', () => {
+  const pipeline = new ScoringPipeline(DEFAULT_SCORING);
+  const ctx = { now: NOW };
+
+  it('scores zero for two strangers with nothing in common', () => {
+    const result = pipeline.score(queueUser(), queueUser({ sessionId: 'session-2' }), ctx);
+    expect(result.total).toBe(0);
+  });
+
+  it('adds the interests weight per shared interest, case-insensitively', () => {
+    const result = pipeline.score(
+      queueUser({ interests: ['Music', 'Gaming', 'Art'] }),
+      queueUser({ sessionId: 'session-2', interests: ['music', 'gaming'] }),
+      ctx
+    );
+    expect(result.breakdown.interests).toBe(20);
+    expect(result.total).toBe(20);
+  });
+
+  it('adds the wait-time bonus once the candidate waited past the threshold', () => {
+    const waited = queueUser({ sessionId: 'session-2', joinedQueueAt: new Date(NOW - 31000).toISOString() });
+    const fresh = queueUser({ sessionId: 'session-3', joinedQueueAt: new Date(NOW - 5000).toISOString() });
+
+    expect(pipeline.score(queueUser(), waited, ctx).breakdown.waitTime).toBe(3);
+    expect(pipeline.score(queueUser(), fresh, ctx).breakdown.waitTime).toBe(0);
+  });
+
+  it('rewards a shared language', () => {
+    const result = pipeline.score(
+      queueUser({ language: 'en' }),
+      queueUser({ sessionId: 'session-2', language: 'EN' }),
+      ctx
+    );
+    expect(result.breakdown.language).toBe(5);
+  });
+
+  it('does not treat two missing languages as a match', () => {
+    const result = pipeline.score(queueUser(), queueUser({ sessionId: 'session-2' }), ctx);
+    expect(result.breakdown.language).toBe(0);
+  });
+
+  it('rewards a shared region', () => {
+    const result = pipeline.score(
+      queueUser({ region: 'eu-west' }),
+      queueUser({ sessionId: 'session-2', region: 'eu-west' }),
+      ctx
+    );
+    expect(result.breakdown.region).toBe(2);
+  });
+
+  it('penalises a recently matched partner', () => {
+    const candidate = queueUser({ sessionId: 'session-2', interests: ['Music'] });
+    const result = pipeline.score(
+      queueUser({ interests: ['Music'] }),
+      candidate,
+      { ...ctx, recentPartners: new Set(['session-2']) }
+    );
+    expect(result.breakdown.recentMatch).toBe(-20);
+    expect(result.total).toBe(-10);
+  });
+
+  it('skips scorers whose weight is zero', () => {
+    const noRegion = new ScoringPipeline({ weights: { interests: 10, region: 0 } });
+    const result = noRegion.score(
+      queueUser({ region: 'eu' }),
+      queueUser({ sessionId: 'session-2', region: 'eu' }),
+      ctx
+    );
+    expect(result.breakdown).not.toHaveProperty('region');
+    expect(result.total).toBe(0);
+  });
+
+  it('lets weights re-rank candidates', () => {
+    const user = queueUser({ interests: ['Music'], language: 'fr' });
+    const sharesInterest = queueUser({ sessionId: 'a', interests: ['Music'] });
+    const sharesLanguage = queueUser({ sessionId: 'b', language: 'fr' });
+
+    const interestHeavy = new ScoringPipeline({ weights: { interests: 10, language: 5 } });
+    const languageHeavy = new ScoringPipeline({ weights: { interests: 10, language: 50 } });
+
+    expect(interestHeavy.score(user, sharesInterest, ctx).total)
+      .toBeGreaterThan(interestHeavy.score(user, sharesLanguage, ctx).total);
+    expect(languageHeavy.score(user, sharesLanguage, ctx).total)
+      .toBeGreaterThan(languageHeavy.score(user, sharesInterest, ctx).total);
+  });
+});
+
+describe('loadScoringConfig', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'scoring-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('returns the defaults with no overrides', () => {
+    expect(loadScoringConfig({})).toEqual(DEFAULT_SCORING);
+  });
+
+  it('reads weights and threshold from a JSON file', () => {
+    const file = path.join(tmpDir, 'scoring.json');
+    fs.writeFileSync(file, JSON.stringify({ weights: { language: 8 }, waitThresholdMs: 10000 }));
+
+    const result = loadScoringConfig({ MATCH_SCORING_CONFIG: file });
+    expect(result.weights.language).toBe(8);
+    expect(result.weights.interests).toBe(DEFAULT_SCORING.weights.interests);
+    expect(result.waitThresholdMs).toBe(10000);
+  });
+
+  it('lets env vars override the JSON file', () => {
+    const file = path.join(tmpDir, 'scoring.json');
+    fs.writeFileSync(file, JSON.stringify({ weights: { region: 4 } }));
+
+    const result = loadScoringConfig({ MATCH_SCORING_CONFIG: file, MATCH_WEIGHT_REGION: '7' });
+    expect(result.weights.region).toBe(7);
+  });
+
+  it('falls back to defaults when the file is unreadable', () => {
+    const result = loadScoringConfig({ MATCH_SCORING_CONFIG: path.join(tmpDir, 'missing.json') });
+    expect(result).toEqual(DEFAULT_SCORING);
+  });
+});
@@ -0,0 +1,128 @@
+const http = require('http');
+const { io: ioClient } = require('socket.io-client');
+
+jest.mock('../loaders/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const { createSocketServer, connectSocketAdapter } = require('../config/socket');
+const { FakeRedisBus } = require('./helpers/fakeRedis');
+
+function startNode(bus) {
+  return new Promise((resolve) => {
+    const httpServer = http.createServer();
+    const redisClient = bus ? bus.createClient() : null;
+    const io = bus
+      ? createSocketServer(httpServer, { pubClient: redisClient, subClient: redisClient.duplicate() })
+      : createSocketServer(httpServer);
+    httpServer.listen(0, () => resolve({ io, httpServer, port: httpServer.address().port }));
+  });
+}
+
+function connectClient(node) {
+  return new Promise((resolve, reject) => {
+    const client = ioClient(`http://localhost:${node.port}`, { transports: ['websocket'], forceNew: true });
+    client.on('connect', () => resolve(client));
+    client.on('connect_error', reject);
+  });
+}
+
+function nextEvent(client, event) {
+  return new Promise((resolve) => client.once(event, resolve));
+}
+
+function waitForServerSocket(node) {
+  return new Promise((resolve) => node.io.once('connection', resolve));
+}
+
+describe('Socket.IO Redis adapter', () => {
+  let nodes;
+  let clients;
+
+  beforeEach(() => {
+    nodes = [];
+    clients = [];
+  });
+
+  afterEach(async () => {
+    clients.forEach(c => c.disconnect());
+    await Promise.all(nodes.map(n => new Promise((resolve) => n.io.close(() => resolve()))));
+  });
+
+  async function setupPair(bus) {
+    const nodeA = await startNode(bus);
+    const nodeB = await startNode(bus);
+    nodes.push(nodeA, nodeB);
+
+    const serverSocketA = waitForServerSocket(nodeA);
+    const clientA = await connectClient(nodeA);
+    const socketA = await serverSocketA;
+
+    const serverSocketB = waitForServerSocket(nodeB);
+    const clientB = await connectClient(nodeB);
+    const socketB = await serverSocketB;
+
+    clients.push(clientA, clientB);
+    return { nodeA, nodeB, clientA, clientB, socketA, socketB };
+  }
+
+  it('relays room broadcasts between sockets on different nodes', async () => {
+    const { nodeA, clientB, socketA, socketB } = await setupPair(new FakeRedisBus());
+
+    // Same path _emitMatchFound uses to put both users in the room
+    nodeA.io.in(socketA.id).socketsJoin('room_test');
+    nodeA.io.in(socketB.id).socketsJoin('room_test');
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    const received = nextEvent(clientB, 'message-received');
+    socketA.to('room_test').emit('message-received', { content: 'hello from A' });
+
+    await expect(received).resolves.toEqual({ content: 'hello from A' });
+  });
+
+  it('relays signaling to a partner in the room on another node', async () => {
+    const { clientA, socketA, socketB } = await setupPair(new FakeRedisBus());
+    socketA.join('room_rtc');
+    socketB.join('room_rtc');
+
+    const received = nextEvent(clientA, 'webrtc-offer');
+    socketB.to('room_rtc').emit('webrtc-offer', { offer: { sdp: 'x' }, from: socketB.id });
+
+    await expect(received).resolves.toEqual({ offer: { sdp: 'x' }, from: socketB.id });
+  });
+
+  it('delivers io.to(socketId) emits to a socket on another node', async () => {
+    const { nodeA, clientB, socketB } = await setupPair(new FakeRedisBus());
+
+    const received = nextEvent(clientB, 'partner-disconnected');
+    nodeA.io.to(socketB.id).emit('partner-disconnected', { reason: 'timeout' });
+
+    await expect(received).resolves.toEqual({ reason: 'timeout' });
+  });
+
+  it('finds remote sockets with fetchSockets', async () => {
+    const { nodeA, socketB } = await setupPair(new FakeRedisBus());
+    const found = await nodeA.io.in(socketB.id).fetchSockets();
+    expect(found.map(s => s.id)).toEqual([socketB.id]);
+  });
+
+  it('stays single-node without Redis', async () => {
+    const { nodeA, clientB, socketB } = await setupPair(null);
+    const onMessage = jest.fn();
+    clientB.on('partner-disconnected', onMessage);
+
+    nodeA.io.to(socketB.id).emit('partner-disconnected', { reason: 'timeout' });
+    await new Promise(resolve => setTimeout(resolve, 100));
+
+    expect(onMessage).not.toHaveBeenCalled();
+  });
+
+  it('connectSocketAdapter reports single-node mode when Redis is absent', async () => {
+    const node = await startNode(null);
+    nodes.push(node);
+    await expect(connectSocketAdapter(node.io, null)).resolves.toBe(false);
+  });
+});
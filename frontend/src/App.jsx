@@ -1,9 +1,11 @@
 import React, { useState, useEffect, useRef } from 'react';
 import {
   Globe, MessageCircle, Video, Shield,
-  Mic, MicOff, VideoOff as VideoOffIcon, SkipForward, Home, AlertTriangle
+  Mic, MicOff, VideoOff as VideoOffIcon, SkipForward, Home, AlertTriangle,
+  Image as ImageIcon, Check, CheckCheck
 } from 'lucide-react';
 import socketService from './services/socketService';
+import { generateClientMessageId } from './utils/helpers';
 import webrtcService from './services/webrtcService';
 import VideoStream from './components/VideoStream';
 
@@ -20,6 +22,7 @@ function App() {
   const [messageInput, setMessageInput] = useState('');
   const [connectionStatus, setConnectionStatus] = useState('disconnected');
   const [matchingStatus, setMatchingStatus] = useState('');
+  const [pageVisible, setPageVisible] = useState(document.visibilityState === 'visible');
 
   // Video state
   const [localStream, setLocalStream] = useState(null);
@@ -38,6 +41,7 @@ function App() {
   const localVideoRef = useRef(null);
   const remoteVideoRef = useRef(null);
   const messagesEndRef = useRef(null);
+  const imageInputRef = useRef(null);
 
   const popularInterests = [
     'Music', 'Movies', 'Gaming', 'Technology', 'Sports', 'Art', 'Books',
@@ -50,10 +54,27 @@ function App() {
     messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
   }, [messages]);
 
+  // ─── READ RECEIPTS ─────────────────────────────────────────
+  // Partner messages count as read once they are on screen and the tab is visible
+  useEffect(() => {
+    const onVisibility = () => setPageVisible(document.visibilityState === 'visible');
+    document.addEventListener('visibilitychange', onVisibility);
+    return () => document.removeEventListener('visibilitychange', onVisibility);
+  }, []);
+
+  useEffect(() => {
+    if (!pageVisible) return;
+    const unread = messages.filter(m => m.sender === 'partner' && !m.readAcked).map(m => m.id);
+    if (!unread.length) return;
+
+    socketService.ackMessages(unread, 'read');
+    setMessages(prev => prev.map(m => unread.includes(m.id) ? { ...m, readAcked: true } : m));
+  }, [messages, pageVisible]);
+
   // ─── MODERATION ALERT TIMEOUT ──────────────────────────────
-  // Auto-clear blocked/warning alerts after 5s (not kick — that navigates away)
+  // Auto-clear blocked/warning alerts after 5s (not kick/ban — those navigate away)
   useEffect(() => {
-    if (moderationAlert && moderationAlert.type !== 'kicked') {
+    if (moderationAlert && !['kicked', 'banned'].includes(moderationAlert.type)) {
       const t = setTimeout(() => setModerationAlert(null), 5000);
       return () => clearTimeout(t);
     }
@@ -83,12 +104,40 @@ function App() {
   };
 
   const handleMessageReceived = (msgData) => {
-    setMessages(prev => [...prev, {
+    setMessages(prev => prev.some(m => m.id === msgData.id) ? prev : [...prev, {
       id: msgData.id || Date.now(),
       content: msgData.content,
+      type: msgData.type || 'text',
+      seq: msgData.seq,
       sender: 'partner',
       timestamp: msgData.timestamp || new Date().toISOString()
     }]);
+    if (msgData.id) socketService.ackMessages([msgData.id], 'delivered');
+  };
+
+  // Swap the optimistic bubble for the saved message
+  const handleMessageSent = (saved) => {
+    setMessages(prev => prev.map(m =>
+      m.pending && m.id === saved.clientMessageId
+        ? { ...m, id: saved.id, content: saved.content, seq: saved.seq, status: saved.status, pending: false }
+        : m
+    ));
+  };
+
+  const handleMessageStatus = ({ messageIds, status }) => {
+    setMessages(prev => prev.map(m =>
+      m.sender === 'you' && messageIds.includes(m.id) ? { ...m, status } : m
+    ));
+  };
+
+  const handleMessageEdited = (msgData) => {
+    setMessages(prev => prev.map(m =>
+      m.id === msgData.id ? { ...m, content: msgData.content, edited: true } : m
+    ));
+  };
+
+  const handleMessageDeleted = ({ messageId }) => {
+    setMessages(prev => prev.filter(m => m.id !== messageId));
   };
 
   // ── Moderation: message blocked ────────────────────────────
@@ -123,6 +172,19 @@ function App() {
     }, 3000);
   };
 
+  // Sent on join when the session is banned, or when a kick escalates to a ban
+  const handleBanned = ({ message }) => {
+    setModerationAlert({
+      type: 'banned',
+      message
+    });
+    setMatchingStatus(message);
+    setTimeout(() => {
+      handleEndChat();
+      setModerationAlert(null);
+    }, 3000);
+  };
+
   const handlePartnerDisconnected = () => handleEndChat();
 
   // ─── START CHAT ────────────────────────────────────────────
@@ -157,12 +219,17 @@ function App() {
       // Register all socket event listeners
       socketService.on('match-found', handleMatchFound);
       socketService.on('message-received', handleMessageReceived);
+      socketService.on('message-sent', handleMessageSent);
+      socketService.on('message-status', handleMessageStatus);
+      socketService.on('message-edited', handleMessageEdited);
+      socketService.on('message-deleted', handleMessageDeleted);
       socketService.on('partner-disconnected', handlePartnerDisconnected);
 
       // ── Moderation events ───────────────────────────────────
       socketService.on('message-blocked', handleMessageBlocked);
       socketService.on('moderation-warning', handleModerationWarning);
       socketService.on('moderation-kick', handleModerationKick);
+      socketService.on('banned', handleBanned);
 
       setCurrentPage('matching');
       setMatchingStatus('Looking for someone to chat with...');
@@ -182,8 +249,9 @@ function App() {
   const handleSendMessage = () => {
     if (!messageInput.trim() || !partner) return;
 
+    const clientMessageId = generateClientMessageId();
     const optimistic = {
-      id: `msg_${Date.now()}`,
+      id: clientMessageId,
       content: messageInput.trim(),
       sender: 'you',
       timestamp: new Date().toISOString(),
@@ -191,10 +259,36 @@ function App() {
     };
 
     setMessages(prev => [...prev, optimistic]);
-    socketService.sendMessage({ content: messageInput.trim() });
+    socketService.sendMessage({ content: messageInput.trim(), clientMessageId });
     setMessageInput('');
   };
 
+  // ─── SEND IMAGE ────────────────────────────────────────────
+  // Upload first, then send — the server moderates it before delivery
+  const handleImageSelected = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file || !partner) return;
+
+    const optimisticId = generateClientMessageId();
+    setMessages(prev => [...prev, {
+      id: optimisticId,
+      type: 'image',
+      preview: URL.createObjectURL(file),
+      sender: 'you',
+      timestamp: new Date().toISOString(),
+      pending: true
+    }]);
+
+    try {
+      const media = await socketService.uploadImage(file);
+      socketService.sendMessage({ type: 'image', mediaId: media.id, clientMessageId: optimisticId });
+    } catch (err) {
+      setMessages(prev => prev.filter(m => m.id !== optimisticId));
+      setModerationAlert({ type: 'blocked', message: err.message });
+    }
+  };
+
   // ─── SKIP ──────────────────────────────────────────────────
   const handleSkipUser = () => {
     setMessages([]);
@@ -244,6 +338,15 @@ function App() {
     };
   }, []);
 
+  // ─── DELIVERY TICKS ────────────────────────────────────────
+  // One tick when saved, two when delivered, highlighted when read
+  const renderTicks = (msg) => {
+    if (msg.pending) return null;
+    if (msg.status === 'read') return <CheckCheck className="inline w-3 h-3 ml-1 text-sky-200" />;
+    if (msg.status === 'delivered') return <CheckCheck className="inline w-3 h-3 ml-1" />;
+    return <Check className="inline w-3 h-3 ml-1" />;
+  };
+
   // ─── MODERATION ALERT BANNER ───────────────────────────────
   const renderModerationAlert = () => {
     if (!moderationAlert) return null;
@@ -251,13 +354,15 @@ function App() {
     const styles = {
       blocked: 'bg-red-50 border-red-300 text-red-800 dark:bg-red-900/30 dark:text-red-300',
       warning: 'bg-yellow-50 border-yellow-300 text-yellow-800 dark:bg-yellow-900/30 dark:text-yellow-300',
-      kicked:  'bg-red-100 border-red-400 text-red-900 dark:bg-red-900/50 dark:text-red-200'
+      kicked:  'bg-red-100 border-red-400 text-red-900 dark:bg-red-900/50 dark:text-red-200',
+      banned:  'bg-red-100 border-red-400 text-red-900 dark:bg-red-900/50 dark:text-red-200'
     };
 
     const icons = {
       blocked: '🚫',
       warning: '⚠️',
-      kicked:  '🔴'
+      kicked:  '🔴',
+      banned:  '⛔'
     };
 
     return (
@@ -268,6 +373,7 @@ function App() {
             {moderationAlert.type === 'blocked' && 'Message blocked'}
             {moderationAlert.type === 'warning' && 'Content warning'}
             {moderationAlert.type === 'kicked' && 'Removed from chat'}
+            {moderationAlert.type === 'banned' && 'Banned'}
           </p>
           <p>{moderationAlert.message}</p>
           {moderationAlert.categories?.length > 0 && (
@@ -484,9 +590,19 @@ function App() {
                           ? 'bg-blue-600 text-white rounded-br-none'
                           : 'bg-gray-200 dark:bg-gray-700 text-gray-900 dark:text-white rounded-bl-none'
                       }`}>
-                        <p>{msg.content}</p>
+                        {msg.type === 'image' ? (
+                          <img
+                            src={msg.preview || socketService.mediaURL(msg.content)}
+                            alt="Shared image"
+                            className="max-w-full rounded"
+                          />
+                        ) : (
+                          <p>{msg.content}</p>
+                        )}
                         <p className="text-xs opacity-75 mt-1">
                           {new Date(msg.timestamp).toLocaleTimeString()}
+                          {msg.edited && ' · edited'}
+                          {msg.sender === 'you' && renderTicks(msg)}
                         </p>
                       </div>
                     </div>
@@ -504,6 +620,21 @@ function App() {
             {/* Input */}
             <div className="border-t p-4">
               <div className="flex gap-2">
+                <input
+                  ref={imageInputRef}
+                  type="file"
+                  accept="image/jpeg,image/png,image/webp,image/gif"
+                  onChange={handleImageSelected}
+                  className="hidden"
+                />
+                <button
+                  onClick={() => imageInputRef.current?.click()}
+                  disabled={!partner}
+                  title="Send an image"
+                  className="px-3 py-2 border rounded-lg text-gray-600 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  <ImageIcon className="w-5 h-5" />
+                </button>
                 <input
                   type="text"
                   value={messageInput}
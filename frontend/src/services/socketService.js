@@ -1,12 +1,16 @@
 import { io } from 'socket.io-client';
-import { generateSessionId } from '../utils/helpers';
+import { generateSessionId, generateClientMessageId } from '../utils/helpers';
 import { STORAGE_KEYS } from '../utils/constants';
 
+// How long a missing seq may hold back lastSeq before it counts as unused
+const SEQ_GAP_MS = 10000;
+
 /**
  * SocketService
  * Manages the socket connection lifecycle including:
  * - Session persistence across reconnections
  * - Pending action queue when temporarily disconnected
+ * - Replaying messages missed while reconnecting
  * - Moderation event handling
  */
 class SocketService {
@@ -18,6 +22,11 @@ class SocketService {
     this.reconnectDelay = 1000;
     this.listeners = new Map();
     this.pendingActions = [];
+    // Seq up to which we hold every message in the current room — sent
+    // on reconnect. Seqs can arrive out of order, so newer ones wait in
+    // heldSeqs (seq -> when seen) until the gap below them fills.
+    this.lastSeq = 0;
+    this.heldSeqs = new Map();
 
     // Stable session ID that survives socket reconnections
     this.sessionId = this._getOrCreateSessionId();
@@ -41,9 +50,7 @@ class SocketService {
   // ─── CONNECT ─────────────────────────────────────────────────
 
   connect(selectedInterests = [], chatMode = 'text') {
-    const socketURL = import.meta.env.VITE_SOCKET_URL || 'http://localhost:5000';
-
-    this.socket = io(socketURL, {
+    this.socket = io(this._serverURL(), {
       transports: ['websocket', 'polling'],
       timeout: 20000,
       reconnection: true,
@@ -70,10 +77,12 @@ class SocketService {
       // Send user-join with stable sessionId — server uses this
       // to detect if this is a fresh join or a reconnection
       setTimeout(() => {
+        this._advanceSeq();
         this.socket.emit('user-join', {
           sessionId: this.sessionId,
           interests: selectedInterests,
-          mode: chatMode
+          mode: chatMode,
+          lastSeq: this.lastSeq
         });
 
         // Join queue after server confirms session
@@ -84,8 +93,6 @@ class SocketService {
           });
         }, 200);
       }, 300);
-
-      this._processPendingActions();
     });
 
     this.socket.on('disconnect', (reason) => {
@@ -98,15 +105,36 @@ class SocketService {
       this.reconnectAttempts++;
     });
 
-    // Server confirmed our session
+    // Server confirmed our session — queued actions can go out now
     this.socket.on('session-confirmed', ({ sessionId }) => {
       console.log('Session confirmed:', sessionId);
+      this._processPendingActions();
     });
 
-    // Server restored our match after reconnection
+    // Server restored our match after reconnection. Replay what we missed
+    // first, so resent messages land after it.
     this.socket.on('reconnect-success', (data) => {
       console.log('Reconnect success:', data);
+      const missed = data.missedMessages || [];
+      this._replayMissed(missed);
+      if (data.hasMore) this.getMessages({ afterSeq: missed[missed.length - 1].seq });
+      this._processPendingActions();
+    });
+
+    // Paged-in remainder of a replay — keep going until it is caught up
+    this.socket.on('messages-loaded', ({ messages, nextCursor, afterSeq }) => {
+      if (afterSeq === undefined) return;
+      this._replayMissed(messages);
+      if (nextCursor) this.getMessages({ afterSeq: messages[messages.length - 1].seq });
+    });
+
+    // Track seqs in the room; a new match starts from zero
+    this.socket.on('match-found', () => {
+      this.lastSeq = 0;
+      this.heldSeqs.clear();
     });
+    this.socket.on('message-received', (msg) => this._trackSeq(msg.seq));
+    this.socket.on('message-sent', (msg) => this._trackSeq(msg.seq));
 
     // Heartbeat — must respond to keep connection alive
     this.socket.on('ping', () => {
@@ -123,16 +151,123 @@ class SocketService {
     }
   }
 
+  // ─── REPLAY ──────────────────────────────────────────────────
+
+  /**
+   * Feed missed messages through the normal listeners, skipping any we
+   * already have. Our own messages confirm their pending bubbles.
+   */
+  _replayMissed(messages) {
+    for (const msg of messages) {
+      if (msg.seq <= this.lastSeq || this.heldSeqs.has(msg.seq)) continue;
+      const event = msg.senderId === this.socket.id ? 'message-sent' : 'message-received';
+      this.socket.listeners(event).forEach(listener => listener(msg));
+    }
+  }
+
+  _trackSeq(seq) {
+    if (!Number.isInteger(seq) || seq <= this.lastSeq || this.heldSeqs.has(seq)) return;
+    this.heldSeqs.set(seq, Date.now());
+    this._advanceSeq();
+  }
+
+  /**
+   * Move lastSeq over every held seq that directly follows it. A gap that
+   * stays open for SEQ_GAP_MS is a seq the server never used (a failed or
+   * deleted message), so it is skipped instead of blocking replay forever.
+   */
+  _advanceSeq() {
+    while (this.heldSeqs.size) {
+      const next = this.lastSeq + 1;
+      if (!this.heldSeqs.has(next)) {
+        const oldest = Math.min(...this.heldSeqs.keys());
+        if (Date.now() - this.heldSeqs.get(oldest) < SEQ_GAP_MS) return;
+        this.lastSeq = oldest - 1;
+        continue;
+      }
+      this.heldSeqs.delete(next);
+      this.lastSeq = next;
+    }
+  }
+
   // ─── MESSAGING ───────────────────────────────────────────────
 
+  /**
+   * Send a message tagged with a clientMessageId, so a resend after a
+   * reconnect is saved only once. Returns the clientMessageId.
+   */
   sendMessage(data) {
+    const message = { ...data, clientMessageId: data.clientMessageId || generateClientMessageId() };
     if (this.isConnected) {
-      this.socket.emit('send-message', data);
+      this.socket.emit('send-message', message);
     } else {
-      this.pendingActions.push(() => this.sendMessage(data));
+      this.pendingActions.push(() => this.sendMessage(message));
+    }
+    return message.clientMessageId;
+  }
+
+  /**
+   * History for the current room, oldest first (arrives as messages-loaded).
+   * Page back with before: nextCursor, or pass afterSeq to get only the
+   * messages after the last seq you saw.
+   */
+  getMessages({ before, after, afterSeq, limit } = {}) {
+    if (this.isConnected) this.socket.emit('get-messages', { before, after, afterSeq, limit });
+  }
+
+  /**
+   * Delivery receipts for partner messages — status is 'delivered' once
+   * rendered, 'read' once seen. The sender receives message-status.
+   */
+  ackMessages(messageIds, status) {
+    if (this.isConnected && messageIds.length) {
+      this.socket.emit('message-ack', { messageIds, status });
     }
   }
 
+  /**
+   * Edit or delete one of your own messages by its server id, within the
+   * server's edit window
+   */
+  editMessage(messageId, content) {
+    if (this.isConnected) this.socket.emit('edit-message', { messageId, content });
+  }
+
+  deleteMessage(messageId) {
+    if (this.isConnected) this.socket.emit('delete-message', { messageId });
+  }
+
+  // ─── MEDIA ───────────────────────────────────────────────────
+
+  /**
+   * Upload an image for the current chat. Resolves to { id, url, ... };
+   * send it with sendMessage({ type: 'image', mediaId: id }).
+   */
+  async uploadImage(file) {
+    const form = new FormData();
+    form.append('image', file);
+
+    const res = await fetch(`${this._serverURL()}/api/chat/media`, {
+      method: 'POST',
+      headers: { 'X-Session-ID': this.sessionId },
+      body: form
+    });
+    const body = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(body.error || 'Image upload failed');
+    return body.media;
+  }
+
+  /**
+   * Absolute URL for a media path from an image message's content
+   */
+  mediaURL(path) {
+    return `${this._serverURL()}${path}`;
+  }
+
+  _serverURL() {
+    return import.meta.env.VITE_SOCKET_URL || 'http://localhost:5000';
+  }
+
   // ─── QUEUE ───────────────────────────────────────────────────
 
   joinQueue(data) {
@@ -185,6 +320,10 @@ class SocketService {
     if (this.isConnected) this.socket.emit('report-user', data);
   }
 
+  blockUser() {
+    if (this.isConnected) this.socket.emit('block-user');
+  }
+
   // ─── EVENT BUS ───────────────────────────────────────────────
 
   on(event, callback) {
@@ -2,6 +2,11 @@ export const generateSessionId = () => {
     return Math.random().toString(36).substr(2, 16) + Date.now().toString(36);
   };
   
+  // Idempotency key for send-message — randomUUID needs a secure context
+  export const generateClientMessageId = () => {
+    return globalThis.crypto?.randomUUID?.() || generateSessionId();
+  };
+  
   export const formatTime = (timestamp) => {
     return new Date(timestamp).toLocaleTimeString('en-US', {
       hour12: false,